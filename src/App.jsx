@@ -13,6 +13,11 @@ import LoginPage from './pages/LoginPage';
 import HomePage from './pages/HomePage';
 import AdminPage from './pages/AdminPage';
 import StockEntryPage from './pages/StockEntryPage';
+import StockCorrectionsPage from './pages/StockCorrectionsPage';
+import BarcodeProposalsPage from './pages/BarcodeProposalsPage';
+import TransfersPage from './pages/TransfersPage';
+import StockImportPage from './pages/StockImportPage';
+import CatalogPage from './pages/CatalogPage';
 import CuadraturasPage from './pages/CuadraturasPage';
 import RectificarPage from './pages/RectificarPage';
 
@@ -20,6 +25,8 @@ import SuperAdminPage from './pages/SuperAdmin/SuperAdminPage';
 import UserListPage from './pages/SuperAdmin/UserListPage';
 import UserCreatePage from './pages/SuperAdmin/UserCreatePage';
 import UserEditPage from './pages/SuperAdmin/UserEditPage';
+import RopManagementPage from './pages/SuperAdmin/RopManagementPage';
+import StoreMappingPage from './pages/SuperAdmin/StoreMappingPage';
 
 /**
  * Componente de ruta protegida. Solo permite el acceso si el usuario está autenticado.
@@ -71,8 +78,15 @@ function AppRoutes() {
       <Route path="/home" element={<ProtectedRoute><MainLayout><HomePage /></MainLayout></ProtectedRoute>} />
       {/* Ruta de ingreso de stock protegida */}
       <Route path="/stock-entry" element={<ProtectedRoute><MainLayout><StockEntryPage /></MainLayout></ProtectedRoute>} />
+      {/* Ruta de corrección/anulación de ingresos (autor o admin del local) */}
+      <Route path="/stock-entry/corrections" element={<ProtectedRoute><MainLayout><StockCorrectionsPage /></MainLayout></ProtectedRoute>} />
+      {/* Traspasos entre locales (planificación para admins, seguimiento para cada local) */}
+      <Route path="/transfers" element={<ProtectedRoute><MainLayout><TransfersPage /></MainLayout></ProtectedRoute>} />
       {/* Rutas protegidas para administradores y superadministradores */}
       <Route path="/admin" element={<RoleProtectedRoute allowedRoles={['admin', 'superadmin']}><MainLayout><AdminPage /></MainLayout></RoleProtectedRoute>} />
+      <Route path="/admin/barcode-proposals" element={<RoleProtectedRoute allowedRoles={['admin', 'superadmin']}><MainLayout><BarcodeProposalsPage /></MainLayout></RoleProtectedRoute>} />
+      <Route path="/admin/import" element={<RoleProtectedRoute allowedRoles={['admin', 'superadmin']}><MainLayout><StockImportPage /></MainLayout></RoleProtectedRoute>} />
+      <Route path="/admin/catalog" element={<RoleProtectedRoute allowedRoles={['admin', 'superadmin']}><MainLayout><CatalogPage /></MainLayout></RoleProtectedRoute>} />
       <Route path="/cuadraturas" element={<RoleProtectedRoute allowedRoles={['admin', 'superadmin']}><MainLayout><CuadraturasPage /></MainLayout></RoleProtectedRoute>} />
       <Route path="/rectificar/:sessionId" element={<RoleProtectedRoute allowedRoles={['admin', 'superadmin']}><MainLayout><RectificarPage /></MainLayout></RoleProtectedRoute>} />
       {/* Rutas exclusivas para superadministrador */}
@@ -80,6 +94,8 @@ function AppRoutes() {
       <Route path="/superadmin/users" element={<RoleProtectedRoute allowedRoles={['superadmin']}><MainLayout><UserListPage /></MainLayout></RoleProtectedRoute>} />
       <Route path="/superadmin/users/create" element={<RoleProtectedRoute allowedRoles={['superadmin']}><MainLayout><UserCreatePage /></MainLayout></RoleProtectedRoute>} />
       <Route path="/superadmin/users/edit/:userId" element={<RoleProtectedRoute allowedRoles={['superadmin']}><MainLayout><UserEditPage /></MainLayout></RoleProtectedRoute>} />
+      <Route path="/superadmin/rops" element={<RoleProtectedRoute allowedRoles={['superadmin']}><MainLayout><RopManagementPage /></MainLayout></RoleProtectedRoute>} />
+      <Route path="/superadmin/stores" element={<RoleProtectedRoute allowedRoles={['superadmin']}><MainLayout><StoreMappingPage /></MainLayout></RoleProtectedRoute>} />
       {/* Redirección según estado de autenticación */}
       <Route path="/" element={<NavigateToHomeOrLogin />} />
       {/* Ruta para cualquier otra URL no definida */}
@@ -0,0 +1,148 @@
+/**
+ * @file BarcodeProposalModal.jsx
+ * @description
+ * Modal para proponer un código de barras que no está en el catálogo, con nombre, laboratorio
+ * y opcionalmente el producto existente al que corresponde. Permite además registrar el ingreso
+ * como provisional; queda pendiente hasta que un admin apruebe la propuesta (ver barcodeProposals.js).
+ */
+import React, { useState } from 'react';
+import { submitBarcodeProposal, validateProposal } from '../utils/barcodeProposals';
+import { validateEntryFields, getExpiryYearOptions, getDaysInMonth } from '../utils/stockEntries';
+
+const fieldStyle = { width: '100%', padding: '10px', border: '1px solid #bdc3c7', borderRadius: '5px' };
+
+/**
+ * Modal de propuesta de código de barras nuevo.
+ * @param {object} props
+ * @param {string} props.barcode - Código no encontrado.
+ * @param {object|null} [props.gs1] - Datos GS1 de la lectura para precargar vencimiento y lote.
+ * @param {string} props.storeId - Local del usuario.
+ * @param {string} props.userEmail - Usuario que propone.
+ * @param {function} props.onClose - Cierra el modal sin guardar.
+ * @param {function({withProvisionalEntry: boolean}): void} [props.onSubmitted] - Se llama tras guardar la propuesta.
+ * @returns {JSX.Element}
+ */
+function BarcodeProposalModal({ barcode, gs1 = null, storeId, userEmail, onClose, onSubmitted }) {
+    const [proposedName, setProposedName] = useState('');
+    const [proposedLaboratory, setProposedLaboratory] = useState('');
+    const [linkedProductId, setLinkedProductId] = useState('');
+    const [withProvisionalEntry, setWithProvisionalEntry] = useState(true);
+    const [quantity, setQuantity] = useState('');
+    const [expiryMonth, setExpiryMonth] = useState(gs1?.expiry ? String(gs1.expiry.month) : '');
+    const [expiryYear, setExpiryYear] = useState(gs1?.expiry ? String(gs1.expiry.year) : '');
+    const [expiryDay, setExpiryDay] = useState(gs1?.expiry?.day ? String(gs1.expiry.day) : '');
+    const [lotNumber, setLotNumber] = useState(gs1?.lot || '');
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const months = Array.from({ length: 12 }, (_, i) => i + 1);
+    const years = getExpiryYearOptions();
+    const daysCount = expiryMonth && expiryYear ? getDaysInMonth(parseInt(expiryMonth, 10), parseInt(expiryYear, 10)) : 31;
+    const days = Array.from({ length: daysCount }, (_, i) => i + 1);
+
+    /**
+     * Valida y guarda la propuesta (y la entrada provisional si se marcó).
+     * @param {Event} e
+     */
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        const proposalError = validateProposal({ barcode, proposedName, proposedLaboratory });
+        if (proposalError) { setError(proposalError); return; }
+        const provisionalLine = withProvisionalEntry ? { quantity, expiryMonth, expiryYear, expiryDay, lotNumber } : null;
+        if (provisionalLine) {
+            const fieldsError = validateEntryFields(provisionalLine);
+            if (fieldsError) { setError(fieldsError); return; }
+        }
+        setIsSaving(true);
+        try {
+            await submitBarcodeProposal({
+                barcode, proposedName, proposedLaboratory, linkedProductId: linkedProductId.trim(),
+                storeId, userEmail, provisionalLine
+            });
+            if (onSubmitted) onSubmitted({ withProvisionalEntry });
+            onClose();
+        } catch (err) {
+            console.error("Error submitting barcode proposal:", err);
+            setError(err.message || 'Error al enviar la propuesta.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="modal-overlay open" onClick={() => !isSaving && onClose()}>
+            <div className="modal-content" onClick={(e) => e.stopPropagation()} style={{ height: 'auto', maxWidth: '560px' }}>
+                <button type="button" className="modal-close-button" onClick={onClose} disabled={isSaving}><span className="material-symbols-outlined">close</span></button>
+                <h2>Proponer Código Nuevo</h2>
+                <form onSubmit={handleSubmit} style={{ padding: '20px 30px', overflowY: 'auto' }}>
+                    <p style={{ marginTop: 0 }}>
+                        Código: <strong>{barcode}</strong><br />
+                        <span style={{ fontSize: '0.9em', color: '#555' }}>Un administrador revisará la propuesta antes de agregarla al catálogo.</span>
+                    </p>
+                    <div className="input-group">
+                        <label htmlFor="proposal-name">Nombre del producto:</label>
+                        <input id="proposal-name" type="text" value={proposedName} onChange={(e) => setProposedName(e.target.value)} disabled={isSaving} required style={fieldStyle} />
+                    </div>
+                    <div className="input-group">
+                        <label htmlFor="proposal-laboratory">Laboratorio:</label>
+                        <input id="proposal-laboratory" type="text" value={proposedLaboratory} onChange={(e) => setProposedLaboratory(e.target.value)} disabled={isSaving} required style={fieldStyle} />
+                    </div>
+                    <div className="input-group">
+                        <label htmlFor="proposal-linked">Código de referencia de un producto existente (opcional):</label>
+                        <input id="proposal-linked" type="text" value={linkedProductId} onChange={(e) => setLinkedProductId(e.target.value)} disabled={isSaving} placeholder="Si sabes a qué producto corresponde" style={fieldStyle} />
+                    </div>
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '8px', margin: '10px 0' }}>
+                        <input type="checkbox" checked={withProvisionalEntry} onChange={(e) => setWithProvisionalEntry(e.target.checked)} disabled={isSaving} />
+                        Registrar el ingreso como provisional
+                    </label>
+                    {withProvisionalEntry && (
+                        <>
+                            <div className="input-group">
+                                <label htmlFor="proposal-quantity">Cantidad:</label>
+                                <input id="proposal-quantity" type="number" min="1" value={quantity} onChange={(e) => setQuantity(e.target.value)} disabled={isSaving} required />
+                            </div>
+                            <div style={{ display: 'flex', gap: '15px' }} className="input-group">
+                                <div style={{ flex: 1 }}>
+                                    <label htmlFor="proposal-month">Mes Venc.:</label>
+                                    <select id="proposal-month" value={expiryMonth} onChange={(e) => setExpiryMonth(e.target.value)} disabled={isSaving} required style={fieldStyle}>
+                                        <option value="">Mes</option>
+                                        {months.map(m => <option key={m} value={m}>{m < 10 ? '0' + m : m}</option>)}
+                                    </select>
+                                </div>
+                                <div style={{ flex: 1 }}>
+                                    <label htmlFor="proposal-year">Año Venc.:</label>
+                                    <select id="proposal-year" value={expiryYear} onChange={(e) => setExpiryYear(e.target.value)} disabled={isSaving} required style={fieldStyle}>
+                                        <option value="">Año</option>
+                                        {years.map(y => <option key={y} value={y}>{y}</option>)}
+                                    </select>
+                                </div>
+                                <div style={{ flex: 1 }}>
+                                    <label htmlFor="proposal-day">Día (opc.):</label>
+                                    <select id="proposal-day" value={expiryDay} onChange={(e) => setExpiryDay(e.target.value)} disabled={isSaving} style={fieldStyle}>
+                                        <option value="">-</option>
+                                        {days.map(d => <option key={d} value={d}>{d < 10 ? '0' + d : d}</option>)}
+                                    </select>
+                                </div>
+                            </div>
+                            <div className="input-group">
+                                <label htmlFor="proposal-lot">Lote (opcional):</label>
+                                <input id="proposal-lot" type="text" value={lotNumber} onChange={(e) => setLotNumber(e.target.value)} disabled={isSaving} />
+                            </div>
+                            <p style={{ fontSize: '0.85em', color: '#6c757d' }}>
+                                El ingreso provisional no cuenta en el inventario hasta que se apruebe la propuesta.
+                            </p>
+                        </>
+                    )}
+                    {error && <p className="error-message">{error}</p>}
+                    <div className="button-group" style={{ justifyContent: 'flex-end', gap: '10px' }}>
+                        <button type="button" className="secondary" onClick={onClose} disabled={isSaving}>Cancelar</button>
+                        <button type="submit" disabled={isSaving}>{isSaving ? 'Enviando...' : 'Enviar Propuesta'}</button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+}
+
+export default BarcodeProposalModal;
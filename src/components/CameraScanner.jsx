@@ -0,0 +1,185 @@
+/**
+ * @file CameraScanner.jsx
+ * @description
+ * Escáner de códigos de barras con la cámara del dispositivo, para locales sin lector USB/Bluetooth.
+ * Usa la API nativa `BarcodeDetector` cuando el navegador la soporta con los formatos requeridos
+ * y, si no, carga bajo demanda el decodificador ZXing incluido en la aplicación. Si BarcodeDetector falla en
+ * MAX_NATIVE_FAILURES lecturas seguidas, también se cambia a ZXing.
+ * Formatos: EAN-13, EAN-8, Code 128 y DataMatrix (incluye GS1 DataMatrix / GS1-128).
+ */
+import React, { useEffect, useRef, useState } from 'react';
+
+/**
+ * Formatos requeridos según la nomenclatura de BarcodeDetector.
+ */
+const NATIVE_FORMATS = ['ean_13', 'ean_8', 'code_128', 'data_matrix'];
+
+/**
+ * Intervalo entre intentos de detección con BarcodeDetector (ms).
+ */
+const NATIVE_SCAN_INTERVAL = 250;
+
+/**
+ * Fallos seguidos de BarcodeDetector tras los que se deja de usar y se pasa a ZXing.
+ */
+const MAX_NATIVE_FAILURES = 20;
+
+/**
+ * Restricciones de video: cámara trasera cuando existe.
+ */
+const VIDEO_CONSTRAINTS = { video: { facingMode: { ideal: 'environment' } }, audio: false };
+
+/**
+ * Indica si BarcodeDetector está disponible y soporta todos los formatos requeridos.
+ * @returns {Promise<boolean>}
+ */
+async function isNativeDetectorSupported() {
+    if (!('BarcodeDetector' in window)) return false;
+    try {
+        const supported = await window.BarcodeDetector.getSupportedFormats();
+        return NATIVE_FORMATS.every(format => supported.includes(format));
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Traduce errores de getUserMedia a mensajes para el usuario.
+ * @param {Error} err
+ * @returns {string}
+ */
+function getCameraErrorMessage(err) {
+    if (err?.name === 'NotAllowedError') return 'Permiso de cámara denegado. Habilítalo en el navegador para escanear.';
+    if (err?.name === 'NotFoundError' || err?.name === 'OverconstrainedError') return 'No se encontró una cámara disponible.';
+    if (err?.name === 'NotReadableError') return 'La cámara está siendo usada por otra aplicación.';
+    return 'No se pudo iniciar la cámara.';
+}
+
+/**
+ * Modal con la vista de la cámara que se cierra al leer un código.
+ * @param {object} props
+ * @param {function(string): void} props.onDetected - Recibe el texto leído (crudo, tal como lo entrega el decodificador).
+ * @param {function} props.onClose - Cierra el escáner sin leer.
+ * @returns {JSX.Element}
+ */
+function CameraScanner({ onDetected, onClose }) {
+    const videoRef = useRef(null);
+    const onDetectedRef = useRef(onDetected);
+    const [status, setStatus] = useState('Iniciando cámara...');
+    const [error, setError] = useState('');
+
+    useEffect(() => { onDetectedRef.current = onDetected; }, [onDetected]);
+
+    /**
+     * Inicia la cámara y el decodificador al montar; libera la cámara al desmontar.
+     */
+    useEffect(() => {
+        let cancelled = false;
+        let stream = null;
+        let timeoutId = null;
+        let zxingControls = null;
+
+        const handleResult = (text) => {
+            if (cancelled || !text) return;
+            cancelled = true;
+            if (zxingControls) zxingControls.stop();
+            if (stream) stream.getTracks().forEach(track => track.stop());
+            onDetectedRef.current(text);
+        };
+
+        const startNative = async () => {
+            const detector = new window.BarcodeDetector({ formats: NATIVE_FORMATS });
+            stream = await navigator.mediaDevices.getUserMedia(VIDEO_CONSTRAINTS);
+            if (cancelled) { stream.getTracks().forEach(track => track.stop()); return; }
+            videoRef.current.srcObject = stream;
+            await videoRef.current.play();
+            setStatus('Apunta la cámara al código de barras.');
+            let failures = 0;
+            const scanFrame = async () => {
+                if (cancelled) return;
+                try {
+                    const barcodes = await detector.detect(videoRef.current);
+                    failures = 0;
+                    if (barcodes.length > 0) { handleResult(barcodes[0].rawValue); return; }
+                } catch (err) {
+                    failures++;
+                    if (failures === 1) console.warn("BarcodeDetector frame error:", err);
+                    if (failures >= MAX_NATIVE_FAILURES) {
+                        fallBackToZxing();
+                        return;
+                    }
+                }
+                timeoutId = setTimeout(scanFrame, NATIVE_SCAN_INTERVAL);
+            };
+            scanFrame();
+        };
+
+        const startZxing = async () => {
+            const [{ BrowserMultiFormatReader }, { BarcodeFormat, DecodeHintType }] = await Promise.all([
+                import('@zxing/browser'), import('@zxing/library')
+            ]);
+            if (cancelled) return;
+            const hints = new Map();
+            hints.set(DecodeHintType.POSSIBLE_FORMATS, [BarcodeFormat.EAN_13, BarcodeFormat.EAN_8, BarcodeFormat.CODE_128, BarcodeFormat.DATA_MATRIX]);
+            const reader = new BrowserMultiFormatReader(hints);
+            zxingControls = await reader.decodeFromConstraints(VIDEO_CONSTRAINTS, videoRef.current, (result) => {
+                if (result) handleResult(result.getText());
+            });
+            if (cancelled) { zxingControls.stop(); return; }
+            setStatus('Apunta la cámara al código de barras.');
+        };
+
+        const fallBackToZxing = async () => {
+            if (cancelled) return;
+            console.warn(`BarcodeDetector failed ${MAX_NATIVE_FAILURES} times in a row, switching to ZXing.`);
+            if (stream) stream.getTracks().forEach(track => track.stop());
+            stream = null;
+            videoRef.current.srcObject = null;
+            try {
+                await startZxing();
+            } catch (err) {
+                console.error("Error starting ZXing fallback:", err);
+                if (!cancelled) setError(getCameraErrorMessage(err));
+            }
+        };
+
+        const start = async () => {
+            if (!navigator.mediaDevices?.getUserMedia) {
+                setError('Este navegador no permite acceder a la cámara (se requiere HTTPS).');
+                return;
+            }
+            try {
+                if (await isNativeDetectorSupported()) await startNative();
+                else await startZxing();
+            } catch (err) {
+                console.error("Error starting camera scanner:", err);
+                if (!cancelled) setError(getCameraErrorMessage(err));
+            }
+        };
+        start();
+
+        return () => {
+            cancelled = true;
+            if (timeoutId) clearTimeout(timeoutId);
+            if (zxingControls) zxingControls.stop();
+            if (stream) stream.getTracks().forEach(track => track.stop());
+        };
+    }, []);
+
+    return (
+        <div className="modal-overlay open" onClick={onClose}>
+            <div className="modal-content" onClick={(e) => e.stopPropagation()} style={{ height: 'auto', maxWidth: '560px' }}>
+                <button type="button" className="modal-close-button" onClick={onClose}><span className="material-symbols-outlined">close</span></button>
+                <h2>Escanear con Cámara</h2>
+                <div style={{ padding: '20px' }}>
+                    <video ref={videoRef} muted playsInline style={{ width: '100%', maxHeight: '60vh', background: '#000', borderRadius: '6px' }} />
+                    {error
+                        ? <p className="error-message">{error}</p>
+                        : <p style={{ textAlign: 'center', marginBottom: 0 }}>{status}</p>}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default CameraScanner;
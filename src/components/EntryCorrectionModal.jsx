@@ -0,0 +1,150 @@
+/**
+ * @file EntryCorrectionModal.jsx
+ * @description
+ * Modal para corregir o anular una entrada de stock con motivo obligatorio.
+ * Los valores originales quedan registrados en el historial de la entrada (ver correctStockEntry).
+ * Se usa desde la página de corrección de ingresos y desde cualquier vista que liste entradas individuales.
+ */
+import React, { useState, useEffect } from 'react';
+import { correctStockEntry, getExpiryYearOptions, getDaysInMonth, formatEntryExpiry } from '../utils/stockEntries';
+
+const fieldStyle = { width: '100%', padding: '10px', border: '1px solid #bdc3c7', borderRadius: '5px' };
+
+/**
+ * Modal de corrección/anulación de entradas de stock.
+ * @param {object} props
+ * @param {object|null} props.entry - Entrada a corregir, con storeId, productId y entryId. Si es null el modal no se muestra.
+ * @param {'correccion'|'anulacion'} [props.initialAction] - Acción preseleccionada al abrir.
+ * @param {string} props.userEmail - Email del usuario que realiza el cambio.
+ * @param {function} props.onClose - Cierra el modal sin guardar.
+ * @param {function} [props.onSaved] - Se llama tras guardar correctamente.
+ * @returns {JSX.Element|null}
+ */
+function EntryCorrectionModal({ entry, initialAction = 'correccion', userEmail, onClose, onSaved }) {
+    const [action, setAction] = useState(initialAction);
+    const [quantity, setQuantity] = useState('');
+    const [expiryMonth, setExpiryMonth] = useState('');
+    const [expiryYear, setExpiryYear] = useState('');
+    const [expiryDay, setExpiryDay] = useState('');
+    const [lotNumber, setLotNumber] = useState('');
+    const [reason, setReason] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    /**
+     * Carga los valores actuales de la entrada cada vez que se abre el modal con otra entrada.
+     */
+    useEffect(() => {
+        if (!entry) return;
+        setAction(initialAction);
+        setQuantity(String(entry.quantity ?? ''));
+        setExpiryMonth(String(entry.expiryMonth ?? ''));
+        setExpiryYear(String(entry.expiryYear ?? ''));
+        setExpiryDay(entry.expiryDay ? String(entry.expiryDay) : '');
+        setLotNumber(entry.lotNumber || '');
+        setReason(''); setError('');
+    }, [entry, initialAction]);
+
+    if (!entry) return null;
+
+    const months = Array.from({ length: 12 }, (_, i) => i + 1);
+    // Conserva el año original en el selector aunque ya no esté en el rango por defecto
+    const years = getExpiryYearOptions(entry.expiryYear);
+    const daysCount = expiryMonth && expiryYear ? getDaysInMonth(parseInt(expiryMonth, 10), parseInt(expiryYear, 10)) : 31;
+    const days = Array.from({ length: daysCount }, (_, i) => i + 1);
+
+    /**
+     * Guarda la corrección o anulación y notifica al componente padre.
+     * @param {Event} e
+     */
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setIsSaving(true);
+        try {
+            await correctStockEntry({
+                storeId: entry.storeId, productId: entry.productId, entryId: entry.entryId, entry,
+                action, changes: { quantity, expiryMonth, expiryYear, expiryDay, lotNumber }, reason, userEmail
+            });
+            if (onSaved) onSaved();
+            onClose();
+        } catch (err) {
+            console.error("Error correcting stock entry:", err);
+            setError(err.message || 'Error al guardar la corrección.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="modal-overlay open" onClick={() => !isSaving && onClose()}>
+            <div className="modal-content" onClick={(e) => e.stopPropagation()} style={{ height: 'auto', maxWidth: '520px' }}>
+                <button type="button" className="modal-close-button" onClick={onClose} disabled={isSaving}><span className="material-symbols-outlined">close</span></button>
+                <h2>{action === 'anulacion' ? 'Anular Ingreso' : 'Corregir Ingreso'}</h2>
+                <form onSubmit={handleSubmit} style={{ padding: '20px 30px', overflowY: 'auto' }}>
+                    <p style={{ marginTop: 0 }}>
+                        <strong>{entry.productName || entry.productId}</strong><br />
+                        <span style={{ fontSize: '0.9em', color: '#555' }}>
+                            Original: {entry.quantity} u. · Venc. {formatEntryExpiry(entry)}{entry.lotNumber ? ` · Lote ${entry.lotNumber}` : ''} · {entry.userEmail}
+                        </span>
+                    </p>
+                    <div className="input-group">
+                        <label htmlFor="correction-action">Acción:</label>
+                        <select id="correction-action" value={action} onChange={(e) => setAction(e.target.value)} disabled={isSaving} style={fieldStyle}>
+                            <option value="correccion">Corregir cantidad / vencimiento / lote</option>
+                            <option value="anulacion">Anular ingreso</option>
+                        </select>
+                    </div>
+                    {action === 'correccion' && (
+                        <>
+                            <div className="input-group">
+                                <label htmlFor="correction-quantity">Cantidad:</label>
+                                <input id="correction-quantity" type="number" min="1" value={quantity} onChange={(e) => setQuantity(e.target.value)} disabled={isSaving} required />
+                            </div>
+                            <div style={{ display: 'flex', gap: '15px' }} className="input-group">
+                                <div style={{ flex: 1 }}>
+                                    <label htmlFor="correction-month">Mes Venc.:</label>
+                                    <select id="correction-month" value={expiryMonth} onChange={(e) => setExpiryMonth(e.target.value)} disabled={isSaving} required style={fieldStyle}>
+                                        <option value="">Mes</option>
+                                        {months.map(m => <option key={m} value={m}>{m < 10 ? '0' + m : m}</option>)}
+                                    </select>
+                                </div>
+                                <div style={{ flex: 1 }}>
+                                    <label htmlFor="correction-year">Año Venc.:</label>
+                                    <select id="correction-year" value={expiryYear} onChange={(e) => setExpiryYear(e.target.value)} disabled={isSaving} required style={fieldStyle}>
+                                        <option value="">Año</option>
+                                        {years.map(y => <option key={y} value={y}>{y}</option>)}
+                                    </select>
+                                </div>
+                                <div style={{ flex: 1 }}>
+                                    <label htmlFor="correction-day">Día (opc.):</label>
+                                    <select id="correction-day" value={expiryDay} onChange={(e) => setExpiryDay(e.target.value)} disabled={isSaving} style={fieldStyle}>
+                                        <option value="">-</option>
+                                        {days.map(d => <option key={d} value={d}>{d < 10 ? '0' + d : d}</option>)}
+                                    </select>
+                                </div>
+                            </div>
+                            <div className="input-group">
+                                <label htmlFor="correction-lot">Lote (opcional):</label>
+                                <input id="correction-lot" type="text" value={lotNumber} onChange={(e) => setLotNumber(e.target.value)} disabled={isSaving} />
+                            </div>
+                        </>
+                    )}
+                    <div className="input-group">
+                        <label htmlFor="correction-reason">Motivo (obligatorio):</label>
+                        <textarea id="correction-reason" value={reason} onChange={(e) => setReason(e.target.value)} disabled={isSaving} required rows={3} style={fieldStyle} />
+                    </div>
+                    {error && <p className="error-message">{error}</p>}
+                    <div className="button-group" style={{ justifyContent: 'flex-end', gap: '10px' }}>
+                        <button type="button" className="secondary" onClick={onClose} disabled={isSaving}>Cancelar</button>
+                        <button type="submit" disabled={isSaving || !reason.trim()} style={action === 'anulacion' ? { background: '#dc3545' } : undefined}>
+                            {isSaving ? 'Guardando...' : (action === 'anulacion' ? 'Anular' : 'Guardar Corrección')}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+}
+
+export default EntryCorrectionModal;
@@ -0,0 +1,127 @@
+/**
+ * @file EntryDetailTable.jsx
+ * @description
+ * Tabla de las entradas individuales detrás de una fila consolidada (producto + vencimiento + lote de un local):
+ * usuario, fecha de registro, código de barras usado y cantidad. Se puede ordenar por columna, está paginada
+ * y permite seleccionar entradas (para exportarlas o corregirlas desde la vista que la contiene).
+ */
+import React, { useState, useMemo, useEffect } from 'react';
+import { ENTRY_STATUS_AMENDED } from '../utils/stockEntries';
+import { isManualLookupEntry } from '../utils/productSearch';
+
+const PAGE_SIZE = 10;
+const cellStyle = { padding: '4px 8px' };
+
+/**
+ * Columnas ordenables: clave de orden → cómo obtener el valor de la entrada.
+ */
+const SORTABLE_COLUMNS = {
+    userEmail: { label: 'Usuario', getValue: entry => entry.userEmail || '' },
+    timestamp: { label: 'Fecha registro', getValue: entry => Number(entry.timestamp) || 0 },
+    barcodeUsed: { label: 'Código usado', getValue: entry => entry.barcodeUsed || '' },
+    quantity: { label: 'Cantidad', getValue: entry => Number(entry.quantity) || 0 }
+};
+
+/**
+ * Formatea un timestamp a una fecha legible en español (es-CL).
+ * @param {number} timestamp
+ * @returns {string}
+ */
+const formatTimestamp = (timestamp) => {
+    if (!timestamp) return 'N/A';
+    return new Date(timestamp).toLocaleString('es-CL');
+};
+
+/**
+ * Detalle de entradas de una fila consolidada.
+ * @param {object} props
+ * @param {Array<object>} props.entries - Entradas con entryId, storeId y productId.
+ * @param {Object<string, object>} props.selectedEntries - Entradas seleccionadas por entryId.
+ * @param {function(Array<object>, boolean): void} props.onSelectionChange - Marca (true) o desmarca (false) entradas.
+ * @param {function(object): boolean} [props.canCorrect] - Si el usuario puede corregir la entrada.
+ * @param {function(object): void} [props.onCorrect] - Abre la corrección de una entrada.
+ * @returns {JSX.Element}
+ */
+function EntryDetailTable({ entries, selectedEntries, onSelectionChange, canCorrect, onCorrect }) {
+    const [sortKey, setSortKey] = useState('timestamp');
+    const [sortDirection, setSortDirection] = useState('desc');
+    const [page, setPage] = useState(0);
+
+    const sortedEntries = useMemo(() => {
+        const { getValue } = SORTABLE_COLUMNS[sortKey];
+        const direction = sortDirection === 'asc' ? 1 : -1;
+        return [...entries].sort((a, b) => {
+            const valueA = getValue(a); const valueB = getValue(b);
+            const diff = typeof valueA === 'number' ? valueA - valueB : valueA.localeCompare(valueB);
+            return diff * direction;
+        });
+    }, [entries, sortKey, sortDirection]);
+
+    const pageCount = Math.max(1, Math.ceil(sortedEntries.length / PAGE_SIZE));
+    // Si las entradas cambian (p. ej. por un filtro) y la página ya no existe, vuelve a la última
+    useEffect(() => { if (page >= pageCount) setPage(pageCount - 1); }, [page, pageCount]);
+    const pageEntries = sortedEntries.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+    const allPageSelected = pageEntries.length > 0 && pageEntries.every(entry => selectedEntries[entry.entryId]);
+
+    const handleSort = (key) => {
+        if (key === sortKey) setSortDirection(prev => (prev === 'asc' ? 'desc' : 'asc'));
+        else { setSortKey(key); setSortDirection(key === 'timestamp' ? 'desc' : 'asc'); }
+        setPage(0);
+    };
+
+    return (
+        <div style={{ padding: '8px 10px', background: '#f8f9fa' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.85em' }}>
+                <thead>
+                    <tr style={{ textAlign: 'left', borderBottom: '1px solid #ccc' }}>
+                        <th style={cellStyle}>
+                            <input type="checkbox" checked={allPageSelected} onChange={(e) => onSelectionChange(pageEntries, e.target.checked)} title="Seleccionar página" />
+                        </th>
+                        {Object.entries(SORTABLE_COLUMNS).map(([key, column]) => (
+                            <th
+                                key={key}
+                                onClick={() => handleSort(key)}
+                                style={{ ...cellStyle, cursor: 'pointer', userSelect: 'none', textAlign: key === 'quantity' ? 'right' : 'left' }}
+                            >
+                                {column.label}{sortKey === key ? (sortDirection === 'asc' ? ' ▲' : ' ▼') : ''}
+                            </th>
+                        ))}
+                        {onCorrect && <th style={cellStyle}></th>}
+                    </tr>
+                </thead>
+                <tbody>
+                    {pageEntries.map(entry => (
+                        <tr key={entry.entryId} style={{ borderBottom: '1px dotted #e3e3e3' }}>
+                            <td style={cellStyle}>
+                                <input type="checkbox" checked={Boolean(selectedEntries[entry.entryId])} onChange={(e) => onSelectionChange([entry], e.target.checked)} />
+                            </td>
+                            <td style={cellStyle}>{entry.userEmail || 'N/A'}</td>
+                            <td style={cellStyle}>{formatTimestamp(entry.timestamp)}</td>
+                            <td style={cellStyle}>
+                                {isManualLookupEntry(entry) ? <em>Búsqueda manual</em> : (entry.barcodeUsed || '-')}
+                                {entry.status === ENTRY_STATUS_AMENDED && <span style={{ marginLeft: '6px', color: '#fd7e14', fontSize: '0.9em' }}>(corregida)</span>}
+                            </td>
+                            <td style={{ ...cellStyle, textAlign: 'right', fontWeight: 'bold' }}>{entry.quantity}</td>
+                            {onCorrect && (
+                                <td style={{ ...cellStyle, textAlign: 'right' }}>
+                                    {(!canCorrect || canCorrect(entry)) && (
+                                        <button type="button" className="secondary" onClick={() => onCorrect(entry)} style={{ marginTop: 0, padding: '2px 8px', fontSize: '0.9em' }}>Corregir</button>
+                                    )}
+                                </td>
+                            )}
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+            {pageCount > 1 && (
+                <div style={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: '8px', marginTop: '6px', fontSize: '0.85em' }}>
+                    <button type="button" className="secondary" onClick={() => setPage(prev => prev - 1)} disabled={page === 0} style={{ marginTop: 0, padding: '2px 8px' }}>Anterior</button>
+                    <span>Página {page + 1} de {pageCount} ({sortedEntries.length} entradas)</span>
+                    <button type="button" className="secondary" onClick={() => setPage(prev => prev + 1)} disabled={page >= pageCount - 1} style={{ marginTop: 0, padding: '2px 8px' }}>Siguiente</button>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default EntryDetailTable;
@@ -0,0 +1,149 @@
+/**
+ * @file MyEntriesPanel.jsx
+ * @description
+ * Panel lateral con los ingresos del usuario en su local durante el día, leídos en vivo desde Firebase.
+ * Usa el índice diario `stockEntryIndex/{storeId}/{día}` para ubicar las entradas y escucha cada una,
+ * de modo que correcciones y anulaciones se reflejan al instante. Muestra totales del día y permite
+ * deshacer el último ingreso dentro de UNDO_WINDOW_MINUTES (queda registrado como reversión).
+ */
+import React, { useEffect, useMemo, useState } from 'react';
+import { database } from '../firebase/firebaseConfig';
+import { ref, query, orderByChild, equalTo, onValue } from 'firebase/database';
+import {
+    getEntryDayKey, formatEntryExpiry, isEntryEffective, canUndoEntry, reverseStockEntry,
+    ENTRY_STATUS_VOIDED, UNDO_WINDOW_MINUTES
+} from '../utils/stockEntries';
+
+/**
+ * Intervalo para refrescar la hora actual (plazo para deshacer y cambio de día), en ms.
+ */
+const CLOCK_INTERVAL = 15000;
+
+/**
+ * Panel "Mis ingresos de hoy".
+ * @param {object} props
+ * @param {string} props.storeId - Local del usuario.
+ * @param {string} props.userEmail - Usuario actual.
+ * @returns {JSX.Element}
+ */
+function MyEntriesPanel({ storeId, userEmail }) {
+    const [now, setNow] = useState(Date.now());
+    const [pointers, setPointers] = useState({});
+    const [entries, setEntries] = useState({});
+    const [isUndoing, setIsUndoing] = useState(false);
+    const [error, setError] = useState('');
+    const dayKey = getEntryDayKey(now);
+
+    /**
+     * Mantiene la hora actual para el plazo de deshacer y para cambiar de día a medianoche.
+     */
+    useEffect(() => {
+        const intervalId = setInterval(() => setNow(Date.now()), CLOCK_INTERVAL);
+        return () => clearInterval(intervalId);
+    }, []);
+
+    /**
+     * Escucha el índice del día filtrado por el usuario actual.
+     */
+    useEffect(() => {
+        if (!storeId || !userEmail) return undefined;
+        const dayQuery = query(ref(database, `stockEntryIndex/${storeId}/${dayKey}`), orderByChild('userEmail'), equalTo(userEmail));
+        return onValue(dayQuery, (snapshot) => {
+            setPointers(snapshot.exists() ? snapshot.val() : {});
+        }, (err) => {
+            console.error("Error listening to today's entries index:", err);
+            setError('No se pudieron cargar tus ingresos de hoy.');
+        });
+    }, [storeId, userEmail, dayKey]);
+
+    /**
+     * Escucha cada entrada del día para reflejar correcciones y anulaciones.
+     */
+    useEffect(() => {
+        const unsubscribers = Object.entries(pointers).map(([entryId, pointer]) =>
+            onValue(ref(database, `stock/${storeId}/${pointer.productId}/entries/${entryId}`), (snapshot) => {
+                setEntries(prev => ({ ...prev, [entryId]: snapshot.exists() ? { ...snapshot.val(), entryId, productId: pointer.productId } : null }));
+            })
+        );
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }, [pointers, storeId]);
+
+    /**
+     * Entradas del día de la más reciente a la más antigua, con los totales de las vigentes.
+     */
+    const { todayEntries, totals } = useMemo(() => {
+        const list = Object.keys(pointers)
+            .map(entryId => entries[entryId])
+            .filter(Boolean)
+            .sort((a, b) => Number(b.timestamp) - Number(a.timestamp));
+        const effective = list.filter(isEntryEffective);
+        return {
+            todayEntries: list,
+            totals: {
+                count: effective.length,
+                units: effective.reduce((sum, entry) => sum + (Number(entry.quantity) || 0), 0),
+                products: new Set(effective.map(entry => entry.productId)).size
+            }
+        };
+    }, [pointers, entries]);
+
+    const lastEntry = todayEntries[0];
+    const canUndoLast = canUndoEntry(lastEntry, userEmail, now);
+
+    /**
+     * Deshace el último ingreso previa confirmación.
+     */
+    const handleUndoLast = async () => {
+        if (!lastEntry) return;
+        if (!window.confirm(`¿Deshacer el ingreso de ${lastEntry.quantity} u. de ${lastEntry.productName}?`)) return;
+        setError('');
+        setIsUndoing(true);
+        try {
+            await reverseStockEntry({ storeId, productId: lastEntry.productId, entryId: lastEntry.entryId, entry: lastEntry, userEmail });
+        } catch (err) {
+            console.error("Error undoing stock entry:", err);
+            setError(err.message || 'No se pudo deshacer el ingreso.');
+        } finally {
+            setIsUndoing(false);
+        }
+    };
+
+    return (
+        <aside style={{ flex: '1 1 260px', maxWidth: '100%', border: '1px solid #dee2e6', borderRadius: '6px', padding: '12px 15px', alignSelf: 'flex-start' }}>
+            <h3 style={{ marginTop: 0, marginBottom: '8px' }}>Mis ingresos de hoy</h3>
+            <p style={{ margin: '0 0 10px 0', fontSize: '0.9em', fontWeight: 'bold' }}>
+                {totals.count} ingreso(s) · {totals.units} u. · {totals.products} producto(s)
+            </p>
+            {error && <p className="error-message" style={{ fontSize: '0.9em' }}>{error}</p>}
+            {canUndoLast && (
+                <button type="button" className="secondary" onClick={handleUndoLast} disabled={isUndoing} style={{ marginTop: 0, marginBottom: '10px', padding: '5px 10px', fontSize: '0.85em' }}>
+                    <span className="material-symbols-outlined" style={{ verticalAlign: 'middle', fontSize: '1.1em', marginRight: '4px' }}>undo</span>
+                    {isUndoing ? 'Deshaciendo...' : `Deshacer último (${UNDO_WINDOW_MINUTES} min)`}
+                </button>
+            )}
+            {todayEntries.length === 0 ? (
+                <p style={{ fontStyle: 'italic', color: '#777', fontSize: '0.9em', margin: 0 }}>Aún no registras ingresos hoy.</p>
+            ) : (
+                <ul style={{ listStyle: 'none', padding: 0, margin: 0, maxHeight: '60vh', overflowY: 'auto', fontSize: '0.85em' }}>
+                    {todayEntries.map(entry => {
+                        const isVoided = entry.status === ENTRY_STATUS_VOIDED;
+                        return (
+                            <li key={entry.entryId} style={{ padding: '6px 0', borderBottom: '1px dotted #eee', opacity: isVoided ? 0.55 : 1 }}>
+                                <div style={{ display: 'flex', justifyContent: 'space-between', gap: '8px' }}>
+                                    <span style={{ fontWeight: 'bold', textDecoration: isVoided ? 'line-through' : 'none' }}>{entry.productName || entry.productId}</span>
+                                    <span style={{ whiteSpace: 'nowrap' }}>{new Date(Number(entry.timestamp)).toLocaleTimeString('es-CL', { hour: '2-digit', minute: '2-digit' })}</span>
+                                </div>
+                                <div style={{ color: '#555' }}>
+                                    {entry.quantity} u. · Venc. {formatEntryExpiry(entry)}{entry.lotNumber ? ` · Lote ${entry.lotNumber}` : ''}
+                                    {isVoided && ' · Anulado'}
+                                </div>
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+        </aside>
+    );
+}
+
+export default MyEntriesPanel;
@@ -0,0 +1,105 @@
+/**
+ * @file ProductSearchModal.jsx
+ * @description
+ * Buscador manual de productos para cuando el código de barras está dañado o el producto no tiene uno registrado.
+ * Busca por nombre, laboratorio o código de referencia (por inicio de palabra y sin distinguir tildes).
+ * El catálogo se carga una vez por sesión de la página y se reutiliza en las búsquedas siguientes.
+ */
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { loadProductSearchIndex, searchProducts, MIN_SEARCH_LENGTH } from '../utils/productSearch';
+
+let cachedIndexPromise = null;
+
+/**
+ * Obtiene el índice del catálogo, cargándolo desde Firebase la primera vez.
+ * @returns {Promise<Array<object>>}
+ */
+function getSearchIndex() {
+    if (!cachedIndexPromise) {
+        cachedIndexPromise = loadProductSearchIndex().catch(err => {
+            cachedIndexPromise = null;
+            throw err;
+        });
+    }
+    return cachedIndexPromise;
+}
+
+/**
+ * Modal de búsqueda manual de productos.
+ * @param {object} props
+ * @param {function({productId: string, product: object}): void} props.onSelect - Recibe el producto elegido.
+ * @param {function} props.onClose - Cierra el buscador sin elegir.
+ * @returns {JSX.Element}
+ */
+function ProductSearchModal({ onSelect, onClose }) {
+    const [searchIndex, setSearchIndex] = useState(null);
+    const [query, setQuery] = useState('');
+    const [error, setError] = useState('');
+    const inputRef = useRef(null);
+
+    /**
+     * Carga el catálogo al abrir y enfoca el campo de búsqueda.
+     */
+    useEffect(() => {
+        let cancelled = false;
+        if (inputRef.current) inputRef.current.focus();
+        getSearchIndex()
+            .then(index => { if (!cancelled) setSearchIndex(index); })
+            .catch(err => {
+                console.error("Error loading product catalog:", err);
+                if (!cancelled) setError('No se pudo cargar el catálogo de productos. Revisa la conexión.');
+            });
+        return () => { cancelled = true; };
+    }, []);
+
+    const results = useMemo(() => searchIndex ? searchProducts(searchIndex, query) : [], [searchIndex, query]);
+    const trimmedQuery = query.trim();
+
+    return (
+        <div className="modal-overlay open" onClick={onClose}>
+            <div className="modal-content" onClick={(e) => e.stopPropagation()} style={{ height: 'auto', maxWidth: '600px' }}>
+                <button type="button" className="modal-close-button" onClick={onClose}><span className="material-symbols-outlined">close</span></button>
+                <h2>Buscar Producto</h2>
+                <div style={{ padding: '20px' }}>
+                    <div className="input-group">
+                        <label htmlFor="product-search">Nombre, laboratorio o código de referencia:</label>
+                        <input
+                            id="product-search"
+                            ref={inputRef}
+                            type="text"
+                            value={query}
+                            onChange={(e) => setQuery(e.target.value)}
+                            placeholder="Ej: paracetamol, saval, 12345..."
+                            style={{ width: '100%', padding: '10px' }}
+                            autoComplete="off"
+                        />
+                    </div>
+                    {error && <p className="error-message">{error}</p>}
+                    {!error && !searchIndex && <p style={{ textAlign: 'center' }}>Cargando catálogo...</p>}
+                    {searchIndex && trimmedQuery.length >= MIN_SEARCH_LENGTH && results.length === 0 && (
+                        <p style={{ textAlign: 'center', fontStyle: 'italic', color: '#777' }}>Sin resultados para "{trimmedQuery}".</p>
+                    )}
+                    {results.length > 0 && (
+                        <ul style={{ listStyle: 'none', padding: 0, margin: 0, maxHeight: '50vh', overflowY: 'auto' }}>
+                            {results.map(({ productId, product }) => (
+                                <li key={productId} style={{ borderBottom: '1px dotted #eee' }}>
+                                    <button
+                                        type="button"
+                                        className="secondary"
+                                        onClick={() => onSelect({ productId, product })}
+                                        style={{ width: '100%', textAlign: 'left', margin: 0, padding: '8px 10px', border: 'none', background: 'transparent' }}
+                                    >
+                                        <div style={{ fontWeight: 'bold' }}>{product?.name || productId}</div>
+                                        <div style={{ fontSize: '0.8em', color: '#777' }}>{productId} · {product?.laboratory || 'Sin laboratorio'}</div>
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default ProductSearchModal;
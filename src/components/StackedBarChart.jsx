@@ -0,0 +1,79 @@
+/**
+ * @file StackedBarChart.jsx
+ * @description
+ * Gráfico de barras apiladas simple (sin librerías) para totales por mes y local.
+ * Cada barra es un mes; cada segmento, un local. Al hacer clic en un segmento se informa el mes y el local;
+ * al hacer clic en la etiqueta del mes, solo el mes.
+ */
+import React from 'react';
+
+const CHART_HEIGHT = 220;
+
+/**
+ * Gráfico de barras apiladas.
+ * @param {object} props
+ * @param {string} props.title
+ * @param {Array<{key: string, label: string, total: number, byStore: Object<string, number>}>} props.buckets
+ * @param {string[]} props.seriesIds - Locales en el orden de apilado.
+ * @param {function(string): string} props.getSeriesLabel - Nombre de un local.
+ * @param {function(string): string} props.getSeriesColor - Color de un local.
+ * @param {function(string, string|null): void} [props.onBarClick] - Recibe la clave del mes y el local (o null).
+ * @returns {JSX.Element}
+ */
+function StackedBarChart({ title, buckets, seriesIds, getSeriesLabel, getSeriesColor, onBarClick }) {
+    const maxTotal = Math.max(1, ...buckets.map(bucket => bucket.total));
+    const visibleSeriesIds = seriesIds.filter(seriesId => buckets.some(bucket => bucket.byStore[seriesId]));
+
+    return (
+        <section style={{ marginBottom: '30px' }}>
+            <h3 style={{ marginBottom: '10px' }}>{title}</h3>
+            {buckets.length === 0 ? (
+                <p style={{ fontStyle: 'italic', color: '#777' }}>Sin datos para graficar.</p>
+            ) : (
+                <>
+                    <div style={{ overflowX: 'auto' }}>
+                        <div style={{ display: 'flex', alignItems: 'flex-end', gap: '6px', minWidth: `${buckets.length * 48}px`, height: `${CHART_HEIGHT + 40}px`, borderBottom: '1px solid #ccc', padding: '0 4px' }}>
+                            {buckets.map(bucket => (
+                                <div key={bucket.key} style={{ flex: '1 1 0', minWidth: '40px', display: 'flex', flexDirection: 'column', alignItems: 'stretch', justifyContent: 'flex-end', height: '100%' }}>
+                                    <div style={{ textAlign: 'center', fontSize: '0.75em', color: '#555', marginBottom: '2px' }}>{bucket.total > 0 ? bucket.total : ''}</div>
+                                    <div style={{ display: 'flex', flexDirection: 'column-reverse', height: `${Math.round((bucket.total / maxTotal) * CHART_HEIGHT)}px` }}>
+                                        {seriesIds.filter(seriesId => bucket.byStore[seriesId]).map(seriesId => (
+                                            <div
+                                                key={seriesId}
+                                                onClick={onBarClick ? () => onBarClick(bucket.key, seriesId) : undefined}
+                                                title={`${getSeriesLabel(seriesId)} · ${bucket.label}: ${bucket.byStore[seriesId]} un.`}
+                                                style={{ flex: `${bucket.byStore[seriesId]} 0 0`, background: getSeriesColor(seriesId), cursor: onBarClick ? 'pointer' : 'default', borderTop: '1px solid white' }}
+                                            />
+                                        ))}
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                        <div style={{ display: 'flex', gap: '6px', minWidth: `${buckets.length * 48}px`, padding: '0 4px' }}>
+                            {buckets.map(bucket => (
+                                <div
+                                    key={bucket.key}
+                                    onClick={onBarClick ? () => onBarClick(bucket.key, null) : undefined}
+                                    title={onBarClick ? `Filtrar ${bucket.label}` : undefined}
+                                    style={{ flex: '1 1 0', minWidth: '40px', textAlign: 'center', fontSize: '0.75em', color: '#333', paddingTop: '4px', cursor: onBarClick ? 'pointer' : 'default' }}
+                                >
+                                    {bucket.label}
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', marginTop: '10px', fontSize: '0.8em' }}>
+                        {visibleSeriesIds.map(seriesId => (
+                            <span key={seriesId} style={{ display: 'inline-flex', alignItems: 'center', gap: '4px' }}>
+                                <span style={{ width: '12px', height: '12px', background: getSeriesColor(seriesId), display: 'inline-block', borderRadius: '2px' }} />
+                                {getSeriesLabel(seriesId)}
+                            </span>
+                        ))}
+                    </div>
+                </>
+            )}
+        </section>
+    );
+}
+
+export default StackedBarChart;
@@ -24,11 +24,14 @@ export function AuthProvider({ children }) {
           if (userSnapshot.exists()) {
             const dbUserData = userSnapshot.val();
             let storeName = null;
+            // Local de Odoo (crm_team_id) asociado al local del usuario, para cuadraturas y rectificaciones
+            let odooTeamId = null;
             if (dbUserData.storeId) {
-              const storeRef = ref(database, `stores/${dbUserData.storeId}/name`);
+              const storeRef = ref(database, `stores/${dbUserData.storeId}`);
               const storeSnapshot = await get(storeRef);
               if (storeSnapshot.exists()) {
-                storeName = storeSnapshot.val();
+                storeName = storeSnapshot.val().name || null;
+                odooTeamId = storeSnapshot.val().odooTeamId ?? null;
               } else {
                  console.warn(`Store name not found for storeId: ${dbUserData.storeId}`);
               }
@@ -39,16 +42,17 @@ export function AuthProvider({ children }) {
                 email: user.email,
                 role: dbUserData.role || null,
                 storeId: dbUserData.storeId || null,
-                storeName: storeName
+                storeName: storeName,
+                odooTeamId: odooTeamId
             });
 
           } else {
             console.warn(`No data found in /users/${user.uid} for the logged-in user.`);
-             setUserData({ email: user.email, role: null, storeId: null, storeName: null });
+             setUserData({ email: user.email, role: null, storeId: null, storeName: null, odooTeamId: null });
           }
         } catch (error) {
           console.error("Error fetching user data from DB:", error);
-           setUserData({ email: user.email, role: null, storeId: null, storeName: null });
+           setUserData({ email: user.email, role: null, storeId: null, storeName: null, odooTeamId: null });
         }
       } else {
          setUserData(null);
@@ -65,6 +69,7 @@ export function AuthProvider({ children }) {
     userRole: userData?.role || null,
     userStoreId: userData?.storeId || null,
     userStoreName: userData?.storeName || null,
+    userOdooTeamId: userData?.odooTeamId ?? null,
     loading
   };
 
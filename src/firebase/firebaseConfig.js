@@ -1,5 +1,5 @@
 import { initializeApp } from "firebase/app";
-import { getAuth } from "firebase/auth";
+import { getAuth, initializeAuth, inMemoryPersistence } from "firebase/auth";
 import { getDatabase } from "firebase/database";
 
 const firebaseConfig = {
@@ -22,4 +22,8 @@ const app = initializeApp(firebaseConfig);
 const auth = getAuth(app);
 const database = getDatabase(app);
 
-export { auth, database };
\ No newline at end of file
+// App secundaria para que el superadmin cree cuentas sin perder su sesión (la cuenta nueva inicia sesión aquí, solo en memoria)
+const userCreationApp = initializeApp(firebaseConfig, "userCreation");
+const userCreationAuth = initializeAuth(userCreationApp, { persistence: inMemoryPersistence });
+
+export { auth, database, userCreationAuth };
\ No newline at end of file
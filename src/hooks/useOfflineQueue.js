@@ -0,0 +1,106 @@
+/**
+ * @file useOfflineQueue.js
+ * @description
+ * Hook que expone el estado de la cola offline de ingresos de stock (ver utils/offlineQueue.js)
+ * y dispara la sincronización automática cuando vuelve la conexión con Firebase.
+ */
+import { useState, useEffect, useCallback } from 'react';
+import { database } from '../firebase/firebaseConfig';
+import { ref, onValue } from 'firebase/database';
+import {
+    offlineQueueEvents, getQueuedSubmissions, removeSubmission, syncOfflineQueue,
+    QUEUE_STATUS_PENDING, QUEUE_STATUS_REJECTED
+} from '../utils/offlineQueue';
+
+/**
+ * Estado de conexión y de la cola offline.
+ * @returns {{
+ *   isOnline: boolean,
+ *   pendingCount: number,
+ *   rejectedRecords: Array<object>,
+ *   isSyncing: boolean,
+ *   lastSyncResult: {synced: number, rejected: number}|null,
+ *   syncNow: function(): Promise<void>,
+ *   discardRecord: function(number): Promise<void>
+ * }}
+ */
+export function useOfflineQueue() {
+    const [browserOnline, setBrowserOnline] = useState(navigator.onLine);
+    // null mientras Firebase no informa el estado de la conexión
+    const [firebaseConnected, setFirebaseConnected] = useState(null);
+    const [records, setRecords] = useState([]);
+    const [isSyncing, setIsSyncing] = useState(false);
+    const [lastSyncResult, setLastSyncResult] = useState(null);
+
+    const isOnline = browserOnline && firebaseConnected !== false;
+
+    /**
+     * Recarga los registros de la cola desde IndexedDB.
+     */
+    const refreshRecords = useCallback(async () => {
+        try {
+            setRecords(await getQueuedSubmissions());
+        } catch (err) {
+            console.error("Error reading offline queue:", err);
+        }
+    }, []);
+
+    /**
+     * Mantiene la lista de registros al día con los cambios de la cola.
+     */
+    useEffect(() => {
+        refreshRecords();
+        offlineQueueEvents.addEventListener('change', refreshRecords);
+        return () => offlineQueueEvents.removeEventListener('change', refreshRecords);
+    }, [refreshRecords]);
+
+    /**
+     * Escucha la conexión del navegador y la de Firebase (`.info/connected`).
+     */
+    useEffect(() => {
+        const handleOnline = () => setBrowserOnline(true);
+        const handleOffline = () => setBrowserOnline(false);
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        const unsubscribe = onValue(ref(database, '.info/connected'), (snapshot) => setFirebaseConnected(snapshot.val() === true));
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+            unsubscribe();
+        };
+    }, []);
+
+    /**
+     * Sincroniza la cola y guarda el resultado para mostrarlo.
+     */
+    const syncNow = useCallback(async () => {
+        setIsSyncing(true);
+        try {
+            const result = await syncOfflineQueue();
+            if (result.synced > 0 || result.rejected > 0) setLastSyncResult(result);
+        } catch (err) {
+            console.error("Error syncing offline queue:", err);
+        } finally {
+            setIsSyncing(false);
+        }
+    }, []);
+
+    const pendingCount = records.filter(record => record.status === QUEUE_STATUS_PENDING).length;
+
+    /**
+     * Sincroniza automáticamente al recuperar la conexión o al aparecer registros pendientes estando en línea.
+     */
+    useEffect(() => {
+        if (firebaseConnected && browserOnline && pendingCount > 0) syncNow();
+    }, [firebaseConnected, browserOnline, pendingCount, syncNow]);
+
+    return {
+        isOnline,
+        pendingCount,
+        rejectedRecords: records.filter(record => record.status === QUEUE_STATUS_REJECTED),
+        isSyncing,
+        lastSyncResult,
+        syncNow,
+        discardRecord: removeSubmission
+    };
+}
@@ -2,25 +2,48 @@
  * Página de administración de inventario y stock (solo para admin y superadmin).
  * Estructura general:
  * - Obtiene y muestra el stock consolidado de todos los locales.
- * - Permite filtrar por mes y año, buscar productos, y exportar datos a Excel (por local o consolidado).
- * - Carga datos de productos, locales, stock y ROPs desde Firebase.
+ * - Permite filtrar por rango de fechas de registro, locales, usuario y laboratorio, buscar productos,
+ *   y exportar a Excel, CSV o PDF (por local o consolidado) respetando todos los filtros.
+ * - Modo vencimientos: filtra y agrupa todos los locales por fecha de vencimiento (30/60/90 días o rango propio)
+ *   con colores según urgencia; las exportaciones usan los mismos formatos.
+ * - Permite filtrar las entradas marcadas como posible duplicado (el superadmin configura la ventana de detección).
+ * - Carga locales, ROPs y el catálogo de productos (con caché entre visitas) al montar; las entradas de stock
+ *   se cargan solo para el periodo y los locales seleccionados usando los índices secundarios (ver stockIndex.js).
  * - Controla el acceso según el rol del usuario.
  *
  * Componentes y funciones principales:
  * - Estados: Manejan datos cargados, filtros, errores, búsqueda y selección.
- * - useEffect: Carga datos al montar y controla acceso.
+ * - useEffect: Carga datos al montar, recarga las entradas al cambiar de periodo y controla acceso.
  * - useMemo: Filtra y consolida datos para mostrar y exportar.
- * - Funciones de exportación: Generan archivos Excel con los datos visibles.
+ * - Funciones de exportación: Arman los reportes con los datos visibles y los generan con exportReports.js.
  * - Render: Muestra filtros, tabla consolidada por local, y botones de exportación.
+ * - Detalle: cada fila consolidada se despliega en las entradas que la componen (usuario, fecha, código usado, cantidad);
+ *   las entradas seleccionadas se pueden exportar o corregir una tras otra.
+ * - Pestaña de gráficos: unidades por mes de registro y por mes de vencimiento, apiladas por local, calculadas con las
+ *   mismas entradas filtradas; al hacer clic en una barra se aplican el mes (y el local) como filtros de la tabla.
  *
  * Cada función, hook y bloque relevante está documentado para facilitar el mantenimiento y la comprensión del flujo.
  */
-import React, { useState, useEffect, useMemo, useRef } from 'react';
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { database } from '../firebase/firebaseConfig';
 import { ref, get } from 'firebase/database';
-import * as XLSX from 'xlsx';
+import {
+    isEntryEffective, getEntryConsolidationKey, formatEntryExpiry, canUserCorrectEntry,
+    getDuplicateWindowMinutes, saveDuplicateWindowMinutes, MAX_DUPLICATE_WINDOW_MINUTES
+} from '../utils/stockEntries';
+import {
+    EXPIRY_HORIZON_PRESETS, getHorizonRange, isEntryExpiringInRange, getDaysUntilExpiry, getExpiryUrgency,
+    getExpiryUrgencyLevels, getEntryExpiryDate, toDateInputValue, parseDateInputValue, formatShortDate
+} from '../utils/expiryHorizon';
+import { loadEntriesByRecordingRange, loadEntriesByExpiryRange, rebuildStockIndexes } from '../utils/stockIndex';
+import { loadProductCatalog } from '../utils/productCatalog';
+import EntryDetailTable from '../components/EntryDetailTable';
+import EntryCorrectionModal from '../components/EntryCorrectionModal';
+import StackedBarChart from '../components/StackedBarChart';
+import { buildMonthlyStoreBuckets, getMonthKeyRange, getTrendRanges, STORE_CHART_COLORS, TREND_MONTHS } from '../utils/stockCharts';
+import { exportReport, EXPORT_FORMATS, EXPORT_FORMAT_XLSX } from '../utils/exportReports';
 
 
 function AdminPage() {
@@ -28,13 +51,13 @@ function AdminPage() {
      * Obtiene datos del usuario autenticado (incluye email, rol y local asignado).
      * @type {{userData: {email: string, role: string, storeName?: string}}}
      */
-    const { userData } = useAuth();
+    const { userData, userStoreId } = useAuth();
     /**
      * Hook para navegación programática entre rutas.
      */
     const navigate = useNavigate();
     /**
-     * allStockData: Objeto con el stock de todos los locales, estructura:
+     * allStockData: Entradas del periodo seleccionado (misma forma que el nodo `stock`), estructura:
      *   { [storeId]: { [productId]: { entries: { [entryId]: { ... } } } } }
      * storesData: Objeto con los datos de los locales, estructura:
      *   { [storeId]: { name: string, ... } }
@@ -53,34 +76,111 @@ function AdminPage() {
      * searchTerm: Término de búsqueda ingresado por el usuario.
      * searchInputRef: Referencia al input de búsqueda para autoenfoque.
      * listKey: Forzar rerenderizado de la lista al limpiar búsqueda.
-     * selectedEntries: (No usado actualmente, reservado para selección múltiple).
+     * selectedEntries: Entradas seleccionadas en el detalle, por entryId ({ [entryId]: entry }).
+     * expandedRowKey: Fila consolidada desplegada (`${storeId}|${consolidationKey}`) o null.
+     * correctionQueue: Entradas pendientes de corregir; el modal muestra la primera.
      */
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState('');
+    /**
+     * entriesLoading: Indica si se están cargando las entradas del periodo.
+     * entriesReloadKey: Se incrementa para forzar la recarga de las entradas del periodo.
+     * indexRebuildMessage: Resultado de reconstruir los índices de stock (solo superadmin).
+     */
+    const [entriesLoading, setEntriesLoading] = useState(false);
+    const [entriesReloadKey, setEntriesReloadKey] = useState(0);
+    const [indexRebuildMessage, setIndexRebuildMessage] = useState('');
     const [searchTerm, setSearchTerm] = useState('');
     const searchInputRef = useRef(null);
     const [listKey, setListKey] = useState(0);
     const [selectedEntries, setSelectedEntries] = useState({});
+    const [expandedRowKey, setExpandedRowKey] = useState(null);
+    const [correctionQueue, setCorrectionQueue] = useState([]);
+    /**
+     * showDuplicatesOnly: Muestra solo las entradas marcadas como posible duplicado.
+     * duplicateWindowInput: Ventana de detección de duplicados en edición (minutos, solo superadmin).
+     * duplicateWindowMessage: Resultado de guardar la ventana.
+     */
+    const [showDuplicatesOnly, setShowDuplicatesOnly] = useState(false);
+    const [duplicateWindowInput, setDuplicateWindowInput] = useState('');
+    const [duplicateWindowMessage, setDuplicateWindowMessage] = useState('');
 
     /**
-     * selectedMonth: Mes seleccionado para filtrar (0-11).
-     * selectedYear: Año seleccionado para filtrar.
-     * monthNames: Nombres de los meses en español.
-     * yearOptions: Años disponibles para filtrar (6 años desde el actual).
+     * recordedFrom/recordedTo: Rango de fechas de registro (valores de input type="date"); por defecto, el mes actual.
+     * selectedStoreIds: Locales seleccionados; null significa todos.
+     * emailFilter: Email del usuario que registró las entradas ('' para todos).
+     * laboratoryFilter: Laboratorio del producto ('' para todos).
      */
-    const currentNow = new Date();
-    const [selectedMonth, setSelectedMonth] = useState(currentNow.getMonth());
-    const [selectedYear, setSelectedYear] = useState(currentNow.getFullYear());
-    const monthNames = ["Enero", "Febrero", "Marzo", "Abril", "Mayo", "Junio", "Julio", "Agosto", "Septiembre", "Octubre", "Noviembre", "Diciembre"];
-    const currentYearForOptions = currentNow.getFullYear();
-    const yearOptions = Array.from({ length: 6 }, (_, i) => currentYearForOptions + i);
+    const [recordedFrom, setRecordedFrom] = useState(() => { const now = new Date(); return toDateInputValue(new Date(now.getFullYear(), now.getMonth(), 1)); });
+    const [recordedTo, setRecordedTo] = useState(() => { const now = new Date(); return toDateInputValue(new Date(now.getFullYear(), now.getMonth() + 1, 0)); });
+    const [selectedStoreIds, setSelectedStoreIds] = useState(null);
+    const [emailFilter, setEmailFilter] = useState('');
+    const [laboratoryFilter, setLaboratoryFilter] = useState('');
 
     /**
-     * displayMonthName: Nombre del mes seleccionado.
+     * viewMode: 'registro' (entradas registradas en el rango de fechas) | 'vencimiento' (entradas que vencen en un rango).
+     * horizonPreset: Días del horizonte predefinido (30/60/90) o 'custom' para usar customFrom/customTo.
+     * customFrom/customTo: Rango propio de vencimiento (valores de input type="date").
+     */
+    const [viewMode, setViewMode] = useState('registro');
+    const [horizonPreset, setHorizonPreset] = useState(60);
+    const [customFrom, setCustomFrom] = useState(() => toDateInputValue(new Date()));
+    const [customTo, setCustomTo] = useState(() => toDateInputValue(getHorizonRange(60).to));
+    const isExpiryMode = viewMode === 'vencimiento';
+    /**
+     * activeTab: 'tabla' (consolidado por local) | 'graficos' (barras por mes y local).
+     */
+    const [activeTab, setActiveTab] = useState('tabla');
+    /**
+     * trendStockData: Entradas de los periodos de los gráficos (ver getTrendRanges), con la forma de `stock`:
+     *   { loadKey, recording, expiry, failed? }. Se cargan aparte del periodo de la tabla al abrir la pestaña de gráficos.
+     * trendLoading: Indica si se están cargando.
+     */
+    const [trendStockData, setTrendStockData] = useState(null);
+    const [trendLoading, setTrendLoading] = useState(false);
+    /**
+     * exportFormat: Formato de los reportes descargados ('xlsx' | 'csv' | 'pdf').
+     */
+    const [exportFormat, setExportFormat] = useState(EXPORT_FORMAT_XLSX);
+
+    /**
+     * Rango de vencimiento activo en modo vencimientos ({from, to}) o null si el rango propio no es válido.
+     */
+    const expiryRange = useMemo(() => {
+        if (horizonPreset !== 'custom') return getHorizonRange(horizonPreset);
+        const from = parseDateInputValue(customFrom);
+        const to = parseDateInputValue(customTo);
+        return from && to && from <= to ? { from, to } : null;
+    }, [horizonPreset, customFrom, customTo]);
+
+    /**
+     * Rango de fechas de registro activo ({from, to}) o null si no es válido.
+     */
+    const recordingRange = useMemo(() => {
+        const from = parseDateInputValue(recordedFrom);
+        const to = parseDateInputValue(recordedTo);
+        return from && to && from <= to ? { from, to } : null;
+    }, [recordedFrom, recordedTo]);
+
+    /**
+     * activeRange: Rango del modo actual (registro o vencimiento).
+     * periodDescription: Texto del periodo visible.
+     * periodFileLabel: Periodo para los nombres de archivo exportados (fechas de inicio y fin).
+     * periodReportLabel: Periodo impreso en los reportes.
      * pageTitle: Título dinámico de la página.
      */
-    const displayMonthName = monthNames[selectedMonth];
-    const pageTitle = `Panel Administración - Stock y F.D.V ${displayMonthName} ${selectedYear}`;
+    const activeRange = isExpiryMode ? expiryRange : recordingRange;
+    const activeRangeText = activeRange ? `del ${formatShortDate(activeRange.from)} al ${formatShortDate(activeRange.to)}` : '';
+    const periodDescription = !activeRange
+        ? 'el rango indicado'
+        : (isExpiryMode ? `vencimientos ${activeRangeText}` : `registros ${activeRangeText}`);
+    const periodFileLabel = activeRange
+        ? `${isExpiryMode ? 'VENCEN' : 'REGISTRO'}_${toDateInputValue(activeRange.from)}_a_${toDateInputValue(activeRange.to)}`
+        : 'SIN-RANGO';
+    const periodReportLabel = activeRange ? `${isExpiryMode ? 'Vencen' : 'Registradas'} ${activeRangeText}` : '';
+    const pageTitle = isExpiryMode
+        ? 'Panel Administración - Próximos Vencimientos'
+        : `Panel Administración - Stock y F.D.V ${activeRangeText}`;
 
     /**
      * Formatea un timestamp a una fecha legible en español (es-CL).
@@ -101,9 +201,9 @@ function AdminPage() {
     }, []);
 
     /**
-     * Carga datos de Firebase al montar o cambiar usuario.
+     * Carga los datos de referencia al montar o cambiar usuario.
      * Controla acceso según el rol (solo admin/superadmin).
-     * Obtiene stock, locales, productos y ROPs.
+     * Obtiene locales, productos (desde la caché si está vigente) y ROPs; las entradas se cargan por periodo (ver abajo).
      * Estructura de datos documentada arriba.
      */
     useEffect(() => {
@@ -113,88 +213,224 @@ function AdminPage() {
         const fetchData = async () => {
             setLoading(true); setError('');
             try {
-                const stockRef = ref(database, 'stock');
-                const storesRef = ref(database, 'stores');
-                const productsRef = ref(database, 'products');
-                const ropsRef = ref(database, 'rops');
-
-                // Obtiene los snapshots de cada referencia de Firebase
-                const [stockSnapshot, storesSnapshot, productsSnapshot, ropsSnapshot] = await Promise.all([
-                    get(stockRef), get(storesRef), get(productsRef), get(ropsRef)
+                const [storesSnapshot, products, ropsSnapshot] = await Promise.all([
+                    get(ref(database, 'stores')), loadProductCatalog(), get(ref(database, 'rops'))
                 ]);
 
-                setAllStockData(stockSnapshot.exists() ? stockSnapshot.val() : {});
                 setStoresData(storesSnapshot.exists() ? storesSnapshot.val() : {});
-                setProductsData(productsSnapshot.exists() ? productsSnapshot.val() : {});
+                setProductsData(products);
                 setRopsData(ropsSnapshot.exists() ? ropsSnapshot.val() : {});
 
             } catch (err) {
                 console.error("Error fetching admin data:", err);
                 setError('Error al cargar datos.');
-                setAllStockData({}); setStoresData({}); setProductsData({}); setRopsData({});
+                setStoresData({}); setProductsData({}); setRopsData({});
             } finally { setLoading(false); }
         };
         fetchData();
     }, [userData]);
 
     /**
-     * Filtra todas las entradas de stock por mes y año seleccionados.
+     * allStoreIds: Todos los locales, ordenados.
+     * activeStoreIds: Locales cuyas entradas se cargan (los seleccionados, o todos).
+     */
+    const allStoreIds = useMemo(() => Object.keys(storesData || {}).sort(), [storesData]);
+    const activeStoreIds = useMemo(
+        () => selectedStoreIds === null ? allStoreIds : allStoreIds.filter(storeId => selectedStoreIds.includes(storeId)),
+        [allStoreIds, selectedStoreIds]
+    );
+
+    /**
+     * Carga las entradas del periodo seleccionado (rango de registro o de vencimiento) para los locales seleccionados.
+     * Ignora respuestas de periodos anteriores si el usuario cambió el filtro mientras cargaba.
+     */
+    useEffect(() => {
+        if (loading || error) return undefined;
+        if (!activeRange || activeStoreIds.length === 0) { setAllStockData({}); return undefined; }
+        let cancelled = false;
+        const fetchEntries = async () => {
+            setEntriesLoading(true);
+            try {
+                const stockData = isExpiryMode
+                    ? await loadEntriesByExpiryRange(activeStoreIds, activeRange.from, activeRange.to)
+                    : await loadEntriesByRecordingRange(activeStoreIds, activeRange.from, activeRange.to);
+                if (!cancelled) setAllStockData(stockData);
+            } catch (err) {
+                console.error("Error fetching stock entries:", err);
+                if (!cancelled) { setAllStockData({}); setError('Error al cargar las entradas de stock.'); }
+            } finally {
+                if (!cancelled) setEntriesLoading(false);
+            }
+        };
+        fetchEntries();
+        return () => { cancelled = true; };
+    }, [loading, error, isExpiryMode, activeRange, activeStoreIds, entriesReloadKey]);
+
+    /**
+     * Carga las entradas de los periodos de los gráficos al abrir la pestaña de gráficos, y de nuevo si cambian
+     * los locales o se recargan las entradas.
+     */
+    const trendLoadKey = `${activeStoreIds.join(',')}|${entriesReloadKey}`;
+    useEffect(() => {
+        if (activeTab !== 'graficos' || loading || error || trendStockData?.loadKey === trendLoadKey) return undefined;
+        let cancelled = false;
+        const fetchTrendEntries = async () => {
+            setTrendLoading(true);
+            try {
+                const { recording, expiry } = getTrendRanges();
+                const [recordingData, expiryData] = await Promise.all([
+                    loadEntriesByRecordingRange(activeStoreIds, recording.from, recording.to),
+                    loadEntriesByExpiryRange(activeStoreIds, expiry.from, expiry.to)
+                ]);
+                if (!cancelled) setTrendStockData({ loadKey: trendLoadKey, recording: recordingData, expiry: expiryData });
+            } catch (err) {
+                console.error("Error fetching chart entries:", err);
+                if (!cancelled) setTrendStockData({ loadKey: trendLoadKey, recording: {}, expiry: {}, failed: true });
+            } finally {
+                if (!cancelled) setTrendLoading(false);
+            }
+        };
+        fetchTrendEntries();
+        return () => { cancelled = true; };
+    }, [activeTab, loading, error, trendLoadKey, trendStockData, activeStoreIds]);
+
+    /**
+     * Filtra todas las entradas de stock por el rango de fechas de registro (días inclusive).
+     * Excluye las entradas anuladas; las corregidas cuentan con sus valores efectivos (actuales).
      * Devuelve un array de objetos con la estructura:
      *   { ...entry, entryId, productId, storeId }
      */
-    const monthlyFilteredEntries = useMemo(() => {
+    const recordingFilteredEntries = useMemo(() => {
         const entries = [];
-        if (!allStockData) return entries;
+        if (!allStockData || isExpiryMode || !recordingRange) return entries;
+        const fromTime = recordingRange.from.getTime();
+        const toTime = new Date(recordingRange.to.getFullYear(), recordingRange.to.getMonth(), recordingRange.to.getDate() + 1).getTime();
         Object.entries(allStockData).forEach(([storeId, storeStock]) => {
             Object.entries(storeStock).forEach(([productId, productInfo]) => {
                 if (productInfo.entries) {
                     Object.entries(productInfo.entries).forEach(([entryId, entry]) => {
+                        if (!isEntryEffective(entry)) return;
                         const entryTimestamp = Number(entry.timestamp);
-                        if (!isNaN(entryTimestamp)) {
-                            const entryDate = new Date(entryTimestamp);
-                            if (entryDate.getFullYear() === selectedYear && entryDate.getMonth() === selectedMonth) {
-                                entries.push({ ...entry, entryId, productId, storeId });
-                            }
+                        if (!isNaN(entryTimestamp) && entryTimestamp >= fromTime && entryTimestamp < toTime) {
+                            entries.push({ ...entry, entryId, productId, storeId });
                         }
                     });
                 }
             });
         });
         return entries;
-    }, [allStockData, selectedMonth, selectedYear]);
+    }, [allStockData, isExpiryMode, recordingRange]);
+
+    /**
+     * Filtra todas las entradas vigentes de todos los locales cuyo vencimiento cae en el rango activo.
+     * Misma estructura que recordingFilteredEntries.
+     */
+    const expiryFilteredEntries = useMemo(() => {
+        const entries = [];
+        if (!allStockData || !isExpiryMode || !expiryRange) return entries;
+        Object.entries(allStockData).forEach(([storeId, storeStock]) => {
+            Object.entries(storeStock).forEach(([productId, productInfo]) => {
+                Object.entries(productInfo?.entries || {}).forEach(([entryId, entry]) => {
+                    if (!isEntryEffective(entry) || !isEntryExpiringInRange(entry, expiryRange)) return;
+                    entries.push({ ...entry, entryId, productId, storeId });
+                });
+            });
+        });
+        return entries;
+    }, [allStockData, isExpiryMode, expiryRange]);
+
+    /**
+     * Entradas del periodo visible según el modo.
+     */
+    const periodEntries = isExpiryMode ? expiryFilteredEntries : recordingFilteredEntries;
+
+    /**
+     * Opciones de los filtros de usuario y laboratorio, tomadas de las entradas del periodo.
+     */
+    const { emailOptions, laboratoryOptions } = useMemo(() => ({
+        emailOptions: [...new Set(periodEntries.map(entry => entry.userEmail).filter(Boolean))].sort(),
+        laboratoryOptions: [...new Set(periodEntries.map(entry => productsData?.[entry.productId]?.laboratory).filter(Boolean))].sort((a, b) => a.localeCompare(b))
+    }), [periodEntries, productsData]);
+
+    /**
+     * Entradas del periodo que cumplen los filtros de usuario y laboratorio.
+     */
+    const filteredEntries = useMemo(() => periodEntries.filter(entry =>
+        (!emailFilter || entry.userEmail === emailFilter) &&
+        (!laboratoryFilter || productsData?.[entry.productId]?.laboratory === laboratoryFilter)
+    ), [periodEntries, emailFilter, laboratoryFilter, productsData]);
+
+    /**
+     * Carga la ventana de detección de duplicados para que el superadmin pueda editarla.
+     */
+    useEffect(() => {
+        if (userData?.role !== 'superadmin') return;
+        getDuplicateWindowMinutes()
+            .then(minutes => setDuplicateWindowInput(String(minutes)))
+            .catch(err => console.warn("Error loading duplicate window setting:", err));
+    }, [userData]);
 
     /**
-     * Filtra las entradas del mes según el término de búsqueda ingresado.
-     * Busca por código, nombre, email, código de barras, cantidad, vencimiento o fecha.
+     * Guarda la ventana de detección de duplicados.
+     */
+    const handleSaveDuplicateWindow = async () => {
+        setDuplicateWindowMessage('');
+        try {
+            await saveDuplicateWindowMinutes(duplicateWindowInput);
+            setDuplicateWindowMessage('Ventana guardada.');
+        } catch (err) {
+            console.error("Error saving duplicate window setting:", err);
+            setDuplicateWindowMessage(err.message || 'Error al guardar la ventana.');
+        }
+    };
+
+    /**
+     * Cantidad de entradas filtradas del periodo marcadas como posible duplicado.
+     */
+    const duplicateEntriesCount = useMemo(
+        () => filteredEntries.filter(entry => entry.possibleDuplicate).length,
+        [filteredEntries]
+    );
+
+    /**
+     * Indica si una entrada coincide con el término de búsqueda ingresado (siempre, si no hay término).
+     * Busca por código, nombre, email, código de barras, cantidad, vencimiento, lote o fecha.
+     */
+    const entryMatchesSearch = useCallback((entry) => {
+        if (!searchTerm) return true;
+        const lowerSearchTerm = searchTerm.toLowerCase();
+        const entryProductName = entry.productName || '';
+        const mainProductName = productsData?.[entry.productId]?.name || entryProductName;
+        return entry.productId.toLowerCase().includes(lowerSearchTerm) ||
+               mainProductName.toLowerCase().includes(lowerSearchTerm) ||
+               (entry.userEmail && entry.userEmail.toLowerCase().includes(lowerSearchTerm)) ||
+               (entry.barcodeUsed && entry.barcodeUsed.toLowerCase().includes(lowerSearchTerm)) ||
+               String(entry.quantity).includes(lowerSearchTerm) ||
+               `${String(entry.expiryMonth).padStart(2,'0')}/${entry.expiryYear}`.includes(lowerSearchTerm) ||
+               (entry.lotNumber && entry.lotNumber.toLowerCase().includes(lowerSearchTerm)) ||
+               formatTimestamp(entry.timestamp).toLowerCase().includes(lowerSearchTerm);
+    }, [searchTerm, productsData]);
+
+    /**
+     * Filtra las entradas del periodo (ya filtradas por usuario y laboratorio) según el término de búsqueda ingresado y el filtro de posibles duplicados.
      * Devuelve un array de entradas filtradas.
      */
     const searchedEntries = useMemo(() => {
-        if (!searchTerm) return monthlyFilteredEntries;
-        const lowerSearchTerm = searchTerm.toLowerCase();
-        return monthlyFilteredEntries.filter(entry => {
-            const entryProductName = entry.productName || '';
-            const mainProductName = productsData?.[entry.productId]?.name || entryProductName;
-            return entry.productId.toLowerCase().includes(lowerSearchTerm) ||
-                   mainProductName.toLowerCase().includes(lowerSearchTerm) ||
-                   (entry.userEmail && entry.userEmail.toLowerCase().includes(lowerSearchTerm)) ||
-                   (entry.barcodeUsed && entry.barcodeUsed.toLowerCase().includes(lowerSearchTerm)) ||
-                   String(entry.quantity).includes(lowerSearchTerm) ||
-                   `${String(entry.expiryMonth).padStart(2,'0')}/${entry.expiryYear}`.includes(lowerSearchTerm) ||
-                   formatTimestamp(entry.timestamp).toLowerCase().includes(lowerSearchTerm);
-        });
-    }, [monthlyFilteredEntries, searchTerm, productsData]);
+        const baseEntries = showDuplicatesOnly ? filteredEntries.filter(entry => entry.possibleDuplicate) : filteredEntries;
+        return searchTerm ? baseEntries.filter(entryMatchesSearch) : baseEntries;
+    }, [filteredEntries, searchTerm, showDuplicatesOnly, entryMatchesSearch]);
 
     /**
-     * Consolida las entradas filtradas por local, producto y fecha de vencimiento.
+     * Consolida las entradas filtradas por local, producto, fecha de vencimiento (incluido el día) y lote.
      * Devuelve un objeto:
-     *   { [storeId]: [ { productId, productName, expiryMonth, expiryYear, totalQuantity } ] }
-     * Ordena por nombre de producto y fecha de vencimiento.
+     *   { [storeId]: [ { productId, productName, expiryMonth, expiryYear, expiryDay, lotNumber, totalQuantity } ] }
+     * Ordena por nombre de producto y fecha de vencimiento; en modo vencimientos, primero por fecha de vencimiento.
      */
     const consolidatedViewData = useMemo(() => {
         const dataByStore = {};
         searchedEntries.forEach(entry => {
             const storeId = entry.storeId;
-            const consolidationKey = `${entry.productId}_${entry.expiryMonth}_${entry.expiryYear}`;
+            const consolidationKey = getEntryConsolidationKey(entry);
             if (!dataByStore[storeId]) dataByStore[storeId] = {};
             if (!dataByStore[storeId][consolidationKey]) {
                 dataByStore[storeId][consolidationKey] = {
@@ -202,6 +438,8 @@ function AdminPage() {
                     productName: productsData?.[entry.productId]?.name || entry.productName || 'N/A',
                     expiryMonth: entry.expiryMonth,
                     expiryYear: entry.expiryYear,
+                    expiryDay: entry.expiryDay || null,
+                    lotNumber: entry.lotNumber || '',
                     totalQuantity: 0
                 };
             }
@@ -209,130 +447,243 @@ function AdminPage() {
         });
         Object.keys(dataByStore).forEach(storeId => {
              dataByStore[storeId] = Object.values(dataByStore[storeId]).sort((a,b) => {
+                 if (isExpiryMode) {
+                     const expiryDiff = getEntryExpiryDate(a) - getEntryExpiryDate(b);
+                     if (expiryDiff !== 0) return expiryDiff;
+                 }
                 const nameA = a.productName.toLowerCase(); const nameB = b.productName.toLowerCase();
                  if (nameA < nameB) return -1; if (nameA > nameB) return 1;
-                 const dateA = new Date(a.expiryYear, a.expiryMonth - 1); const dateB = new Date(b.expiryYear, b.expiryMonth - 1);
-                 return dateA - dateB;
+                 const dateA = new Date(a.expiryYear, a.expiryMonth - 1, a.expiryDay || 1); const dateB = new Date(b.expiryYear, b.expiryMonth - 1, b.expiryDay || 1);
+                 if (dateA - dateB !== 0) return dateA - dateB;
+                 return a.lotNumber.localeCompare(b.lotNumber);
              });
         });
         return dataByStore;
-    }, [searchedEntries, productsData]);
+    }, [searchedEntries, productsData, isExpiryMode]);
+
+    /**
+     * Entradas visibles detrás de cada fila consolidada, por `${storeId}|${consolidationKey}` (para el detalle).
+     */
+    const entriesByConsolidatedRow = useMemo(() => {
+        const rows = {};
+        searchedEntries.forEach(entry => {
+            const rowKey = `${entry.storeId}|${getEntryConsolidationKey(entry)}`;
+            if (!rows[rowKey]) rows[rowKey] = [];
+            rows[rowKey].push(entry);
+        });
+        return rows;
+    }, [searchedEntries]);
+
+    /**
+     * Al recargar el periodo, la selección conserva solo las entradas que siguen vigentes, con sus valores actuales.
+     */
+    useEffect(() => {
+        setSelectedEntries(prev => {
+            if (Object.keys(prev).length === 0) return prev;
+            const next = {};
+            periodEntries.forEach(entry => { if (prev[entry.entryId]) next[entry.entryId] = entry; });
+            return next;
+        });
+    }, [periodEntries]);
+
+    const selectedEntryList = Object.values(selectedEntries);
+
+    /**
+     * Marca o desmarca entradas del detalle.
+     * @param {Array<object>} entries
+     * @param {boolean} selected
+     */
+    const handleSelectionChange = (entries, selected) => {
+        setSelectedEntries(prev => {
+            const next = { ...prev };
+            entries.forEach(entry => { if (selected) next[entry.entryId] = entry; else delete next[entry.entryId]; });
+            return next;
+        });
+    };
+
+    /**
+     * Indica si el usuario actual puede corregir una entrada (admin: su local; superadmin: todas).
+     * @param {object} entry
+     * @returns {boolean}
+     */
+    const canCorrectEntry = (entry) => canUserCorrectEntry({
+        entry, storeId: entry.storeId, userEmail: userData?.email, userRole: userData?.role, userStoreId
+    });
+
+    /**
+     * Abre la corrección de las entradas seleccionadas que el usuario puede corregir, una tras otra.
+     */
+    const handleCorrectSelected = () => {
+        const correctable = selectedEntryList.filter(canCorrectEntry);
+        if (correctable.length === 0) { alert("No tienes permiso para corregir las entradas seleccionadas."); return; }
+        if (correctable.length < selectedEntryList.length) {
+            alert(`Solo puedes corregir ${correctable.length} de las ${selectedEntryList.length} entradas seleccionadas (las de tu local).`);
+        }
+        setCorrectionQueue(correctable);
+    };
+
+    /**
+     * Exporta el reporte en el formato elegido (ver exportReports.js) y avisa si falla.
+     * @param {object} report
+     */
+    const runExport = async (report) => {
+        try {
+            await exportReport(report, exportFormat);
+        } catch (exportError) {
+            console.error("Error exporting report:", exportError);
+            alert(exportError.message || "Error al generar el archivo.");
+        }
+    };
+
+    /**
+     * Descarga una fila por entrada seleccionada.
+     */
+    const handleDownloadSelectedEntries = () => {
+        if (selectedEntryList.length === 0) { alert("No hay entradas seleccionadas."); return; }
+        const rows = [...selectedEntryList]
+            .sort((a, b) => (storesData[a.storeId]?.name || a.storeId).localeCompare(storesData[b.storeId]?.name || b.storeId) || Number(a.timestamp) - Number(b.timestamp))
+            .map(entry => ({
+                storeName: storesData[entry.storeId]?.name || entry.storeId,
+                productId: entry.productId,
+                productName: productsData?.[entry.productId]?.name || entry.productName || 'N/A',
+                expiry: `${String(entry.expiryMonth).padStart(2, '0')}/${entry.expiryYear}`,
+                expiryDay: entry.expiryDay ? String(entry.expiryDay).padStart(2, '0') : '',
+                lotNumber: entry.lotNumber || '',
+                quantity: entry.quantity,
+                userEmail: entry.userEmail || '',
+                recordedAt: entry.timestamp || null,
+                barcodeUsed: entry.barcodeUsed || '',
+                status: entry.status || 'vigente',
+                entryId: entry.entryId
+            }));
+        runExport({
+            title: 'Entradas seleccionadas',
+            periodLabel: periodReportLabel,
+            fileName: `Entradas_${periodFileLabel}`,
+            sheets: [{
+                name: 'Entradas',
+                columns: [
+                    { header: 'Local', key: 'storeName', width: 20 }, { header: 'Código Ref', key: 'productId' },
+                    { header: 'Nombre', key: 'productName', width: 50 }, { header: 'Fecha Vencimiento', key: 'expiry', width: 18 },
+                    { header: 'Día Venc.', key: 'expiryDay', width: 10 }, { header: 'Lote', key: 'lotNumber' },
+                    { header: 'Cantidad', key: 'quantity', width: 10, type: 'number' }, { header: 'Usuario', key: 'userEmail', width: 30 },
+                    { header: 'Fecha Registro', key: 'recordedAt', width: 22, type: 'datetime' }, { header: 'Código Usado', key: 'barcodeUsed', width: 18 },
+                    { header: 'Estado', key: 'status', width: 12 }, { header: 'ID Entrada', key: 'entryId', width: 22 }
+                ],
+                rows
+            }]
+        });
+    };
+
+    /**
+     * Barras de los gráficos (solo se calculan con la pestaña de gráficos abierta), con las entradas vigentes de sus
+     * periodos que cumplen los mismos filtros de la tabla: usuario, laboratorio, posibles duplicados y búsqueda.
+     */
+    const chartBuckets = useMemo(() => {
+        if (activeTab !== 'graficos' || !trendStockData) return null;
+        const { recording, expiry } = getTrendRanges();
+        const recordingToTime = new Date(recording.to.getFullYear(), recording.to.getMonth(), recording.to.getDate() + 1).getTime();
+        const collectEntries = (stockData, isInPeriod) => {
+            const entries = [];
+            Object.entries(stockData).forEach(([storeId, storeStock]) => {
+                Object.entries(storeStock).forEach(([productId, productInfo]) => {
+                    Object.entries(productInfo?.entries || {}).forEach(([entryId, entry]) => {
+                        if (!isEntryEffective(entry) || !isInPeriod(entry)) return;
+                        if (emailFilter && entry.userEmail !== emailFilter) return;
+                        if (laboratoryFilter && productsData?.[productId]?.laboratory !== laboratoryFilter) return;
+                        if (showDuplicatesOnly && !entry.possibleDuplicate) return;
+                        const chartEntry = { ...entry, entryId, productId, storeId };
+                        if (entryMatchesSearch(chartEntry)) entries.push(chartEntry);
+                    });
+                });
+            });
+            return entries;
+        };
+        return {
+            recording: buildMonthlyStoreBuckets(collectEntries(trendStockData.recording, entry => {
+                const entryTimestamp = Number(entry.timestamp);
+                return entryTimestamp >= recording.from.getTime() && entryTimestamp < recordingToTime;
+            }), 'registro'),
+            expiry: buildMonthlyStoreBuckets(collectEntries(trendStockData.expiry, entry => isEntryExpiringInRange(entry, expiry)), 'vencimiento')
+        };
+    }, [activeTab, trendStockData, emailFilter, laboratoryFilter, showDuplicatesOnly, productsData, entryMatchesSearch]);
+
+    const getStoreChartColor = (storeId) => STORE_CHART_COLORS[Math.max(0, allStoreIds.indexOf(storeId)) % STORE_CHART_COLORS.length];
+
+    /**
+     * Aplica el mes de la barra (de registro o de vencimiento) y, si se hizo clic en un segmento, su local,
+     * como filtros de la tabla, y vuelve a la pestaña de tabla.
+     * @param {'registro'|'vencimiento'} groupBy
+     * @param {string} monthKey - YYYY-MM.
+     * @param {string|null} storeId
+     */
+    const handleChartBarClick = (groupBy, monthKey, storeId) => {
+        const { from, to } = getMonthKeyRange(monthKey);
+        if (groupBy === 'vencimiento') {
+            setViewMode('vencimiento'); setHorizonPreset('custom');
+            setCustomFrom(toDateInputValue(from)); setCustomTo(toDateInputValue(to));
+        } else {
+            setViewMode('registro');
+            setRecordedFrom(toDateInputValue(from)); setRecordedTo(toDateInputValue(to));
+        }
+        if (storeId) setSelectedStoreIds(allStoreIds.length === 1 ? null : [storeId]);
+        setExpandedRowKey(null);
+        setActiveTab('tabla');
+    };
 
     /**
-     * Prepara los datos consolidados de un local para exportar a Excel.
-     * Recibe un array de entradas y retorna un array de objetos planos para la hoja.
-     * Cada objeto tiene: Código Ref, Nombre, Fecha Vencimiento, Cantidad.
+     * Consolida las entradas de un local por producto, vencimiento y lote para el reporte por local.
+     * @param {Array} storeEntries - Entradas del local.
+     * @returns {Array<{productId, productName, expiry, expiryDay, lotNumber, quantity}>} Ordenadas por nombre.
      */
-    const prepareConsolidatedDataForStoreSheet = (storeEntries) => {
+    const prepareConsolidatedRowsForStore = (storeEntries) => {
         const storeConsolidated = {};
         storeEntries.forEach(entry => {
-            const key = `${entry.productId}_${entry.expiryMonth}_${entry.expiryYear}`;
+            const key = getEntryConsolidationKey(entry);
             if (!storeConsolidated[key]) {
                 const productName = productsData?.[entry.productId]?.name || entry.productName || 'N/A';
                 storeConsolidated[key] = {
                     productId: entry.productId, productName: productName,
-                    expiryMonth: entry.expiryMonth, expiryYear: entry.expiryYear, totalQuantity: 0
+                    expiry: `${String(entry.expiryMonth).padStart(2, '0')}/${entry.expiryYear}`,
+                    expiryDay: entry.expiryDay ? String(entry.expiryDay).padStart(2, '0') : '',
+                    lotNumber: entry.lotNumber || '', quantity: 0
                 };
             }
-            storeConsolidated[key].totalQuantity += entry.quantity;
+            storeConsolidated[key].quantity += entry.quantity;
         });
-        return Object.values(storeConsolidated).map(item => ({
-            "Código Ref": item.productId,
-            "Nombre": item.productName,
-            "Fecha Vencimiento": `${String(item.expiryMonth).padStart(2, '0')}/${item.expiryYear}`,
-            "Cantidad": item.totalQuantity
-        })).sort((a, b) => a.Nombre.localeCompare(b.Nombre));
+        return Object.values(storeConsolidated).sort((a, b) => a.productName.localeCompare(b.productName));
     };
+
     /**
-     * Descarga un archivo Excel con una hoja por local, usando los datos visibles filtrados.
-     * Cada hoja contiene los productos consolidados por local y vencimiento.
-     * @param {Array} entriesToProcess - Entradas filtradas a exportar.
-     * @param {string} baseFileName - Prefijo del nombre del archivo.
+     * Descarga el reporte de vencimientos del periodo visible con una sección (hoja o página) por local.
      */
-    const downloadExcelPerStore = (entriesToProcess, baseFileName) => {
-        if (entriesToProcess.length === 0) { alert("No hay datos visibles para descargar."); return; }
-        const dataByStoreId = {};
-        entriesToProcess.forEach(entry => {
-            const storeId = entry.storeId;
-            if (!dataByStoreId[storeId]) dataByStoreId[storeId] = [];
-            dataByStoreId[storeId].push(entry);
+    const handleDownloadVisibleByStore = () => {
+        if (searchedEntries.length === 0) { alert("No hay datos visibles para descargar."); return; }
+        const entriesByStoreId = {};
+        searchedEntries.forEach(entry => {
+            if (!entriesByStoreId[entry.storeId]) entriesByStoreId[entry.storeId] = [];
+            entriesByStoreId[entry.storeId].push(entry);
+        });
+        const columns = [
+            { header: 'Código Ref', key: 'productId', width: 15 }, { header: 'Nombre', key: 'productName', width: 60 },
+            { header: 'Fecha Vencimiento', key: 'expiry', width: 18 }, { header: 'Día Venc.', key: 'expiryDay', width: 10 },
+            { header: 'Lote', key: 'lotNumber', width: 18 }, { header: 'Cantidad', key: 'quantity', width: 10, type: 'number' }
+        ];
+        runExport({
+            title: 'Vencimientos por local',
+            periodLabel: periodReportLabel,
+            fileName: `Vencimientos_${periodFileLabel}`,
+            sheets: Object.keys(entriesByStoreId).sort().map(storeId => ({
+                name: storesData[storeId]?.name || storeId,
+                storeName: storesData[storeId]?.name || storeId,
+                columns,
+                rows: prepareConsolidatedRowsForStore(entriesByStoreId[storeId])
+            }))
         });
-        try {
-            const wb = XLSX.utils.book_new();
-            const sortedStoreIds = Object.keys(dataByStoreId).sort();
-            sortedStoreIds.forEach(storeId => {
-                const storeEntries = dataByStoreId[storeId];
-                const storeName = storesData[storeId]?.name || storeId;
-                const sheetDataFormatted = prepareConsolidatedDataForStoreSheet(storeEntries);
-                if (sheetDataFormatted.length > 0) {
-                    const ws = XLSX.utils.json_to_sheet(sheetDataFormatted);
-                    const columnWidths = [ { wch: 15 }, { wch: 60 }, { wch: 18 }, { wch: 10 } ]; ws['!cols'] = columnWidths;
-                    const range = XLSX.utils.decode_range(ws['!ref']);
-                    const qtyColIndex = 3; // Corregido: El índice de la columna "Cantidad" es 3 (D)
-                    const expiryColIndex = 2; // Corregido: El índice de "Fecha Vencimiento" es 2 (C)
-
-                    for (let R = range.s.r + 1; R <= range.e.r; ++R) {
-                        let cellQty = ws[XLSX.utils.encode_cell({ r: R, c: qtyColIndex })];
-                        if (cellQty) {
-                            if (!cellQty.s) cellQty.s = {};
-                            if (!cellQty.s.alignment) cellQty.s.alignment = {};
-                            cellQty.s.alignment.horizontal = 'right';
-                        }
-                        let cellExpiry = ws[XLSX.utils.encode_cell({ r: R, c: expiryColIndex })];
-                         if (cellExpiry) {
-                            if (!cellExpiry.s) cellExpiry.s = {};
-                            if (!cellExpiry.s.alignment) cellExpiry.s.alignment = {};
-                            cellExpiry.s.alignment.horizontal = 'right';
-                        }
-                    }
-                    XLSX.utils.book_append_sheet(wb, ws, storeName.substring(0, 31));
-                }
-            });
-             if (wb.SheetNames.length === 0) { alert("No hay datos válidos para generar el Excel."); return; }
-             const monthNameUpper = monthNames[selectedMonth].toUpperCase();
-             const fileName = `${baseFileName}${monthNameUpper}-${selectedYear}.xlsx`;
-             XLSX.writeFile(wb, fileName);
-        } catch (exportError) { console.error("Error generating multi-sheet Excel:", exportError); alert("Error al generar el archivo Excel por local."); }
     };
     /**
-     * Descarga un archivo Excel de una sola hoja con todos los productos y totales globales, incluyendo columnas de ROP por local.
-     * @param {Array} data - Datos planos a exportar.
-     * @param {string} sheetName - Nombre de la hoja.
-     * @param {string} fileName - Nombre del archivo.
-     * @param {Array} columnWidths - Ancho de columnas para el Excel.
-     */
-     const downloadSingleSheetExcel = (data, sheetName, fileName, columnWidths) => {
-         if (!data || data.length === 0) { alert("No hay datos para generar el reporte."); return; }
-         try {
-             const wb = XLSX.utils.book_new(); const ws = XLSX.utils.json_to_sheet(data);
-             if (columnWidths) ws['!cols'] = columnWidths;
-             const range = XLSX.utils.decode_range(ws['!ref']); const headers = data[0] ? Object.keys(data[0]) : [];
-             const dateColIndex = headers.indexOf("Fecha de Vencimiento");
-             const qtyColIndex = headers.indexOf("Cantidad Total");
-             const disponibleColIndex = headers.indexOf("Disponible"); // Para alinear texto si es necesario
-             const ropColIndices = headers.map((h, i) => h.startsWith("ROP ") ? i : -1).filter(i => i !== -1);
-
-             if (dateColIndex > -1 || qtyColIndex > -1 || ropColIndices.length > 0 || disponibleColIndex > -1) {
-                  for (let R = range.s.r + 1; R <= range.e.r; ++R) {
-                       let cell;
-                       if (dateColIndex > -1) { cell = ws[XLSX.utils.encode_cell({ r: R, c: dateColIndex })]; if (cell) { if (!cell.s) cell.s = {}; if (!cell.s.alignment) cell.s.alignment = {}; cell.s.alignment.horizontal = 'right'; }}
-                       if (qtyColIndex > -1) { cell = ws[XLSX.utils.encode_cell({ r: R, c: qtyColIndex })]; if (cell) { if (!cell.s) cell.s = {}; if (!cell.s.alignment) cell.s.alignment = {}; cell.s.alignment.horizontal = 'right'; }}
-                       // if (disponibleColIndex > -1) { cell = ws[XLSX.utils.encode_cell({ r: R, c: disponibleColIndex })]; if (cell) { if (!cell.s) cell.s = {}; if (!cell.s.alignment) cell.s.alignment = {}; cell.s.alignment.horizontal = 'left'; }} // Ejemplo, usualmente es left por defecto
-                       ropColIndices.forEach(ropColIndex => { cell = ws[XLSX.utils.encode_cell({ r: R, c: ropColIndex })]; if (cell) { if (!cell.s) cell.s = {}; if (!cell.s.alignment) cell.s.alignment = {}; cell.s.alignment.horizontal = 'right'; }});
-                 }
-               }
-             XLSX.utils.book_append_sheet(wb, ws, sheetName.substring(0, 31));
-             XLSX.writeFile(wb, fileName);
-         } catch (exportError) { console.error("Error generating single sheet Excel:", exportError); alert("Error al generar el archivo Excel."); }
-     };
-
-    /**
-     * Handler para descargar el Excel de vencimientos del mes por local (botón principal).
-     */
-    const handleDownloadVisibleByStore = () => downloadExcelPerStore(searchedEntries, `Vencimientos_`);
-    /**
-     * Handler para descargar el Excel consolidado con totales y columnas de ROP por local.
-     * Procesa los datos visibles y los ROPs para armar la hoja.
+     * Descarga el reporte consolidado con totales y columnas de ROP por local.
+     * Procesa los datos visibles (todos los filtros aplicados) y los ROPs de los locales seleccionados para armar la hoja.
      */
     const handleDownloadConsolidatedTotalAction = () => {
         if (searchedEntries.length === 0) { alert("No hay registros visibles para generar totales."); return; }
@@ -340,7 +691,7 @@ function AdminPage() {
 
         const globalTotals = {};
         searchedEntries.forEach(entry => {
-            const consolidationKey = `${entry.productId}_${entry.expiryMonth}_${entry.expiryYear}`;
+            const consolidationKey = getEntryConsolidationKey(entry);
             if (!globalTotals[consolidationKey]) {
                 const productName = productsData?.[entry.productId]?.name || entry.productName || 'N/A';
                 globalTotals[consolidationKey] = {
@@ -348,6 +699,8 @@ function AdminPage() {
                     productName: productName,
                     expiryMonth: entry.expiryMonth,
                     expiryYear: entry.expiryYear,
+                    expiryDay: entry.expiryDay || null,
+                    lotNumber: entry.lotNumber || '',
                     totalQuantity: 0,
                     quantitiesByStore: {}
                 };
@@ -360,7 +713,7 @@ function AdminPage() {
         const relevantStoreIdsWithRop = new Set();
         Object.values(globalTotals).forEach(item => {
             const productId = item.productId;
-            if (ropsData) { Object.keys(ropsData).forEach(storeId => { if (ropsData[storeId]?.[productId] !== undefined) relevantStoreIdsWithRop.add(storeId); }); }
+            if (ropsData) { Object.keys(ropsData).forEach(storeId => { if (activeStoreIds.includes(storeId) && ropsData[storeId]?.[productId] !== undefined) relevantStoreIdsWithRop.add(storeId); }); }
         });
         const sortedRelevantStoreIds = Array.from(relevantStoreIdsWithRop).sort();
 
@@ -374,6 +727,8 @@ function AdminPage() {
                 "Cod Ref": item.productId,
                 "Nombre Producto": item.productName,
                 "Fecha de Vencimiento": `${String(item.expiryMonth).padStart(2, '0')}/${item.expiryYear}`,
+                "Día Venc.": item.expiryDay ? String(item.expiryDay).padStart(2, '0') : '',
+                "Lote": item.lotNumber,
                 "Cantidad Total": item.totalQuantity,
                 "Disponible": availableInStoresDetails
             };
@@ -388,25 +743,49 @@ function AdminPage() {
         }).sort((a, b) => {
             if (a["Cod Ref"] < b["Cod Ref"]) return -1;
             if (a["Cod Ref"] > b["Cod Ref"]) return 1;
-            const dateA = new Date(parseInt(a["Fecha de Vencimiento"].split('/')[1]), parseInt(a["Fecha de Vencimiento"].split('/')[0]) - 1);
-            const dateB = new Date(parseInt(b["Fecha de Vencimiento"].split('/')[1]), parseInt(b["Fecha de Vencimiento"].split('/')[0]) - 1);
-            return dateA - dateB;
+            const dateA = new Date(parseInt(a["Fecha de Vencimiento"].split('/')[1]), parseInt(a["Fecha de Vencimiento"].split('/')[0]) - 1, parseInt(a["Día Venc."]) || 1);
+            const dateB = new Date(parseInt(b["Fecha de Vencimiento"].split('/')[1]), parseInt(b["Fecha de Vencimiento"].split('/')[0]) - 1, parseInt(b["Día Venc."]) || 1);
+            if (dateA - dateB !== 0) return dateA - dateB;
+            return a["Lote"].localeCompare(b["Lote"]);
         });
 
-        const monthNameUpper = monthNames[selectedMonth].toUpperCase();
-        const fileName = `totalesROP_${monthNameUpper}-${selectedYear}.xlsx`;
-        const sheetName = `totalesROP_${monthNameUpper}-${selectedYear}`;
-
-        const columnWidths = [
-            { wch: 22 },
-            { wch: 60 },
-            { wch: 19 },
-            { wch: 15 },
-            { wch: 80 }, 
-            ...sortedRelevantStoreIds.map(() => ({ wch: 15 }))
+        const columns = [
+            { header: 'Cod Ref', key: 'Cod Ref', width: 22 },
+            { header: 'Nombre Producto', key: 'Nombre Producto', width: 60 },
+            { header: 'Fecha de Vencimiento', key: 'Fecha de Vencimiento', width: 19 },
+            { header: 'Día Venc.', key: 'Día Venc.', width: 10 },
+            { header: 'Lote', key: 'Lote', width: 18 },
+            { header: 'Cantidad Total', key: 'Cantidad Total', width: 15, type: 'number' },
+            { header: 'Disponible', key: 'Disponible', width: 80 },
+            ...sortedRelevantStoreIds.map(storeId => {
+                const headerName = `ROP ${storesData[storeId]?.name || storeId}`;
+                return { header: headerName, key: headerName, width: 15, type: 'number' };
+            })
         ];
 
-        downloadSingleSheetExcel(excelData, sheetName, fileName, columnWidths);
+        runExport({
+            title: 'Totales con ROP',
+            periodLabel: periodReportLabel,
+            fileName: `totalesROP_${periodFileLabel}`,
+            sheets: [{ name: isExpiryMode ? 'totalesROP_vencimientos' : `totalesROP_${periodFileLabel}`, columns, rows: excelData }]
+        });
+    };
+
+    /**
+     * Reconstruye los índices de stock a partir de todas las entradas (superadmin, para datos anteriores a los índices).
+     * Luego recarga el periodo actual.
+     */
+    const handleRebuildIndexes = async () => {
+        if (!window.confirm('Se leerá todo el stock para reconstruir los índices. ¿Continuar?')) return;
+        setIndexRebuildMessage('Reconstruyendo índices...');
+        try {
+            const indexedCount = await rebuildStockIndexes();
+            setIndexRebuildMessage(`Índices reconstruidos (${indexedCount} entradas).`);
+            setEntriesReloadKey(prevKey => prevKey + 1);
+        } catch (err) {
+            console.error("Error rebuilding stock indexes:", err);
+            setIndexRebuildMessage('No se pudieron reconstruir los índices.');
+        }
     };
 
     /**
@@ -419,10 +798,20 @@ function AdminPage() {
     };
 
     /**
-     * Cambia el mes/año seleccionado para filtrar los datos.
+     * Marca o desmarca un local en el filtro de locales. Al desmarcar desde "todos", parte de la lista completa.
+     * @param {string} storeId
      */
-    const handleMonthChange = (e) => setSelectedMonth(parseInt(e.target.value, 10));
-    const handleYearChange = (e) => setSelectedYear(parseInt(e.target.value, 10));
+    const handleToggleStore = (storeId) => {
+        setSelectedStoreIds(prev => {
+            const current = prev === null ? allStoreIds : prev;
+            const next = current.includes(storeId) ? current.filter(id => id !== storeId) : [...current, storeId];
+            return next.length === allStoreIds.length ? null : next;
+        });
+    };
+    /**
+     * Cambia el horizonte de vencimiento (30/60/90 días o 'custom').
+     */
+    const handleHorizonChange = (e) => setHorizonPreset(e.target.value === 'custom' ? 'custom' : parseInt(e.target.value, 10));
 
 
     // Renderizado condicional: muestra loading, error o la página principal
@@ -434,8 +823,8 @@ function AdminPage() {
     /**
      * Render principal de la página de administración de stock.
      * Estructura:
-     * - Filtros de mes/año y barra de búsqueda.
-     * - Botones de exportación (Excel por local y consolidado).
+     * - Selector de modo (fecha de registro / vencimientos), rango de fechas u horizonte, filtros de locales, usuario y laboratorio, y barra de búsqueda.
+     * - Selector de formato y botones de exportación (por local y consolidado).
      * - Tabla consolidada por local (expandible).
      * - Mensajes de error, loading y sin resultados.
      */
@@ -444,21 +833,78 @@ function AdminPage() {
             <h1>{pageTitle}</h1>
             <p>Usuario: {userData?.email} (Rol: {userData?.role})</p>
             {userData?.storeName && <p>Local Asignado (para ingresos): {userData.storeName}</p>}
-            {/* Filtros de mes y año */}
-            <div style={{ marginBottom: '10px', marginTop:'15px', textAlign: 'right' }}>
-                 <span style={{fontWeight: 'bold', fontSize: '0.9em', marginRight:'5px', color: '#555'}}>Ver Mes:</span>
-                 <select id="month-filter" value={selectedMonth} onChange={handleMonthChange} className="compact-select">
-                      {monthNames.map((name, index) => ( <option key={index} value={index}>{name}</option> ))}
-                 </select>
-                 <select id="year-filter" value={selectedYear} onChange={handleYearChange} className="compact-select">
-                      {yearOptions.map(year => ( <option key={year} value={year}>{year}</option> ))}
+            {/* Modo de vista y filtros de rango de registro u horizonte de vencimiento */}
+            <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', justifyContent: 'flex-end', gap: '5px', marginBottom: '10px', marginTop:'15px' }}>
+                 <span style={{fontWeight: 'bold', fontSize: '0.9em', marginRight:'5px', color: '#555'}}>Ver:</span>
+                 <select id="view-mode" value={viewMode} onChange={(e) => setViewMode(e.target.value)} className="compact-select">
+                      <option value="registro">Fecha de registro</option>
+                      <option value="vencimiento">Próximos vencimientos</option>
                  </select>
+                 {!isExpiryMode ? (
+                     <>
+                         <label htmlFor="recorded-from" style={{fontSize: '0.9em', color: '#555'}}>Desde</label>
+                         <input id="recorded-from" type="date" value={recordedFrom} onChange={(e) => setRecordedFrom(e.target.value)} style={{ padding: '4px' }} />
+                         <label htmlFor="recorded-to" style={{fontSize: '0.9em', color: '#555'}}>Hasta</label>
+                         <input id="recorded-to" type="date" value={recordedTo} onChange={(e) => setRecordedTo(e.target.value)} style={{ padding: '4px' }} />
+                     </>
+                 ) : (
+                     <>
+                         <select id="horizon-filter" value={horizonPreset} onChange={handleHorizonChange} className="compact-select">
+                              {EXPIRY_HORIZON_PRESETS.map(days => ( <option key={days} value={days}>Próximos {days} días</option> ))}
+                              <option value="custom">Rango personalizado</option>
+                         </select>
+                         {horizonPreset === 'custom' && (
+                             <>
+                                 <input id="expiry-from" type="date" value={customFrom} onChange={(e) => setCustomFrom(e.target.value)} style={{ padding: '4px' }} title="Vence desde" />
+                                 <input id="expiry-to" type="date" value={customTo} onChange={(e) => setCustomTo(e.target.value)} style={{ padding: '4px' }} title="Vence hasta" />
+                             </>
+                         )}
+                     </>
+                 )}
+            </div>
+            {!activeRange && <p className="error-message" style={{ textAlign: 'right', margin: '0 0 10px 0', fontSize: '0.85em' }}>La fecha "desde" debe ser anterior o igual a "hasta".</p>}
+            {/* Filtros de locales, usuario y laboratorio */}
+            <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'flex-start', justifyContent: 'flex-end', gap: '8px', marginBottom: '10px', fontSize: '0.9em' }}>
+                <details style={{ position: 'relative' }}>
+                    <summary style={{ cursor: 'pointer', padding: '4px 8px', border: '1px solid #ccc', borderRadius: '4px' }}>
+                        Locales: {selectedStoreIds === null ? 'Todos' : `${activeStoreIds.length} de ${allStoreIds.length}`}
+                    </summary>
+                    <div style={{ position: 'absolute', right: 0, zIndex: 10, background: 'white', border: '1px solid #ccc', borderRadius: '4px', padding: '8px', maxHeight: '260px', overflowY: 'auto', minWidth: '220px' }}>
+                        <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontWeight: 'bold' }}>
+                            <input type="checkbox" checked={selectedStoreIds === null} onChange={(e) => setSelectedStoreIds(e.target.checked ? null : [])} />
+                            Todos
+                        </label>
+                        {allStoreIds.map(storeId => (
+                            <label key={storeId} style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                                <input type="checkbox" checked={activeStoreIds.includes(storeId)} onChange={() => handleToggleStore(storeId)} />
+                                {storesData[storeId]?.name || storeId}
+                            </label>
+                        ))}
+                    </div>
+                </details>
+                <select id="email-filter" value={emailFilter} onChange={(e) => setEmailFilter(e.target.value)} className="compact-select">
+                    <option value="">Todos los usuarios</option>
+                    {emailFilter && !emailOptions.includes(emailFilter) && <option value={emailFilter}>{emailFilter}</option>}
+                    {emailOptions.map(email => ( <option key={email} value={email}>{email}</option> ))}
+                </select>
+                <select id="laboratory-filter" value={laboratoryFilter} onChange={(e) => setLaboratoryFilter(e.target.value)} className="compact-select">
+                    <option value="">Todos los laboratorios</option>
+                    {laboratoryFilter && !laboratoryOptions.includes(laboratoryFilter) && <option value={laboratoryFilter}>{laboratoryFilter}</option>}
+                    {laboratoryOptions.map(laboratory => ( <option key={laboratory} value={laboratory}>{laboratory}</option> ))}
+                </select>
             </div>
+            {isExpiryMode && (
+                <div style={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'flex-end', gap: '8px', marginBottom: '10px', fontSize: '0.8em' }}>
+                    {getExpiryUrgencyLevels().map(urgency => (
+                        <span key={urgency.level} style={{ padding: '2px 8px', borderRadius: '10px', color: urgency.color, background: urgency.background, fontWeight: 'bold' }}>{urgency.label}</span>
+                    ))}
+                </div>
+            )}
             {/* Barra de búsqueda */} 
             <div style={{ display: 'flex', alignItems: 'center', gap: '10px', margin: '0 0 15px 0' }}>
                  <input
                      id="search-input" ref={searchInputRef} autoFocus type="text"
-                     placeholder={`Buscar en ${displayMonthName} ${selectedYear}...`}
+                     placeholder={`Buscar en ${periodDescription}...`}
                      value={searchTerm} onChange={(e) => setSearchTerm(e.target.value)}
                      style={{ flexGrow: 1, padding: '10px' }}
                  />
@@ -471,24 +917,89 @@ function AdminPage() {
                  )}
             </div>
 
+            {/* Filtro de posibles duplicados y ventana de detección (superadmin) */}
+            <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', justifyContent: 'space-between', gap: '10px', margin: '0 0 15px 0', fontSize: '0.9em' }}>
+                <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                    <input type="checkbox" checked={showDuplicatesOnly} onChange={(e) => setShowDuplicatesOnly(e.target.checked)} />
+                    Solo posibles duplicados ({duplicateEntriesCount})
+                </label>
+                {userData?.role === 'superadmin' && (
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                        <label htmlFor="duplicate-window">Ventana de duplicados (min):</label>
+                        <input id="duplicate-window" type="number" min="1" max={MAX_DUPLICATE_WINDOW_MINUTES} value={duplicateWindowInput} onChange={(e) => setDuplicateWindowInput(e.target.value)} style={{ width: '80px', padding: '5px' }} />
+                        <button type="button" className="secondary" onClick={handleSaveDuplicateWindow} style={{ marginTop: 0, padding: '5px 10px', fontSize: '0.9em' }}>Guardar</button>
+                        {duplicateWindowMessage && <span style={{ color: '#555' }}>{duplicateWindowMessage}</span>}
+                    </div>
+                )}
+            </div>
+
+            <div style={{ display: 'flex', gap: '5px', marginBottom: '10px' }}>
+                {[['tabla', 'Tabla'], ['graficos', 'Gráficos']].map(([tab, label]) => (
+                    <button key={tab} type="button" className={activeTab === tab ? '' : 'secondary'} onClick={() => setActiveTab(tab)} style={{ marginTop: 0, padding: '6px 14px', fontSize: '0.9em' }}>{label}</button>
+                ))}
+            </div>
+
               {searchedEntries.length > 0 && (
                   <div className="button-group" style={{ justifyContent: 'flex-end', padding: '10px 0', borderTop: '1px solid #eee', borderBottom: '1px solid #eee', marginBottom: '20px', marginTop:'5px' }}>
-                      <div style={{display: 'flex', gap: '10px', flexWrap: 'wrap'}}>
-                          <button onClick={handleDownloadVisibleByStore} style={{padding: '6px 12px', fontSize: '0.9em', marginTop: 0, background: '#ffc107', color: '#212529'}} disabled={searchedEntries.length === 0}>Descargar Vencimientos Mes</button>
+                      <div style={{display: 'flex', gap: '10px', flexWrap: 'wrap', alignItems: 'center'}}>
+                          <select id="export-format" value={exportFormat} onChange={(e) => setExportFormat(e.target.value)} className="compact-select" title="Formato de descarga">
+                              {EXPORT_FORMATS.map(format => ( <option key={format.value} value={format.value}>{format.label}</option> ))}
+                          </select>
+                          <button onClick={handleDownloadVisibleByStore} style={{padding: '6px 12px', fontSize: '0.9em', marginTop: 0, background: '#ffc107', color: '#212529'}} disabled={searchedEntries.length === 0}>Descargar Vencimientos por Local</button>
                           <button onClick={handleDownloadConsolidatedTotalAction} style={{padding: '6px 12px', fontSize: '0.9em', marginTop: 0, background: '#007bff'}} disabled={searchedEntries.length === 0}>Descargar Totales con ROP</button>
                       </div>
                   </div>
               )}
 
+              {selectedEntryList.length > 0 && (
+                  <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', justifyContent: 'space-between', gap: '10px', padding: '8px 10px', marginBottom: '15px', background: '#e7f1ff', borderRadius: '4px', fontSize: '0.9em' }}>
+                      <span><strong>{selectedEntryList.length}</strong> entrada(s) seleccionada(s) ({selectedEntryList.reduce((total, entry) => total + entry.quantity, 0)} unidades)</span>
+                      <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+                          <button type="button" onClick={handleDownloadSelectedEntries} style={{ padding: '4px 10px', fontSize: '0.9em', marginTop: 0 }}>Exportar Seleccionadas</button>
+                          <button type="button" onClick={handleCorrectSelected} style={{ padding: '4px 10px', fontSize: '0.9em', marginTop: 0 }}>Corregir Seleccionadas</button>
+                          <button type="button" className="secondary" onClick={() => setSelectedEntries({})} style={{ padding: '4px 10px', fontSize: '0.9em', marginTop: 0 }}>Limpiar Selección</button>
+                      </div>
+                  </div>
+              )}
+
             <hr style={{marginTop: 0, borderTop: 'none', marginBottom: '20px'}}/>
 
-            {/* Mensajes de sin resultados */}
-            {!loading && !error && !hasResultsToDisplay && searchTerm && <p>No se encontraron registros en {displayMonthName} {selectedYear} que coincidan con "{searchTerm}".</p>}
-            {!loading && !error && !hasResultsToDisplay && !searchTerm && <p>No hay entradas de stock registradas en {displayMonthName} {selectedYear}.</p>}
+            {/* Mensajes de carga y sin resultados */}
+            {entriesLoading && <p>Cargando entradas de {periodDescription}...</p>}
+            {!loading && !error && !entriesLoading && !hasResultsToDisplay && searchTerm && <p>No se encontraron registros en {periodDescription} que coincidan con "{searchTerm}".</p>}
+            {!loading && !error && !entriesLoading && !hasResultsToDisplay && !searchTerm && !showDuplicatesOnly && <p>{isExpiryMode ? `No hay productos con ${periodDescription}.` : `No hay entradas de stock registradas en ${periodDescription}.`}</p>}
+            {!loading && !error && !entriesLoading && !hasResultsToDisplay && !searchTerm && showDuplicatesOnly && <p>No hay posibles duplicados en {periodDescription}.</p>}
+
+            {/* Gráficos por mes y local */}
+            {activeTab === 'graficos' && trendLoading && <p>Cargando gráficos...</p>}
+            {activeTab === 'graficos' && !trendLoading && trendStockData?.failed && <p className="error-message">No se pudieron cargar los gráficos.</p>}
+            {activeTab === 'graficos' && !trendLoading && chartBuckets && !trendStockData.failed && (
+                <div>
+                    <p style={{ fontSize: '0.85em', color: '#555', marginTop: 0 }}>
+                        Últimos {TREND_MONTHS} meses de registro y próximos {TREND_MONTHS} meses de vencimiento de los locales seleccionados, sin importar el periodo de la tabla; se aplican los filtros de usuario, laboratorio, duplicados y búsqueda. Haz clic en un segmento para ver ese mes y local en la tabla, o en el mes para ver todos los locales.
+                    </p>
+                    <StackedBarChart
+                        title="Unidades registradas por mes"
+                        buckets={chartBuckets.recording}
+                        seriesIds={allStoreIds}
+                        getSeriesLabel={(storeId) => storesData[storeId]?.name || storeId}
+                        getSeriesColor={getStoreChartColor}
+                        onBarClick={(monthKey, storeId) => handleChartBarClick('registro', monthKey, storeId)}
+                    />
+                    <StackedBarChart
+                        title="Unidades por mes de vencimiento"
+                        buckets={chartBuckets.expiry}
+                        seriesIds={allStoreIds}
+                        getSeriesLabel={(storeId) => storesData[storeId]?.name || storeId}
+                        getSeriesColor={getStoreChartColor}
+                        onBarClick={(monthKey, storeId) => handleChartBarClick('vencimiento', monthKey, storeId)}
+                    />
+                </div>
+            )}
 
             {/* Tabla consolidada por local (expandible) */}
             <div key={listKey}>
-                {hasResultsToDisplay &&
+                {activeTab === 'tabla' && hasResultsToDisplay &&
                     Object.entries(consolidatedViewData).map(([storeId, storeConsolidatedItems]) => (
                     <details key={storeId} open={Object.keys(consolidatedViewData).length === 1 || searchTerm !== ''} style={{ marginBottom: '15px', borderBottom: '1px solid #eee' }}>
                         <summary style={{ cursor: 'pointer', padding: '10px 0', fontSize: '1.3em', fontWeight: 'bold' }}>
@@ -499,31 +1010,78 @@ function AdminPage() {
                                 <table style={{width: '100%', borderCollapse: 'collapse', minWidth:'500px'}}>
                                     <thead>
                                         <tr style={{textAlign: 'left', borderBottom: '1px solid #ccc'}}>
+                                            <th style={{padding: '5px 8px', width: '20px'}}></th>
                                             <th style={{padding: '5px 8px'}}>Código Ref</th>
                                             <th style={{padding: '5px 8px'}}>Nombre Producto</th>
                                             <th style={{padding: '5px 8px', textAlign:'right'}}>Cant Total</th>
                                             <th style={{padding: '5px 8px', textAlign:'right'}}>Vencimiento</th>
+                                            <th style={{padding: '5px 8px'}}>Lote</th>
+                                            {isExpiryMode && <th style={{padding: '5px 8px', textAlign:'right'}}>Días</th>}
                                         </tr>
                                     </thead>
                                     <tbody>
-                                        {storeConsolidatedItems.map(item => (
-                                            <tr key={item.productId + '_' + item.expiryYear + '_' + item.expiryMonth} style={{borderBottom: '1px dotted #eee'}}>
-                                                <td style={{padding: '6px 8px'}}>{item.productId}</td>
-                                                <td style={{padding: '6px 8px'}}>{item.productName}</td>
-                                                <td style={{padding: '6px 8px', textAlign:'right', fontWeight:'bold'}}>{item.totalQuantity}</td>
-                                                <td style={{padding: '6px 8px', textAlign:'right'}}>{String(item.expiryMonth).padStart(2, '0')}/{item.expiryYear}</td>
-                                            </tr>
-                                        ))}
+                                        {storeConsolidatedItems.map(item => {
+                                            const daysUntilExpiry = isExpiryMode ? getDaysUntilExpiry(item) : null;
+                                            const urgency = isExpiryMode ? getExpiryUrgency(daysUntilExpiry) : null;
+                                            const rowKey = `${storeId}|${getEntryConsolidationKey(item)}`;
+                                            const isExpanded = expandedRowKey === rowKey;
+                                            const rowEntries = entriesByConsolidatedRow[rowKey] || [];
+                                            const selectedInRow = rowEntries.filter(entry => selectedEntries[entry.entryId]).length;
+                                            return (
+                                                <React.Fragment key={rowKey}>
+                                                <tr onClick={() => setExpandedRowKey(isExpanded ? null : rowKey)} title="Ver entradas" style={{borderBottom: '1px dotted #eee', cursor: 'pointer', background: urgency ? urgency.background : 'transparent'}}>
+                                                    <td style={{padding: '6px 8px', color: '#777'}}>{isExpanded ? '▾' : '▸'}</td>
+                                                    <td style={{padding: '6px 8px'}}>{item.productId}</td>
+                                                    <td style={{padding: '6px 8px'}}>{item.productName}</td>
+                                                    <td style={{padding: '6px 8px', textAlign:'right', fontWeight:'bold'}}>{item.totalQuantity}</td>
+                                                    <td style={{padding: '6px 8px', textAlign:'right'}}>{formatEntryExpiry(item)}</td>
+                                                    <td style={{padding: '6px 8px'}}>{item.lotNumber || '-'}</td>
+                                                    {isExpiryMode && <td style={{padding: '6px 8px', textAlign:'right', fontWeight:'bold', color: urgency.color}}>{daysUntilExpiry}</td>}
+                                                </tr>
+                                                {isExpanded && (
+                                                    <tr>
+                                                        <td colSpan={isExpiryMode ? 7 : 6} style={{padding: 0}}>
+                                                            <EntryDetailTable
+                                                                entries={rowEntries}
+                                                                selectedEntries={selectedEntries}
+                                                                onSelectionChange={handleSelectionChange}
+                                                                canCorrect={canCorrectEntry}
+                                                                onCorrect={(entry) => setCorrectionQueue([entry])}
+                                                            />
+                                                        </td>
+                                                    </tr>
+                                                )}
+                                                {!isExpanded && selectedInRow > 0 && (
+                                                    <tr><td colSpan={isExpiryMode ? 7 : 6} style={{padding: '0 8px 4px 30px', fontSize: '0.8em', color: '#0d6efd'}}>{selectedInRow} entrada(s) seleccionada(s)</td></tr>
+                                                )}
+                                                </React.Fragment>
+                                            );
+                                        })}
                                     </tbody>
                                 </table>
-                            ) : ( <p style={{ fontStyle: 'italic', color: '#777' }}>Sin productos con entradas este mes/año.</p> )}
+                            ) : ( <p style={{ fontStyle: 'italic', color: '#777' }}>Sin productos con entradas en este periodo.</p> )}
                         </div>
                     </details>
                     ))
                 }
             </div>
 
+            <EntryCorrectionModal
+                entry={correctionQueue[0] || null}
+                userEmail={userData?.email}
+                onClose={() => setCorrectionQueue(prev => prev.slice(1))}
+                onSaved={() => setEntriesReloadKey(prevKey => prevKey + 1)}
+            />
+
+            {indexRebuildMessage && <p style={{ textAlign: 'center', color: '#555', marginTop: '30px' }}>{indexRebuildMessage}</p>}
             <div className="button-group" style={{marginTop: '30px', justifyContent: 'center'}}>
+                <button className="secondary" onClick={() => navigate('/admin/barcode-proposals')}>Propuestas de Códigos</button>
+                <button className="secondary" onClick={() => navigate('/transfers')}>Traspasos</button>
+                <button className="secondary" onClick={() => navigate('/admin/import')}>Importar Stock</button>
+                <button className="secondary" onClick={() => navigate('/admin/catalog')}>Catálogo</button>
+                {userData?.role === 'superadmin' && (
+                    <button className="secondary" onClick={handleRebuildIndexes} title="Indexa las entradas registradas antes de los índices por periodo">Reconstruir Índices</button>
+                )}
                 <button className="secondary" onClick={() => navigate('/home')}>Volver a Home</button>
             </div>
         </div>
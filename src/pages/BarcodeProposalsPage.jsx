@@ -0,0 +1,316 @@
+/**
+ * Página de revisión de propuestas de códigos de barras nuevos.
+ * Estructura y propósito:
+ * - Lista las propuestas enviadas desde el ingreso de stock, agrupando las pendientes por código.
+ * - Muestra las entradas provisionales asociadas (cantidad, vencimiento, local y usuario).
+ * - Permite aprobar vinculando el código a un producto existente o creando un producto nuevo,
+ *   lo que convierte las entradas provisionales en entradas normales, o rechazar con motivo.
+ *
+ * Solo accesible para admin y superadmin.
+ * No recibe props. Utiliza hooks de React Router y el contexto de autenticación.
+ */
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { database } from '../firebase/firebaseConfig';
+import { ref, get } from 'firebase/database';
+import {
+    approveBarcodeProposals, rejectBarcodeProposals,
+    PROPOSAL_STATUS_PENDING, PROPOSAL_STATUS_APPROVED, PROPOSAL_STATUS_REJECTED,
+    PROPOSAL_ACTION_LINK, PROPOSAL_ACTION_CREATE
+} from '../utils/barcodeProposals';
+import { formatEntryExpiry, ENTRY_STATUS_VOIDED } from '../utils/stockEntries';
+
+const fieldStyle = { width: '100%', padding: '8px', border: '1px solid #bdc3c7', borderRadius: '5px' };
+
+/**
+ * Formatea un timestamp a una fecha legible en español (es-CL).
+ * @param {number} timestamp
+ * @returns {string}
+ */
+const formatTimestamp = (timestamp) => {
+    if (!timestamp) return 'N/A';
+    return new Date(timestamp).toLocaleString('es-CL');
+};
+
+/**
+ * Devuelve la etiqueta y color para el estado de una propuesta.
+ * @param {string} status
+ * @returns {{label: string, color: string}}
+ */
+const getStatusBadge = (status) => {
+    if (status === PROPOSAL_STATUS_APPROVED) return { label: 'Aprobada', color: '#198754' };
+    if (status === PROPOSAL_STATUS_REJECTED) return { label: 'Rechazada', color: '#dc3545' };
+    return { label: 'Pendiente', color: '#fd7e14' };
+};
+
+function BarcodeProposalsPage() {
+    /**
+     * Datos del usuario autenticado y navegación.
+     */
+    const { currentUser } = useAuth();
+    const navigate = useNavigate();
+
+    /**
+     * Estados de la página:
+     * proposals: Object - Propuestas: { [proposalId]: {...} }.
+     * provisionalStock: Object - Entradas provisionales: { [storeId]: { [entryId]: {...} } }.
+     * stores: Object - Locales, para mostrar sus nombres.
+     * showResolved: boolean - Si se listan también las propuestas aprobadas/rechazadas.
+     * reviewBarcode: string|null - Código cuyo formulario de revisión está abierto.
+     * reviewForm: Object - Datos del formulario de revisión: { action, productId, name, laboratory, reason }.
+     */
+    const [proposals, setProposals] = useState({});
+    const [provisionalStock, setProvisionalStock] = useState({});
+    const [stores, setStores] = useState({});
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [successMessage, setSuccessMessage] = useState('');
+    const [showResolved, setShowResolved] = useState(false);
+    const [reviewBarcode, setReviewBarcode] = useState(null);
+    const [reviewForm, setReviewForm] = useState({ action: PROPOSAL_ACTION_LINK, productId: '', name: '', laboratory: '', reason: '' });
+    const [reviewError, setReviewError] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+
+    /**
+     * Carga propuestas, entradas provisionales y locales.
+     */
+    const fetchData = useCallback(async () => {
+        setLoading(true); setError('');
+        try {
+            const [proposalsSnapshot, provisionalSnapshot, storesSnapshot] = await Promise.all([
+                get(ref(database, 'barcodeProposals')), get(ref(database, 'provisionalStock')), get(ref(database, 'stores'))
+            ]);
+            setProposals(proposalsSnapshot.exists() ? proposalsSnapshot.val() : {});
+            setProvisionalStock(provisionalSnapshot.exists() ? provisionalSnapshot.val() : {});
+            setStores(storesSnapshot.exists() ? storesSnapshot.val() : {});
+        } catch (err) {
+            console.error("Error fetching barcode proposals:", err);
+            setError('Error al cargar las propuestas.');
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => { fetchData(); }, [fetchData]);
+
+    /**
+     * Propuestas agrupadas por código: pendientes primero y, dentro de cada grupo, de la más antigua a la más reciente.
+     * Cada grupo: { barcode, pending: boolean, proposals: [{ proposalId, ...proposal, entries: [...] }] }.
+     */
+    const proposalGroups = useMemo(() => {
+        const groups = {};
+        Object.entries(proposals).forEach(([proposalId, proposal]) => {
+            const isPending = proposal.status === PROPOSAL_STATUS_PENDING;
+            if (!isPending && !showResolved) return;
+            const groupKey = isPending ? `p_${proposal.barcode}` : `r_${proposalId}`;
+            if (!groups[groupKey]) groups[groupKey] = { barcode: proposal.barcode, pending: isPending, proposals: [] };
+            const entries = Object.entries(proposal.provisionalEntries || {})
+                .map(([entryId, storeId]) => {
+                    const entry = provisionalStock[storeId]?.[entryId];
+                    return entry ? { ...entry, entryId, storeId } : null;
+                })
+                .filter(Boolean);
+            groups[groupKey].proposals.push({ ...proposal, proposalId, entries });
+        });
+        return Object.values(groups)
+            .map(group => ({ ...group, proposals: group.proposals.sort((a, b) => Number(a.createdAt) - Number(b.createdAt)) }))
+            .sort((a, b) => (b.pending - a.pending) || Number(b.proposals[0].createdAt) - Number(a.proposals[0].createdAt));
+    }, [proposals, provisionalStock, showResolved]);
+
+    const pendingCount = Object.values(proposals).filter(proposal => proposal.status === PROPOSAL_STATUS_PENDING).length;
+
+    /**
+     * Abre el formulario de revisión de un código, precargado con la primera propuesta.
+     * Si el usuario indicó un producto existente, se propone vincular; si no, crear uno nuevo.
+     * @param {object} group
+     */
+    const openReview = (group) => {
+        const first = group.proposals[0];
+        const linked = group.proposals.find(proposal => proposal.linkedProductId)?.linkedProductId || '';
+        setReviewBarcode(group.barcode);
+        setReviewForm({
+            action: linked ? PROPOSAL_ACTION_LINK : PROPOSAL_ACTION_CREATE,
+            productId: linked,
+            name: first.proposedName || '',
+            laboratory: first.proposedLaboratory || '',
+            reason: ''
+        });
+        setReviewError(''); setSuccessMessage('');
+    };
+
+    const handleReviewFieldChange = (field, value) => setReviewForm(prev => ({ ...prev, [field]: value }));
+
+    /**
+     * Aprueba todas las propuestas pendientes del código en revisión.
+     * @param {object} group
+     */
+    const handleApprove = async (group) => {
+        setReviewError('');
+        setIsSaving(true);
+        try {
+            const convertedCount = await approveBarcodeProposals({
+                proposals: group.proposals,
+                action: reviewForm.action,
+                productId: reviewForm.productId,
+                newProduct: { name: reviewForm.name, laboratory: reviewForm.laboratory },
+                reviewerEmail: currentUser?.email
+            });
+            setSuccessMessage(`Código ${group.barcode} aprobado.${convertedCount > 0 ? ` ${convertedCount} ingreso(s) provisional(es) pasaron al inventario.` : ''}`);
+            setReviewBarcode(null);
+            fetchData();
+        } catch (err) {
+            console.error("Error approving barcode proposal:", err);
+            setReviewError(err.message || 'Error al aprobar la propuesta.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    /**
+     * Rechaza todas las propuestas pendientes del código en revisión y anula sus ingresos provisionales.
+     * @param {object} group
+     */
+    const handleReject = async (group) => {
+        setReviewError('');
+        if (!reviewForm.reason.trim()) { setReviewError('Ingresa el motivo del rechazo.'); return; }
+        setIsSaving(true);
+        try {
+            await rejectBarcodeProposals({ proposals: group.proposals, reason: reviewForm.reason, reviewerEmail: currentUser?.email });
+            setSuccessMessage(`Propuesta del código ${group.barcode} rechazada.`);
+            setReviewBarcode(null);
+            fetchData();
+        } catch (err) {
+            console.error("Error rejecting barcode proposal:", err);
+            setReviewError(err.message || 'Error al rechazar la propuesta.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="page-container" style={{ marginTop: '20px', maxWidth: '1050px' }}>
+            <h1>Propuestas de Códigos Nuevos</h1>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', justifyContent: 'space-between', alignItems: 'center', marginBottom: '15px' }}>
+                <span style={{ fontWeight: 'bold', color: '#555' }}>{pendingCount} propuesta(s) pendiente(s)</span>
+                <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.9em' }}>
+                    <input type="checkbox" checked={showResolved} onChange={(e) => setShowResolved(e.target.checked)} />
+                    Mostrar aprobadas y rechazadas
+                </label>
+            </div>
+
+            {error && <p className="error-message">{error}</p>}
+            {successMessage && <p style={{ color: 'green', textAlign: 'center', fontWeight: 'bold' }}>{successMessage}</p>}
+            {loading && <p>Cargando propuestas...</p>}
+            {!loading && !error && proposalGroups.length === 0 && <p>No hay propuestas {showResolved ? '' : 'pendientes '}de códigos nuevos.</p>}
+
+            {!loading && proposalGroups.map(group => {
+                const groupKey = group.pending ? `p_${group.barcode}` : `r_${group.proposals[0].proposalId}`;
+                const isReviewing = group.pending && reviewBarcode === group.barcode;
+                return (
+                    <div key={groupKey} style={{ border: '1px solid #dee2e6', borderRadius: '6px', padding: '12px 15px', marginBottom: '15px' }}>
+                        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '10px', flexWrap: 'wrap' }}>
+                            <div>
+                                <span style={{ fontSize: '1.2em', fontWeight: 'bold' }}>{group.barcode}</span>
+                                {group.proposals.length > 1 && <span style={{ marginLeft: '8px', color: '#555' }}>({group.proposals.length} propuestas)</span>}
+                            </div>
+                            {group.pending && !isReviewing && (
+                                <button type="button" onClick={() => openReview(group)} style={{ marginTop: 0, padding: '6px 12px', fontSize: '0.9em' }}>Revisar</button>
+                            )}
+                        </div>
+
+                        <table style={{ width: '100%', borderCollapse: 'collapse', marginTop: '8px', fontSize: '0.9em' }}>
+                            <tbody>
+                                {group.proposals.map(proposal => {
+                                    const badge = getStatusBadge(proposal.status);
+                                    return (
+                                        <React.Fragment key={proposal.proposalId}>
+                                            <tr style={{ borderTop: '1px dotted #eee' }}>
+                                                <td style={{ padding: '5px 8px' }}>
+                                                    <strong>{proposal.proposedName}</strong> · {proposal.proposedLaboratory}
+                                                    {proposal.linkedProductId && <div style={{ fontSize: '0.85em', color: '#0d6efd' }}>Producto sugerido: {proposal.linkedProductId}</div>}
+                                                </td>
+                                                <td style={{ padding: '5px 8px' }}>{stores[proposal.storeId]?.name || proposal.storeId}</td>
+                                                <td style={{ padding: '5px 8px' }}>{proposal.userEmail}</td>
+                                                <td style={{ padding: '5px 8px', whiteSpace: 'nowrap' }}>{formatTimestamp(proposal.createdAt)}</td>
+                                                <td style={{ padding: '5px 8px', color: badge.color, fontWeight: 'bold' }}>{badge.label}</td>
+                                            </tr>
+                                            {proposal.entries.map(entry => (
+                                                <tr key={entry.entryId} style={{ backgroundColor: '#f8f9fa', opacity: entry.status === ENTRY_STATUS_VOIDED ? 0.6 : 1 }}>
+                                                    <td colSpan={5} style={{ padding: '4px 8px 4px 24px', fontSize: '0.9em' }}>
+                                                        Ingreso provisional: <strong>{entry.quantity} u.</strong> · Venc. {formatEntryExpiry(entry)}{entry.lotNumber ? ` · Lote ${entry.lotNumber}` : ''}
+                                                        {entry.status === ENTRY_STATUS_VOIDED && ' · Anulado'}
+                                                    </td>
+                                                </tr>
+                                            ))}
+                                            {proposal.resolution && (
+                                                <tr>
+                                                    <td colSpan={5} style={{ padding: '4px 8px 4px 24px', fontSize: '0.85em', color: '#555' }}>
+                                                        {proposal.status === PROPOSAL_STATUS_APPROVED
+                                                            ? `${proposal.resolution.action === PROPOSAL_ACTION_CREATE ? 'Producto creado' : 'Vinculado'}: ${proposal.resolution.productId}`
+                                                            : `Motivo: ${proposal.resolution.reason}`}
+                                                        {' · '}{proposal.resolution.reviewedBy} · {formatTimestamp(proposal.resolution.reviewedAt)}
+                                                    </td>
+                                                </tr>
+                                            )}
+                                        </React.Fragment>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+
+                        {isReviewing && (
+                            <div style={{ marginTop: '12px', padding: '12px', backgroundColor: '#f8f9fa', borderRadius: '6px' }}>
+                                <div style={{ display: 'flex', gap: '20px', marginBottom: '10px', flexWrap: 'wrap' }}>
+                                    <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                                        <input type="radio" name="review-action" checked={reviewForm.action === PROPOSAL_ACTION_LINK} onChange={() => handleReviewFieldChange('action', PROPOSAL_ACTION_LINK)} disabled={isSaving} />
+                                        Vincular a producto existente
+                                    </label>
+                                    <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                                        <input type="radio" name="review-action" checked={reviewForm.action === PROPOSAL_ACTION_CREATE} onChange={() => handleReviewFieldChange('action', PROPOSAL_ACTION_CREATE)} disabled={isSaving} />
+                                        Crear producto nuevo
+                                    </label>
+                                </div>
+                                <div className="input-group">
+                                    <label htmlFor="review-product-id">Código de referencia{reviewForm.action === PROPOSAL_ACTION_CREATE ? ' del producto nuevo' : ''}:</label>
+                                    <input id="review-product-id" type="text" value={reviewForm.productId} onChange={(e) => handleReviewFieldChange('productId', e.target.value)} disabled={isSaving} style={fieldStyle} />
+                                </div>
+                                {reviewForm.action === PROPOSAL_ACTION_CREATE && (
+                                    <div style={{ display: 'flex', gap: '15px', flexWrap: 'wrap' }}>
+                                        <div className="input-group" style={{ flex: 2, minWidth: '200px' }}>
+                                            <label htmlFor="review-name">Nombre:</label>
+                                            <input id="review-name" type="text" value={reviewForm.name} onChange={(e) => handleReviewFieldChange('name', e.target.value)} disabled={isSaving} style={fieldStyle} />
+                                        </div>
+                                        <div className="input-group" style={{ flex: 1, minWidth: '160px' }}>
+                                            <label htmlFor="review-laboratory">Laboratorio:</label>
+                                            <input id="review-laboratory" type="text" value={reviewForm.laboratory} onChange={(e) => handleReviewFieldChange('laboratory', e.target.value)} disabled={isSaving} style={fieldStyle} />
+                                        </div>
+                                    </div>
+                                )}
+                                <div className="input-group">
+                                    <label htmlFor="review-reason">Motivo (solo para rechazar):</label>
+                                    <input id="review-reason" type="text" value={reviewForm.reason} onChange={(e) => handleReviewFieldChange('reason', e.target.value)} disabled={isSaving} style={fieldStyle} />
+                                </div>
+                                {reviewError && <p className="error-message">{reviewError}</p>}
+                                <div className="button-group" style={{ justifyContent: 'flex-end', gap: '10px' }}>
+                                    <button type="button" className="secondary" onClick={() => setReviewBarcode(null)} disabled={isSaving}>Cancelar</button>
+                                    <button type="button" onClick={() => handleReject(group)} disabled={isSaving} style={{ background: '#dc3545' }}>Rechazar</button>
+                                    <button type="button" onClick={() => handleApprove(group)} disabled={isSaving || !reviewForm.productId.trim()}>
+                                        {isSaving ? 'Guardando...' : 'Aprobar'}
+                                    </button>
+                                </div>
+                            </div>
+                        )}
+                    </div>
+                );
+            })}
+
+            <div className="button-group" style={{ marginTop: '30px', justifyContent: 'center' }}>
+                <button className="secondary" onClick={() => navigate('/admin')}>Ir a Inventario</button>
+                <button className="secondary" onClick={() => navigate('/home')}>Volver a Inicio</button>
+            </div>
+        </div>
+    );
+}
+
+export default BarcodeProposalsPage;
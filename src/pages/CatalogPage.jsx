@@ -0,0 +1,377 @@
+/**
+ * Página de mantención del catálogo de productos y sus códigos de barras.
+ * Estructura y propósito:
+ * - Búsqueda de productos por código de referencia, nombre o laboratorio.
+ * - Formulario para crear o editar un producto (nombre, laboratorio; el código de referencia solo se ingresa al crearlo)
+ *   y administrar sus códigos de barras. Al agregar un código se avisa si ya está asignado a otro producto.
+ * - Importación masiva desde Excel con vista previa fila por fila (ver catalogManagement.js).
+ *
+ * Solo accesible para admin y superadmin.
+ * No recibe props. Utiliza hooks de React Router.
+ */
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { loadProductCatalog } from '../utils/productCatalog';
+import { normalizeSearchText } from '../utils/productSearch';
+import { isValidDatabaseKey } from '../utils/barcodeProposals';
+import {
+    loadProductBarcodes, findBarcodeConflicts, saveCatalogProduct, parseBarcodeList,
+    parseCatalogFile, resolveCatalogImportRows, commitCatalogImport, CATALOG_IMPORT_ACTION_CREATE
+} from '../utils/catalogManagement';
+
+const RESULT_LIMIT = 50;
+const cellStyle = { padding: '5px 8px' };
+const fieldStyle = { width: '100%', padding: '8px', border: '1px solid #bdc3c7', borderRadius: '5px' };
+const emptyForm = { productId: '', name: '', laboratory: '', barcodes: [] };
+
+function CatalogPage() {
+    const navigate = useNavigate();
+
+    /**
+     * Estados de la página:
+     * products: Object - Catálogo: { [productId]: { name, laboratory } }.
+     * searchTerm: string - Filtro de la lista de productos.
+     * form: Object|null - Producto en edición ({ productId, name, laboratory, barcodes }), null si no hay formulario abierto.
+     * isNewProduct: boolean - Si el formulario crea un producto nuevo.
+     * barcodeInput: string - Código(s) por agregar al formulario.
+     * previewRows: Array|null - Filas resueltas de la importación (ver resolveCatalogImportRows).
+     */
+    const [products, setProducts] = useState({});
+    const [searchTerm, setSearchTerm] = useState('');
+    const [form, setForm] = useState(null);
+    const [isNewProduct, setIsNewProduct] = useState(false);
+    const [barcodeInput, setBarcodeInput] = useState('');
+    const [formError, setFormError] = useState('');
+    const [fileInputKey, setFileInputKey] = useState(0);
+    const [importFile, setImportFile] = useState(null);
+    const [previewRows, setPreviewRows] = useState(null);
+    const [showErrorsOnly, setShowErrorsOnly] = useState(false);
+    const [loading, setLoading] = useState(true);
+    const [isProcessing, setIsProcessing] = useState(false);
+    const [error, setError] = useState('');
+    const [successMessage, setSuccessMessage] = useState('');
+
+    /**
+     * Carga el catálogo (desde la caché local si la versión no cambió).
+     */
+    const fetchCatalog = useCallback(async () => {
+        try {
+            setProducts(await loadProductCatalog());
+        } catch (err) {
+            console.error("Error fetching product catalog:", err);
+            setError('Error al cargar el catálogo de productos.');
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => { fetchCatalog(); }, [fetchCatalog]);
+
+    /**
+     * Productos que coinciden con la búsqueda (todas las palabras, sin distinguir tildes).
+     */
+    const matchingProductIds = useMemo(() => {
+        const words = normalizeSearchText(searchTerm).split(/\s+/).filter(Boolean);
+        if (words.length === 0) return [];
+        return Object.keys(products)
+            .filter(productId => {
+                const text = normalizeSearchText(`${productId} ${products[productId]?.name || ''} ${products[productId]?.laboratory || ''}`);
+                return words.every(word => text.includes(word));
+            })
+            .sort((a, b) => (products[a].name || a).localeCompare(products[b].name || b));
+    }, [searchTerm, products]);
+
+    const openNewProduct = () => {
+        setForm(emptyForm); setIsNewProduct(true); setBarcodeInput(''); setFormError(''); setSuccessMessage('');
+    };
+
+    /**
+     * Abre el formulario de un producto existente con sus códigos de barras actuales.
+     * @param {string} productId
+     */
+    const openProduct = async (productId) => {
+        setFormError(''); setSuccessMessage(''); setBarcodeInput('');
+        setIsProcessing(true);
+        try {
+            const barcodes = await loadProductBarcodes(productId);
+            setForm({ productId, name: products[productId]?.name || '', laboratory: products[productId]?.laboratory || '', barcodes });
+            setIsNewProduct(false);
+        } catch (err) {
+            console.error("Error fetching product barcodes:", err);
+            setError('Error al cargar los códigos de barras del producto.');
+        } finally {
+            setIsProcessing(false);
+        }
+    };
+
+    /**
+     * Agrega al formulario los códigos ingresados, avisando si alguno ya pertenece a otro producto.
+     */
+    const handleAddBarcodes = async () => {
+        const barcodes = parseBarcodeList(barcodeInput).filter(barcode => !form.barcodes.includes(barcode));
+        if (barcodes.length === 0) { setBarcodeInput(''); return; }
+        const invalidBarcode = barcodes.find(barcode => !isValidDatabaseKey(barcode));
+        if (invalidBarcode) { setFormError(`El código de barras "${invalidBarcode}" contiene caracteres no válidos.`); return; }
+        setFormError('');
+        setIsProcessing(true);
+        try {
+            const conflicts = await findBarcodeConflicts(barcodes, form.productId.trim());
+            if (conflicts.length > 0) {
+                setFormError(conflicts.map(conflict =>
+                    `El código "${conflict.barcode}" ya está asignado a ${products[conflict.productId]?.name || 'otro producto'} (${conflict.productId}).`
+                ).join(' '));
+                return;
+            }
+            setForm(prev => ({ ...prev, barcodes: [...prev.barcodes, ...barcodes] }));
+            setBarcodeInput('');
+        } catch (err) {
+            console.error("Error checking barcodes:", err);
+            setFormError('Error al verificar los códigos de barras.');
+        } finally {
+            setIsProcessing(false);
+        }
+    };
+
+    const handleRemoveBarcode = (barcode) => {
+        setForm(prev => ({ ...prev, barcodes: prev.barcodes.filter(code => code !== barcode) }));
+    };
+
+    /**
+     * Guarda el producto del formulario.
+     */
+    const handleSaveProduct = async (e) => {
+        e.preventDefault();
+        if (barcodeInput.trim()) { setFormError('Agrega o borra el código de barras ingresado antes de guardar.'); return; }
+        setFormError(''); setSuccessMessage('');
+        setIsProcessing(true);
+        try {
+            await saveCatalogProduct({ ...form, isNew: isNewProduct });
+            setSuccessMessage(`Producto ${form.productId.trim()} ${isNewProduct ? 'creado' : 'actualizado'}.`);
+            setForm(null);
+            await fetchCatalog();
+        } catch (err) {
+            console.error("Error saving product:", err);
+            setFormError(err.message || 'Error al guardar el producto.');
+        } finally {
+            setIsProcessing(false);
+        }
+    };
+
+    /**
+     * Lee y valida la planilla seleccionada para la vista previa.
+     */
+    const handlePreview = async () => {
+        if (!importFile) { setError('Selecciona un archivo .xlsx o .csv.'); return; }
+        setError(''); setSuccessMessage(''); setPreviewRows(null);
+        setIsProcessing(true);
+        try {
+            const rows = await parseCatalogFile(importFile);
+            setPreviewRows(await resolveCatalogImportRows(rows, products));
+        } catch (err) {
+            console.error("Error reading catalog file:", err);
+            setError(err.message || 'No se pudo leer el archivo.');
+        } finally {
+            setIsProcessing(false);
+        }
+    };
+
+    /**
+     * Importa las filas válidas de la vista previa.
+     */
+    const handleImport = async () => {
+        const validCount = previewRows.filter(row => row.errors.length === 0).length;
+        if (!window.confirm(`Se importarán ${validCount} producto(s). ¿Continuar?`)) return;
+        setError(''); setSuccessMessage('');
+        setIsProcessing(true);
+        try {
+            const { created, updated, barcodes } = await commitCatalogImport(previewRows);
+            setSuccessMessage(`Catálogo importado: ${created} producto(s) nuevo(s), ${updated} actualizado(s) y ${barcodes} código(s) de barras agregado(s).`);
+            setPreviewRows(null); setImportFile(null); setFileInputKey(prev => prev + 1);
+            await fetchCatalog();
+        } catch (err) {
+            console.error("Error importing catalog:", err);
+            setError(err.message || 'Error al importar el catálogo.');
+        } finally {
+            setIsProcessing(false);
+        }
+    };
+
+    if (loading) return <div className="page-container" style={{ marginTop: '20px' }}><p>Cargando...</p></div>;
+
+    const errorCount = previewRows ? previewRows.filter(row => row.errors.length > 0).length : 0;
+    const validCount = previewRows ? previewRows.length - errorCount : 0;
+    const visibleRows = previewRows ? previewRows.filter(row => !showErrorsOnly || row.errors.length > 0) : [];
+
+    return (
+        <div className="page-container" style={{ marginTop: '20px', maxWidth: '1100px' }}>
+            <h1>Catálogo de Productos</h1>
+            <p style={{ fontSize: '0.9em', color: '#555' }}>{Object.keys(products).length} producto(s) en el catálogo.</p>
+            {error && <p className="error-message">{error}</p>}
+            {successMessage && <p style={{ color: '#198754', fontWeight: 'bold' }}>{successMessage}</p>}
+
+            <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '10px', marginBottom: '15px' }}>
+                <input
+                    type="text"
+                    value={searchTerm}
+                    onChange={(e) => setSearchTerm(e.target.value)}
+                    placeholder="Buscar por código, nombre o laboratorio..."
+                    style={{ flex: '1 1 250px', margin: 0 }}
+                />
+                <button type="button" onClick={openNewProduct} disabled={isProcessing} style={{ marginTop: 0, padding: '6px 12px', fontSize: '0.9em' }}>Nuevo producto</button>
+            </div>
+
+            {form && (
+                <form onSubmit={handleSaveProduct} style={{ marginBottom: '25px', padding: '15px', border: '1px solid #ddd', borderRadius: '4px' }}>
+                    <h2 style={{ marginTop: 0 }}>{isNewProduct ? 'Nuevo producto' : `Editar ${form.productId}`}</h2>
+                    {formError && <p className="error-message">{formError}</p>}
+                    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: '10px' }}>
+                        <div>
+                            <label htmlFor="catalog-product-id">Código de referencia</label>
+                            <input id="catalog-product-id" type="text" value={form.productId} onChange={(e) => setForm(prev => ({ ...prev, productId: e.target.value }))} disabled={!isNewProduct || isProcessing} style={fieldStyle} />
+                        </div>
+                        <div>
+                            <label htmlFor="catalog-product-name">Nombre</label>
+                            <input id="catalog-product-name" type="text" value={form.name} onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))} disabled={isProcessing} style={fieldStyle} />
+                        </div>
+                        <div>
+                            <label htmlFor="catalog-product-laboratory">Laboratorio</label>
+                            <input id="catalog-product-laboratory" type="text" value={form.laboratory} onChange={(e) => setForm(prev => ({ ...prev, laboratory: e.target.value }))} disabled={isProcessing} style={fieldStyle} />
+                        </div>
+                    </div>
+                    <p style={{ margin: '15px 0 5px', fontWeight: 'bold' }}>Códigos de barras</p>
+                    {form.barcodes.length === 0 ? (
+                        <p style={{ fontStyle: 'italic', color: '#777', margin: '0 0 10px' }}>Sin códigos de barras.</p>
+                    ) : (
+                        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginBottom: '10px' }}>
+                            {form.barcodes.map(barcode => (
+                                <span key={barcode} style={{ display: 'inline-flex', alignItems: 'center', gap: '4px', padding: '3px 8px', background: '#eef2f7', borderRadius: '12px', fontSize: '0.9em' }}>
+                                    {barcode}
+                                    <button type="button" onClick={() => handleRemoveBarcode(barcode)} disabled={isProcessing} title="Quitar" style={{ marginTop: 0, padding: '0 6px', fontSize: '0.85em', background: 'transparent', color: '#dc3545' }}>×</button>
+                                </span>
+                            ))}
+                        </div>
+                    )}
+                    <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
+                        <input
+                            type="text"
+                            value={barcodeInput}
+                            onChange={(e) => setBarcodeInput(e.target.value)}
+                            onKeyDown={(e) => { if (e.key === 'Enter') { e.preventDefault(); handleAddBarcodes(); } }}
+                            placeholder="Escanea o escribe códigos (separados por coma)"
+                            disabled={isProcessing || !form.productId.trim()}
+                            style={{ ...fieldStyle, flex: 1 }}
+                        />
+                        <button type="button" className="secondary" onClick={handleAddBarcodes} disabled={isProcessing || !barcodeInput.trim() || !form.productId.trim()} style={{ marginTop: 0 }}>Agregar</button>
+                    </div>
+                    <div className="button-group" style={{ justifyContent: 'flex-end', gap: '10px' }}>
+                        <button type="button" className="secondary" onClick={() => setForm(null)} disabled={isProcessing}>Cancelar</button>
+                        <button type="submit" disabled={isProcessing}>{isProcessing ? 'Guardando...' : 'Guardar producto'}</button>
+                    </div>
+                </form>
+            )}
+
+            {searchTerm.trim() && (
+                <section style={{ marginBottom: '25px' }}>
+                    <p style={{ fontSize: '0.9em', color: '#555', margin: '0 0 5px' }}>
+                        {matchingProductIds.length} resultado(s){matchingProductIds.length > RESULT_LIMIT ? `; se muestran los primeros ${RESULT_LIMIT}` : ''}.
+                    </p>
+                    <div style={{ overflowX: 'auto' }}>
+                        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9em' }}>
+                            <thead>
+                                <tr style={{ textAlign: 'left', borderBottom: '1px solid #ccc' }}>
+                                    <th style={cellStyle}>Cod Ref</th>
+                                    <th style={cellStyle}>Nombre</th>
+                                    <th style={cellStyle}>Laboratorio</th>
+                                    <th style={cellStyle}></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {matchingProductIds.slice(0, RESULT_LIMIT).map(productId => (
+                                    <tr key={productId} style={{ borderBottom: '1px dotted #eee' }}>
+                                        <td style={cellStyle}>{productId}</td>
+                                        <td style={cellStyle}>{products[productId]?.name}</td>
+                                        <td style={cellStyle}>{products[productId]?.laboratory || '-'}</td>
+                                        <td style={cellStyle}>
+                                            <button type="button" className="secondary" onClick={() => openProduct(productId)} disabled={isProcessing} style={{ marginTop: 0, padding: '3px 8px', fontSize: '0.85em' }}>Editar</button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </section>
+            )}
+
+            <h2>Importar catálogo</h2>
+            <p style={{ fontSize: '0.9em', color: '#555' }}>
+                Archivo .xlsx o .csv (UTF-8) con encabezados: <strong>Código Ref</strong>, <strong>Nombre</strong>, <strong>Laboratorio</strong> y{' '}
+                <strong>Códigos de barras</strong> (varios separados por coma). En productos existentes, un nombre o laboratorio vacío conserva el actual
+                y los códigos se agregan a los que ya tiene.
+            </p>
+            <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '10px', marginBottom: '15px' }}>
+                <input key={fileInputKey} type="file" accept=".xlsx,.xls,.csv" onChange={(e) => { setImportFile(e.target.files[0] || null); setPreviewRows(null); }} disabled={isProcessing} />
+                <button type="button" onClick={handlePreview} disabled={!importFile || isProcessing} style={{ marginTop: 0, padding: '6px 12px', fontSize: '0.9em' }}>
+                    {isProcessing && !previewRows ? 'Leyendo...' : 'Vista previa'}
+                </button>
+            </div>
+
+            {previewRows && (
+                <section style={{ marginBottom: '25px' }}>
+                    <div style={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'space-between', alignItems: 'center', gap: '10px' }}>
+                        <p style={{ margin: 0, fontWeight: 'bold' }}>
+                            {previewRows.length} fila(s): <span style={{ color: '#198754' }}>{validCount} válida(s)</span>
+                            {errorCount > 0 && <span style={{ color: '#dc3545' }}> · {errorCount} con errores (no se importan)</span>}
+                        </p>
+                        <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.9em' }}>
+                            <input type="checkbox" checked={showErrorsOnly} onChange={(e) => setShowErrorsOnly(e.target.checked)} />
+                            Solo filas con errores
+                        </label>
+                    </div>
+                    <div style={{ overflowX: 'auto', maxHeight: '60vh', overflowY: 'auto', marginTop: '10px' }}>
+                        <table style={{ width: '100%', borderCollapse: 'collapse', minWidth: '800px', fontSize: '0.85em' }}>
+                            <thead>
+                                <tr style={{ textAlign: 'left', borderBottom: '1px solid #ccc' }}>
+                                    <th style={cellStyle}>Fila</th>
+                                    <th style={cellStyle}>Cod Ref</th>
+                                    <th style={cellStyle}>Nombre</th>
+                                    <th style={cellStyle}>Laboratorio</th>
+                                    <th style={cellStyle}>Códigos nuevos</th>
+                                    <th style={cellStyle}>Acción</th>
+                                    <th style={cellStyle}>Estado</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {visibleRows.map(row => {
+                                    const hasErrors = row.errors.length > 0;
+                                    return (
+                                        <tr key={row.rowNumber} style={{ borderBottom: '1px dotted #eee', background: hasErrors ? '#fdecea' : 'transparent' }}>
+                                            <td style={cellStyle}>{row.rowNumber}</td>
+                                            <td style={cellStyle}>{row.productId || '-'}</td>
+                                            <td style={cellStyle}>{row.name || '-'}</td>
+                                            <td style={cellStyle}>{row.laboratory || '-'}</td>
+                                            <td style={cellStyle}>{row.newBarcodes.join(', ') || '-'}</td>
+                                            <td style={cellStyle}>{row.action === CATALOG_IMPORT_ACTION_CREATE ? 'Crear' : 'Actualizar'}</td>
+                                            <td style={{ ...cellStyle, color: hasErrors ? '#dc3545' : '#198754' }}>{hasErrors ? row.errors.join(' ') : 'OK'}</td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                    <div className="button-group" style={{ justifyContent: 'flex-end', gap: '10px' }}>
+                        <button type="button" className="secondary" onClick={() => setPreviewRows(null)} disabled={isProcessing}>Descartar</button>
+                        <button type="button" onClick={handleImport} disabled={isProcessing || validCount === 0}>
+                            {isProcessing ? 'Importando...' : `Importar ${validCount} fila(s) válida(s)`}
+                        </button>
+                    </div>
+                </section>
+            )}
+
+            <div className="button-group" style={{ marginTop: '30px', justifyContent: 'center' }}>
+                <button className="secondary" onClick={() => navigate('/admin')}>Volver a Inventario</button>
+            </div>
+        </div>
+    );
+}
+
+export default CatalogPage;
@@ -2,14 +2,20 @@
  * @file CuadraturasPage.jsx
  * @description
  * Página de Cuadraturas por Local. Permite a administradores y superadministradores visualizar, filtrar y navegar a la rectificación de sesiones POS agrupadas jerárquicamente por local, mes y día.
- * Incluye lógica para cargar datos desde Odoo y Firebase, filtrar por estado, y gestionar la navegación a la página de rectificación.
+ * Incluye lógica para cargar datos desde Odoo y Firebase, filtrar por estado y local, y gestionar la navegación a la página de rectificación.
  * Cada función, hook, estado y estructura de datos está documentada en español para facilitar el mantenimiento y la comprensión del flujo.
  *
  * Estructura principal:
  * - Carga y procesamiento de sesiones POS desde Odoo y solicitudes/borradores de rectificación desde Firebase.
+ *   Solo se cargan los últimos DEFAULT_WINDOW_DAYS días (filtrados en Odoo por start_at y crm_team_id);
+ *   los meses anteriores de cada local se piden a Odoo al abrirlos.
  * - Agrupación jerárquica de sesiones por local, mes y día.
  * - Filtros por estado de rectificación (aprobada, rechazada, pendiente, borrador, sin rectificar).
+ * - Resumen de indicadores por local y por mes (sesiones, diferencias, conteo por estado) que sigue al filtro de estado.
+ * - Exportación a Excel de la vista filtrada: sesiones con su rectificación y un resumen por local (ver cuadraturasExport.js).
  * - Navegación a la página de rectificación según el estado y rol del usuario.
+ * - Los admins solo ven y rectifican las sesiones del local de Odoo asociado a su local (stores/{storeId}/odooTeamId);
+ *   los superadmin ven todos los locales y pueden filtrar por uno.
  * - Renderizado visual con animaciones de carga y manejo de errores.
  *
  * Documentación Revisada por GitHub Copilot
@@ -42,73 +48,148 @@ function CuadraturasSkeletonLoader() {
 
 
 // Importaciones principales de React y librerías necesarias
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { useNavigate } from 'react-router-dom'; // Para navegación entre páginas
 import { useAuth } from '../context/AuthContext'; // Contexto de autenticación de usuario
 import { database } from '../firebase/firebaseConfig'; // Configuración de Firebase
 import { ref, get } from "firebase/database"; // Métodos de Firebase para obtener datos
+import { loadDraftSessionIds, rebuildRectificationDraftIndex } from '../utils/rectificationDrafts';
+import { API_ENDPOINT, callOdooApi, toOdooDateTime, parseOdooDateTime } from '../utils/odooApi';
+import { canUserAccessSessionStore } from '../utils/storeOdooTeams';
+import { SUMMARY_STATUSES, summarizeSessions, getMonthSessions, getStoreSessions } from '../utils/cuadraturasSummary';
+import { buildCuadraturasReport } from '../utils/cuadraturasExport';
+import { exportReport, EXPORT_FORMAT_XLSX } from '../utils/exportReports';
 
 /**
- * URL base y endpoint de la API de Odoo, y token de autenticación.
- * Se obtienen desde variables de entorno definidas en Vite.
+ * Días hacia atrás que se cargan al abrir la página. El inicio se redondea al primer día de ese mes
+ * para que los meses cargados queden completos; los meses anteriores se piden a Odoo al abrirlos.
  */
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL;
-const API_ENDPOINT = `${API_BASE_URL}/odoo`;
-const BEARER_TOKEN = import.meta.env.VITE_API_BEARER_TOKEN;
+const DEFAULT_WINDOW_DAYS = 60;
 
 /**
- * Realiza una llamada POST a la API de Odoo con autenticación Bearer.
+ * Tope de sesiones por consulta. Con el rango acotado no debería alcanzarse; si se alcanza se avisa en consola.
+ */
+const SESSION_FETCH_LIMIT = 10000;
+
+/**
+ * Campos de pos.session que usa la página.
+ */
+const SESSION_FIELDS = [
+  "id", "name", "user_id", "start_at", "stop_at", "crm_team_id",
+  "cash_register_balance_start", "cash_register_balance_end_real",
+  "cash_register_difference", "cash_register_balance_end", "cash_real_transaction"
+];
+
+/**
+ * Clave de mes (YYYY-MM), en hora local, de una fecha de inicio de sesión.
+ * Los límites de cada consulta son instantes locales convertidos a UTC (toOdooDateTime), así que coinciden
+ * con esta agrupación.
+ * @param {string} startAt - start_at de la sesión (UTC).
+ * @returns {string}
+ */
+const getSessionMonthKey = (startAt) => {
+  const date = parseOdooDateTime(startAt);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+};
+
+/**
+ * Primer instante de un mes.
+ * @param {string} monthKey - YYYY-MM.
+ * @returns {Date}
+ */
+const getMonthStart = (monthKey) => {
+  const [year, month] = monthKey.split('-').map(Number);
+  return new Date(year, month - 1, 1);
+};
+
+/**
+ * Inicio del rango cargado por defecto: primer día del mes de hace DEFAULT_WINDOW_DAYS días.
+ * @returns {Date}
+ */
+const getDefaultWindowStart = () => {
+  const date = new Date();
+  date.setDate(date.getDate() - DEFAULT_WINDOW_DAYS);
+  return new Date(date.getFullYear(), date.getMonth(), 1);
+};
+
+/**
+ * Obtiene las sesiones de punto de venta (POS) desde Odoo, filtradas en Odoo por fecha de inicio y local.
  * @param {string} apiUrl - URL del endpoint de la API.
- * @param {object} requestData - Objeto con los datos de la petición (modelo, campos, método, etc).
- * @returns {Promise<object>} Respuesta JSON de la API.
- * @throws {Error} Si la respuesta no es exitosa o hay error de red.
+ * @param {object} options
+ * @param {Date} options.from - Inicio del rango (incluido).
+ * @param {Date} [options.to] - Fin del rango (excluido); sin fin si no se indica.
+ * @param {number[]|null} [options.teamIds] - IDs de crm_team_id (locales); todos si es null.
+ * @returns {Promise<Array>} Array de sesiones POS, de la más reciente a la más antigua.
  */
-async function callOdooApi(apiUrl, requestData) {
-  const headers = {
-    'Content-Type': 'application/json',
-    'Authorization': `bearer ${BEARER_TOKEN}`
-  };
-  const requestOptions = {
-    method: 'POST',
-    headers: headers,
-    body: JSON.stringify(requestData),
+async function fetchPosSessions(apiUrl, { from, to, teamIds = null }) {
+  const domain = [["start_at", ">=", toOdooDateTime(from)]];
+  if (to) domain.push(["start_at", "<", toOdooDateTime(to)]);
+  if (teamIds) domain.push(["crm_team_id", "in", teamIds]);
+  const requestData = {
+    model: "pos.session",
+    filters: [domain],
+    fields: SESSION_FIELDS,
+    method: "search_read",
+    limit: SESSION_FETCH_LIMIT,
+    order: "start_at DESC"
   };
-  try {
-    const response = await fetch(apiUrl, requestOptions);
-    if (!response.ok) {
-      let errorMsg = `Error ${response.status}: ${response.statusText}`;
-      try {
-        const errorData = await response.json();
-        errorMsg = errorData.message || errorData.error || errorMsg;
-      } catch (e) { /* Ignora error de parseo JSON */ }
-      throw new Error(errorMsg);
-    }
-    return await response.json();
-  } catch (error) {
-    console.error("Error calling Odoo API:", error);
-    throw error;
+  const sessions = await callOdooApi(apiUrl, requestData);
+  if (Array.isArray(sessions) && sessions.length >= SESSION_FETCH_LIMIT) {
+    console.warn(`Se alcanzó el tope de ${SESSION_FETCH_LIMIT} sesiones; puede haber sesiones sin cargar en el rango pedido.`);
   }
+  return sessions;
 }
 
 /**
- * Obtiene las sesiones de punto de venta (POS) desde Odoo.
- * No filtra por fecha, trae todas las sesiones permitidas por la API.
+ * Obtiene, por local, la fecha de la sesión más reciente anterior a una fecha (una sola consulta read_group).
+ * Sirve para saber qué mes anterior ofrecer en cada local sin traer sus sesiones.
  * @param {string} apiUrl - URL del endpoint de la API.
- * @returns {Promise<Array>} Array de sesiones POS.
+ * @param {object} options
+ * @param {Date} options.before - Fecha límite (excluida).
+ * @param {number[]|null} [options.teamIds] - IDs de crm_team_id; todos si es null.
+ * @returns {Promise<Array<{teamId: number, storeName: string, latestStartAt: string}>>}
  */
-async function fetchPosSessions(apiUrl) {
+async function fetchLatestSessionStartByTeam(apiUrl, { before, teamIds = null }) {
+  const domain = [["start_at", "<", toOdooDateTime(before)]];
+  if (teamIds) domain.push(["crm_team_id", "in", teamIds]);
   const requestData = {
     model: "pos.session",
-    fields: [
-      "id", "name", "user_id", "start_at", "stop_at", "crm_team_id",
-      "cash_register_balance_start", "cash_register_balance_end_real",
-      "cash_register_difference", "cash_register_balance_end", "cash_real_transaction"
-    ],
-    method: "search_read",
-    limit: 10000, // Puedes ajustar este límite si la API lo permite
-    order: "start_at DESC"
+    filters: [domain],
+    fields: ["start_at:max", "crm_team_id"], method: "read_group", groupby: ["crm_team_id"]
   };
-  return await callOdooApi(apiUrl, requestData);
+  const groups = await callOdooApi(apiUrl, requestData);
+  if (!Array.isArray(groups)) throw new Error("La respuesta de meses anteriores no es un array válido.");
+  return groups
+    .filter(group => Array.isArray(group.crm_team_id) && group.start_at)
+    .map(group => ({ teamId: group.crm_team_id[0], storeName: group.crm_team_id[1], latestStartAt: group.start_at }));
+}
+
+/**
+ * Enriquece las sesiones con su estado de rectificación y si tienen borrador colaborativo.
+ * @param {Array} sessions - Sesiones POS desde Odoo.
+ * @param {Object} rectificationStatusBySessionId - Última solicitud por ID de sesión.
+ * @param {Set<string>} draftSessionIds - IDs de sesiones con borrador (índice de borradores).
+ * @returns {Array} Sesiones con:
+ * - rectificationStatus: Estado de rectificación ('aprobada', 'pendiente', etc).
+ * - rectificationRequestId: ID de la solicitud de rectificación (si existe).
+ * - rectificationRequestDetails: Detalles de la solicitud (si existe).
+ * - hasDraft: Si existe un borrador colaborativo para la sesión.
+ */
+function attachRectificationStatus(sessions, rectificationStatusBySessionId, draftSessionIds) {
+  return sessions.map(session => {
+    const rectificationInfo = rectificationStatusBySessionId[session.id];
+    // El borrador solo cuenta si la sesión no tiene rectificación formal enviada.
+    const hasDraft = (!rectificationInfo || rectificationInfo.status === 'sin_rectificar') && draftSessionIds.has(String(session.id));
+
+    return {
+      ...session,
+      rectificationStatus: rectificationInfo ? rectificationInfo.status : 'sin_rectificar',
+      rectificationRequestId: rectificationInfo ? rectificationInfo.requestId : null,
+      rectificationRequestDetails: rectificationInfo ? rectificationInfo.requestData : null,
+      // 'hasDraft' indica si existe un borrador colaborativo para la sesión.
+      hasDraft,
+    };
+  });
 }
 
 /**
@@ -119,7 +200,7 @@ async function fetchPosSessions(apiUrl) {
 const formatDateTime = (dateTimeString) => {
     if (!dateTimeString) return 'N/A';
     try {
-        const date = new Date(dateTimeString);
+        const date = parseOdooDateTime(dateTimeString);
         return date.toLocaleString('es-CL', { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit', hour12: false });
     } catch (e) { return dateTimeString; }
 };
@@ -156,6 +237,167 @@ const formatStatusText = (status) => {
     .join(' ');
 };
 
+/**
+ * Agrupa las sesiones cargadas por local, mes y día para la vista jerárquica.
+ * A cada local con sesiones más antiguas que las cargadas se le agrega ese mes sin cargar (isLoaded: false),
+ * que se pide a Odoo al abrirlo.
+ * @param {Array} sessions - Sesiones enriquecidas con estado de rectificación.
+ * @param {Object<string, {storeName: string, loadedFromMonthKey: string, olderMonthKey: string|null}>} storeHistory -
+ *   Por ID de local (crm_team_id): mes más antiguo cargado y siguiente mes anterior con sesiones.
+ * @returns {Array} Estructura final:
+ * [
+ *   {
+ *     storeName,
+ *     teamId,
+ *     months: [
+ *       {
+ *         monthDisplay,
+ *         monthKey,
+ *         isLoaded,
+ *         days: [
+ *           { dayDisplay, sessions: [...] }
+ *         ]
+ *       }
+ *     ]
+ *   }
+ * ]
+ */
+function buildHierarchicalData(sessions, storeHistory) {
+  /**
+   * Agrupa las sesiones por local, mes y día.
+   * Estructura resultante:
+   * {
+   *   [storeName]: {
+   *     teamId: number|null,
+   *     months: {
+   *       [monthKey]: {
+   *         monthDisplay: string,
+   *         isLoaded: boolean,
+   *         days: {
+   *           [dayKey]: [Array de sesiones]
+   *         }
+   *       }
+   *     }
+   *   }
+   * }
+   */
+  const sessionsByStoreMonthDay = sessions.reduce((acc, session) => {
+    const hasTeam = Array.isArray(session.crm_team_id) && session.crm_team_id.length > 1;
+    const storeName = hasTeam ? session.crm_team_id[1] : 'Local Desconocido';
+    if (!session.start_at) return acc;
+    const sessionStartDate = parseOdooDateTime(session.start_at);
+    const year = sessionStartDate.getFullYear();
+    const monthNum = sessionStartDate.getMonth();
+    const day = String(sessionStartDate.getDate()).padStart(2, '0');
+    const monthKey = `${year}-${String(monthNum + 1).padStart(2, '0')}`;
+    const dayKey = `${day}`;
+
+    if (!acc[storeName]) acc[storeName] = { teamId: hasTeam ? session.crm_team_id[0] : null, months: {} };
+    const months = acc[storeName].months;
+    if (!months[monthKey]) months[monthKey] = { monthDisplay: `${monthNames[monthNum]} ${year}`, isLoaded: true, days: {} };
+    if (!months[monthKey].days[dayKey]) months[monthKey].days[dayKey] = [];
+    months[monthKey].days[dayKey].push(session);
+    return acc;
+  }, {});
+
+  // Mes anterior sin cargar de cada local (también para locales sin sesiones en el rango cargado)
+  Object.entries(storeHistory).forEach(([teamId, history]) => {
+    if (!history.olderMonthKey) return;
+    const { storeName, olderMonthKey } = history;
+    if (!sessionsByStoreMonthDay[storeName]) sessionsByStoreMonthDay[storeName] = { teamId: Number(teamId), months: {} };
+    const [year, month] = olderMonthKey.split('-').map(Number);
+    sessionsByStoreMonthDay[storeName].months[olderMonthKey] = { monthDisplay: `${monthNames[month - 1]} ${year}`, isLoaded: false, days: {} };
+  });
+
+  // Convierte el objeto agrupado en un array jerárquico ordenado para el renderizado.
+  return Object.keys(sessionsByStoreMonthDay)
+    .sort()
+    .map(storeName => {
+      const { teamId, months: monthsData } = sessionsByStoreMonthDay[storeName];
+      return {
+        storeName,
+        teamId,
+        months: Object.keys(monthsData)
+          .sort((a, b) => b.localeCompare(a))
+          .map(monthKey => {
+            const monthInfo = monthsData[monthKey];
+            return {
+              monthDisplay: monthInfo.monthDisplay,
+              monthKey,
+              isLoaded: monthInfo.isLoaded,
+              days: Object.keys(monthInfo.days)
+                .sort((a, b) => parseInt(b, 10) - parseInt(a, 10))
+                .map(dayKey => ({
+                  dayDisplay: dayKey,
+                  sessions: monthInfo.days[dayKey]
+                }))
+            };
+          })
+      };
+    });
+}
+
+/**
+ * Nombre de cada estado en el resumen (igual que en el filtro de estado).
+ */
+const SUMMARY_STATUS_LABELS = {
+  aprobada: 'Aprobadas',
+  pendiente: 'Pendientes',
+  rechazada: 'Rechazadas',
+  borrador: 'Borradores',
+  sin_rectificar: 'Sin Rectificar'
+};
+
+/**
+ * Resumen de indicadores de un local o de un mes: sesiones, diferencia total y absoluta, mayor diferencia
+ * y conteo por estado. Cada conteo es un botón que aplica (o quita, si ya está aplicado) ese filtro de estado;
+ * también los que están en 0.
+ * @param {object} props
+ * @param {object} props.summary - Resultado de summarizeSessions.
+ * @param {string} props.activeStatus - Filtro de estado aplicado ('' = ninguno).
+ * @param {function(string): void} props.onStatusClick - Recibe el estado del conteo clicado.
+ * @param {function(string): string} props.getStatusColor - Color de cada estado.
+ * @param {string} [props.note] - Aclaración opcional (p. ej. que solo incluye los meses cargados).
+ * @returns {JSX.Element}
+ */
+function SessionSummaryBar({ summary, activeStatus, onStatusClick, getStatusColor, note }) {
+  const { sessionCount, totalDifference, absoluteDifference, statusCounts, largestDifferenceSession } = summary;
+  const differenceColor = (amount) => (amount < 0 ? '#dc3545' : amount > 0 ? '#198754' : '#212529');
+  const largestDifference = largestDifferenceSession ? Number(largestDifferenceSession.cash_register_difference) : 0;
+
+  return (
+    <div className="cuadraturas-summary" style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '6px 18px', padding: '8px 12px', margin: '6px 0 10px', backgroundColor: '#f8f9fa', border: '1px solid #e3e6ea', borderRadius: '6px', fontSize: '0.85rem', color: '#212529' }}>
+      <span><strong>{sessionCount}</strong> {sessionCount === 1 ? 'sesión' : 'sesiones'}</span>
+      <span>Diferencia total: <strong style={{ color: differenceColor(totalDifference) }}>{formatCurrency(totalDifference)}</strong></span>
+      <span>Diferencia absoluta: <strong>{formatCurrency(absoluteDifference)}</strong></span>
+      <span>
+        Mayor diferencia:{' '}
+        {largestDifferenceSession
+          ? <><strong style={{ color: differenceColor(largestDifference) }}>{formatCurrency(largestDifference)}</strong> ({largestDifferenceSession.name})</>
+          : '-'}
+      </span>
+      <span style={{ display: 'flex', flexWrap: 'wrap', gap: '6px' }}>
+        {SUMMARY_STATUSES.map(status => {
+          const isActive = activeStatus === status;
+          const color = getStatusColor(status);
+          return (
+            <button
+              type="button"
+              key={status}
+              onClick={(e) => { e.preventDefault(); e.stopPropagation(); onStatusClick(status); }}
+              title={isActive ? 'Quitar filtro' : `Filtrar ${SUMMARY_STATUS_LABELS[status]}`}
+              style={{ margin: 0, padding: '2px 10px', fontSize: '0.8rem', borderRadius: '12px', border: `1px solid ${color}`, color: isActive ? 'white' : color, backgroundColor: isActive ? color : 'white', cursor: 'pointer' }}
+            >
+              {SUMMARY_STATUS_LABELS[status]}: {statusCounts[status]}
+            </button>
+          );
+        })}
+      </span>
+      {note && <span style={{ color: '#6c757d', fontStyle: 'italic' }}>{note}</span>}
+    </div>
+  );
+}
+
 /**
  * Componente principal de la página de Cuadraturas.
  * Gestiona la carga, agrupación, filtrado y visualización de sesiones POS por local, mes y día.
@@ -169,16 +411,26 @@ const formatStatusText = (status) => {
  * - openStores: Estado de expansión de locales.
  * - openMonths: Estado de expansión de meses.
  * - filterStatus: Estado seleccionado en el filtro.
+ * - loadedSessions: Sesiones cargadas (rango por defecto más los meses anteriores abiertos).
+ * - storeHistory: Por local, mes más antiguo cargado y siguiente mes anterior con sesiones.
+ * - loadingMonths: Meses anteriores que se están cargando.
+ * - storeOptions / storeFilter: Locales disponibles y local seleccionado (se filtra en Odoo por crm_team_id).
  *
  * @returns {JSX.Element} Página de cuadraturas con filtros y vista jerárquica.
  */
 function CuadraturasPage() {
   const navigate = useNavigate();
-  const { currentUser, userRole } = useAuth();
+  const { currentUser, userRole, userOdooTeamId } = useAuth();
   
   /**
    * Estado principal de la página:
-   * @type {Array} hierarchicalData - Datos jerárquicos agrupados por local, mes y día.
+   * @type {Array} loadedSessions - Sesiones cargadas y enriquecidas con su estado de rectificación.
+   * @type {Object} storeHistory - Por ID de local: { storeName, loadedFromMonthKey, olderMonthKey }.
+   * @type {Date|null} windowStart - Inicio del rango cargado por defecto.
+   * @type {Object} loadingMonths - Meses anteriores en carga, por clave `${storeName}-${monthKey}`.
+   * @type {Array} storeOptions - Locales para el filtro: [{ teamId, storeName }].
+   * @type {string} storeFilter - ID del local seleccionado ('' = todos).
+   * @type {string} draftIndexMessage - Resultado de reconstruir el índice de borradores (solo superadmin).
    * @type {string|null} activeDayKey - Día actualmente expandido.
    * @type {boolean} isLoading - Bandera de carga de datos.
    * @type {string|null} apiError - Mensaje de error de API.
@@ -186,13 +438,23 @@ function CuadraturasPage() {
    * @type {Object} openMonths - Estado de expansión de meses.
    * @type {string} filterStatus - Estado seleccionado en el filtro.
    */
-  const [hierarchicalData, setHierarchicalData] = useState([]);
+  const [loadedSessions, setLoadedSessions] = useState([]);
+  const [storeHistory, setStoreHistory] = useState({});
+  const [windowStart, setWindowStart] = useState(null);
+  const [loadingMonths, setLoadingMonths] = useState({});
+  const [storeOptions, setStoreOptions] = useState([]);
+  const [storeFilter, setStoreFilter] = useState('');
   const [activeDayKey, setActiveDayKey] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [apiError, setApiError] = useState(null);
   const [openStores, setOpenStores] = useState({});
   const [openMonths, setOpenMonths] = useState({});
+  const [draftIndexMessage, setDraftIndexMessage] = useState('');
   const [filterStatus, setFilterStatus] = useState('');
+  // Estado de rectificación por sesión e IDs con borrador, para enriquecer los meses que se cargan después
+  const rectificationStatusRef = useRef({ rectificationStatusBySessionId: {}, draftSessionIds: new Set() });
+  // Se incrementa en cada carga completa; una carga de mes anterior que termina después se descarta
+  const loadGenerationRef = useRef(0);
   
   const calculatedPageMaxWidth = '1300px';
 
@@ -212,27 +474,55 @@ function CuadraturasPage() {
     }
   };
 
+  /**
+   * Agrega locales a las opciones del filtro (sin quitar los ya conocidos, para que el filtro no se reduzca a sí mismo).
+   * @param {Array<{teamId: number, storeName: string}>} stores
+   */
+  const mergeStoreOptions = (stores) => {
+    setStoreOptions(prev => {
+      const byId = new Map(prev.map(option => [option.teamId, option]));
+      stores.forEach(store => byId.set(store.teamId, { teamId: store.teamId, storeName: store.storeName }));
+      return [...byId.values()].sort((a, b) => a.storeName.localeCompare(b.storeName));
+    });
+  };
+
   /**
    * Carga y procesa los datos de cuadraturas desde Odoo y Firebase.
-   * Agrupa las sesiones por local, mes y día, y enriquece con estado de rectificación y borradores.
+   * Trae solo las sesiones desde el inicio del rango por defecto (y del local seleccionado), las enriquece con estado
+   * de rectificación y borradores, y consulta por local cuál es el mes anterior con sesiones para ofrecerlo sin cargar.
    * @param {boolean} showLoadingIndicator - Si se debe mostrar el indicador de carga.
    */
   const loadAndProcessCuadraturas = useCallback(async (showLoadingIndicator = true) => {
     if(showLoadingIndicator) setIsLoading(true);
     setApiError(null);
+    const generation = ++loadGenerationRef.current;
 
     try {
-      const sessionsFromApi = await fetchPosSessions(API_ENDPOINT);
+      const start = getDefaultWindowStart();
+      // Los admins solo ven su local de Odoo; los superadmin, todos o el local elegido en el filtro
+      let teamIds = storeFilter ? [Number(storeFilter)] : null;
+      if (userRole !== 'superadmin') {
+        if (userOdooTeamId === null) {
+          setLoadedSessions([]);
+          setStoreHistory({});
+          throw new Error('Tu local no está asociado a un local de Odoo. Pide a un superadmin que lo asocie en "Locales y Odoo".');
+        }
+        teamIds = [Number(userOdooTeamId)];
+      }
+      const [sessionsFromApi, olderByTeam] = await Promise.all([
+        fetchPosSessions(API_ENDPOINT, { from: start, teamIds }),
+        fetchLatestSessionStartByTeam(API_ENDPOINT, { before: start, teamIds })
+      ]);
       if (!Array.isArray(sessionsFromApi)) throw new Error("La respuesta de sesiones no es un array válido.");
 
-      const rectificationRequestsRef = ref(database, 'rectificationRequests');
-      const rectificationSnapshot = await get(rectificationRequestsRef);
+      // Solicitudes y sesiones con borrador (índice de borradores): dos lecturas en total, sin consultar sesión por sesión
+      const [rectificationSnapshot, { sessionIds: draftSessionIds, migrationError }] = await Promise.all([
+        get(ref(database, 'rectificationRequests')),
+        loadDraftSessionIds()
+      ]);
+      if (migrationError) setDraftIndexMessage(`No se pudieron indexar los borradores anteriores al índice: ${migrationError.message}`);
       const rectificationData = rectificationSnapshot.exists() ? rectificationSnapshot.val() : {};
       
-      // Para el modelo de borradores por usuario, no cargamos todos los borradores aquí para el admin.
-      // Solo el superadmin podría hacerlo si tuviera una vista global de borradores (no implementado actualmente).
-      // Cada admin verificará su propio borrador por sesión.
-      
       const rectificationStatusBySessionId = {};
       Object.entries(rectificationData).forEach(([reqId, req]) => {
         if (req.sessionId) {
@@ -242,125 +532,92 @@ function CuadraturasPage() {
         }
       });
 
-      /**
-       * sessionsWithFullStatus: Array de sesiones POS enriquecidas con:
-       * - rectificationStatus: Estado de rectificación ('aprobada', 'pendiente', etc).
-       * - rectificationRequestId: ID de la solicitud de rectificación (si existe).
-       * - rectificationRequestDetails: Detalles de la solicitud (si existe).
-       * - hasDraft: Si existe un borrador colaborativo para la sesión.
-       */
-      const sessionsWithFullStatusPromises = sessionsFromApi.map(async (session) => {
-        const rectificationInfo = rectificationStatusBySessionId[session.id];
-        let hasDraft = false; // Flag: ¿Existe un borrador colaborativo para esta sesión?
-
-        // Si la sesión no tiene rectificación formal enviada, verifica si existe un borrador colaborativo para ESTA sesión.
-        if (!rectificationInfo || rectificationInfo.status === 'sin_rectificar') {
-          try {
-            // Ruta al borrador colaborativo de la sesión (sin importar usuario).
-            const draftRef = ref(database, `rectificationDrafts/${session.id}`);
-            const draftSnap = await get(draftRef);
-            if (draftSnap.exists()) {
-              hasDraft = true;
-            }
-          } catch (e) {
-            console.warn(`No se pudo verificar el borrador colaborativo para sesión ${session.id}:`, e.message);
-          }
-        }
+      if (generation !== loadGenerationRef.current) return;
+      const sessionsWithFullStatus = attachRectificationStatus(sessionsFromApi, rectificationStatusBySessionId, draftSessionIds);
 
-        return {
-          ...session,
-          rectificationStatus: rectificationInfo ? rectificationInfo.status : 'sin_rectificar',
-          rectificationRequestId: rectificationInfo ? rectificationInfo.requestId : null,
-          rectificationRequestDetails: rectificationInfo ? rectificationInfo.requestData : null,
-          // 'hasDraft' ahora indica si existe un borrador colaborativo para la sesión.
-          hasDraft,
-        };
+      const startMonthKey = getSessionMonthKey(start);
+      const history = {};
+      olderByTeam.forEach(({ teamId, storeName, latestStartAt }) => {
+        history[teamId] = { storeName, loadedFromMonthKey: startMonthKey, olderMonthKey: getSessionMonthKey(latestStartAt) };
       });
 
-      const sessionsWithFullStatus = await Promise.all(sessionsWithFullStatusPromises);
-      
-      /**
-       * Agrupa las sesiones por local, mes y día para la vista jerárquica.
-       * Estructura resultante:
-       * {
-       *   [storeName]: {
-       *     [monthKey]: {
-       *       monthDisplay: string,
-       *       days: {
-       *         [dayKey]: [Array de sesiones]
-       *       }
-       *     }
-       *   }
-       * }
-       */
-      const sessionsByStoreMonthDay = sessionsWithFullStatus.reduce((acc, session) => {
-        const storeName = Array.isArray(session.crm_team_id) && session.crm_team_id.length > 1
-                            ? session.crm_team_id[1]
-                            : 'Local Desconocido';
-        if (!session.start_at) return acc;
-        const sessionStartDate = new Date(session.start_at);
-        const year = sessionStartDate.getFullYear();
-        const monthNum = sessionStartDate.getMonth();
-        const day = String(sessionStartDate.getDate()).padStart(2, '0');
-        const monthKey = `${year}-${String(monthNum + 1).padStart(2, '0')}`;
-        const dayKey = `${day}`;
-        
-        if (!acc[storeName]) acc[storeName] = {};
-        if (!acc[storeName][monthKey]) acc[storeName][monthKey] = { monthDisplay: `${monthNames[monthNum]} ${year}`, days: {} };
-        if (!acc[storeName][monthKey].days[dayKey]) acc[storeName][monthKey].days[dayKey] = [];
-        acc[storeName][monthKey].days[dayKey].push(session);
-        return acc;
-      }, {});
-
-      /**
-       * Convierte el objeto agrupado en un array jerárquico ordenado para el renderizado.
-       * Estructura final:
-       * [
-       *   {
-       *     storeName,
-       *     months: [
-       *       {
-       *         monthDisplay,
-       *         monthKey,
-       *         days: [
-       *           { dayDisplay, sessions: [...] }
-       *         ]
-       *       }
-       *     ]
-       *   }
-       * ]
-       */
-      const finalGroupedData = Object.keys(sessionsByStoreMonthDay)
-        .sort()
-        .map(storeName => {
-          const monthsData = sessionsByStoreMonthDay[storeName];
-          return {
-            storeName,
-            months: Object.keys(monthsData)
-              .sort((a, b) => b.localeCompare(a))
-              .map(monthKey => {
-                const monthInfo = monthsData[monthKey];
-                return {
-                  monthDisplay: monthInfo.monthDisplay,
-                  monthKey,
-                  days: Object.keys(monthInfo.days)
-                    .sort((a, b) => parseInt(b, 10) - parseInt(a, 10))
-                    .map(dayKey => ({
-                      dayDisplay: dayKey,
-                      sessions: monthInfo.days[dayKey]
-                    }))
-                };
-              })
-          };
-        });
-      setHierarchicalData(finalGroupedData);
+      rectificationStatusRef.current = { rectificationStatusBySessionId, draftSessionIds };
+      setWindowStart(start);
+      setLoadedSessions(sessionsWithFullStatus);
+      setStoreHistory(history);
+      setLoadingMonths({});
+      mergeStoreOptions([
+        ...sessionsFromApi
+          .filter(session => Array.isArray(session.crm_team_id) && session.crm_team_id.length > 1)
+          .map(session => ({ teamId: session.crm_team_id[0], storeName: session.crm_team_id[1] })),
+        ...olderByTeam
+      ]);
     } catch (error) {
       console.error("Error processing cuadraturas data:", error);
       setApiError(error.message || 'Error al obtener o procesar los datos.');
     } finally {
       if(showLoadingIndicator) setIsLoading(false);
     }
-  }, [currentUser, userRole]); 
+  }, [currentUser, userRole, userOdooTeamId, storeFilter]); 
+
+  /**
+   * Carga desde Odoo el mes anterior sin cargar de un local (desde ese mes hasta el mes más antiguo ya cargado)
+   * y consulta cuál es el siguiente mes anterior con sesiones.
+   * @param {object} storeData - Local de la vista jerárquica (storeName, teamId).
+   * @param {string} monthKey - Mes a cargar (YYYY-MM).
+   */
+  const loadOlderMonth = async (storeData, monthKey) => {
+    const history = storeHistory[storeData.teamId];
+    const monthUniqueKey = `${storeData.storeName}-${monthKey}`;
+    if (!history || history.olderMonthKey !== monthKey || loadingMonths[monthUniqueKey]) return;
+    const generation = loadGenerationRef.current;
+    setLoadingMonths(prev => ({ ...prev, [monthUniqueKey]: true }));
+
+    try {
+      const monthStart = getMonthStart(monthKey);
+      const [sessionsFromApi, olderByTeam] = await Promise.all([
+        fetchPosSessions(API_ENDPOINT, { from: monthStart, to: getMonthStart(history.loadedFromMonthKey), teamIds: [storeData.teamId] }),
+        fetchLatestSessionStartByTeam(API_ENDPOINT, { before: monthStart, teamIds: [storeData.teamId] })
+      ]);
+      if (!Array.isArray(sessionsFromApi)) throw new Error("La respuesta de sesiones no es un array válido.");
+      if (generation !== loadGenerationRef.current) return;
+      const { rectificationStatusBySessionId, draftSessionIds } = rectificationStatusRef.current;
+      const sessionsWithFullStatus = attachRectificationStatus(sessionsFromApi, rectificationStatusBySessionId, draftSessionIds);
+
+      setLoadedSessions(prev => {
+        const loadedIds = new Set(prev.map(session => session.id));
+        return [...prev, ...sessionsWithFullStatus.filter(session => !loadedIds.has(session.id))];
+      });
+      setStoreHistory(prev => ({
+        ...prev,
+        [storeData.teamId]: {
+          ...prev[storeData.teamId],
+          loadedFromMonthKey: monthKey,
+          olderMonthKey: olderByTeam.length > 0 ? getSessionMonthKey(olderByTeam[0].latestStartAt) : null
+        }
+      }));
+    } catch (error) {
+      console.error("Error loading older cuadraturas month:", error);
+      setApiError(error.message || 'Error al cargar el mes anterior.');
+      setOpenMonths(prev => ({ ...prev, [monthUniqueKey]: false }));
+    } finally {
+      if (generation === loadGenerationRef.current) {
+        setLoadingMonths(prev => ({ ...prev, [monthUniqueKey]: false }));
+      }
+    }
+  };
+
+  /**
+   * Datos jerárquicos agrupados por local, mes y día, a partir de las sesiones cargadas.
+   * @type {Array}
+   */
+  const hierarchicalData = useMemo(() => {
+    if (userRole === 'superadmin') return buildHierarchicalData(loadedSessions, storeHistory);
+    // Los admins solo ven las sesiones de su local (Odoo ya filtra por crm_team_id; esto es una segunda barrera)
+    const ownSessions = loadedSessions.filter(session => canUserAccessSessionStore({ session, userRole, userOdooTeamId }));
+    const ownHistory = Object.fromEntries(Object.entries(storeHistory).filter(([teamId]) => Number(teamId) === Number(userOdooTeamId)));
+    return buildHierarchicalData(ownSessions, ownHistory);
+  }, [loadedSessions, storeHistory, userRole, userOdooTeamId]);
 
   /**
    * useEffect para cargar los datos al montar el componente.
@@ -395,7 +652,8 @@ function CuadraturasPage() {
             }).filter(dayData => dayData.sessions.length > 0); 
 
             return { ...monthData, days: filteredDays };
-        }).filter(monthData => monthData.days.length > 0); 
+        // Los meses sin cargar se mantienen para poder cargarlos también con un filtro aplicado
+        }).filter(monthData => !monthData.isLoaded || monthData.days.length > 0); 
 
         return { ...storeData, months: filteredMonths };
     }).filter(storeData => storeData.months.length > 0); 
@@ -413,13 +671,17 @@ function CuadraturasPage() {
 
   /**
    * Maneja la apertura/cierre de la vista de un mes dentro de un local.
+   * Si el mes aún no está cargado, lo pide a Odoo al abrirlo.
    * @param {Event} e - Evento de click.
-   * @param {string} storeName - Nombre del local.
-   * @param {string} monthKey - Clave del mes.
+   * @param {object} storeData - Local (storeName, teamId).
+   * @param {object} monthData - Mes (monthKey, isLoaded).
    */
-  const handleMonthToggle = (e, storeName, monthKey) => {
+  const handleMonthToggle = (e, storeData, monthData) => {
     e.preventDefault();
-    const combinedKey = `${storeName}-${monthKey}`;
+    const combinedKey = `${storeData.storeName}-${monthData.monthKey}`;
+    if (!openMonths[combinedKey] && !monthData.isLoaded) {
+      loadOlderMonth(storeData, monthData.monthKey);
+    }
     setOpenMonths(prev => ({ ...prev, [combinedKey]: !prev[combinedKey] }));
   };
 
@@ -505,6 +767,10 @@ function CuadraturasPage() {
     }
     
     if (userRole === 'admin') {
+      // Admin solo puede interactuar con sesiones de su local.
+      if (!canUserAccessSessionStore({ session, userRole, userOdooTeamId })) {
+        return false;
+      }
       // Admin puede interactuar si la sesión está 'sin_rectificar' (para crear o continuar su borrador).
       if (session.rectificationStatus === 'sin_rectificar') {
         return true;
@@ -526,6 +792,54 @@ function CuadraturasPage() {
     setFilterStatus(newStatus);
   };
 
+  /**
+   * Aplica el filtro de estado de un conteo del resumen, o lo quita si ya estaba aplicado.
+   * @param {string} status - Estado del conteo clicado.
+   */
+  const handleSummaryStatusClick = (status) => {
+    setFilterStatus(prev => (prev === status ? '' : status));
+  };
+
+  /**
+   * Exporta a Excel la vista filtrada (meses cargados y filtro de estado aplicado): una hoja de sesiones
+   * y una de resumen por local.
+   */
+  const handleExportExcel = async () => {
+    try {
+      const filterLabel = filterStatus ? SUMMARY_STATUS_LABELS[filterStatus] : 'Todas';
+      await exportReport(buildCuadraturasReport(filteredHierarchicalData, { filterLabel }), EXPORT_FORMAT_XLSX);
+    } catch (error) {
+      console.error("Error exporting cuadraturas:", error);
+      setApiError(error.message || 'No se pudo exportar.');
+    }
+  };
+
+  /**
+   * Maneja el cambio de local en la barra de filtros. La recarga (filtrada en Odoo) la dispara el efecto de carga.
+   * @param {Event} event - Evento de cambio del select.
+   */
+  const handleStoreFilterChange = (event) => {
+    setStoreFilter(event.target.value);
+    setActiveDayKey(null);
+  };
+
+  /**
+   * Reconstruye el índice de borradores a partir de todos los borradores (superadmin, para corregir un índice
+   * desactualizado; los borradores anteriores al índice se agregan solos al cargar). Luego recarga los datos.
+   */
+  const handleRebuildDraftIndex = async () => {
+    if (!window.confirm('Se leerán todos los borradores para reconstruir su índice. ¿Continuar?')) return;
+    setDraftIndexMessage('Reconstruyendo índice de borradores...');
+    try {
+      const indexedCount = await rebuildRectificationDraftIndex();
+      setDraftIndexMessage(`Índice de borradores reconstruido (${indexedCount} borradores).`);
+      loadAndProcessCuadraturas(true);
+    } catch (error) {
+      console.error("Error rebuilding draft index:", error);
+      setDraftIndexMessage('No se pudo reconstruir el índice de borradores.');
+    }
+  };
+
   // --- Renderizado principal de la página de cuadraturas ---
   /**
    * Render principal de la página, incluye:
@@ -570,7 +884,38 @@ function CuadraturasPage() {
                 <option value="borrador" style={{ color: getOptionColor('borrador') }}>✎ Borradores</option> 
                 <option value="sin_rectificar" style={{ color: getOptionColor('sin_rectificar') }}>○ Sin Rectificar</option>
             </select>
+            {userRole === 'superadmin' && (
+              <>
+                <label htmlFor="storeFilter" style={{ fontWeight: '500', color: '#212529', fontSize: '0.95rem', margin: '0 5px 0 15px' }}>Local:</label>
+                <select
+                    id="storeFilter"
+                    value={storeFilter}
+                    onChange={handleStoreFilterChange}
+                    disabled={isLoading}
+                    style={{ padding: '8px 12px', borderRadius: '4px', border: '1px solid #ced4da', fontSize: '0.9rem', minWidth: '200px', backgroundColor: 'white' }}
+                >
+                    <option value="">Todos</option>
+                    {storeOptions.map(option => (
+                        <option key={option.teamId} value={option.teamId}>{option.storeName}</option>
+                    ))}
+                </select>
+              </>
+            )}
+            <button type="button" onClick={handleExportExcel} disabled={isLoading || filteredHierarchicalData.length === 0} title="Exporta las sesiones de los meses cargados con el filtro aplicado" style={{ marginTop: 0, marginLeft: '15px', padding: '6px 12px', fontSize: '0.85rem' }}>
+                Exportar Excel
+            </button>
+            {windowStart && (
+                <span style={{ marginLeft: 'auto', fontSize: '0.85rem', color: '#6c757d' }}>
+                    Desde {windowStart.toLocaleDateString('es-CL')}; los meses anteriores se cargan al abrirlos.
+                </span>
+            )}
+            {userRole === 'superadmin' && (
+                <button type="button" className="secondary" onClick={handleRebuildDraftIndex} title="Vuelve a indexar todos los borradores guardados" style={{ marginTop: 0, marginLeft: windowStart ? '10px' : 'auto', padding: '6px 10px', fontSize: '0.85rem' }}>
+                    Reconstruir Índice de Borradores
+                </button>
+            )}
         </div>
+        {draftIndexMessage && <p style={{ color: '#555', marginTop: '-10px', marginBottom: '15px' }}>{draftIndexMessage}</p>}
 
         {apiError && <p className="error-message">{apiError}</p>}
         {isLoading && hierarchicalData.length === 0 && <CuadraturasSkeletonLoader />}
@@ -578,7 +923,7 @@ function CuadraturasPage() {
         {!isLoading && !apiError && (
             <>
                 {hierarchicalData.length === 0 && (
-                    <p style={{padding: '20px'}}>No se encontraron sesiones para el rango de fechas seleccionado.</p>
+                    <p style={{padding: '20px'}}>No se encontraron sesiones para el local y rango de fechas seleccionados.</p>
                 )}
                 {hierarchicalData.length > 0 && filteredHierarchicalData.length === 0 && filterStatus !== '' && (
                     <p style={{padding: '20px'}}>
@@ -595,12 +940,35 @@ function CuadraturasPage() {
           {filteredHierarchicalData.map(storeData => (
             <details key={storeData.storeName} className="store-details-group" open={openStores[storeData.storeName] || false}>
               <summary className="store-summary" onClick={(e) => handleStoreToggle(e, storeData.storeName)}>{storeData.storeName}</summary>
+              {(openStores[storeData.storeName] || false) && (
+                <SessionSummaryBar
+                  summary={summarizeSessions(getStoreSessions(storeData))}
+                  activeStatus={filterStatus}
+                  onStatusClick={handleSummaryStatusClick}
+                  getStatusColor={getOptionColor}
+                  note={storeData.months.some(monthData => !monthData.isLoaded) ? 'Solo meses cargados' : undefined}
+                />
+              )}
               {(openStores[storeData.storeName] || false) && storeData.months.map(monthData => {
                 const monthUniqueKey = `${storeData.storeName}-${monthData.monthKey}`;
                 return (
                   <details key={monthData.monthKey} className="month-details-group" open={openMonths[monthUniqueKey] || false}>
-                    <summary className="month-summary" onClick={(e) => handleMonthToggle(e, storeData.storeName, monthData.monthKey)}>{monthData.monthDisplay}</summary>
-                    {(openMonths[monthUniqueKey] || false) && (
+                    <summary className="month-summary" onClick={(e) => handleMonthToggle(e, storeData, monthData)}>
+                      {monthData.monthDisplay}
+                      {!monthData.isLoaded && <span style={{ marginLeft: '8px', fontSize: '0.85em', color: '#6c757d' }}>(sin cargar)</span>}
+                    </summary>
+                    {(openMonths[monthUniqueKey] || false) && loadingMonths[monthUniqueKey] && (
+                      <p style={{ padding: '10px 20px', color: '#6c757d' }}>Cargando sesiones de {monthData.monthDisplay}...</p>
+                    )}
+                    {(openMonths[monthUniqueKey] || false) && monthData.isLoaded && (
+                      <SessionSummaryBar
+                        summary={summarizeSessions(getMonthSessions(monthData))}
+                        activeStatus={filterStatus}
+                        onStatusClick={handleSummaryStatusClick}
+                        getStatusColor={getOptionColor}
+                      />
+                    )}
+                    {(openMonths[monthUniqueKey] || false) && monthData.isLoaded && (
                       <ul className="day-list">
                         {monthData.days.map(dayData => {
                           const currentDayKey = `${storeData.storeName}-${monthData.monthKey}-${dayData.dayDisplay}`;
@@ -8,7 +8,7 @@
  *
  * Renderiza:
  * - Un contenedor principal con el título "Bienvenido".
- * - Botones para navegar a Ingreso de Stock, Inventario, Cuadraturas y Panel SuperAdmin (según rol).
+ * - Botones para navegar a Ingreso de Stock, Corrección de Ingresos, Inventario, Cuadraturas y Panel SuperAdmin (según rol).
  */
 import React from 'react';
 import { useNavigate } from 'react-router-dom';
@@ -44,6 +44,8 @@ function HomePage() {
       {/* Botones de navegación según el rol del usuario */}
       <div className="button-group">
         <button onClick={() => navigate('/stock-entry')}>Ingresar Stock y Fecha de Vencimiento</button>
+        <button className="secondary" onClick={() => navigate('/stock-entry/corrections')}>Corregir Ingresos</button>
+        <button className="secondary" onClick={() => navigate('/transfers')}>Traspasos</button>
 
         {/* Solo visible para administradores */}
         {userData?.role === 'admin' && (
@@ -51,7 +51,10 @@ import { flushSync } from 'react-dom';
 import { useLocation, useNavigate, useParams } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { database } from '../firebase/firebaseConfig';
-import { ref, push, serverTimestamp, get, update, set } from "firebase/database";
+import { ref, push, serverTimestamp, get, update } from "firebase/database";
+import { saveRectificationDraft, clearRectificationDraft } from '../utils/rectificationDrafts';
+import { API_ENDPOINT, callOdooApi, fetchSessionTeamId, parseOdooDateTime } from '../utils/odooApi';
+import { getSessionTeamId, canUserAccessSessionStore } from '../utils/storeOdooTeams';
 import './RectificarConfirmAnimation.css';
 import './ModernSkeletonLoader.css';
 import './RectificarPage.css'; // Importa el nuevo archivo CSS
@@ -166,12 +169,8 @@ function RectificarSkeletonLoader() {
   );
 }
 
-// --- Configuración de la API y métodos de pago por defecto ---
-// Estas constantes definen cómo la aplicación interactúa con servicios externos y cómo interpreta los métodos de pago.
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL;
-const API_ENDPOINT = `${API_BASE_URL}/odoo`;
-const BEARER_TOKEN = import.meta.env.VITE_API_BEARER_TOKEN;
-
+// --- Métodos de pago por defecto ---
+// Estas constantes definen cómo la aplicación interpreta los métodos de pago (el cliente de Odoo está en utils/odooApi).
 const DEFAULT_PAYMENT_METHODS_CONFIG = [
   { id: 'efectivo', odoo_names: ['Efectivo'], display_name: 'Efectivo', isCash: true },
   { id: 'tarjeta_tbk', odoo_names: ['Tarjeta', 'Transbank SOS'], display_name: 'Tarjeta + Transbank SOS' },
@@ -180,27 +179,6 @@ const DEFAULT_PAYMENT_METHODS_CONFIG = [
   { id: 'planilla', odoo_names: ['Planilla'], display_name: 'Planilla'},
 ];
 
-/**
- * Realiza una llamada POST a la API de Odoo con autenticación Bearer.
- * @param {string} apiUrl - URL del endpoint de la API.
- * @param {object} requestData - Objeto con los datos de la petición (modelo, campos, método, etc).
- * @returns {Promise<object>} Respuesta JSON de la API.
- * @throws {Error} Si la respuesta no es exitosa o hay error de red.
- */
-async function callOdooApi(apiUrl, requestData) {
-  const headers = { 'Content-Type': 'application/json', Authorization: `bearer ${BEARER_TOKEN}` };
-  const requestOptions = { method: 'POST', headers: headers, body: JSON.stringify(requestData) };
-  try {
-    const response = await fetch(apiUrl, requestOptions);
-    if (!response.ok) {
-      let errorMsg = `Error ${response.status}: ${response.statusText}`;
-      try { const errorData = await response.json(); errorMsg = errorData.message || errorData.error || errorMsg; } catch (e) {}
-      throw new Error(errorMsg);
-    }
-    return await response.json();
-  } catch (error) { console.error("Error llamando API de Odoo:", error); throw error; }
-}
-
 /**
  * Obtiene los datos de pagos de una sesión específica desde Odoo.
  * Utiliza callOdooApi para realizar la petición.
@@ -225,7 +203,7 @@ async function fetchSessionPayments(apiUrl, sessionId) {
  */
 const formatDateTime = (dateTimeString) => {
   if (!dateTimeString) return 'N/A';
-  try { const date = new Date(dateTimeString); return date.toLocaleString('es-CL', { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit', hour12: false }); }
+  try { const date = parseOdooDateTime(dateTimeString); return date.toLocaleString('es-CL', { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit', hour12: false }); }
   catch (e) { return dateTimeString; }
 };
 
@@ -305,7 +283,7 @@ function RectificarPage() {
   const navigate = useNavigate();
   const location = useLocation();
   const { sessionId } = useParams();
-  const { currentUser, userRole } = useAuth();
+  const { currentUser, userRole, userOdooTeamId } = useAuth();
 
   // --- Todos los hooks de estado SIEMPRE antes de cualquier return temprano ---
   const [errorModal, setErrorModal] = useState({ open: false, message: '' });
@@ -481,6 +459,14 @@ function RectificarPage() {
       throw new Error("Datos de sesión no disponibles.");
     }
 
+    // Los admins solo pueden abrir sesiones de su local (si se entra por URL, el local se consulta en Odoo)
+    if (userRole === 'admin') {
+      const sessionTeamId = getSessionTeamId(sessionToUse) ?? await fetchSessionTeamId(sessionToUse.id);
+      if (!canUserAccessSessionStore({ session: { crm_team_id: [sessionTeamId] }, userRole, userOdooTeamId })) {
+        throw new Error("No tienes acceso a las sesiones de este local.");
+      }
+    }
+
     let baseData = {
       sessionData: { ...sessionToUse },
       pageMode: modeToUse,
@@ -571,7 +557,7 @@ function RectificarPage() {
     } catch (err) {
       throw new Error('Error al cargar datos detallados.');
     }
-  }, [userRole]);
+  }, [userRole, userOdooTeamId]);
   // Efecto unificado: carga inicial + borrador antes de renderizar la UI
   // Efecto maestro: carga datos base y aplica borrador de forma secuencial y atómica
   useEffect(() => {
@@ -661,7 +647,6 @@ function RectificarPage() {
     setError('');
     setSuccess('');
     try {
-      const draftRef = ref(database, `rectificationDrafts/${formState.sessionData.id}`);
       const lastEditedInfo = {
         email: currentUser?.email || 'N/A',
         timestamp: Date.now()
@@ -672,9 +657,12 @@ function RectificarPage() {
         gastosRendidos: formState.gastosRendidos,
         boletasPendientes: formState.boletasPendientes,
         paymentDetails: formState.paymentDetails,
+        // Local de Odoo de la sesión: las reglas de la base solo permiten borradores del local del admin
+        odooTeamId: getSessionTeamId(formState.sessionData),
         lastEdited: lastEditedInfo
       };
-      await set(draftRef, sanitizeForFirebase(draftDataToSave));
+      // Guarda el borrador y su registro en el índice de borradores en una sola escritura
+      await saveRectificationDraft(formState.sessionData.id, sanitizeForFirebase(draftDataToSave));
       setDraftState(prev => ({ 
         ...prev, 
         lastEditInfo: lastEditedInfo 
@@ -694,8 +682,7 @@ function RectificarPage() {
   const clearDraftAfterSubmit = async (sessionDataLocal) => {
     if (sessionDataLocal?.id) {
       try {
-        const draftRef = ref(database, `rectificationDrafts/${sessionDataLocal.id}`);
-        await set(draftRef, null);
+        await clearRectificationDraft(sessionDataLocal.id, getSessionTeamId(sessionDataLocal));
       } catch (err) {
         console.error("Error limpiando borrador:", err);
       }
@@ -0,0 +1,269 @@
+/**
+ * Página de corrección de ingresos de stock.
+ * Estructura y propósito:
+ * - Lista las entradas de stock de un local para el mes seleccionado.
+ * - Permite corregir (cantidad/vencimiento) o anular una entrada con motivo obligatorio.
+ * - Muestra el historial de cambios de cada entrada con los valores originales.
+ * - Señala las entradas marcadas como posible duplicado para anular la que sobre.
+ *
+ * Permisos:
+ * - Usuario: ve y corrige solo sus propias entradas en su local.
+ * - Admin: ve y corrige todas las entradas de su local.
+ * - Superadmin: puede elegir cualquier local.
+ *
+ * No recibe props. Utiliza hooks de React Router y el contexto de autenticación.
+ */
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { database } from '../firebase/firebaseConfig';
+import { ref, get } from 'firebase/database';
+import EntryCorrectionModal from '../components/EntryCorrectionModal';
+import { canUserCorrectEntry, formatEntryExpiry, ENTRY_STATUS_AMENDED, ENTRY_STATUS_VOIDED, ENTRY_ACTION_REVERSAL } from '../utils/stockEntries';
+
+const monthNames = ["Enero", "Febrero", "Marzo", "Abril", "Mayo", "Junio", "Julio", "Agosto", "Septiembre", "Octubre", "Noviembre", "Diciembre"];
+
+/**
+ * Formatea un timestamp a una fecha legible en español (es-CL).
+ * @param {number} timestamp
+ * @returns {string}
+ */
+const formatTimestamp = (timestamp) => {
+    if (!timestamp) return 'N/A';
+    return new Date(timestamp).toLocaleString('es-CL');
+};
+
+/**
+ * Devuelve la etiqueta y color para el estado de una entrada.
+ * @param {string} [status]
+ * @returns {{label: string, color: string}}
+ */
+const getStatusBadge = (status) => {
+    if (status === ENTRY_STATUS_VOIDED) return { label: 'Anulada', color: '#dc3545' };
+    if (status === ENTRY_STATUS_AMENDED) return { label: 'Corregida', color: '#fd7e14' };
+    return { label: 'Vigente', color: '#198754' };
+};
+
+/**
+ * Etiqueta de una acción del historial de una entrada.
+ * @param {string} action
+ * @returns {string}
+ */
+const getHistoryActionLabel = (action) => {
+    if (action === ENTRY_ACTION_REVERSAL) return 'Reversión (ingreso deshecho)';
+    return action === 'anulacion' ? 'Anulación' : 'Corrección';
+};
+
+function StockCorrectionsPage() {
+    /**
+     * Datos del usuario autenticado y navegación.
+     */
+    const { currentUser, userRole, userStoreId } = useAuth();
+    const navigate = useNavigate();
+
+    /**
+     * Estados de la página:
+     * stores: Object - Locales disponibles (solo se cargan para superadmin).
+     * selectedStoreId: string - Local cuyas entradas se listan.
+     * storeStock: Object|null - Stock del local: { [productId]: { entries: {...} } }.
+     * selectedMonth/selectedYear: Periodo (mes de registro) a listar.
+     * correctionTarget: Object|null - Entrada abierta en el modal de corrección.
+     * correctionAction: 'correccion'|'anulacion' - Acción preseleccionada en el modal.
+     * expandedHistory: Object - Entradas con historial desplegado (por entryId).
+     */
+    const [stores, setStores] = useState({});
+    const [selectedStoreId, setSelectedStoreId] = useState(userStoreId || '');
+    const [storeStock, setStoreStock] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [successMessage, setSuccessMessage] = useState('');
+    const currentNow = new Date();
+    const [selectedMonth, setSelectedMonth] = useState(currentNow.getMonth());
+    const [selectedYear, setSelectedYear] = useState(currentNow.getFullYear());
+    const yearOptions = Array.from({ length: 6 }, (_, i) => currentNow.getFullYear() - i);
+    const [correctionTarget, setCorrectionTarget] = useState(null);
+    const [correctionAction, setCorrectionAction] = useState('correccion');
+    const [expandedHistory, setExpandedHistory] = useState({});
+
+    /**
+     * Carga la lista de locales para que el superadmin pueda elegir.
+     */
+    useEffect(() => {
+        if (userRole !== 'superadmin') return;
+        get(ref(database, 'stores'))
+            .then(snapshot => {
+                const storesVal = snapshot.exists() ? snapshot.val() : {};
+                setStores(storesVal);
+                setSelectedStoreId(prev => prev || Object.keys(storesVal)[0] || '');
+            })
+            .catch(err => { console.error("Error fetching stores:", err); setError('Error al cargar locales.'); });
+    }, [userRole]);
+
+    /**
+     * Carga el stock del local seleccionado.
+     */
+    const fetchStoreStock = useCallback(async () => {
+        if (!selectedStoreId) { setStoreStock({}); setLoading(false); return; }
+        setLoading(true); setError('');
+        try {
+            const snapshot = await get(ref(database, `stock/${selectedStoreId}`));
+            setStoreStock(snapshot.exists() ? snapshot.val() : {});
+        } catch (err) {
+            console.error("Error fetching store stock:", err);
+            setError('Error al cargar los ingresos del local.');
+            setStoreStock({});
+        } finally {
+            setLoading(false);
+        }
+    }, [selectedStoreId]);
+
+    useEffect(() => { fetchStoreStock(); }, [fetchStoreStock]);
+
+    /**
+     * Entradas del periodo seleccionado visibles para el usuario, ordenadas de la más reciente a la más antigua.
+     * Los usuarios sin rol admin solo ven sus propias entradas.
+     */
+    const visibleEntries = useMemo(() => {
+        const entries = [];
+        if (!storeStock) return entries;
+        const isStoreAdmin = userRole === 'superadmin' || (userRole === 'admin' && userStoreId === selectedStoreId);
+        Object.entries(storeStock).forEach(([productId, productInfo]) => {
+            Object.entries(productInfo?.entries || {}).forEach(([entryId, entry]) => {
+                const entryDate = new Date(Number(entry.timestamp));
+                if (isNaN(entryDate.getTime())) return;
+                if (entryDate.getFullYear() !== selectedYear || entryDate.getMonth() !== selectedMonth) return;
+                if (!isStoreAdmin && entry.userEmail !== currentUser?.email) return;
+                entries.push({ ...entry, entryId, productId, storeId: selectedStoreId });
+            });
+        });
+        return entries.sort((a, b) => Number(b.timestamp) - Number(a.timestamp));
+    }, [storeStock, selectedMonth, selectedYear, userRole, userStoreId, selectedStoreId, currentUser]);
+
+    /**
+     * Abre el modal de corrección para una entrada.
+     * @param {object} entry
+     * @param {'correccion'|'anulacion'} action
+     */
+    const openCorrection = (entry, action) => {
+        setSuccessMessage('');
+        setCorrectionAction(action);
+        setCorrectionTarget(entry);
+    };
+
+    /**
+     * Recarga los datos tras guardar una corrección.
+     */
+    const handleCorrectionSaved = () => {
+        setSuccessMessage('Cambio guardado. El valor original quedó registrado en el historial.');
+        fetchStoreStock();
+    };
+
+    const toggleHistory = (entryId) => setExpandedHistory(prev => ({ ...prev, [entryId]: !prev[entryId] }));
+
+    return (
+        <div className="page-container" style={{ marginTop: '20px', maxWidth: '1050px' }}>
+            <h1>Corrección de Ingresos</h1>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', justifyContent: 'flex-end', alignItems: 'center', marginBottom: '15px' }}>
+                {userRole === 'superadmin' && (
+                    <select value={selectedStoreId} onChange={(e) => setSelectedStoreId(e.target.value)} className="compact-select" aria-label="Local">
+                        {Object.entries(stores).map(([storeId, store]) => <option key={storeId} value={storeId}>{store?.name || storeId}</option>)}
+                    </select>
+                )}
+                <span style={{ fontWeight: 'bold', fontSize: '0.9em', color: '#555' }}>Mes de registro:</span>
+                <select value={selectedMonth} onChange={(e) => setSelectedMonth(parseInt(e.target.value, 10))} className="compact-select" aria-label="Mes">
+                    {monthNames.map((name, index) => <option key={index} value={index}>{name}</option>)}
+                </select>
+                <select value={selectedYear} onChange={(e) => setSelectedYear(parseInt(e.target.value, 10))} className="compact-select" aria-label="Año">
+                    {yearOptions.map(year => <option key={year} value={year}>{year}</option>)}
+                </select>
+            </div>
+
+            {error && <p className="error-message">{error}</p>}
+            {successMessage && <p style={{ color: 'green', textAlign: 'center', fontWeight: 'bold' }}>{successMessage}</p>}
+            {loading && <p>Cargando ingresos...</p>}
+            {!loading && !error && visibleEntries.length === 0 && <p>No hay ingresos en {monthNames[selectedMonth]} {selectedYear}.</p>}
+
+            {!loading && visibleEntries.length > 0 && (
+                <div style={{ overflowX: 'auto' }}>
+                    <table style={{ width: '100%', borderCollapse: 'collapse', minWidth: '780px' }}>
+                        <thead>
+                            <tr style={{ textAlign: 'left', borderBottom: '1px solid #ccc' }}>
+                                <th style={{ padding: '5px 8px' }}>Fecha</th>
+                                <th style={{ padding: '5px 8px' }}>Producto</th>
+                                <th style={{ padding: '5px 8px', textAlign: 'right' }}>Cantidad</th>
+                                <th style={{ padding: '5px 8px', textAlign: 'right' }}>Vencimiento</th>
+                                <th style={{ padding: '5px 8px' }}>Lote</th>
+                                <th style={{ padding: '5px 8px' }}>Usuario</th>
+                                <th style={{ padding: '5px 8px' }}>Estado</th>
+                                <th style={{ padding: '5px 8px' }}></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {visibleEntries.map(entry => {
+                                const badge = getStatusBadge(entry.status);
+                                const canCorrect = canUserCorrectEntry({ entry, storeId: entry.storeId, userEmail: currentUser?.email, userRole, userStoreId });
+                                const historyItems = Object.values(entry.history || {}).sort((a, b) => Number(a.timestamp) - Number(b.timestamp));
+                                return (
+                                    <React.Fragment key={entry.entryId}>
+                                        <tr style={{ borderBottom: '1px dotted #eee', opacity: entry.status === ENTRY_STATUS_VOIDED ? 0.6 : 1 }}>
+                                            <td style={{ padding: '6px 8px', whiteSpace: 'nowrap' }}>{formatTimestamp(entry.timestamp)}</td>
+                                            <td style={{ padding: '6px 8px' }}>{entry.productName || entry.productId}<div style={{ fontSize: '0.8em', color: '#777' }}>{entry.productId}</div></td>
+                                            <td style={{ padding: '6px 8px', textAlign: 'right', fontWeight: 'bold' }}>{entry.quantity}</td>
+                                            <td style={{ padding: '6px 8px', textAlign: 'right' }}>{formatEntryExpiry(entry)}</td>
+                                            <td style={{ padding: '6px 8px' }}>{entry.lotNumber || '-'}</td>
+                                            <td style={{ padding: '6px 8px' }}>{entry.userEmail}</td>
+                                            <td style={{ padding: '6px 8px', color: badge.color, fontWeight: 'bold' }}>
+                                                {badge.label}
+                                                {entry.possibleDuplicate && <div style={{ fontSize: '0.8em', color: '#fd7e14' }}>Posible duplicado</div>}
+                                            </td>
+                                            <td style={{ padding: '6px 8px', whiteSpace: 'nowrap', textAlign: 'right' }}>
+                                                {historyItems.length > 0 && (
+                                                    <button type="button" className="icon-button" onClick={() => toggleHistory(entry.entryId)} title="Ver historial" aria-label="Ver historial">
+                                                        <span className="material-symbols-outlined">history</span>
+                                                    </button>
+                                                )}
+                                                {canCorrect && (
+                                                    <>
+                                                        <button type="button" className="icon-button" onClick={() => openCorrection(entry, 'correccion')} title="Corregir" aria-label="Corregir">
+                                                            <span className="material-symbols-outlined">edit</span>
+                                                        </button>
+                                                        <button type="button" className="icon-button" onClick={() => openCorrection(entry, 'anulacion')} title="Anular" aria-label="Anular">
+                                                            <span className="material-symbols-outlined">block</span>
+                                                        </button>
+                                                    </>
+                                                )}
+                                            </td>
+                                        </tr>
+                                        {expandedHistory[entry.entryId] && historyItems.map((item, index) => (
+                                            <tr key={`${entry.entryId}_h${index}`} style={{ backgroundColor: '#f8f9fa', fontSize: '0.85em' }}>
+                                                <td style={{ padding: '4px 8px', whiteSpace: 'nowrap' }}>{formatTimestamp(item.timestamp)}</td>
+                                                <td colSpan={7} style={{ padding: '4px 8px' }}>
+                                                    <strong>{getHistoryActionLabel(item.action)}</strong> por {item.userEmail} · Antes: {item.previous?.quantity} u., venc. {item.previous ? formatEntryExpiry(item.previous) : '-'}{item.previous?.lotNumber ? `, lote ${item.previous.lotNumber}` : ''} · Motivo: {item.reason}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </React.Fragment>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            <div className="button-group" style={{ marginTop: '30px', justifyContent: 'center' }}>
+                <button className="secondary" onClick={() => navigate('/stock-entry')}>Ir a Ingreso de Stock</button>
+                <button className="secondary" onClick={() => navigate('/home')}>Volver a Inicio</button>
+            </div>
+
+            <EntryCorrectionModal
+                entry={correctionTarget}
+                initialAction={correctionAction}
+                userEmail={currentUser?.email}
+                onClose={() => setCorrectionTarget(null)}
+                onSaved={handleCorrectionSaved}
+            />
+        </div>
+    );
+}
+
+export default StockCorrectionsPage;
@@ -2,14 +2,24 @@
  * Página de ingreso de stock y fecha de vencimiento.
  * Estructura y propósito:
  * - Permite buscar productos por código de barras, mostrar detalles y registrar una entrada de stock con cantidad y vencimiento.
+ * - Permite escanear con la cámara del dispositivo cuando no hay lector físico.
+ * - Permite buscar el producto por nombre, laboratorio o código de referencia si el código de barras no se puede leer.
+ * - Si el código no está en el catálogo, permite proponerlo a un admin y registrar el ingreso como provisional.
+ * - Reconoce códigos GS1 (DataMatrix / GS1-128): busca por GTIN y precarga vencimiento y lote desde la misma lectura.
+ * - Modo recepción (cola): cada escaneo agrega una línea editable y todas se guardan juntas en una única escritura multi-ruta.
  * - Valida los datos ingresados y guarda la entrada en Firebase bajo el local del usuario.
+ * - Antes de guardar advierte posibles duplicados (mismo producto, vencimiento y cantidad dentro de la ventana configurada);
+ *   si el usuario confirma, las entradas involucradas quedan marcadas para revisión.
+ * - Sin conexión (o si la escritura falla) guarda los ingresos en una cola local (IndexedDB) que se sincroniza sola al volver la conexión.
  * - Muestra mensajes de éxito o error según el resultado de la operación.
+ * - Panel lateral con los ingresos del usuario en el día (en vivo), totales y opción de deshacer el último.
  *
  * No recibe props. Utiliza hooks de React Router y el contexto de autenticación.
  *
  * Renderiza:
- * - Un buscador de productos por código de barras.
+ * - Un buscador de productos por código de barras y un buscador manual por nombre, laboratorio o código de referencia.
  * - Si encuentra el producto, muestra detalles y un formulario para ingresar cantidad y vencimiento.
+ * - En modo recepción, la lista de líneas escaneadas con cantidad y vencimiento editables.
  * - Mensajes de error y éxito.
  * - Botones para limpiar, volver a inicio y enviar el formulario.
  */
@@ -17,10 +27,32 @@ import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { database } from '../firebase/firebaseConfig';
-import { ref, get, push, serverTimestamp } from 'firebase/database';
+import { ref, update } from 'firebase/database';
+import CameraScanner from '../components/CameraScanner';
+import ProductSearchModal from '../components/ProductSearchModal';
+import BarcodeProposalModal from '../components/BarcodeProposalModal';
+import MyEntriesPanel from '../components/MyEntriesPanel';
+import { useOfflineQueue } from '../hooks/useOfflineQueue';
+import { enqueueSubmission, assignEntryIds } from '../utils/offlineQueue';
+import { MANUAL_LOOKUP_BARCODE } from '../utils/productSearch';
+import {
+    lookupProductByScan, BARCODE_NOT_FOUND, validateEntryFields, buildStockEntryUpdates,
+    findPossibleDuplicates, getDuplicateWindowMinutes, DEFAULT_DUPLICATE_WINDOW_MINUTES, getExpiryYearOptions, getDaysInMonth
+} from '../utils/stockEntries';
 
 const DEBOUNCE_DELAY = 500;
 
+/**
+ * Milisegundos de espera de la escritura con conexión antes de pasar el ingreso a la cola offline.
+ * Sin conexión real `update()` no falla: queda pendiente hasta que vuelva la red.
+ */
+const ONLINE_SAVE_TIMEOUT_MS = 8000;
+
+/**
+ * Estilo compartido de los selectores de mes/año en la tabla de la cola.
+ */
+const queueSelectStyle = { padding: '6px', border: '1px solid #bdc3c7', borderRadius: '5px' };
+
 
 function StockEntryPage() {
     /**
@@ -40,69 +72,137 @@ function StockEntryPage() {
      * isSubmitting: boolean - Estado de carga al enviar formulario.
      * productData: object|null - Datos del producto encontrado.
      * productId: string|null - ID del producto encontrado.
+     * matchedBarcode: string - Código que coincidió en product_barcodes (el GTIN en lecturas GS1).
+     * gs1Prefilled: boolean - Si vencimiento/lote fueron precargados desde un código GS1.
      * error: string - Mensaje de error.
      * successMessage: string - Mensaje de éxito.
      * quantity: string - Cantidad ingresada.
      * expiryMonth: string - Mes de vencimiento.
      * expiryYear: string - Año de vencimiento.
+     * expiryDay: string - Día de vencimiento (opcional).
+     * lotNumber: string - Número de lote (opcional).
+     * entryMode: 'single'|'queue' - Modo de ingreso (un producto a la vez o cola de recepción).
+     * queueLines: Array - Líneas escaneadas en modo cola: { lineId, productId, productName, laboratory, barcodeUsed, quantity, expiryMonth, expiryYear, expiryDay, lotNumber }.
+     * queueErrors: Object - Errores de validación por lineId.
      * barcodeInputRef: ref - Referencia al input de código de barras.
      * debounceTimeoutRef: ref - Referencia para timeout de debounce.
+     * isCameraOpen: boolean - Si el escáner de cámara está abierto.
+     * isProductSearchOpen: boolean - Si el buscador manual de productos está abierto.
+     * unknownBarcode: {barcode: string, gs1: object|null}|null - Último código no encontrado en el catálogo (se puede proponer).
+     * isProposalOpen: boolean - Si el formulario de propuesta de código nuevo está abierto.
+     * duplicateWindowMinutes: number - Ventana configurada para detectar duplicados.
+     * duplicateWarning: {line: object, matches: Array<object>}|null - Entrada pendiente de confirmar por posible duplicado.
+     * nextLineIdRef: ref - Contador para generar identificadores locales de línea.
      */
     const [barcodeInput, setBarcodeInput] = useState('');
     const [isLoadingProduct, setIsLoadingProduct] = useState(false);
     const [isSubmitting, setIsSubmitting] = useState(false);
     const [productData, setProductData] = useState(null);
     const [productId, setProductId] = useState(null);
+    const [matchedBarcode, setMatchedBarcode] = useState('');
+    const [gs1Prefilled, setGs1Prefilled] = useState(false);
     const [error, setError] = useState('');
     const [successMessage, setSuccessMessage] = useState('');
     const [quantity, setQuantity] = useState('');
     const [expiryMonth, setExpiryMonth] = useState('');
     const [expiryYear, setExpiryYear] = useState('');
+    const [expiryDay, setExpiryDay] = useState('');
+    const [lotNumber, setLotNumber] = useState('');
+    const [entryMode, setEntryMode] = useState('single');
+    const [queueLines, setQueueLines] = useState([]);
+    const [queueErrors, setQueueErrors] = useState({});
+    const [isCameraOpen, setIsCameraOpen] = useState(false);
+    const [isProductSearchOpen, setIsProductSearchOpen] = useState(false);
+    const [unknownBarcode, setUnknownBarcode] = useState(null);
+    const [isProposalOpen, setIsProposalOpen] = useState(false);
+    const [duplicateWindowMinutes, setDuplicateWindowMinutes] = useState(DEFAULT_DUPLICATE_WINDOW_MINUTES);
+    const [duplicateWarning, setDuplicateWarning] = useState(null);
     const barcodeInputRef = useRef(null);
     const debounceTimeoutRef = useRef(null);
+    const nextLineIdRef = useRef(1);
+
+    /**
+     * Estado de conexión y de la cola offline (pendientes y rechazados al sincronizar).
+     */
+    const { isOnline, pendingCount, rejectedRecords, isSyncing, lastSyncResult, syncNow, discardRecord } = useOfflineQueue();
 
 
     /**
      * Genera los años y meses disponibles para el selector de vencimiento.
-     * years: [number] - Próximos 10 años.
+     * years: [number] - Desde el año actual hasta EXPIRY_YEARS_AHEAD años más.
      * months: [number] - Meses 1-12.
      */
-    const currentYear = new Date().getFullYear();
-    const years = Array.from({ length: 10 }, (_, i) => currentYear + i);
+    const years = getExpiryYearOptions();
     const months = Array.from({ length: 12 }, (_, i) => i + 1);
 
+    /**
+     * Días disponibles para el mes/año seleccionados (31 si aún no se eligen).
+     * @param {string} month
+     * @param {string} year
+     * @returns {number[]}
+     */
+    const getDayOptions = (month, year) => {
+        const daysCount = month && year ? getDaysInMonth(parseInt(month, 10), parseInt(year, 10)) : 31;
+        return Array.from({ length: daysCount }, (_, i) => i + 1);
+    };
+
+
+    /**
+     * Aplica un producto encontrado (por escaneo o búsqueda manual).
+     * En modo individual carga los datos del producto y su ID para mostrar el formulario.
+     * En modo cola agrega una línea nueva a la lista y limpia el input para el siguiente escaneo.
+     * @param {{productId: string, product: object, barcodeUsed: string, gs1: object|null}} found
+     */
+    const applyFoundProduct = useCallback(({ productId: foundProductId, product, barcodeUsed, gs1 }) => {
+        const prefill = {
+            expiryMonth: gs1?.expiry ? String(gs1.expiry.month) : '',
+            expiryYear: gs1?.expiry ? String(gs1.expiry.year) : '',
+            expiryDay: gs1?.expiry?.day ? String(gs1.expiry.day) : '',
+            lotNumber: gs1?.lot || ''
+        };
+        if (entryMode === 'queue') {
+            const lineId = nextLineIdRef.current++;
+            setQueueLines(prev => [...prev, {
+                lineId, productId: foundProductId, productName: product.name, laboratory: product.laboratory,
+                barcodeUsed, quantity: '1', ...prefill
+            }]);
+            setBarcodeInput('');
+            setSuccessMessage(`Agregado a la cola: ${product.name}`);
+            return;
+        }
+        setProductId(foundProductId);
+        setProductData(product);
+        setMatchedBarcode(barcodeUsed);
+        setExpiryMonth(prefill.expiryMonth); setExpiryYear(prefill.expiryYear);
+        setExpiryDay(prefill.expiryDay); setLotNumber(prefill.lotNumber);
+        setGs1Prefilled(!!(gs1?.expiry || gs1?.lot));
+        setError('');
+    }, [entryMode]);
 
     /**
      * Busca el producto por código de barras en Firebase.
-     * Si lo encuentra, carga los datos del producto y su ID.
-     * Si no, muestra mensaje de error.
+     * Si la lectura es GS1, usa el GTIN para la búsqueda y precarga mes/año/día de vencimiento y lote.
+     * Si no lo encuentra, muestra mensaje de error.
      * @param {string} barcodeToSearch
      */
     const performSearch = useCallback(async (barcodeToSearch) => {
         if (!barcodeToSearch) return;
         setProductData(null); setProductId(null); setError(''); setSuccessMessage('');
-        setQuantity(''); setExpiryMonth(''); setExpiryYear('');
+        setQuantity(''); setExpiryMonth(''); setExpiryYear(''); setExpiryDay(''); setLotNumber('');
+        setMatchedBarcode(''); setGs1Prefilled(false); setUnknownBarcode(null);
         setIsLoadingProduct(true);
         try {
-            const barcodeRefPath = `product_barcodes/${barcodeToSearch}`;
-            const barcodeRef = ref(database, barcodeRefPath);
-            const barcodeSnapshot = await get(barcodeRef);
-            if (!barcodeSnapshot.exists()) throw new Error(`Código de barras "${barcodeToSearch}" no encontrado.`);
-            const foundProductId = barcodeSnapshot.val();
-            setProductId(foundProductId);
-            const productRef = ref(database, `products/${foundProductId}`);
-            const productSnapshot = await get(productRef);
-            if (!productSnapshot.exists()) throw new Error(`Producto con ID "${foundProductId}" no encontrado.`);
-            setProductData(productSnapshot.val());
-            setError('');
+            applyFoundProduct(await lookupProductByScan(barcodeToSearch));
         } catch (err) {
             console.error("Error searching barcode:", err);
             setError(err.message || 'Error al buscar el producto.');
+            if (err.code === BARCODE_NOT_FOUND) setUnknownBarcode({ barcode: err.barcode, gs1: err.gs1 });
             setProductData(null); setProductId(null);
         } finally {
             setIsLoadingProduct(false);
+            if (entryMode === 'queue' && barcodeInputRef.current) setTimeout(() => barcodeInputRef.current?.focus(), 0);
         }
-    }, [database]);
+    }, [entryMode, applyFoundProduct]);
 
 
     /**
@@ -128,6 +228,22 @@ function StockEntryPage() {
         if (barcodeInputRef.current && !productData) barcodeInputRef.current.focus();
     }, [productData]);
 
+    /**
+     * Carga la ventana configurada para detectar duplicados.
+     */
+    useEffect(() => {
+        getDuplicateWindowMinutes()
+            .then(setDuplicateWindowMinutes)
+            .catch(err => console.warn("Error loading duplicate window setting:", err));
+    }, []);
+
+    /**
+     * Descarta la advertencia de duplicado si cambian los datos de la entrada.
+     */
+    useEffect(() => {
+        setDuplicateWarning(null);
+    }, [productId, quantity, expiryMonth, expiryYear, expiryDay]);
+
     /**
      * Enfoca el input al montar el componente.
      */
@@ -136,43 +252,154 @@ function StockEntryPage() {
     }, []);
 
 
+    /**
+     * Recibe una lectura del escáner de cámara y la procesa igual que un código ingresado en el input.
+     * Si el texto coincide con el valor actual del input (no dispararía el efecto de debounce), busca directamente.
+     * @param {string} scannedText
+     */
+    const handleCameraDetected = (scannedText) => {
+        setIsCameraOpen(false);
+        const trimmedScan = scannedText.trim();
+        if (!trimmedScan) return;
+        if (trimmedScan === barcodeInput.trim()) performSearch(trimmedScan);
+        else setBarcodeInput(trimmedScan);
+    };
+
+    /**
+     * Recibe el producto elegido en el buscador manual y abre el mismo formulario que un escaneo.
+     * La entrada queda marcada en `barcodeUsed` como búsqueda manual.
+     * @param {{productId: string, product: object}} selection
+     */
+    const handleManualProductSelected = ({ productId: selectedProductId, product }) => {
+        setIsProductSearchOpen(false);
+        if (debounceTimeoutRef.current) clearTimeout(debounceTimeoutRef.current);
+        setError(''); setSuccessMessage('');
+        setQuantity(''); setExpiryMonth(''); setExpiryYear(''); setExpiryDay(''); setLotNumber('');
+        applyFoundProduct({ productId: selectedProductId, product, barcodeUsed: MANUAL_LOOKUP_BARCODE, gs1: null });
+        if (entryMode === 'queue' && barcodeInputRef.current) setTimeout(() => barcodeInputRef.current?.focus(), 0);
+    };
+
+    /**
+     * Confirma el envío de una propuesta de código nuevo y deja el input listo para el siguiente escaneo.
+     * @param {{withProvisionalEntry: boolean}} result
+     */
+    const handleProposalSubmitted = ({ withProvisionalEntry }) => {
+        const proposedBarcode = unknownBarcode?.barcode;
+        handleClearForm();
+        setSuccessMessage(withProvisionalEntry
+            ? `Propuesta del código ${proposedBarcode} enviada. El ingreso quedó provisional hasta su aprobación.`
+            : `Propuesta del código ${proposedBarcode} enviada para revisión.`);
+    };
+
     /**
      * Limpia el formulario y mensajes, y enfoca el input de código de barras.
      */
     const handleClearForm = () => {
-        setBarcodeInput(''); setProductData(null); setProductId(null); setError('');
-        setSuccessMessage(''); setQuantity(''); setExpiryMonth(''); setExpiryYear('');
+        setBarcodeInput(''); setProductData(null); setProductId(null); setError(''); setUnknownBarcode(null);
+        setMatchedBarcode(''); setGs1Prefilled(false);
+        setSuccessMessage(''); setQuantity(''); setExpiryMonth(''); setExpiryYear(''); setExpiryDay(''); setLotNumber('');
         if (barcodeInputRef.current) setTimeout(() => barcodeInputRef.current.focus(), 0);
     };
 
 
+    /**
+     * Guarda líneas ya validadas del local del usuario.
+     * Con conexión las escribe en una única actualización multi-ruta; sin conexión, si la escritura falla o si no se
+     * confirma dentro de ONLINE_SAVE_TIMEOUT_MS, las deja en la cola offline para sincronizarlas después.
+     * Los IDs de las entradas se asignan antes del intento, así una escritura que llega tarde y la sincronización
+     * de la cola escriben las mismas rutas en lugar de duplicar el ingreso.
+     * @param {Array<object>} lines
+     * @returns {Promise<'saved'|'queued'>} Cómo quedaron guardadas.
+     * @throws {Error} Si tampoco se pudo guardar en la cola local.
+     */
+    const saveEntryLines = async (lines) => {
+        const linesWithIds = assignEntryIds(userStoreId, lines);
+        if (isOnline) {
+            let timeoutId = null;
+            try {
+                await Promise.race([
+                    update(ref(database), buildStockEntryUpdates(userStoreId, linesWithIds, currentUser.email)),
+                    new Promise((_, reject) => {
+                        timeoutId = setTimeout(() => reject(new Error('La escritura no se confirmó a tiempo.')), ONLINE_SAVE_TIMEOUT_MS);
+                    })
+                ]);
+                return 'saved';
+            } catch (err) {
+                console.error("Error saving stock entries, queuing offline:", err);
+            } finally {
+                clearTimeout(timeoutId);
+            }
+        }
+        await enqueueSubmission({ storeId: userStoreId, userEmail: currentUser.email, lines: linesWithIds });
+        return 'queued';
+    };
+
+    /**
+     * Guarda una entrada del modo individual, limpia el formulario y muestra el resultado.
+     * @param {object} line - Línea validada.
+     */
+    const saveSingleEntry = async (line) => {
+        const result = await saveEntryLines([line]);
+        handleClearForm();
+        setSuccessMessage(result === 'saved'
+            ? `¡${line.quantity} u. de ${line.productName} ingresadas!`
+            : `Sin conexión: ${line.quantity} u. de ${line.productName} guardadas en este equipo. Se sincronizarán automáticamente.`);
+    };
+
     /**
      * Maneja el envío del formulario de ingreso de stock.
-     * Valida los campos y guarda la entrada en Firebase bajo el local del usuario.
+     * Valida los campos y, con conexión, busca posibles duplicados antes de guardar; si los hay,
+     * muestra la advertencia y espera la confirmación del usuario.
      * Muestra mensajes de éxito o error según el resultado.
      * @param {Event} e - Evento de submit del formulario
      */
     const handleSubmitEntry = async (e) => {
         e.preventDefault();
-        setError(''); setSuccessMessage('');
+        setError(''); setSuccessMessage(''); setDuplicateWarning(null);
         if (!productData || !productId) { setError('Busca un producto válido.'); return; }
-        if (!quantity || parseInt(quantity, 10) <= 0) { setError('Cantidad inválida.'); return; }
-        if (!expiryMonth || !expiryYear) { setError('Selecciona mes/año de vencimiento.'); return; }
+        const fieldsError = validateEntryFields({ quantity, expiryMonth, expiryYear, expiryDay, lotNumber });
+        if (fieldsError) { setError(fieldsError); return; }
         if (!userStoreId) { setError('Tienda de usuario no encontrada.'); return; }
         if (!currentUser?.email) { setError('Email de usuario no encontrado.'); return; }
         if (!productData.name) { setError('Nombre de producto no encontrado.'); return;}
         setIsSubmitting(true);
-        const entryData = {
-            quantity: parseInt(quantity, 10), expiryMonth: parseInt(expiryMonth, 10),
-            expiryYear: parseInt(expiryYear, 10), barcodeUsed: barcodeInput.trim(),
-            userEmail: currentUser.email, productName: productData.name,
-            timestamp: serverTimestamp()
+        const line = {
+            productId, productName: productData.name, quantity, expiryMonth, expiryYear, expiryDay, lotNumber,
+            barcodeUsed: matchedBarcode || barcodeInput.trim()
         };
         try {
-            const stockEntriesRef = ref(database, `stock/${userStoreId}/${productId}/entries`);
-            await push(stockEntriesRef, entryData);
-            setSuccessMessage(`¡${quantity} u. de ${productData.name} ingresadas!`);
-            handleClearForm();
+            if (isOnline) {
+                let matches = [];
+                try {
+                    matches = await findPossibleDuplicates(userStoreId, line, duplicateWindowMinutes);
+                } catch (err) {
+                    // La verificación no debe impedir el ingreso
+                    console.warn("Error checking for duplicate entries:", err);
+                }
+                if (matches.length > 0) {
+                    setDuplicateWarning({ line, matches });
+                    return;
+                }
+            }
+            await saveSingleEntry(line);
+        } catch (err) {
+            console.error("Error submitting stock entry:", err);
+            setError('Error al guardar la entrada. Inténtalo de nuevo.');
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    /**
+     * Guarda la entrada advertida como posible duplicado, marcándola junto con las coincidencias.
+     */
+    const handleConfirmDuplicate = async () => {
+        if (!duplicateWarning) return;
+        const { line, matches } = duplicateWarning;
+        setDuplicateWarning(null);
+        setIsSubmitting(true);
+        try {
+            await saveSingleEntry({ ...line, duplicateOfEntryIds: matches.map(match => match.entryId) });
         } catch (err) {
             console.error("Error submitting stock entry:", err);
             setError('Error al guardar la entrada. Inténtalo de nuevo.');
@@ -181,6 +408,94 @@ function StockEntryPage() {
         }
     };
 
+    /**
+     * Cambia entre modo individual y modo cola, limpiando el formulario actual.
+     * La cola se conserva para no perder escaneos al alternar por error.
+     * @param {'single'|'queue'} mode
+     */
+    const handleModeChange = (mode) => {
+        if (mode === entryMode) return;
+        handleClearForm();
+        setEntryMode(mode);
+    };
+
+    /**
+     * Actualiza un campo de una línea de la cola y limpia su error de validación.
+     * @param {number} lineId
+     * @param {string} field - 'quantity' | 'expiryMonth' | 'expiryYear' | 'expiryDay' | 'lotNumber'
+     * @param {string} value
+     */
+    const handleQueueLineChange = (lineId, field, value) => {
+        setQueueLines(prev => prev.map(line => line.lineId === lineId ? { ...line, [field]: value } : line));
+        setQueueErrors(prev => {
+            if (!prev[lineId]) return prev;
+            const next = { ...prev };
+            delete next[lineId];
+            return next;
+        });
+    };
+
+    /**
+     * Quita una línea de la cola.
+     * @param {number} lineId
+     */
+    const handleRemoveQueueLine = (lineId) => {
+        setQueueLines(prev => prev.filter(line => line.lineId !== lineId));
+        setQueueErrors(prev => {
+            const next = { ...prev };
+            delete next[lineId];
+            return next;
+        });
+    };
+
+    /**
+     * Vacía la cola completa previa confirmación.
+     */
+    const handleClearQueue = () => {
+        if (queueLines.length === 0) return;
+        if (!window.confirm(`¿Descartar las ${queueLines.length} líneas de la cola?`)) return;
+        setQueueLines([]); setQueueErrors({}); setError(''); setSuccessMessage('');
+    };
+
+    /**
+     * Valida todas las líneas de la cola y, solo si todas son válidas, las guarda en una única
+     * escritura multi-ruta. Si alguna línea falla, no se escribe nada y se marcan las líneas con error.
+     */
+    const handleCommitQueue = async () => {
+        setError(''); setSuccessMessage('');
+        if (queueLines.length === 0) { setError('La cola está vacía.'); return; }
+        if (!userStoreId) { setError('Tienda de usuario no encontrada.'); return; }
+        if (!currentUser?.email) { setError('Email de usuario no encontrado.'); return; }
+        const lineErrors = {};
+        queueLines.forEach(line => {
+            const lineError = line.productName ? validateEntryFields(line) : 'Nombre de producto no encontrado.';
+            if (lineError) lineErrors[line.lineId] = lineError;
+        });
+        setQueueErrors(lineErrors);
+        const invalidCount = Object.keys(lineErrors).length;
+        if (invalidCount > 0) {
+            setError(`${invalidCount} línea(s) con errores. Corrígelas antes de confirmar; no se guardó nada.`);
+            return;
+        }
+        setIsSubmitting(true);
+        try {
+            const result = await saveEntryLines(queueLines);
+            const totalUnits = queueLines.reduce((sum, line) => sum + parseInt(line.quantity, 10), 0);
+            setSuccessMessage(result === 'saved'
+                ? `¡${queueLines.length} líneas (${totalUnits} u.) ingresadas!`
+                : `Sin conexión: ${queueLines.length} líneas (${totalUnits} u.) guardadas en este equipo. Se sincronizarán automáticamente.`);
+            setQueueLines([]); setQueueErrors({}); setBarcodeInput('');
+        } catch (err) {
+            console.error("Error committing stock entry queue:", err);
+            setError('Error al guardar la cola. No se guardó ninguna línea. Inténtalo de nuevo.');
+        } finally {
+            setIsSubmitting(false);
+            if (barcodeInputRef.current) setTimeout(() => barcodeInputRef.current?.focus(), 0);
+        }
+    };
+
+    const queueTotalUnits = queueLines.reduce((sum, line) => sum + (parseInt(line.quantity, 10) || 0), 0);
+
     return (
         <div className="page-container stock-entry-layout">
 
@@ -202,111 +517,346 @@ function StockEntryPage() {
                  
                  <div style={{ width: '2.5em', visibility: 'hidden', flexShrink: 0 }}></div>
             </div>
-            
 
+            {/* Selector de modo: individual o cola de recepción */}
+            <div className="button-group" style={{ justifyContent: 'center', gap: '10px', marginBottom: '10px' }}>
+                <button type="button" className={entryMode === 'single' ? '' : 'secondary'} onClick={() => handleModeChange('single')} disabled={isSubmitting} style={{ marginTop: 0 }}>
+                    Individual
+                </button>
+                <button type="button" className={entryMode === 'queue' ? '' : 'secondary'} onClick={() => handleModeChange('queue')} disabled={isSubmitting} style={{ marginTop: 0 }}>
+                    Recepción (cola){queueLines.length > 0 ? ` · ${queueLines.length}` : ''}
+                </button>
+            </div>
 
-           
-            {!productData ? (
-                
-                <>
-                    
-                    <div className="input-group" style={{ maxWidth: '480px', margin: '40px auto 20px auto' }}>
-                        <label htmlFor="barcode">Código de Barras:</label>
-                        <input
-                            id="barcode"
-                            ref={barcodeInputRef}
-                            type="text"
-                            value={barcodeInput}
-                            onChange={(e) => setBarcodeInput(e.target.value)}
-                            placeholder="Ingresa o escanea el código..."
-                            style={{ width: '100%', padding: '10px' }} 
-                            disabled={isLoadingProduct || isSubmitting }
-                        />
+            {/* Estado de conexión y cola offline */}
+            {(!isOnline || pendingCount > 0 || rejectedRecords.length > 0 || lastSyncResult) && (
+                <div style={{ margin: '0 auto 15px auto', maxWidth: '640px', padding: '10px 15px', borderRadius: '6px', border: '1px solid #dee2e6', backgroundColor: isOnline ? '#f8f9fa' : '#fff8e1', fontSize: '0.9em' }}>
+                    <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '10px', flexWrap: 'wrap' }}>
+                        <span>
+                            <span className="material-symbols-outlined" style={{ verticalAlign: 'middle', marginRight: '5px', color: isOnline ? '#198754' : '#fd7e14' }}>{isOnline ? 'cloud_done' : 'cloud_off'}</span>
+                            {isOnline ? 'En línea' : 'Sin conexión: los ingresos se guardan en este equipo'}
+                            {pendingCount > 0 && <strong> · {pendingCount} pendiente(s) de sincronizar</strong>}
+                        </span>
+                        {isOnline && pendingCount > 0 && (
+                            <button type="button" className="secondary" onClick={syncNow} disabled={isSyncing} style={{ marginTop: 0, padding: '4px 10px', fontSize: '0.9em' }}>
+                                {isSyncing ? 'Sincronizando...' : 'Sincronizar ahora'}
+                            </button>
+                        )}
                     </div>
-                    {isLoadingProduct && <p style={{textAlign: 'center', marginTop: '10px'}}>Buscando...</p>}
-                    {error && <p className="error-message">{error}</p>}
-                    {successMessage && <p style={{color: 'green', textAlign:'center', fontWeight:'bold'}}>{successMessage}</p>}
-                    {!isLoadingProduct && !successMessage && (
-                       <div className="button-group" style={{marginTop: '25px', justifyContent: 'center'}}>
-                            <button type="button" className="secondary" onClick={() => navigate('/home')}>
-                                Volver a Inicio
+                    {lastSyncResult && lastSyncResult.synced > 0 && (
+                        <p style={{ margin: '5px 0 0 0', color: 'green' }}>{lastSyncResult.synced} ingreso(s) pendiente(s) sincronizado(s).</p>
+                    )}
+                    {rejectedRecords.map(record => (
+                        <div key={record.localId} style={{ marginTop: '8px', padding: '8px', borderRadius: '4px', backgroundColor: '#fff3f3', border: '1px solid #f5c2c7' }}>
+                            <div style={{ color: '#c0392b', fontWeight: 'bold' }}>Rechazado al sincronizar: {record.rejectionReason}</div>
+                            <div style={{ fontSize: '0.9em' }}>
+                                Capturado {new Date(record.createdAt).toLocaleString('es-CL')} · {record.lines.map(line => `${line.quantity} u. ${line.productName}`).join(', ')}
+                            </div>
+                            <button type="button" className="secondary" onClick={() => discardRecord(record.localId)} style={{ marginTop: '5px', padding: '3px 10px', fontSize: '0.85em' }}>
+                                Descartar
                             </button>
-                       </div>
-                     )}
-                </>
-            ) : (
-                
-                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '30px', paddingTop: '10px', borderTop: '1px solid #eee', marginTop:'20px' }}>
-
-                    
-                    <div style={{ flex: '1', minWidth: '300px', padding: '0 10px' }}>
-                        <div className="input-group" style={{ marginBottom: '20px' }}>
-                            <label htmlFor="barcode-search-again" style={{fontSize: '0.9em'}}>Código de Barras:</label>
-                            <input
-                                id="barcode-search-again"
-                                ref={barcodeInputRef}
-                                type="text"
-                                value={barcodeInput}
-                                onChange={(e) => setBarcodeInput(e.target.value)}
-                                placeholder="Buscar otro código..."
-                                style={{ width: '100%', padding: '8px', marginTop: '3px', fontSize:'0.95em' }}
-                                disabled={isSubmitting || isLoadingProduct}
-                            />
-                             {isLoadingProduct && <p style={{fontSize: '0.9em', textAlign: 'center', marginTop: '5px'}}>Buscando...</p>}
                         </div>
+                    ))}
+                </div>
+            )}
 
-                        <h3 style={{marginTop: 0, marginBottom: '10px'}}>Producto Encontrado:</h3>
-                        <div className="product-details-list" style={{marginTop: 0, marginBottom: 0, padding: '10px'}}>
-                           <dl>
-                               <dt>Nombre:</dt><dd>{productData.name}</dd>
-                               <dt>Código Ref:</dt><dd>{productId}</dd>
-                               <dt>Laboratorio:</dt><dd>{productData.laboratory}</dd> 
-                           </dl>
-                        </div>
-                    </div>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '20px', alignItems: 'flex-start' }}>
+                <div style={{ flex: '3 1 560px', minWidth: 0 }}>
+                    {entryMode === 'queue' ? (
+                        <>
+                            <div className="input-group" style={{ maxWidth: '480px', margin: '20px auto' }}>
+                                <label htmlFor="barcode-queue">Código de Barras:</label>
+                                <div style={{ display: 'flex', gap: '8px', alignItems: 'stretch' }}>
+                                    <input
+                                        id="barcode-queue"
+                                        ref={barcodeInputRef}
+                                        type="text"
+                                        value={barcodeInput}
+                                        onChange={(e) => setBarcodeInput(e.target.value)}
+                                        placeholder="Escanea cada caja para agregarla a la cola..."
+                                        style={{ flex: 1, padding: '10px' }}
+                                        disabled={isSubmitting}
+                                    />
+                                    <button type="button" className="icon-button" onClick={() => setIsCameraOpen(true)} disabled={isSubmitting} title="Escanear con cámara" aria-label="Escanear con cámara" style={{ flexShrink: 0, marginTop: 0 }}>
+                                        <span className="material-symbols-outlined">photo_camera</span>
+                                    </button>
+                                    <button type="button" className="icon-button" onClick={() => setIsProductSearchOpen(true)} disabled={isSubmitting} title="Buscar por nombre, laboratorio o código" aria-label="Buscar por nombre, laboratorio o código" style={{ flexShrink: 0, marginTop: 0 }}>
+                                        <span className="material-symbols-outlined">manage_search</span>
+                                    </button>
+                                </div>
+                            </div>
+                            {isLoadingProduct && <p style={{textAlign: 'center', marginTop: '10px'}}>Buscando...</p>}
+                            {error && <p className="error-message">{error}</p>}
+                            {unknownBarcode && !isLoadingProduct && (
+                                <div style={{ textAlign: 'center' }}>
+                                    <button type="button" className="secondary" onClick={() => setIsProposalOpen(true)} disabled={isSubmitting || !isOnline} style={{ marginTop: 0 }}>
+                                        Proponer código nuevo
+                                    </button>
+                                    {!isOnline && <p style={{ fontSize: '0.85em', color: '#777' }}>Se requiere conexión para enviar propuestas.</p>}
+                                </div>
+                            )}
+                            {successMessage && <p style={{color: 'green', textAlign:'center', fontWeight:'bold'}}>{successMessage}</p>}
+
+                            {queueLines.length === 0 ? (
+                                <p style={{ textAlign: 'center', fontStyle: 'italic', color: '#777' }}>La cola está vacía. Escanea un producto para comenzar.</p>
+                            ) : (
+                                <div style={{ overflowX: 'auto', marginTop: '15px' }}>
+                                    <table style={{ width: '100%', borderCollapse: 'collapse', minWidth: '800px' }}>
+                                        <thead>
+                                            <tr style={{ textAlign: 'left', borderBottom: '1px solid #ccc' }}>
+                                                <th style={{ padding: '5px 8px' }}>#</th>
+                                                <th style={{ padding: '5px 8px' }}>Producto</th>
+                                                <th style={{ padding: '5px 8px' }}>Cantidad</th>
+                                                <th style={{ padding: '5px 8px' }}>Mes Venc.</th>
+                                                <th style={{ padding: '5px 8px' }}>Año Venc.</th>
+                                                <th style={{ padding: '5px 8px' }}>Día</th>
+                                                <th style={{ padding: '5px 8px' }}>Lote</th>
+                                                <th style={{ padding: '5px 8px' }}></th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {queueLines.map((line, index) => (
+                                                <React.Fragment key={line.lineId}>
+                                                    <tr style={{ borderBottom: queueErrors[line.lineId] ? 'none' : '1px dotted #eee', backgroundColor: queueErrors[line.lineId] ? '#fff3f3' : 'transparent' }}>
+                                                        <td style={{ padding: '6px 8px' }}>{index + 1}</td>
+                                                        <td style={{ padding: '6px 8px' }}>
+                                                            <div style={{ fontWeight: 'bold' }}>{line.productName}</div>
+                                                            <div style={{ fontSize: '0.8em', color: '#777' }}>{line.productId} · {line.laboratory}</div>
+                                                        </td>
+                                                        <td style={{ padding: '6px 8px' }}>
+                                                            <input type="number" min="1" value={line.quantity} onChange={(e) => handleQueueLineChange(line.lineId, 'quantity', e.target.value)} disabled={isSubmitting} style={{ width: '80px', padding: '6px' }} aria-label={`Cantidad línea ${index + 1}`} />
+                                                        </td>
+                                                        <td style={{ padding: '6px 8px' }}>
+                                                            <select value={line.expiryMonth} onChange={(e) => handleQueueLineChange(line.lineId, 'expiryMonth', e.target.value)} disabled={isSubmitting} style={queueSelectStyle} aria-label={`Mes vencimiento línea ${index + 1}`}>
+                                                                <option value="">Mes</option>
+                                                                {months.map(m => <option key={m} value={m}>{m < 10 ? '0'+m : m}</option>)}
+                                                            </select>
+                                                        </td>
+                                                        <td style={{ padding: '6px 8px' }}>
+                                                            <select value={line.expiryYear} onChange={(e) => handleQueueLineChange(line.lineId, 'expiryYear', e.target.value)} disabled={isSubmitting} style={queueSelectStyle} aria-label={`Año vencimiento línea ${index + 1}`}>
+                                                                <option value="">Año</option>
+                                                                {years.map(y => <option key={y} value={y}>{y}</option>)}
+                                                            </select>
+                                                        </td>
+                                                        <td style={{ padding: '6px 8px' }}>
+                                                            <select value={line.expiryDay} onChange={(e) => handleQueueLineChange(line.lineId, 'expiryDay', e.target.value)} disabled={isSubmitting} style={queueSelectStyle} aria-label={`Día vencimiento línea ${index + 1}`}>
+                                                                <option value="">-</option>
+                                                                {getDayOptions(line.expiryMonth, line.expiryYear).map(d => <option key={d} value={d}>{d < 10 ? '0'+d : d}</option>)}
+                                                            </select>
+                                                        </td>
+                                                        <td style={{ padding: '6px 8px' }}>
+                                                            <input type="text" value={line.lotNumber} onChange={(e) => handleQueueLineChange(line.lineId, 'lotNumber', e.target.value)} disabled={isSubmitting} placeholder="Opcional" style={{ width: '110px', padding: '6px' }} aria-label={`Lote línea ${index + 1}`} />
+                                                        </td>
+                                                        <td style={{ padding: '6px 8px', textAlign: 'right' }}>
+                                                            <button type="button" className="icon-button" onClick={() => handleRemoveQueueLine(line.lineId)} disabled={isSubmitting} title="Quitar línea" aria-label="Quitar línea">
+                                                                <span className="material-symbols-outlined">delete</span>
+                                                            </button>
+                                                        </td>
+                                                    </tr>
+                                                    {queueErrors[line.lineId] && (
+                                                        <tr style={{ borderBottom: '1px dotted #eee', backgroundColor: '#fff3f3' }}>
+                                                            <td colSpan={8} style={{ padding: '0 8px 6px 8px', color: '#c0392b', fontSize: '0.85em' }}>{queueErrors[line.lineId]}</td>
+                                                        </tr>
+                                                    )}
+                                                </React.Fragment>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                    <p style={{ textAlign: 'right', fontWeight: 'bold', marginTop: '10px' }}>
+                                        {queueLines.length} línea(s) · {queueTotalUnits} u.
+                                    </p>
+                                </div>
+                            )}
 
+                            <div className="button-group" style={{ marginTop: '20px', justifyContent: 'center', flexWrap: 'wrap', gap: '10px' }}>
+                                <button type="button" onClick={handleCommitQueue} disabled={isSubmitting || queueLines.length === 0}>
+                                    {isSubmitting ? 'Ingresando...' : `Confirmar ${queueLines.length} línea(s)`}
+                                </button>
+                                <button type="button" className="secondary" onClick={handleClearQueue} disabled={isSubmitting || queueLines.length === 0}>
+                                    Vaciar Cola
+                                </button>
+                                <button type="button" className="secondary" onClick={() => navigate('/home')} disabled={isSubmitting}>
+                                    Volver a Inicio
+                                </button>
+                            </div>
+                        </>
+                    ) : !productData ? (
+                
+                        <>
                     
-                    <div style={{ flex: '1', minWidth: '300px', padding: '0 10px' }}>
-                        <form onSubmit={handleSubmitEntry}>
-                            <div className="input-group">
-                               <label style={{ height: '22px'}} htmlFor="quantity">Cantidad:</label>
-                               <input id="quantity" type="number" className="quantity-input" value={quantity} onChange={(e) => setQuantity(e.target.value)} min="1" required disabled={isSubmitting}/>
+                            <div className="input-group" style={{ maxWidth: '480px', margin: '40px auto 20px auto' }}>
+                                <label htmlFor="barcode">Código de Barras:</label>
+                                <div style={{ display: 'flex', gap: '8px', alignItems: 'stretch' }}>
+                                    <input
+                                        id="barcode"
+                                        ref={barcodeInputRef}
+                                        type="text"
+                                        value={barcodeInput}
+                                        onChange={(e) => setBarcodeInput(e.target.value)}
+                                        placeholder="Ingresa o escanea el código..."
+                                        style={{ flex: 1, padding: '10px' }} 
+                                        disabled={isLoadingProduct || isSubmitting }
+                                    />
+                                    <button type="button" className="icon-button" onClick={() => setIsCameraOpen(true)} disabled={isLoadingProduct || isSubmitting} title="Escanear con cámara" aria-label="Escanear con cámara" style={{ flexShrink: 0, marginTop: 0 }}>
+                                        <span className="material-symbols-outlined">photo_camera</span>
+                                    </button>
+                                    <button type="button" className="icon-button" onClick={() => setIsProductSearchOpen(true)} disabled={isLoadingProduct || isSubmitting} title="Buscar por nombre, laboratorio o código" aria-label="Buscar por nombre, laboratorio o código" style={{ flexShrink: 0, marginTop: 0 }}>
+                                        <span className="material-symbols-outlined">manage_search</span>
+                                    </button>
+                                </div>
                             </div>
-                            <div style={{ display: 'flex', gap: '15px' }} className="input-group"> 
-                               <div style={{ flex: 1 }}>
-                                   <label htmlFor="expiryMonth">Mes Venc.:</label>
-                                   <select id="expiryMonth" value={expiryMonth} onChange={(e) => setExpiryMonth(e.target.value)} required disabled={isSubmitting} style={{width: '100%', padding: '12px', border: '1px solid #bdc3c7', borderRadius: '5px'}}>
-                                      <option value="">Mes</option>
-                                      {months.map(m => <option key={m} value={m}>{m < 10 ? '0'+m : m}</option>)}
-                                   </select>
-                               </div>
-                               <div style={{ flex: 1 }}>
-                                   <label htmlFor="expiryYear">Año Venc.:</label>
-                                   <select id="expiryYear" value={expiryYear} onChange={(e) => setExpiryYear(e.target.value)} required disabled={isSubmitting} style={{width: '100%', padding: '12px', border: '1px solid #bdc3c7', borderRadius: '5px'}}>
-                                       <option value="">Año</option>
-                                       {years.map(y => <option key={y} value={y}>{y}</option>)}
-                                   </select>
+                            {isLoadingProduct && <p style={{textAlign: 'center', marginTop: '10px'}}>Buscando...</p>}
+                            {error && <p className="error-message">{error}</p>}
+                            {unknownBarcode && !isLoadingProduct && (
+                                <div style={{ textAlign: 'center' }}>
+                                    <button type="button" className="secondary" onClick={() => setIsProposalOpen(true)} disabled={isSubmitting || !isOnline} style={{ marginTop: 0 }}>
+                                        Proponer código nuevo
+                                    </button>
+                                    {!isOnline && <p style={{ fontSize: '0.85em', color: '#777' }}>Se requiere conexión para enviar propuestas.</p>}
+                                </div>
+                            )}
+                            {successMessage && <p style={{color: 'green', textAlign:'center', fontWeight:'bold'}}>{successMessage}</p>}
+                            {!isLoadingProduct && !successMessage && (
+                               <div className="button-group" style={{marginTop: '25px', justifyContent: 'center'}}>
+                                    <button type="button" className="secondary" onClick={() => navigate('/stock-entry/corrections')}>
+                                        Corregir Ingresos
+                                    </button>
+                                    <button type="button" className="secondary" onClick={() => navigate('/home')}>
+                                        Volver a Inicio
+                                    </button>
                                </div>
+                             )}
+                        </>
+                    ) : (
+                
+                        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '30px', paddingTop: '10px', borderTop: '1px solid #eee', marginTop:'20px' }}>
+
+                    
+                            <div style={{ flex: '1', minWidth: '300px', padding: '0 10px' }}>
+                                <div className="input-group" style={{ marginBottom: '20px' }}>
+                                    <label htmlFor="barcode-search-again" style={{fontSize: '0.9em'}}>Código de Barras:</label>
+                                    <div style={{ display: 'flex', gap: '8px', alignItems: 'stretch' }}>
+                                        <input
+                                            id="barcode-search-again"
+                                            ref={barcodeInputRef}
+                                            type="text"
+                                            value={barcodeInput}
+                                            onChange={(e) => setBarcodeInput(e.target.value)}
+                                            placeholder="Buscar otro código..."
+                                            style={{ flex: 1, padding: '8px', marginTop: '3px', fontSize:'0.95em' }}
+                                            disabled={isSubmitting || isLoadingProduct}
+                                        />
+                                        <button type="button" className="icon-button" onClick={() => setIsCameraOpen(true)} disabled={isSubmitting || isLoadingProduct} title="Escanear con cámara" aria-label="Escanear con cámara" style={{ flexShrink: 0, marginTop: 0 }}>
+                                            <span className="material-symbols-outlined">photo_camera</span>
+                                        </button>
+                                        <button type="button" className="icon-button" onClick={() => setIsProductSearchOpen(true)} disabled={isSubmitting || isLoadingProduct} title="Buscar por nombre, laboratorio o código" aria-label="Buscar por nombre, laboratorio o código" style={{ flexShrink: 0, marginTop: 0 }}>
+                                            <span className="material-symbols-outlined">manage_search</span>
+                                        </button>
+                                    </div>
+                                     {isLoadingProduct && <p style={{fontSize: '0.9em', textAlign: 'center', marginTop: '5px'}}>Buscando...</p>}
+                                </div>
+
+                                <h3 style={{marginTop: 0, marginBottom: '10px'}}>Producto Encontrado:</h3>
+                                <div className="product-details-list" style={{marginTop: 0, marginBottom: 0, padding: '10px'}}>
+                                   <dl>
+                                       <dt>Nombre:</dt><dd>{productData.name}</dd>
+                                       <dt>Código Ref:</dt><dd>{productId}</dd>
+                                       <dt>Laboratorio:</dt><dd>{productData.laboratory}</dd> 
+                                   </dl>
+                                </div>
                             </div>
+
+                    
+                            <div style={{ flex: '1', minWidth: '300px', padding: '0 10px' }}>
+                                <form onSubmit={handleSubmitEntry}>
+                                    {matchedBarcode === MANUAL_LOOKUP_BARCODE && (
+                                        <p style={{ fontSize: '0.85em', color: '#6c757d', marginTop: 0 }}>
+                                            Producto elegido por búsqueda manual. Confirma que corresponde a la caja antes de ingresar.
+                                        </p>
+                                    )}
+                                    {gs1Prefilled && (
+                                        <p style={{ fontSize: '0.85em', color: '#0d6efd', marginTop: 0 }}>
+                                            Vencimiento y lote precargados desde el código GS1. Verifícalos antes de ingresar.
+                                        </p>
+                                    )}
+                                    <div className="input-group">
+                                       <label style={{ height: '22px'}} htmlFor="quantity">Cantidad:</label>
+                                       <input id="quantity" type="number" className="quantity-input" value={quantity} onChange={(e) => setQuantity(e.target.value)} min="1" required disabled={isSubmitting}/>
+                                    </div>
+                                    <div style={{ display: 'flex', gap: '15px' }} className="input-group"> 
+                                       <div style={{ flex: 1 }}>
+                                           <label htmlFor="expiryMonth">Mes Venc.:</label>
+                                           <select id="expiryMonth" value={expiryMonth} onChange={(e) => setExpiryMonth(e.target.value)} required disabled={isSubmitting} style={{width: '100%', padding: '12px', border: '1px solid #bdc3c7', borderRadius: '5px'}}>
+                                              <option value="">Mes</option>
+                                              {months.map(m => <option key={m} value={m}>{m < 10 ? '0'+m : m}</option>)}
+                                           </select>
+                                       </div>
+                                       <div style={{ flex: 1 }}>
+                                           <label htmlFor="expiryYear">Año Venc.:</label>
+                                           <select id="expiryYear" value={expiryYear} onChange={(e) => setExpiryYear(e.target.value)} required disabled={isSubmitting} style={{width: '100%', padding: '12px', border: '1px solid #bdc3c7', borderRadius: '5px'}}>
+                                               <option value="">Año</option>
+                                               {years.map(y => <option key={y} value={y}>{y}</option>)}
+                                           </select>
+                                       </div>
+                                       <div style={{ flex: 1 }}>
+                                           <label htmlFor="expiryDay">Día (opc.):</label>
+                                           <select id="expiryDay" value={expiryDay} onChange={(e) => setExpiryDay(e.target.value)} disabled={isSubmitting} style={{width: '100%', padding: '12px', border: '1px solid #bdc3c7', borderRadius: '5px'}}>
+                                               <option value="">-</option>
+                                               {getDayOptions(expiryMonth, expiryYear).map(d => <option key={d} value={d}>{d < 10 ? '0'+d : d}</option>)}
+                                           </select>
+                                       </div>
+                                    </div>
+                                    <div className="input-group">
+                                       <label htmlFor="lotNumber">Lote (opcional):</label>
+                                       <input id="lotNumber" type="text" value={lotNumber} onChange={(e) => setLotNumber(e.target.value)} placeholder="Ej: L2345A" disabled={isSubmitting} style={{ width: '100%', padding: '10px' }}/>
+                                    </div>
                             
-                            <div className="button-group" style={{marginTop: '20px', justifyContent: 'flex-start', flexWrap: 'wrap'}}>
-                                <button type="submit" disabled={isSubmitting} style={{marginRight: '10px', marginBottom: '10px'}}>
-                                   {isSubmitting ? 'Ingresando...' : 'Ingresar'}
-                                </button>
-                                 <button type="button" className="secondary" onClick={handleClearForm} disabled={isSubmitting} style={{marginRight: '10px', marginBottom: '10px'}}>
-                                    Limpiar
-                                 </button>
+                                    <div className="button-group" style={{marginTop: '20px', justifyContent: 'flex-start', flexWrap: 'wrap'}}>
+                                        <button type="submit" disabled={isSubmitting || !!duplicateWarning} style={{marginRight: '10px', marginBottom: '10px'}}>
+                                           {isSubmitting ? 'Ingresando...' : 'Ingresar'}
+                                        </button>
+                                         <button type="button" className="secondary" onClick={handleClearForm} disabled={isSubmitting} style={{marginRight: '10px', marginBottom: '10px'}}>
+                                            Limpiar
+                                         </button>
                                 
-                            </div>
+                                    </div>
                              
-                             {error && !isLoadingProduct && <p className="error-message" style={{marginTop: '15px'}}>{error}</p>}
-                             {successMessage && <p style={{color: 'green', textAlign:'center', fontWeight:'bold', marginTop: '15px'}}>{successMessage}</p>}
-                        </form>
-                    </div>
+                                     {duplicateWarning && (
+                                        <div style={{ marginTop: '10px', padding: '10px 12px', borderRadius: '6px', backgroundColor: '#fff8e1', border: '1px solid #ffc107' }}>
+                                            <strong>Posible duplicado.</strong> Ya hay {duplicateWarning.matches.length} ingreso(s) de {duplicateWarning.line.quantity} u. de este producto con el mismo vencimiento en los últimos {duplicateWindowMinutes} minutos:
+                                            <ul style={{ margin: '6px 0', paddingLeft: '20px', fontSize: '0.9em' }}>
+                                                {duplicateWarning.matches.map(match => (
+                                                    <li key={match.entryId}>{new Date(Number(match.timestamp)).toLocaleTimeString('es-CL')} · {match.userEmail}</li>
+                                                ))}
+                                            </ul>
+                                            <div className="button-group" style={{ justifyContent: 'flex-start', gap: '10px' }}>
+                                                <button type="button" onClick={handleConfirmDuplicate} disabled={isSubmitting} style={{ marginTop: 0, background: '#fd7e14' }}>Ingresar de todos modos</button>
+                                                <button type="button" className="secondary" onClick={() => setDuplicateWarning(null)} disabled={isSubmitting} style={{ marginTop: 0 }}>Cancelar</button>
+                                            </div>
+                                        </div>
+                                     )}
+                                     {error && !isLoadingProduct && <p className="error-message" style={{marginTop: '15px'}}>{error}</p>}
+                                     {successMessage && <p style={{color: 'green', textAlign:'center', fontWeight:'bold', marginTop: '15px'}}>{successMessage}</p>}
+                                </form>
+                            </div>
+                        </div>
+                    )}
                 </div>
-            )}
-             
+                {userStoreId && currentUser?.email && <MyEntriesPanel storeId={userStoreId} userEmail={currentUser.email} />}
+            </div>
 
+            {isCameraOpen && <CameraScanner onDetected={handleCameraDetected} onClose={() => setIsCameraOpen(false)} />}
+            {isProposalOpen && unknownBarcode && (
+                <BarcodeProposalModal
+                    barcode={unknownBarcode.barcode}
+                    gs1={unknownBarcode.gs1}
+                    storeId={userStoreId}
+                    userEmail={currentUser?.email}
+                    onClose={() => setIsProposalOpen(false)}
+                    onSubmitted={handleProposalSubmitted}
+                />
+            )}
+            {isProductSearchOpen && <ProductSearchModal onSelect={handleManualProductSelected} onClose={() => setIsProductSearchOpen(false)} />}
         </div>
     );
 }
@@ -0,0 +1,270 @@
+/**
+ * Página de importación masiva de entradas de stock desde .xlsx o .csv.
+ * Estructura y propósito:
+ * - Lee el archivo, resuelve cada fila contra el catálogo y los locales y muestra una vista previa fila por fila
+ *   con sus errores (ver stockImport.js).
+ * - Importa solo las filas válidas, como entradas normales marcadas con el ID del lote de importación.
+ * - Lista los lotes importados y permite revertir un lote completo (sus entradas quedan anuladas con historial).
+ *
+ * Solo accesible para admin y superadmin.
+ * No recibe props. Utiliza hooks de React Router y el contexto de autenticación.
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { database } from '../firebase/firebaseConfig';
+import { ref, get } from 'firebase/database';
+import { formatEntryExpiry } from '../utils/stockEntries';
+import { loadProductCatalog } from '../utils/productCatalog';
+import {
+    parseImportFile, resolveImportRows, commitImportBatch, loadImportBatches, rollbackImportBatch,
+    IMPORT_BATCH_STATUS_ROLLED_BACK
+} from '../utils/stockImport';
+
+const cellStyle = { padding: '5px 8px' };
+
+/**
+ * Formatea un timestamp a una fecha legible en español (es-CL).
+ * @param {number} timestamp
+ * @returns {string}
+ */
+const formatTimestamp = (timestamp) => {
+    if (!timestamp) return 'N/A';
+    return new Date(timestamp).toLocaleString('es-CL');
+};
+
+function StockImportPage() {
+    /**
+     * Datos del usuario autenticado y navegación.
+     */
+    const { userData } = useAuth();
+    const navigate = useNavigate();
+
+    /**
+     * Estados de la página:
+     * stores: Object - Locales, para resolver la columna de local y mostrar nombres.
+     * defaultStoreId: string - Local para las filas sin local.
+     * file: File|null - Archivo seleccionado.
+     * previewRows: Array|null - Filas resueltas (ver resolveImportRows).
+     * showErrorsOnly: boolean - Filtra la vista previa a las filas con errores.
+     * batches: Array - Lotes importados.
+     */
+    const [stores, setStores] = useState({});
+    const [defaultStoreId, setDefaultStoreId] = useState('');
+    const [file, setFile] = useState(null);
+    const [fileInputKey, setFileInputKey] = useState(0);
+    const [previewRows, setPreviewRows] = useState(null);
+    const [showErrorsOnly, setShowErrorsOnly] = useState(false);
+    const [batches, setBatches] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [isProcessing, setIsProcessing] = useState(false);
+    const [error, setError] = useState('');
+    const [successMessage, setSuccessMessage] = useState('');
+
+    /**
+     * Carga locales y lotes importados.
+     */
+    const fetchData = useCallback(async () => {
+        setLoading(true); setError('');
+        try {
+            const [storesSnapshot, batchList] = await Promise.all([get(ref(database, 'stores')), loadImportBatches()]);
+            setStores(storesSnapshot.exists() ? storesSnapshot.val() : {});
+            setBatches(batchList);
+        } catch (err) {
+            console.error("Error fetching import data:", err);
+            setError('Error al cargar los datos de importación.');
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => { fetchData(); }, [fetchData]);
+
+    /**
+     * Lee y resuelve el archivo seleccionado para la vista previa.
+     */
+    const handlePreview = async () => {
+        if (!file) { setError('Selecciona un archivo .xlsx o .csv.'); return; }
+        setError(''); setSuccessMessage(''); setPreviewRows(null);
+        setIsProcessing(true);
+        try {
+            const { rows } = await parseImportFile(file);
+            const products = await loadProductCatalog();
+            setPreviewRows(await resolveImportRows(rows, { products, stores, defaultStoreId }));
+        } catch (err) {
+            console.error("Error reading import file:", err);
+            setError(err.message || 'No se pudo leer el archivo.');
+        } finally {
+            setIsProcessing(false);
+        }
+    };
+
+    /**
+     * Importa las filas válidas de la vista previa.
+     */
+    const handleImport = async () => {
+        const validCount = previewRows.filter(row => row.errors.length === 0).length;
+        if (!window.confirm(`Se importarán ${validCount} fila(s) válida(s). ¿Continuar?`)) return;
+        setError(''); setSuccessMessage('');
+        setIsProcessing(true);
+        try {
+            const { entryCount } = await commitImportBatch(previewRows, userData.email, file.name);
+            setSuccessMessage(`${entryCount} entrada(s) importada(s) desde ${file.name}.`);
+            setPreviewRows(null); setFile(null); setFileInputKey(prev => prev + 1);
+            setBatches(await loadImportBatches());
+        } catch (err) {
+            console.error("Error importing stock entries:", err);
+            setError(err.message || 'Error al importar las entradas.');
+        } finally {
+            setIsProcessing(false);
+        }
+    };
+
+    /**
+     * Revierte un lote importado completo.
+     * @param {object} batch
+     */
+    const handleRollback = async (batch) => {
+        if (!window.confirm(`¿Revertir la importación de ${batch.fileName} (${batch.entryCount} entradas)? Las entradas quedarán anuladas.`)) return;
+        setError(''); setSuccessMessage('');
+        setIsProcessing(true);
+        try {
+            const voidedCount = await rollbackImportBatch(batch, userData.email);
+            setSuccessMessage(`Importación revertida: ${voidedCount} entrada(s) anulada(s).`);
+            setBatches(await loadImportBatches());
+        } catch (err) {
+            console.error("Error rolling back import batch:", err);
+            setError(err.message || 'Error al revertir la importación.');
+        } finally {
+            setIsProcessing(false);
+        }
+    };
+
+    if (loading) return <div className="page-container" style={{ marginTop: '20px' }}><p>Cargando...</p></div>;
+
+    const storeIds = Object.keys(stores).sort();
+    const errorCount = previewRows ? previewRows.filter(row => row.errors.length > 0).length : 0;
+    const validCount = previewRows ? previewRows.length - errorCount : 0;
+    const visibleRows = previewRows ? previewRows.filter(row => !showErrorsOnly || row.errors.length > 0) : [];
+
+    return (
+        <div className="page-container" style={{ marginTop: '20px', maxWidth: '1100px' }}>
+            <h1>Importar Stock</h1>
+            <p style={{ fontSize: '0.9em', color: '#555' }}>
+                Archivo .xlsx o .csv (UTF-8) con encabezados: <strong>Código de barras</strong> o <strong>Código Ref</strong>, <strong>Cantidad</strong>,{' '}
+                <strong>Vencimiento</strong> (MM/AAAA o DD/MM/AAAA, o columnas Mes / Año / Día), <strong>Local</strong> (nombre o ID) y opcionalmente <strong>Lote</strong>.
+            </p>
+            {error && <p className="error-message">{error}</p>}
+            {successMessage && <p style={{ color: '#198754', fontWeight: 'bold' }}>{successMessage}</p>}
+
+            <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '10px', marginBottom: '15px' }}>
+                <input key={fileInputKey} type="file" accept=".xlsx,.xls,.csv" onChange={(e) => { setFile(e.target.files[0] || null); setPreviewRows(null); }} disabled={isProcessing} />
+                <label htmlFor="import-default-store" style={{ fontSize: '0.9em' }}>Local por defecto:</label>
+                <select id="import-default-store" value={defaultStoreId} onChange={(e) => { setDefaultStoreId(e.target.value); setPreviewRows(null); }} className="compact-select" disabled={isProcessing}>
+                    <option value="">(según el archivo)</option>
+                    {storeIds.map(storeId => <option key={storeId} value={storeId}>{stores[storeId]?.name || storeId}</option>)}
+                </select>
+                <button type="button" onClick={handlePreview} disabled={!file || isProcessing} style={{ marginTop: 0, padding: '6px 12px', fontSize: '0.9em' }}>
+                    {isProcessing && !previewRows ? 'Leyendo...' : 'Vista previa'}
+                </button>
+            </div>
+
+            {previewRows && (
+                <section style={{ marginBottom: '25px' }}>
+                    <div style={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'space-between', alignItems: 'center', gap: '10px' }}>
+                        <p style={{ margin: 0, fontWeight: 'bold' }}>
+                            {previewRows.length} fila(s): <span style={{ color: '#198754' }}>{validCount} válida(s)</span>
+                            {errorCount > 0 && <span style={{ color: '#dc3545' }}> · {errorCount} con errores (no se importan)</span>}
+                        </p>
+                        <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.9em' }}>
+                            <input type="checkbox" checked={showErrorsOnly} onChange={(e) => setShowErrorsOnly(e.target.checked)} />
+                            Solo filas con errores
+                        </label>
+                    </div>
+                    <div style={{ overflowX: 'auto', maxHeight: '60vh', overflowY: 'auto', marginTop: '10px' }}>
+                        <table style={{ width: '100%', borderCollapse: 'collapse', minWidth: '800px', fontSize: '0.85em' }}>
+                            <thead>
+                                <tr style={{ textAlign: 'left', borderBottom: '1px solid #ccc' }}>
+                                    <th style={cellStyle}>Fila</th>
+                                    <th style={cellStyle}>Local</th>
+                                    <th style={cellStyle}>Producto</th>
+                                    <th style={{ ...cellStyle, textAlign: 'right' }}>Cant.</th>
+                                    <th style={cellStyle}>Vencimiento</th>
+                                    <th style={cellStyle}>Lote</th>
+                                    <th style={cellStyle}>Estado</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {visibleRows.map(row => {
+                                    const hasErrors = row.errors.length > 0;
+                                    return (
+                                        <tr key={row.rowNumber} style={{ borderBottom: '1px dotted #eee', background: hasErrors ? '#fdecea' : 'transparent' }}>
+                                            <td style={cellStyle}>{row.rowNumber}</td>
+                                            <td style={cellStyle}>{row.storeId ? stores[row.storeId]?.name || row.storeId : '-'}</td>
+                                            <td style={cellStyle}>{row.productId ? `${row.productName} (${row.productId})` : '-'}</td>
+                                            <td style={{ ...cellStyle, textAlign: 'right' }}>{isNaN(row.quantity) ? '-' : row.quantity}</td>
+                                            <td style={cellStyle}>{row.expiryMonth && row.expiryYear ? formatEntryExpiry(row) : '-'}</td>
+                                            <td style={cellStyle}>{row.lotNumber || '-'}</td>
+                                            <td style={{ ...cellStyle, color: hasErrors ? '#dc3545' : '#198754' }}>{hasErrors ? row.errors.join(' ') : 'OK'}</td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                    <div className="button-group" style={{ justifyContent: 'flex-end', gap: '10px' }}>
+                        <button type="button" className="secondary" onClick={() => setPreviewRows(null)} disabled={isProcessing}>Descartar</button>
+                        <button type="button" onClick={handleImport} disabled={isProcessing || validCount === 0}>
+                            {isProcessing ? 'Importando...' : `Importar ${validCount} fila(s) válida(s)`}
+                        </button>
+                    </div>
+                </section>
+            )}
+
+            <h2>Importaciones anteriores</h2>
+            {batches.length === 0 ? (
+                <p style={{ fontStyle: 'italic', color: '#777' }}>No hay importaciones registradas.</p>
+            ) : (
+                <div style={{ overflowX: 'auto' }}>
+                    <table style={{ width: '100%', borderCollapse: 'collapse', minWidth: '600px', fontSize: '0.9em' }}>
+                        <thead>
+                            <tr style={{ textAlign: 'left', borderBottom: '1px solid #ccc' }}>
+                                <th style={cellStyle}>Archivo</th>
+                                <th style={cellStyle}>Fecha</th>
+                                <th style={cellStyle}>Usuario</th>
+                                <th style={{ ...cellStyle, textAlign: 'right' }}>Entradas</th>
+                                <th style={cellStyle}>Estado</th>
+                                <th style={cellStyle}></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {batches.map(batch => {
+                                const isRolledBack = batch.status === IMPORT_BATCH_STATUS_ROLLED_BACK;
+                                return (
+                                    <tr key={batch.batchId} style={{ borderBottom: '1px dotted #eee', opacity: isRolledBack ? 0.6 : 1 }}>
+                                        <td style={cellStyle}>{batch.fileName}</td>
+                                        <td style={cellStyle}>{formatTimestamp(batch.createdAt)}</td>
+                                        <td style={cellStyle}>{batch.userEmail}</td>
+                                        <td style={{ ...cellStyle, textAlign: 'right' }}>{batch.entryCount}</td>
+                                        <td style={cellStyle}>{isRolledBack ? `Revertida por ${batch.rolledBackBy} (${formatTimestamp(batch.rolledBackAt)})` : 'Importada'}</td>
+                                        <td style={cellStyle}>
+                                            {!isRolledBack && (
+                                                <button type="button" className="secondary" onClick={() => handleRollback(batch)} disabled={isProcessing} style={{ marginTop: 0, padding: '3px 8px', fontSize: '0.85em' }}>Revertir</button>
+                                            )}
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            <div className="button-group" style={{ marginTop: '30px', justifyContent: 'center' }}>
+                <button className="secondary" onClick={() => navigate('/admin')}>Volver a Inventario</button>
+            </div>
+        </div>
+    );
+}
+
+export default StockImportPage;
@@ -0,0 +1,408 @@
+/**
+ * @file RopManagementPage.jsx
+ * @description
+ * Mantención de los ROP (fracción de venta esperada, entre 0 y 1) por producto y local.
+ * Solo accesible para usuarios con rol superadmin.
+ *
+ * Estructura principal:
+ * - Grilla producto × local con búsqueda y paginación. Por defecto muestra los productos con algún ROP;
+ *   al buscar se incluye todo el catálogo.
+ * - Edición en línea: los cambios quedan pendientes (validados entre 0 y 1) hasta guardarlos. Una celda vacía elimina el ROP.
+ * - Descarga de la matriz actual y carga masiva desde Excel con vista previa de cambios y errores (ver ropManagement.js).
+ * - Registro de los últimos cambios con usuario y fecha.
+ */
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import { database } from '../../firebase/firebaseConfig';
+import { ref, get } from 'firebase/database';
+import { loadProductCatalog } from '../../utils/productCatalog';
+import { normalizeSearchText } from '../../utils/productSearch';
+import { exportReport, EXPORT_FORMAT_XLSX } from '../../utils/exportReports';
+import {
+    parseRopValue, saveRopChanges, loadRopChangeLog, buildRopSheetRows, parseRopWorkbook,
+    ROP_SOURCE_IMPORT, ROP_SHEET_PRODUCT_HEADER, ROP_SHEET_NAME_HEADER
+} from '../../utils/ropManagement';
+
+const PAGE_SIZE = 50;
+const cellStyle = { padding: '5px 8px' };
+
+/**
+ * Formatea un timestamp a una fecha legible en español (es-CL).
+ * @param {number} timestamp
+ * @returns {string}
+ */
+const formatTimestamp = (timestamp) => {
+    if (!timestamp) return 'N/A';
+    return new Date(timestamp).toLocaleString('es-CL');
+};
+
+/**
+ * Muestra un ROP como porcentaje, o "-" si no tiene.
+ * @param {number|null|undefined} rop
+ * @returns {string}
+ */
+const formatRop = (rop) => (typeof rop === 'number' ? `${Math.round(rop * 1000) / 10}%` : '-');
+
+/**
+ * Componente de mantención de ROP.
+ * @returns {JSX.Element}
+ */
+function RopManagementPage() {
+    const { userData } = useAuth();
+
+    /**
+     * Estados de la página:
+     * products / stores / ropsData: catálogo, locales y nodo `rops`.
+     * searchTerm: string - Filtro por código o nombre de producto.
+     * page: number - Página actual de la grilla.
+     * edits: Object - Valores editados pendientes, por `${storeId}|${productId}`.
+     * importPreview: {fileName, changes, errors}|null - Resultado de leer una planilla.
+     * changeLog: Array - Últimos cambios registrados.
+     */
+    const [products, setProducts] = useState({});
+    const [stores, setStores] = useState({});
+    const [ropsData, setRopsData] = useState({});
+    const [searchTerm, setSearchTerm] = useState('');
+    const [page, setPage] = useState(0);
+    const [edits, setEdits] = useState({});
+    const [fileInputKey, setFileInputKey] = useState(0);
+    const [importPreview, setImportPreview] = useState(null);
+    const [changeLog, setChangeLog] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [isProcessing, setIsProcessing] = useState(false);
+    const [error, setError] = useState('');
+    const [successMessage, setSuccessMessage] = useState('');
+
+    /**
+     * Carga ROPs y registro de cambios (se llama de nuevo después de guardar).
+     */
+    const fetchRops = useCallback(async () => {
+        const [ropsSnapshot, log] = await Promise.all([get(ref(database, 'rops')), loadRopChangeLog()]);
+        setRopsData(ropsSnapshot.exists() ? ropsSnapshot.val() : {});
+        setChangeLog(log);
+    }, []);
+
+    useEffect(() => {
+        const fetchData = async () => {
+            setLoading(true); setError('');
+            try {
+                const [catalog, storesSnapshot] = await Promise.all([loadProductCatalog(), get(ref(database, 'stores'))]);
+                setProducts(catalog);
+                setStores(storesSnapshot.exists() ? storesSnapshot.val() : {});
+                await fetchRops();
+            } catch (err) {
+                console.error("Error fetching ROP data:", err);
+                setError('Error al cargar los ROP.');
+            } finally {
+                setLoading(false);
+            }
+        };
+        fetchData();
+    }, [fetchRops]);
+
+    const storeIds = useMemo(() => Object.keys(stores).sort(), [stores]);
+
+    /**
+     * Productos de la grilla: los que tienen algún ROP o, si hay búsqueda, los del catálogo que coinciden.
+     */
+    const gridProductIds = useMemo(() => {
+        const normalizedSearch = normalizeSearchText(searchTerm);
+        if (!normalizedSearch) {
+            const withRop = new Set(Object.values(ropsData).flatMap(storeRops => Object.keys(storeRops || {})));
+            return [...withRop].filter(productId => products[productId])
+                .sort((a, b) => (products[a].name || a).localeCompare(products[b].name || b));
+        }
+        return Object.keys(products)
+            .filter(productId => normalizeSearchText(`${productId} ${products[productId]?.name || ''}`).includes(normalizedSearch))
+            .sort((a, b) => (products[a].name || a).localeCompare(products[b].name || b));
+    }, [searchTerm, ropsData, products]);
+
+    useEffect(() => { setPage(0); }, [searchTerm]);
+
+    const pageCount = Math.max(1, Math.ceil(gridProductIds.length / PAGE_SIZE));
+    const visibleProductIds = gridProductIds.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+
+    /**
+     * Cambios pendientes de la edición en línea, con su validación.
+     */
+    const pendingEdits = useMemo(() => Object.entries(edits).map(([key, text]) => {
+        const [storeId, productId] = key.split('|');
+        const current = ropsData?.[storeId]?.[productId];
+        const previous = typeof current === 'number' ? current : null;
+        const { value, error: validationError } = parseRopValue(text);
+        return { key, storeId, productId, previous, value, error: validationError };
+    }).filter(change => change.error || change.value !== change.previous), [edits, ropsData]);
+    const invalidEditCount = pendingEdits.filter(change => change.error).length;
+
+    const handleCellChange = (storeId, productId, text) => {
+        setEdits(prev => ({ ...prev, [`${storeId}|${productId}`]: text }));
+    };
+
+    /**
+     * Guarda los cambios de la edición en línea.
+     */
+    const handleSaveEdits = async () => {
+        if (invalidEditCount > 0) { setError('Corrige los valores marcados (deben estar entre 0 y 1).'); return; }
+        setError(''); setSuccessMessage('');
+        setIsProcessing(true);
+        try {
+            const saved = await saveRopChanges(pendingEdits, userData.email);
+            setEdits({});
+            await fetchRops();
+            setSuccessMessage(`${saved} ROP actualizado(s).`);
+        } catch (err) {
+            console.error("Error saving ROP changes:", err);
+            setError(err.message || 'Error al guardar los ROP.');
+        } finally {
+            setIsProcessing(false);
+        }
+    };
+
+    /**
+     * Descarga la matriz actual: los productos de la grilla si hay búsqueda, o todos los que tienen ROP.
+     * Se genera con exportReports.js; los encabezados son los que espera la carga masiva.
+     */
+    const handleDownload = async () => {
+        const rows = buildRopSheetRows({ ropsData, products, stores, productIds: searchTerm.trim() ? gridProductIds : undefined });
+        if (rows.length === 0) { setError('No hay ROP para descargar.'); return; }
+        const storeHeaders = storeIds.map(storeId => stores[storeId]?.name || storeId);
+        try {
+            await exportReport({
+                title: 'ROP por producto y local',
+                fileName: `ROP_${new Date().toISOString().slice(0, 10)}`,
+                sheets: [{
+                    name: 'ROP',
+                    columns: [
+                        { header: ROP_SHEET_PRODUCT_HEADER, key: ROP_SHEET_PRODUCT_HEADER },
+                        { header: ROP_SHEET_NAME_HEADER, key: ROP_SHEET_NAME_HEADER, width: 40 },
+                        ...storeHeaders.map(header => ({ header, key: header, width: 14 }))
+                    ],
+                    rows
+                }]
+            }, EXPORT_FORMAT_XLSX);
+        } catch (err) {
+            console.error("Error exporting ROP sheet:", err);
+            setError('Error al generar el archivo Excel.');
+        }
+    };
+
+    /**
+     * Lee una planilla de ROP y muestra los cambios que produciría.
+     * @param {File|undefined} file
+     */
+    const handleFileSelected = async (file) => {
+        if (!file) return;
+        setError(''); setSuccessMessage(''); setImportPreview(null);
+        setIsProcessing(true);
+        try {
+            const { changes, errors } = await parseRopWorkbook(file, { ropsData, products, stores });
+            setImportPreview({ fileName: file.name, changes, errors });
+        } catch (err) {
+            console.error("Error reading ROP file:", err);
+            setError(err.message || 'No se pudo leer la planilla.');
+            setFileInputKey(prev => prev + 1);
+        } finally {
+            setIsProcessing(false);
+        }
+    };
+
+    /**
+     * Aplica los cambios válidos de la planilla.
+     */
+    const handleApplyImport = async () => {
+        if (!window.confirm(`Se actualizarán ${importPreview.changes.length} ROP desde ${importPreview.fileName}. ¿Continuar?`)) return;
+        setError(''); setSuccessMessage('');
+        setIsProcessing(true);
+        try {
+            const saved = await saveRopChanges(importPreview.changes, userData.email, ROP_SOURCE_IMPORT);
+            setImportPreview(null); setFileInputKey(prev => prev + 1);
+            await fetchRops();
+            setSuccessMessage(`${saved} ROP actualizado(s) desde la planilla.`);
+        } catch (err) {
+            console.error("Error importing ROP changes:", err);
+            setError(err.message || 'Error al importar los ROP.');
+        } finally {
+            setIsProcessing(false);
+        }
+    };
+
+    const discardImport = () => { setImportPreview(null); setFileInputKey(prev => prev + 1); };
+
+    if (loading) return <div className="page-container" style={{ marginTop: '20px' }}><p>Cargando...</p></div>;
+
+    const storeName = (storeId) => stores[storeId]?.name || storeId;
+    const productName = (productId) => products[productId]?.name || productId;
+
+    return (
+        <div className="page-container" style={{ marginTop: '20px', maxWidth: '1200px' }}>
+            <h1>Gestión de ROP</h1>
+            <p style={{ fontSize: '0.9em', color: '#555' }}>
+                Valores entre 0 y 1 (por ejemplo 0,35 = 35%). Deja una celda vacía para eliminar el ROP de ese local.
+                En la planilla, las celdas vacías no modifican el valor actual.
+            </p>
+            {error && <p className="error-message">{error}</p>}
+            {successMessage && <p style={{ color: '#198754', fontWeight: 'bold' }}>{successMessage}</p>}
+
+            <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '10px', marginBottom: '15px' }}>
+                <input
+                    type="text"
+                    value={searchTerm}
+                    onChange={(e) => setSearchTerm(e.target.value)}
+                    placeholder="Buscar por código o nombre..."
+                    style={{ flex: '1 1 250px', margin: 0 }}
+                />
+                <button type="button" onClick={handleDownload} disabled={isProcessing} style={{ marginTop: 0, padding: '6px 12px', fontSize: '0.9em' }}>Descargar Excel</button>
+                <label htmlFor="rop-upload" style={{ fontSize: '0.9em' }}>Cargar Excel:</label>
+                <input id="rop-upload" key={fileInputKey} type="file" accept=".xlsx,.xls,.csv" onChange={(e) => handleFileSelected(e.target.files[0])} disabled={isProcessing} />
+            </div>
+
+            {importPreview && (
+                <section style={{ marginBottom: '25px', padding: '10px', border: '1px solid #ddd', borderRadius: '4px' }}>
+                    <p style={{ margin: '0 0 10px', fontWeight: 'bold' }}>
+                        {importPreview.fileName}: <span style={{ color: '#198754' }}>{importPreview.changes.length} cambio(s)</span>
+                        {importPreview.errors.length > 0 && <span style={{ color: '#dc3545' }}> · {importPreview.errors.length} error(es) (no se aplican)</span>}
+                    </p>
+                    {importPreview.errors.length > 0 && (
+                        <ul style={{ color: '#dc3545', fontSize: '0.85em', maxHeight: '150px', overflowY: 'auto' }}>
+                            {importPreview.errors.map((importError, index) => <li key={index}>Fila {importError.rowNumber}: {importError.message}</li>)}
+                        </ul>
+                    )}
+                    {importPreview.changes.length > 0 && (
+                        <div style={{ overflowX: 'auto', maxHeight: '40vh', overflowY: 'auto' }}>
+                            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.85em' }}>
+                                <thead>
+                                    <tr style={{ textAlign: 'left', borderBottom: '1px solid #ccc' }}>
+                                        <th style={cellStyle}>Producto</th>
+                                        <th style={cellStyle}>Local</th>
+                                        <th style={{ ...cellStyle, textAlign: 'right' }}>Actual</th>
+                                        <th style={{ ...cellStyle, textAlign: 'right' }}>Nuevo</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {importPreview.changes.map(change => (
+                                        <tr key={`${change.storeId}|${change.productId}`} style={{ borderBottom: '1px dotted #eee' }}>
+                                            <td style={cellStyle}>{productName(change.productId)} ({change.productId})</td>
+                                            <td style={cellStyle}>{storeName(change.storeId)}</td>
+                                            <td style={{ ...cellStyle, textAlign: 'right' }}>{formatRop(change.previous)}</td>
+                                            <td style={{ ...cellStyle, textAlign: 'right' }}>{formatRop(change.value)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                    <div className="button-group" style={{ justifyContent: 'flex-end', gap: '10px' }}>
+                        <button type="button" className="secondary" onClick={discardImport} disabled={isProcessing}>Descartar</button>
+                        <button type="button" onClick={handleApplyImport} disabled={isProcessing || importPreview.changes.length === 0}>
+                            {isProcessing ? 'Aplicando...' : `Aplicar ${importPreview.changes.length} cambio(s)`}
+                        </button>
+                    </div>
+                </section>
+            )}
+
+            <p style={{ fontSize: '0.9em', color: '#555', margin: '0 0 5px' }}>
+                {searchTerm.trim() ? `${gridProductIds.length} producto(s) coinciden con la búsqueda.` : `${gridProductIds.length} producto(s) con ROP.`}
+            </p>
+            <div style={{ overflowX: 'auto', maxHeight: '60vh', overflowY: 'auto' }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.85em' }}>
+                    <thead>
+                        <tr style={{ textAlign: 'left', borderBottom: '1px solid #ccc' }}>
+                            <th style={cellStyle}>Producto</th>
+                            {storeIds.map(storeId => <th key={storeId} style={{ ...cellStyle, textAlign: 'center' }}>{storeName(storeId)}</th>)}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {visibleProductIds.length === 0 ? (
+                            <tr><td colSpan={storeIds.length + 1} style={{ ...cellStyle, fontStyle: 'italic', color: '#777' }}>No hay productos para mostrar.</td></tr>
+                        ) : visibleProductIds.map(productId => (
+                            <tr key={productId} style={{ borderBottom: '1px dotted #eee' }}>
+                                <td style={cellStyle}>{productName(productId)} <span style={{ color: '#777' }}>({productId})</span></td>
+                                {storeIds.map(storeId => {
+                                    const key = `${storeId}|${productId}`;
+                                    const current = ropsData?.[storeId]?.[productId];
+                                    const isEdited = key in edits;
+                                    const text = isEdited ? edits[key] : (typeof current === 'number' ? String(current) : '');
+                                    const hasError = isEdited && Boolean(parseRopValue(text).error);
+                                    return (
+                                        <td key={storeId} style={{ ...cellStyle, textAlign: 'center' }}>
+                                            <input
+                                                type="text"
+                                                inputMode="decimal"
+                                                value={text}
+                                                onChange={(e) => handleCellChange(storeId, productId, e.target.value)}
+                                                title={hasError ? parseRopValue(text).error : formatRop(current)}
+                                                disabled={isProcessing}
+                                                style={{
+                                                    width: '70px', margin: 0, padding: '3px 5px', textAlign: 'right',
+                                                    borderColor: hasError ? '#dc3545' : undefined,
+                                                    background: hasError ? '#fdecea' : (isEdited ? '#fff8e1' : undefined)
+                                                }}
+                                            />
+                                        </td>
+                                    );
+                                })}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            <div style={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'space-between', alignItems: 'center', gap: '10px', marginTop: '10px' }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '0.9em' }}>
+                    <button type="button" className="secondary" onClick={() => setPage(prev => prev - 1)} disabled={page === 0} style={{ marginTop: 0, padding: '3px 8px' }}>Anterior</button>
+                    <span>Página {page + 1} de {pageCount}</span>
+                    <button type="button" className="secondary" onClick={() => setPage(prev => prev + 1)} disabled={page >= pageCount - 1} style={{ marginTop: 0, padding: '3px 8px' }}>Siguiente</button>
+                </div>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+                    {invalidEditCount > 0 && <span style={{ color: '#dc3545', fontSize: '0.9em' }}>{invalidEditCount} valor(es) inválido(s)</span>}
+                    <button type="button" className="secondary" onClick={() => setEdits({})} disabled={isProcessing || Object.keys(edits).length === 0} style={{ marginTop: 0 }}>Descartar cambios</button>
+                    <button type="button" onClick={handleSaveEdits} disabled={isProcessing || pendingEdits.length === 0 || invalidEditCount > 0} style={{ marginTop: 0 }}>
+                        {isProcessing ? 'Guardando...' : `Guardar ${pendingEdits.length} cambio(s)`}
+                    </button>
+                </div>
+            </div>
+
+            <h2 style={{ marginTop: '30px' }}>Últimos cambios</h2>
+            {changeLog.length === 0 ? (
+                <p style={{ fontStyle: 'italic', color: '#777' }}>No hay cambios registrados.</p>
+            ) : (
+                <div style={{ overflowX: 'auto', maxHeight: '40vh', overflowY: 'auto' }}>
+                    <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.85em' }}>
+                        <thead>
+                            <tr style={{ textAlign: 'left', borderBottom: '1px solid #ccc' }}>
+                                <th style={cellStyle}>Fecha</th>
+                                <th style={cellStyle}>Usuario</th>
+                                <th style={cellStyle}>Producto</th>
+                                <th style={cellStyle}>Local</th>
+                                <th style={{ ...cellStyle, textAlign: 'right' }}>Anterior</th>
+                                <th style={{ ...cellStyle, textAlign: 'right' }}>Nuevo</th>
+                                <th style={cellStyle}>Origen</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {changeLog.map(change => (
+                                <tr key={change.changeId} style={{ borderBottom: '1px dotted #eee' }}>
+                                    <td style={cellStyle}>{formatTimestamp(change.timestamp)}</td>
+                                    <td style={cellStyle}>{change.userEmail}</td>
+                                    <td style={cellStyle}>{productName(change.productId)}</td>
+                                    <td style={cellStyle}>{storeName(change.storeId)}</td>
+                                    <td style={{ ...cellStyle, textAlign: 'right' }}>{formatRop(change.previous)}</td>
+                                    <td style={{ ...cellStyle, textAlign: 'right' }}>{formatRop(change.value)}</td>
+                                    <td style={cellStyle}>{change.source === ROP_SOURCE_IMPORT ? 'Planilla' : 'Edición'}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            <div className="button-group" style={{ marginTop: '30px', justifyContent: 'center' }}>
+                <Link to="/superadmin" style={{ textDecoration: 'none' }}>
+                    <button className="secondary">Volver al Panel</button>
+                </Link>
+            </div>
+        </div>
+    );
+}
+
+export default RopManagementPage;
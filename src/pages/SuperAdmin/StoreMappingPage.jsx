@@ -0,0 +1,180 @@
+/**
+ * @file StoreMappingPage.jsx
+ * @description
+ * Asociación de cada local de la aplicación con su local en Odoo (crm_team_id de las sesiones POS).
+ * Solo accesible para usuarios con rol superadmin.
+ *
+ * Estructura principal:
+ * - Tabla de locales de Firebase con un selector de los locales de Odoo (crm.team).
+ * - Los cambios quedan pendientes hasta guardarlos; un local de Odoo no puede asociarse a dos locales.
+ * - Sin asociación, los admins de ese local no ven sesiones en Cuadraturas ni pueden rectificar (ver storeOdooTeams.js).
+ */
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { database } from '../../firebase/firebaseConfig';
+import { ref, get } from 'firebase/database';
+import { fetchOdooTeams } from '../../utils/odooApi';
+import { saveStoreOdooTeams, findDuplicateTeamAssignments } from '../../utils/storeOdooTeams';
+
+const cellStyle = { padding: '6px 8px' };
+
+/**
+ * Componente de asociación de locales con Odoo.
+ * @returns {JSX.Element}
+ */
+function StoreMappingPage() {
+    /**
+     * Estados de la página:
+     * stores: Object - Nodo `stores`.
+     * odooTeams: Array<{id, name}> - Locales de Odoo.
+     * edits: Object - Local de Odoo elegido por storeId ('' = sin asociación), pendiente de guardar.
+     */
+    const [stores, setStores] = useState({});
+    const [odooTeams, setOdooTeams] = useState([]);
+    const [edits, setEdits] = useState({});
+    const [loading, setLoading] = useState(true);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState('');
+    const [successMessage, setSuccessMessage] = useState('');
+
+    const fetchStores = useCallback(async () => {
+        const storesSnapshot = await get(ref(database, 'stores'));
+        setStores(storesSnapshot.exists() ? storesSnapshot.val() : {});
+    }, []);
+
+    useEffect(() => {
+        const fetchData = async () => {
+            setLoading(true); setError('');
+            try {
+                const [teams] = await Promise.all([fetchOdooTeams(), fetchStores()]);
+                setOdooTeams(teams);
+            } catch (err) {
+                console.error("Error fetching store mapping data:", err);
+                setError('Error al cargar los locales.');
+            } finally {
+                setLoading(false);
+            }
+        };
+        fetchData();
+    }, [fetchStores]);
+
+    const storeIds = useMemo(
+        () => Object.keys(stores).sort((a, b) => (stores[a]?.name || a).localeCompare(stores[b]?.name || b)),
+        [stores]
+    );
+
+    /**
+     * Asociaciones actuales por storeId.
+     */
+    const currentAssignments = useMemo(() => Object.fromEntries(
+        storeIds.map(storeId => [storeId, stores[storeId]?.odooTeamId ?? null])
+    ), [storeIds, stores]);
+
+    /**
+     * Cambios pendientes (solo los que difieren de lo guardado).
+     */
+    const pendingAssignments = useMemo(() => {
+        const pending = {};
+        Object.entries(edits).forEach(([storeId, value]) => {
+            const teamId = value === '' ? null : Number(value);
+            if (teamId !== currentAssignments[storeId]) pending[storeId] = teamId;
+        });
+        return pending;
+    }, [edits, currentAssignments]);
+
+    const duplicateTeamIds = useMemo(
+        () => findDuplicateTeamAssignments({ ...currentAssignments, ...pendingAssignments }),
+        [currentAssignments, pendingAssignments]
+    );
+    const pendingCount = Object.keys(pendingAssignments).length;
+
+    const getTeamName = (teamId) => odooTeams.find(team => team.id === teamId)?.name || `ID ${teamId}`;
+
+    const handleSave = async () => {
+        setError(''); setSuccessMessage('');
+        setIsSaving(true);
+        try {
+            const saved = await saveStoreOdooTeams(pendingAssignments, currentAssignments);
+            setEdits({});
+            await fetchStores();
+            setSuccessMessage(`${saved} local(es) actualizado(s). Los admins verán el cambio al volver a iniciar sesión.`);
+        } catch (err) {
+            console.error("Error saving store mapping:", err);
+            setError(err.message || 'Error al guardar las asociaciones.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    if (loading) return <div className="page-container" style={{ marginTop: '20px' }}><p>Cargando...</p></div>;
+
+    return (
+        <div className="page-container" style={{ marginTop: '20px', maxWidth: '800px' }}>
+            <h1>Locales y Odoo</h1>
+            <p style={{ fontSize: '0.9em', color: '#555' }}>
+                Asocia cada local con su local en Odoo. Los admins solo ven y rectifican las cuadraturas del local de Odoo asociado a su local.
+            </p>
+            {error && <p className="error-message">{error}</p>}
+            {successMessage && <p style={{ color: '#198754', fontWeight: 'bold' }}>{successMessage}</p>}
+            {duplicateTeamIds.length > 0 && (
+                <p className="error-message">
+                    {duplicateTeamIds.map(getTeamName).join(', ')} está asociado a más de un local.
+                </p>
+            )}
+
+            {storeIds.length === 0 ? (
+                <p>No hay locales registrados.</p>
+            ) : (
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9em' }}>
+                    <thead>
+                        <tr style={{ textAlign: 'left', borderBottom: '2px solid #ccc' }}>
+                            <th style={cellStyle}>Local</th>
+                            <th style={cellStyle}>Local en Odoo</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {storeIds.map(storeId => {
+                            const currentTeamId = currentAssignments[storeId];
+                            const value = edits[storeId] ?? (currentTeamId === null ? '' : String(currentTeamId));
+                            const isChanged = Object.prototype.hasOwnProperty.call(pendingAssignments, storeId);
+                            return (
+                                <tr key={storeId} style={{ borderBottom: '1px solid #eee', background: isChanged ? '#fff8e1' : undefined }}>
+                                    <td style={cellStyle}>{stores[storeId]?.name || storeId}</td>
+                                    <td style={cellStyle}>
+                                        <select
+                                            value={value}
+                                            onChange={(e) => setEdits(prev => ({ ...prev, [storeId]: e.target.value }))}
+                                            disabled={isSaving}
+                                            style={{ width: '100%', margin: 0 }}
+                                        >
+                                            <option value="">— Sin asociar —</option>
+                                            {currentTeamId !== null && !odooTeams.some(team => team.id === currentTeamId) && (
+                                                <option value={String(currentTeamId)}>ID {currentTeamId} (no encontrado en Odoo)</option>
+                                            )}
+                                            {odooTeams.map(team => <option key={team.id} value={String(team.id)}>{team.name}</option>)}
+                                        </select>
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            )}
+
+            <div className="button-group" style={{ marginTop: '20px' }}>
+                <button type="button" onClick={handleSave} disabled={isSaving || pendingCount === 0 || duplicateTeamIds.length > 0}>
+                    {isSaving ? 'Guardando...' : `Guardar cambios${pendingCount > 0 ? ` (${pendingCount})` : ''}`}
+                </button>
+                <button type="button" className="secondary" onClick={() => setEdits({})} disabled={isSaving || pendingCount === 0}>Descartar</button>
+            </div>
+
+            <div className="button-group" style={{ marginTop: '30px', justifyContent: 'center' }}>
+                <Link to="/superadmin" style={{ textDecoration: 'none' }}>
+                    <button className="secondary">Volver al Panel</button>
+                </Link>
+            </div>
+        </div>
+    );
+}
+
+export default StoreMappingPage;
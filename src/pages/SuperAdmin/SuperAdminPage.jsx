@@ -2,11 +2,11 @@
  * @file SuperAdminPage.jsx
  * @description
  * Página principal del panel Superadministrador.
- * Permite acceder a la gestión de usuarios y al inventario global.
+ * Permite acceder a la gestión de usuarios, la mantención de ROP, la asociación de locales con Odoo y al inventario global.
  * Solo accesible para usuarios con rol superadmin.
  *
  * Estructura principal:
- * - Renderiza botones de acceso a gestión de usuarios, inventario y volver a inicio.
+ * - Renderiza botones de acceso a gestión de usuarios, gestión de ROP, locales y Odoo, inventario y volver a inicio.
  *
  * Documentación Revisada por GitHub Copilot
  */
@@ -28,6 +28,14 @@ function SuperAdminPage() {
                     <button style={{width: '100%', marginTop: 0}}>Gestionar Usuarios</button>
                  </Link>
 
+                 <Link to="/superadmin/rops" style={{ textDecoration: 'none' }}>
+                    <button style={{width: '100%', marginTop: 0}}>Gestionar ROP</button>
+                 </Link>
+
+                 <Link to="/superadmin/stores" style={{ textDecoration: 'none' }}>
+                    <button style={{width: '100%', marginTop: 0}}>Locales y Odoo</button>
+                 </Link>
+
                  
                  <Link to="/admin" style={{ textDecoration: 'none' }}>
                     <button style={{width: '100%', marginTop: 0}}>Ver Inventario</button>
@@ -3,8 +3,9 @@
  * @description
  * Página para crear un nuevo usuario (solo superadmin).
  * Permite ingresar email, contraseña, rol y local asignado.
- * Guarda el usuario en Firebase Auth y en la base de datos.
- * Al crear, cierra la sesión por seguridad y redirige a la lista de usuarios.
+ * Guarda el usuario en Firebase Auth (con una instancia de Auth secundaria, para no cerrar la sesión del superadmin)
+ * y en la base de datos, escribiendo como superadmin (las reglas solo le permiten a él asignar rol y local).
+ * Al crear, redirige a la lista de usuarios.
  *
  * Estructura principal:
  * - Carga la lista de locales desde Firebase.
@@ -17,7 +18,7 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { createUserWithEmailAndPassword, signOut } from 'firebase/auth';
 import { ref, set, get } from 'firebase/database';
-import { auth, database } from '../../firebase/firebaseConfig';
+import { database, userCreationAuth } from '../../firebase/firebaseConfig';
 
 
 /**
@@ -79,10 +80,9 @@ function UserCreatePage() {
         let newUserUid = null; 
 
         try {
-            const userCredential = await createUserWithEmailAndPassword(auth, email, password);
+            const userCredential = await createUserWithEmailAndPassword(userCreationAuth, email, password);
             const newUser = userCredential.user;
             newUserUid = newUser.uid; 
-            console.log("Usuario creado en Auth:", newUserUid);
 
             const userDbRef = ref(database, `users/${newUserUid}`);
             const userData = {
@@ -91,15 +91,7 @@ function UserCreatePage() {
                 storeId: storeId
             };
 
-            console.log("Intentando guardar datos con Rol:", role); 
             await set(userDbRef, userData);
-            console.log("Datos guardados en RTDB para:", newUserUid);
-
-            
-            alert(`Usuario ${email} creado. Está sesión se cerrará por culpa de Firebase, debes reloguearte.`);
-            await signOut(auth); 
-            console.log("Sesión del nuevo usuario cerrada.");
-            
 
             navigate('/superadmin/users'); 
 
@@ -117,6 +109,12 @@ function UserCreatePage() {
             }
         
         } finally {
+            // La cuenta nueva queda con sesión iniciada en la instancia secundaria aunque falle el guardado
+            try {
+                await signOut(userCreationAuth);
+            } catch (signOutErr) {
+                console.error("Error signing out secondary auth instance:", signOutErr);
+            }
             setLoading(false);
         }
     };
@@ -0,0 +1,427 @@
+/**
+ * Página de traspasos entre locales de stock próximo a vencer.
+ * Estructura y propósito:
+ * - Planificador (admin y superadmin): busca el stock que vence dentro de un horizonte configurable y propone traspasar
+ *   las unidades que el local no alcanza a vender según su ROP al local con el ROP más alto (ver stockTransfers.js).
+ *   La lista sugerida se puede editar (destino, cantidad, quitar líneas), exportar a Excel y guardar como plan.
+ * - Seguimiento: lista los traspasos guardados con su estado. El local de origen marca el envío, el de destino
+ *   confirma la recepción y los admins pueden editar traspasos pendientes o cancelarlos.
+ *
+ * Los usuarios sin rol de admin solo ven los traspasos de su local.
+ * No recibe props. Utiliza hooks de React Router y el contexto de autenticación.
+ */
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { database } from '../firebase/firebaseConfig';
+import { ref, get } from 'firebase/database';
+import { formatEntryExpiry, isEntryEffective } from '../utils/stockEntries';
+import { getHorizonRange, isEntryExpiringInRange, getDaysUntilExpiry, getExpiryUrgency } from '../utils/expiryHorizon';
+import { loadEntriesByExpiryRange } from '../utils/stockIndex';
+import { exportReport, EXPORT_FORMAT_XLSX } from '../utils/exportReports';
+import {
+    buildTransferSuggestions, validateTransferItem, saveTransferPlan, loadTransfers, getAvailableTransferActions,
+    updateTransferStatus, editPendingTransfer, DEFAULT_TRANSFER_HORIZON_DAYS,
+    TRANSFER_STATUS_PENDING, TRANSFER_STATUS_SENT, TRANSFER_STATUS_RECEIVED, TRANSFER_STATUS_CANCELLED
+} from '../utils/stockTransfers';
+
+const cellStyle = { padding: '6px 8px' };
+const inputStyle = { padding: '4px', border: '1px solid #bdc3c7', borderRadius: '4px' };
+
+/**
+ * Etiqueta, color y texto del botón para cada estado de traspaso.
+ */
+const STATUS_INFO = {
+    [TRANSFER_STATUS_PENDING]: { label: 'Pendiente', color: '#fd7e14' },
+    [TRANSFER_STATUS_SENT]: { label: 'Enviada', color: '#0d6efd', action: 'Marcar enviada' },
+    [TRANSFER_STATUS_RECEIVED]: { label: 'Recibida', color: '#198754', action: 'Confirmar recepción' },
+    [TRANSFER_STATUS_CANCELLED]: { label: 'Cancelada', color: '#6c757d', action: 'Cancelar' }
+};
+
+/**
+ * Formatea un timestamp a una fecha legible en español (es-CL).
+ * @param {number} timestamp
+ * @returns {string}
+ */
+const formatTimestamp = (timestamp) => {
+    if (!timestamp) return 'N/A';
+    return new Date(timestamp).toLocaleString('es-CL');
+};
+
+function TransfersPage() {
+    /**
+     * Datos del usuario autenticado y navegación.
+     */
+    const { userData } = useAuth();
+    const navigate = useNavigate();
+    const isAdmin = userData?.role === 'admin' || userData?.role === 'superadmin';
+    const userStoreId = userData?.storeId || null;
+
+    /**
+     * Estados de la página:
+     * stores / ropsData: Locales y ROPs por local y producto.
+     * horizonDays: Horizonte del planificador (días desde hoy).
+     * draftItems: Lista sugerida en edición (ver buildTransferSuggestions) o null si no se ha generado.
+     * transfers: Traspasos guardados visibles para el usuario.
+     * showClosed: Si se listan también los traspasos recibidos o cancelados.
+     * editingTransfer: Traspaso pendiente en edición: { transferId, quantity, toStoreId } o null.
+     */
+    const [stores, setStores] = useState({});
+    const [ropsData, setRopsData] = useState({});
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [successMessage, setSuccessMessage] = useState('');
+    const [horizonDays, setHorizonDays] = useState(String(DEFAULT_TRANSFER_HORIZON_DAYS));
+    const [draftItems, setDraftItems] = useState(null);
+    const [isPlanning, setIsPlanning] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+    const [transfers, setTransfers] = useState([]);
+    const [showClosed, setShowClosed] = useState(false);
+    const [editingTransfer, setEditingTransfer] = useState(null);
+
+    const storeIds = useMemo(() => Object.keys(stores).sort(), [stores]);
+    const getStoreName = (storeId) => stores[storeId]?.name || storeId;
+
+    /**
+     * Carga locales, ROPs (solo admins) y los traspasos visibles para el usuario.
+     */
+    const fetchData = useCallback(async () => {
+        setLoading(true); setError('');
+        try {
+            const [storesSnapshot, ropsSnapshot, transferList] = await Promise.all([
+                get(ref(database, 'stores')),
+                isAdmin ? get(ref(database, 'rops')) : Promise.resolve(null),
+                loadTransfers({ isAdmin, storeId: userStoreId })
+            ]);
+            setStores(storesSnapshot.exists() ? storesSnapshot.val() : {});
+            setRopsData(ropsSnapshot?.exists() ? ropsSnapshot.val() : {});
+            setTransfers(transferList);
+        } catch (err) {
+            console.error("Error fetching transfers data:", err);
+            setError('Error al cargar los traspasos.');
+        } finally {
+            setLoading(false);
+        }
+    }, [isAdmin, userStoreId]);
+
+    useEffect(() => { if (userData) fetchData(); }, [userData, fetchData]);
+
+    /**
+     * Genera la lista sugerida con el stock que vence dentro del horizonte.
+     */
+    const handleGenerateSuggestions = async () => {
+        const days = parseInt(horizonDays, 10);
+        if (isNaN(days) || days <= 0) { setError('El horizonte debe ser un número de días mayor a 0.'); return; }
+        setError(''); setSuccessMessage('');
+        setIsPlanning(true);
+        try {
+            const range = getHorizonRange(days);
+            const stockData = await loadEntriesByExpiryRange(storeIds, range.from, range.to);
+            const entries = [];
+            Object.entries(stockData).forEach(([storeId, storeStock]) => {
+                Object.entries(storeStock).forEach(([productId, productInfo]) => {
+                    Object.entries(productInfo.entries || {}).forEach(([entryId, entry]) => {
+                        if (isEntryEffective(entry) && isEntryExpiringInRange(entry, range)) entries.push({ ...entry, entryId, productId, storeId });
+                    });
+                });
+            });
+            setDraftItems(buildTransferSuggestions(entries, ropsData, storeIds, transfers));
+        } catch (err) {
+            console.error("Error building transfer suggestions:", err);
+            setError('No se pudieron generar las sugerencias.');
+        } finally {
+            setIsPlanning(false);
+        }
+    };
+
+    /**
+     * Actualiza un campo de una línea de la lista sugerida.
+     * @param {string} key
+     * @param {string} field - 'quantity' | 'toStoreId'.
+     * @param {string} value
+     */
+    const handleDraftChange = (key, field, value) => {
+        setDraftItems(prev => prev.map(item => item.key === key ? { ...item, [field]: value } : item));
+    };
+
+    const handleRemoveDraftItem = (key) => setDraftItems(prev => prev.filter(item => item.key !== key));
+
+    /**
+     * Guarda la lista sugerida como traspasos pendientes.
+     */
+    const handleSavePlan = async () => {
+        const invalid = draftItems.map(item => ({ item, message: validateTransferItem(item) })).find(({ message }) => message);
+        if (invalid) { setError(`${invalid.item.productName}: ${invalid.message}`); return; }
+        setError(''); setSuccessMessage('');
+        setIsSaving(true);
+        try {
+            const createdCount = await saveTransferPlan(draftItems, userData.email);
+            setSuccessMessage(`${createdCount} traspaso(s) guardado(s).`);
+            setDraftItems(null);
+            setTransfers(await loadTransfers({ isAdmin, storeId: userStoreId }));
+        } catch (err) {
+            console.error("Error saving transfer plan:", err);
+            setError(err.message || 'Error al guardar los traspasos.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    /**
+     * Cambia el estado de un traspaso guardado.
+     * @param {object} transfer
+     * @param {string} status
+     */
+    const handleStatusChange = async (transfer, status) => {
+        if (status === TRANSFER_STATUS_CANCELLED && !window.confirm(`¿Cancelar el traspaso de ${transfer.quantity} u. de ${transfer.productName}?`)) return;
+        setError(''); setSuccessMessage('');
+        try {
+            await updateTransferStatus({ transfer, status, userEmail: userData.email, user: { isAdmin, storeId: userStoreId } });
+            setTransfers(await loadTransfers({ isAdmin, storeId: userStoreId }));
+        } catch (err) {
+            console.error("Error updating transfer status:", err);
+            setError(err.message || 'Error al actualizar el traspaso.');
+        }
+    };
+
+    /**
+     * Guarda la edición de un traspaso pendiente.
+     * @param {object} transfer
+     */
+    const handleSaveEdit = async (transfer) => {
+        setError(''); setSuccessMessage('');
+        try {
+            await editPendingTransfer({ transfer, changes: editingTransfer, userEmail: userData.email });
+            setEditingTransfer(null);
+            setTransfers(await loadTransfers({ isAdmin, storeId: userStoreId }));
+        } catch (err) {
+            console.error("Error editing transfer:", err);
+            setError(err.message || 'Error al editar el traspaso.');
+        }
+    };
+
+    /**
+     * Descarga a Excel una lista de traspasos (sugeridos o guardados), con el mismo formato que los demás reportes
+     * (ver exportReports.js).
+     * @param {Array<object>} items
+     * @param {string} title - Título del reporte.
+     * @param {string} fileName - Nombre del archivo, sin extensión.
+     */
+    const downloadTransfersExcel = async (items, title, fileName) => {
+        if (!items || items.length === 0) { alert("No hay traspasos para descargar."); return; }
+        try {
+            const rows = items.map(item => ({
+                productId: item.productId,
+                productName: item.productName,
+                expiry: `${String(item.expiryMonth).padStart(2, '0')}/${item.expiryYear}`,
+                expiryDay: item.expiryDay ? String(item.expiryDay).padStart(2, '0') : '',
+                lotNumber: item.lotNumber || '',
+                fromStore: getStoreName(item.fromStoreId),
+                toStore: getStoreName(item.toStoreId),
+                quantity: parseInt(item.quantity, 10) || 0,
+                status: STATUS_INFO[item.status]?.label || 'Sugerido'
+            }));
+            await exportReport({
+                title,
+                fileName,
+                sheets: [{
+                    name: 'Traspasos',
+                    columns: [
+                        { header: 'Cod Ref', key: 'productId' }, { header: 'Nombre Producto', key: 'productName', width: 50 },
+                        { header: 'Fecha de Vencimiento', key: 'expiry', width: 19 }, { header: 'Día Venc.', key: 'expiryDay', width: 10 },
+                        { header: 'Lote', key: 'lotNumber' }, { header: 'Origen', key: 'fromStore', width: 25 },
+                        { header: 'Destino', key: 'toStore', width: 25 }, { header: 'Cantidad', key: 'quantity', width: 10, type: 'number' },
+                        { header: 'Estado', key: 'status', width: 12 }
+                    ],
+                    rows
+                }]
+            }, EXPORT_FORMAT_XLSX);
+        } catch (exportError) { console.error("Error generating transfers Excel:", exportError); alert("Error al generar el archivo Excel."); }
+    };
+
+    const visibleTransfers = transfers.filter(transfer =>
+        showClosed || transfer.status === TRANSFER_STATUS_PENDING || transfer.status === TRANSFER_STATUS_SENT
+    );
+
+    if (loading) return <div className="page-container" style={{ marginTop: '20px' }}><p>Cargando traspasos...</p></div>;
+
+    return (
+        <div className="page-container" style={{ marginTop: '20px', maxWidth: '1100px' }}>
+            <h1>Traspasos entre Locales</h1>
+            <p>Usuario: {userData?.email}{userData?.storeName ? ` (Local: ${userData.storeName})` : ''}</p>
+            {error && <p className="error-message">{error}</p>}
+            {successMessage && <p style={{ color: '#198754', fontWeight: 'bold' }}>{successMessage}</p>}
+
+            {/* Planificador (admins) */}
+            {isAdmin && (
+                <section style={{ border: '1px solid #dee2e6', borderRadius: '6px', padding: '12px 15px', marginBottom: '25px' }}>
+                    <h2 style={{ marginTop: 0 }}>Planificar traspasos</h2>
+                    <p style={{ fontSize: '0.9em', color: '#555', marginTop: 0 }}>
+                        Propone mover las unidades que vencen dentro del horizonte y que el local no alcanza a vender según su ROP
+                        hacia el local con el ROP más alto para ese producto. Las unidades de traspasos ya creados (no cancelados)
+                        se descuentan del local de origen.
+                    </p>
+                    <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '8px' }}>
+                        <label htmlFor="transfer-horizon">Vencen en los próximos</label>
+                        <input id="transfer-horizon" type="number" min="1" value={horizonDays} onChange={(e) => setHorizonDays(e.target.value)} style={{ ...inputStyle, width: '80px' }} />
+                        <span>días</span>
+                        <button type="button" onClick={handleGenerateSuggestions} disabled={isPlanning} style={{ marginTop: 0, padding: '6px 12px', fontSize: '0.9em' }}>
+                            {isPlanning ? 'Calculando...' : 'Generar sugerencias'}
+                        </button>
+                    </div>
+
+                    {draftItems && draftItems.length === 0 && <p style={{ fontStyle: 'italic', color: '#777' }}>No hay stock próximo a vencer que convenga traspasar.</p>}
+                    {draftItems && draftItems.length > 0 && (
+                        <>
+                            <div style={{ overflowX: 'auto', marginTop: '15px' }}>
+                                <table style={{ width: '100%', borderCollapse: 'collapse', minWidth: '800px', fontSize: '0.9em' }}>
+                                    <thead>
+                                        <tr style={{ textAlign: 'left', borderBottom: '1px solid #ccc' }}>
+                                            <th style={cellStyle}>Producto</th>
+                                            <th style={cellStyle}>Vencimiento</th>
+                                            <th style={cellStyle}>Lote</th>
+                                            <th style={cellStyle}>Origen (ROP)</th>
+                                            <th style={{ ...cellStyle, textAlign: 'right' }}>Disponible</th>
+                                            <th style={cellStyle}>Destino</th>
+                                            <th style={{ ...cellStyle, textAlign: 'right' }}>Cantidad</th>
+                                            <th style={cellStyle}></th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {draftItems.map(item => {
+                                            const urgency = getExpiryUrgency(getDaysUntilExpiry(item));
+                                            return (
+                                                <tr key={item.key} style={{ borderBottom: '1px dotted #eee' }}>
+                                                    <td style={cellStyle}>{item.productName}<br /><span style={{ color: '#777', fontSize: '0.85em' }}>{item.productId}</span></td>
+                                                    <td style={{ ...cellStyle, color: urgency.color, fontWeight: 'bold' }}>{formatEntryExpiry(item)}</td>
+                                                    <td style={cellStyle}>{item.lotNumber || '-'}</td>
+                                                    <td style={cellStyle}>{getStoreName(item.fromStoreId)} ({Math.round(item.fromRop * 100)}%)</td>
+                                                    <td style={{ ...cellStyle, textAlign: 'right' }}>{item.availableQuantity}</td>
+                                                    <td style={cellStyle}>
+                                                        <select value={item.toStoreId} onChange={(e) => handleDraftChange(item.key, 'toStoreId', e.target.value)} style={inputStyle}>
+                                                            {storeIds.filter(storeId => storeId !== item.fromStoreId).map(storeId => (
+                                                                <option key={storeId} value={storeId}>{getStoreName(storeId)} ({Math.round((ropsData[storeId]?.[item.productId] || 0) * 100)}%)</option>
+                                                            ))}
+                                                        </select>
+                                                    </td>
+                                                    <td style={{ ...cellStyle, textAlign: 'right' }}>
+                                                        <input type="number" min="1" max={item.availableQuantity} value={item.quantity} onChange={(e) => handleDraftChange(item.key, 'quantity', e.target.value)} style={{ ...inputStyle, width: '70px', textAlign: 'right' }} />
+                                                    </td>
+                                                    <td style={cellStyle}>
+                                                        <button type="button" className="secondary" onClick={() => handleRemoveDraftItem(item.key)} title="Quitar" style={{ marginTop: 0, padding: '2px 8px' }}>
+                                                            <span className="material-symbols-outlined" style={{ fontSize: '1.1em', verticalAlign: 'middle' }}>delete</span>
+                                                        </button>
+                                                    </td>
+                                                </tr>
+                                            );
+                                        })}
+                                    </tbody>
+                                </table>
+                            </div>
+                            <div className="button-group" style={{ justifyContent: 'flex-end', gap: '10px' }}>
+                                <button type="button" className="secondary" onClick={() => downloadTransfersExcel(draftItems, 'Traspasos sugeridos', `traspasos_sugeridos_${horizonDays}dias`)} disabled={isSaving}>Descargar Excel</button>
+                                <button type="button" onClick={handleSavePlan} disabled={isSaving}>{isSaving ? 'Guardando...' : 'Guardar traspasos'}</button>
+                            </div>
+                        </>
+                    )}
+                </section>
+            )}
+
+            {/* Seguimiento de traspasos guardados */}
+            <section>
+                <div style={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'space-between', alignItems: 'center', gap: '10px' }}>
+                    <h2 style={{ margin: 0 }}>Traspasos</h2>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '10px', fontSize: '0.9em' }}>
+                        <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                            <input type="checkbox" checked={showClosed} onChange={(e) => setShowClosed(e.target.checked)} />
+                            Mostrar recibidos y cancelados
+                        </label>
+                        <button type="button" className="secondary" onClick={() => downloadTransfersExcel(visibleTransfers, 'Traspasos', 'traspasos')} style={{ marginTop: 0, padding: '5px 10px', fontSize: '0.9em' }}>Descargar Excel</button>
+                    </div>
+                </div>
+                <p style={{ fontSize: '0.85em', color: '#555' }}>
+                    Los traspasos no modifican el stock registrado: al confirmar la recepción, las entradas de ambos locales quedan igual.
+                </p>
+                {visibleTransfers.length === 0 ? (
+                    <p style={{ fontStyle: 'italic', color: '#777' }}>No hay traspasos {showClosed ? '' : 'en curso'}.</p>
+                ) : (
+                    <div style={{ overflowX: 'auto', marginTop: '10px' }}>
+                        <table style={{ width: '100%', borderCollapse: 'collapse', minWidth: '800px', fontSize: '0.9em' }}>
+                            <thead>
+                                <tr style={{ textAlign: 'left', borderBottom: '1px solid #ccc' }}>
+                                    <th style={cellStyle}>Producto</th>
+                                    <th style={cellStyle}>Vencimiento</th>
+                                    <th style={cellStyle}>Origen → Destino</th>
+                                    <th style={{ ...cellStyle, textAlign: 'right' }}>Cantidad</th>
+                                    <th style={cellStyle}>Estado</th>
+                                    <th style={cellStyle}>Acciones</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {visibleTransfers.map(transfer => {
+                                    const statusInfo = STATUS_INFO[transfer.status] || STATUS_INFO[TRANSFER_STATUS_PENDING];
+                                    const actions = getAvailableTransferActions(transfer, { isAdmin, storeId: userStoreId });
+                                    const isEditing = editingTransfer?.transferId === transfer.transferId;
+                                    return (
+                                        <tr key={transfer.transferId} style={{ borderBottom: '1px dotted #eee' }}>
+                                            <td style={cellStyle}>
+                                                {transfer.productName}<br />
+                                                <span style={{ color: '#777', fontSize: '0.85em' }}>{transfer.productId}{transfer.lotNumber ? ` · Lote ${transfer.lotNumber}` : ''}</span>
+                                            </td>
+                                            <td style={cellStyle}>{formatEntryExpiry(transfer)}</td>
+                                            <td style={cellStyle}>
+                                                {getStoreName(transfer.fromStoreId)} →{' '}
+                                                {isEditing ? (
+                                                    <select value={editingTransfer.toStoreId} onChange={(e) => setEditingTransfer(prev => ({ ...prev, toStoreId: e.target.value }))} style={inputStyle}>
+                                                        {storeIds.filter(storeId => storeId !== transfer.fromStoreId).map(storeId => <option key={storeId} value={storeId}>{getStoreName(storeId)}</option>)}
+                                                    </select>
+                                                ) : getStoreName(transfer.toStoreId)}
+                                            </td>
+                                            <td style={{ ...cellStyle, textAlign: 'right' }}>
+                                                {isEditing ? (
+                                                    <input type="number" min="1" value={editingTransfer.quantity} onChange={(e) => setEditingTransfer(prev => ({ ...prev, quantity: e.target.value }))} style={{ ...inputStyle, width: '70px', textAlign: 'right' }} />
+                                                ) : transfer.quantity}
+                                            </td>
+                                            <td style={cellStyle}>
+                                                <span style={{ color: statusInfo.color, fontWeight: 'bold' }}>{statusInfo.label}</span><br />
+                                                <span style={{ color: '#777', fontSize: '0.85em' }}>{formatTimestamp(transfer.updatedAt)}</span>
+                                            </td>
+                                            <td style={cellStyle}>
+                                                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '5px' }}>
+                                                    {isEditing ? (
+                                                        <>
+                                                            <button type="button" onClick={() => handleSaveEdit(transfer)} style={{ marginTop: 0, padding: '3px 8px', fontSize: '0.85em' }}>Guardar</button>
+                                                            <button type="button" className="secondary" onClick={() => setEditingTransfer(null)} style={{ marginTop: 0, padding: '3px 8px', fontSize: '0.85em' }}>Cancelar</button>
+                                                        </>
+                                                    ) : (
+                                                        <>
+                                                            {isAdmin && transfer.status === TRANSFER_STATUS_PENDING && (
+                                                                <button type="button" className="secondary" onClick={() => setEditingTransfer({ transferId: transfer.transferId, quantity: String(transfer.quantity), toStoreId: transfer.toStoreId })} style={{ marginTop: 0, padding: '3px 8px', fontSize: '0.85em' }}>Editar</button>
+                                                            )}
+                                                            {actions.map(status => (
+                                                                <button key={status} type="button" className={status === TRANSFER_STATUS_CANCELLED ? 'secondary' : ''} onClick={() => handleStatusChange(transfer, status)} style={{ marginTop: 0, padding: '3px 8px', fontSize: '0.85em' }}>
+                                                                    {STATUS_INFO[status].action}
+                                                                </button>
+                                                            ))}
+                                                        </>
+                                                    )}
+                                                </div>
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </section>
+
+            <div className="button-group" style={{ marginTop: '30px', justifyContent: 'center' }}>
+                {isAdmin && <button className="secondary" onClick={() => navigate('/admin')}>Volver a Inventario</button>}
+                <button className="secondary" onClick={() => navigate('/home')}>Volver a Home</button>
+            </div>
+        </div>
+    );
+}
+
+export default TransfersPage;
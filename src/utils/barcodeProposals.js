@@ -0,0 +1,212 @@
+/**
+ * @file barcodeProposals.js
+ * @description
+ * Propuestas de códigos de barras nuevos (`barcodeProposals/{proposalId}`) y entradas provisionales
+ * (`provisionalStock/{storeId}/{entryId}`) para productos que no se encuentran al escanear.
+ *
+ * Flujo:
+ * - El usuario propone el código escaneado con nombre, laboratorio y opcionalmente un producto existente,
+ *   y puede registrar el ingreso como provisional (no cuenta en el inventario hasta su aprobación).
+ * - Un admin aprueba vinculando el código a un producto existente o creando uno nuevo en `products`.
+ *   En la misma escritura multi-ruta se registra el código en `product_barcodes` y las entradas provisionales
+ *   pasan a `stock/{storeId}/{productId}/entries` conservando su ID, fecha y usuario (y se agregan a los índices
+ *   de stock, ver stockEntries.js).
+ * - Si se rechaza, las entradas provisionales quedan anuladas.
+ *
+ * Estructura de una propuesta:
+ *   { barcode, proposedName, proposedLaboratory, linkedProductId, storeId, userEmail, createdAt,
+ *     status: 'pendiente'|'aprobada'|'rechazada', provisionalEntries: { [entryId]: storeId },
+ *     resolution?: { action: 'vincular'|'crear', productId, reason, reviewedBy, reviewedAt } }
+ */
+import { database } from '../firebase/firebaseConfig';
+import { ref, get, push, update, serverTimestamp } from 'firebase/database';
+import { buildEntryData, getEntryDayKey, getEntryExpiryMonthKey, ENTRY_STATUS_VOIDED } from './stockEntries';
+import { CATALOG_VERSION_PATH } from './productCatalog';
+
+export const PROPOSAL_STATUS_PENDING = 'pendiente';
+export const PROPOSAL_STATUS_APPROVED = 'aprobada';
+export const PROPOSAL_STATUS_REJECTED = 'rechazada';
+
+/**
+ * Acciones de aprobación: vincular el código a un producto existente o crear un producto nuevo.
+ */
+export const PROPOSAL_ACTION_LINK = 'vincular';
+export const PROPOSAL_ACTION_CREATE = 'crear';
+
+/**
+ * Caracteres no permitidos en claves de Firebase Realtime Database.
+ */
+const INVALID_KEY_PATTERN = /[.#$[\]/]/;
+
+/**
+ * Indica si un texto puede usarse como clave en Firebase (código de barras o ID de producto).
+ * @param {string} key
+ * @returns {boolean}
+ */
+export function isValidDatabaseKey(key) {
+    if (!key || INVALID_KEY_PATTERN.test(key)) return false;
+    // Tampoco se permiten caracteres de control (p. ej. el separador GS de una lectura GS1 cruda)
+    return ![...key].some(char => char.charCodeAt(0) < 32 || char.charCodeAt(0) === 127);
+}
+
+/**
+ * Valida los datos de una propuesta.
+ * @param {{barcode: string, proposedName: string, proposedLaboratory: string}} proposal
+ * @returns {string} Mensaje de error, o cadena vacía si es válida.
+ */
+export function validateProposal({ barcode, proposedName, proposedLaboratory }) {
+    if (!isValidDatabaseKey(barcode?.trim())) return 'El código de barras contiene caracteres no válidos.';
+    if (!proposedName?.trim()) return 'Ingresa el nombre del producto.';
+    if (!proposedLaboratory?.trim()) return 'Ingresa el laboratorio.';
+    return '';
+}
+
+/**
+ * Registra una propuesta de código nuevo y, opcionalmente, su entrada provisional, en una única escritura.
+ * @param {object} params
+ * @param {string} params.barcode - Código escaneado.
+ * @param {string} params.proposedName
+ * @param {string} params.proposedLaboratory
+ * @param {string} [params.linkedProductId] - Producto existente al que el usuario cree que corresponde.
+ * @param {string} params.storeId - Local del usuario.
+ * @param {string} params.userEmail
+ * @param {object|null} [params.provisionalLine] - Línea ya validada (quantity, expiryMonth, expiryYear, expiryDay, lotNumber).
+ * @returns {Promise<string>} ID de la propuesta.
+ * @throws {Error} Si los datos no son válidos o la escritura falla.
+ */
+export async function submitBarcodeProposal({ barcode, proposedName, proposedLaboratory, linkedProductId, storeId, userEmail, provisionalLine = null }) {
+    const validationError = validateProposal({ barcode, proposedName, proposedLaboratory });
+    if (validationError) throw new Error(validationError);
+    const trimmedBarcode = barcode.trim();
+    const proposalId = push(ref(database, 'barcodeProposals')).key;
+    const updates = {};
+    const provisionalEntries = {};
+    if (provisionalLine) {
+        const entryPath = `provisionalStock/${storeId}`;
+        const entryId = push(ref(database, entryPath)).key;
+        updates[`${entryPath}/${entryId}`] = buildEntryData(
+            { ...provisionalLine, productName: proposedName.trim(), barcodeUsed: trimmedBarcode },
+            userEmail,
+            { proposalId }
+        );
+        provisionalEntries[entryId] = storeId;
+    }
+    updates[`barcodeProposals/${proposalId}`] = {
+        barcode: trimmedBarcode,
+        proposedName: proposedName.trim(),
+        proposedLaboratory: proposedLaboratory.trim(),
+        linkedProductId: linkedProductId || null,
+        storeId,
+        userEmail,
+        createdAt: serverTimestamp(),
+        status: PROPOSAL_STATUS_PENDING,
+        provisionalEntries
+    };
+    await update(ref(database), updates);
+    return proposalId;
+}
+
+/**
+ * Aprueba una propuesta: registra el código en `product_barcodes` (y el producto nuevo si corresponde)
+ * y convierte sus entradas provisionales en entradas normales, todo en una única escritura multi-ruta.
+ * Se pueden aprobar juntas varias propuestas pendientes del mismo código.
+ * @param {object} params
+ * @param {Array<{proposalId: string, barcode: string, provisionalEntries?: Object<string, string>}>} params.proposals
+ * @param {'vincular'|'crear'} params.action
+ * @param {string} params.productId - Producto existente (vincular) o ID del producto a crear.
+ * @param {{name: string, laboratory: string}} [params.newProduct] - Datos del producto a crear.
+ * @param {string} params.reviewerEmail
+ * @returns {Promise<number>} Cantidad de entradas provisionales convertidas.
+ * @throws {Error} Si el código ya está asignado a otro producto o los datos no son válidos.
+ */
+export async function approveBarcodeProposals({ proposals, action, productId, newProduct, reviewerEmail }) {
+    if (!proposals?.length) throw new Error('No hay propuestas para aprobar.');
+    const barcode = proposals[0].barcode;
+    if (proposals.some(proposal => proposal.barcode !== barcode)) throw new Error('Solo se pueden aprobar juntas propuestas del mismo código.');
+    const trimmedProductId = productId?.trim();
+    if (!isValidDatabaseKey(trimmedProductId)) throw new Error('Código de referencia del producto no válido.');
+
+    const productSnapshot = await get(ref(database, `products/${trimmedProductId}`));
+    let productName;
+    if (action === PROPOSAL_ACTION_CREATE) {
+        if (productSnapshot.exists()) throw new Error(`Ya existe un producto con el código "${trimmedProductId}".`);
+        if (!newProduct?.name?.trim() || !newProduct?.laboratory?.trim()) throw new Error('Ingresa nombre y laboratorio del producto nuevo.');
+        productName = newProduct.name.trim();
+    } else {
+        if (!productSnapshot.exists()) throw new Error(`Producto con ID "${trimmedProductId}" no encontrado.`);
+        productName = productSnapshot.val().name;
+    }
+
+    const barcodeSnapshot = await get(ref(database, `product_barcodes/${barcode}`));
+    if (barcodeSnapshot.exists() && barcodeSnapshot.val() !== trimmedProductId) {
+        throw new Error(`El código "${barcode}" ya está asignado al producto "${barcodeSnapshot.val()}".`);
+    }
+
+    const updates = {};
+    if (action === PROPOSAL_ACTION_CREATE) {
+        updates[`products/${trimmedProductId}`] = { name: productName, laboratory: newProduct.laboratory.trim() };
+        updates[CATALOG_VERSION_PATH] = serverTimestamp();
+    }
+    updates[`product_barcodes/${barcode}`] = trimmedProductId;
+
+    let convertedCount = 0;
+    for (const proposal of proposals) {
+        for (const [entryId, storeId] of Object.entries(proposal.provisionalEntries || {})) {
+            const provisionalPath = `provisionalStock/${storeId}/${entryId}`;
+            const entrySnapshot = await get(ref(database, provisionalPath));
+            if (!entrySnapshot.exists()) continue;
+            const entry = entrySnapshot.val();
+            updates[provisionalPath] = null;
+            if (entry.status === ENTRY_STATUS_VOIDED) continue;
+            updates[`stock/${storeId}/${trimmedProductId}/entries/${entryId}`] = {
+                ...entry,
+                productName,
+                provisionalApprovedBy: reviewerEmail,
+                provisionalApprovedAt: serverTimestamp()
+            };
+            updates[`stockEntryIndex/${storeId}/${getEntryDayKey(entry.timestamp)}/${entryId}`] = {
+                productId: trimmedProductId,
+                userEmail: entry.userEmail,
+                timestamp: entry.timestamp
+            };
+            updates[`stockExpiryIndex/${storeId}/${getEntryExpiryMonthKey(entry)}/${entryId}`] = trimmedProductId;
+            convertedCount++;
+        }
+        updates[`barcodeProposals/${proposal.proposalId}/status`] = PROPOSAL_STATUS_APPROVED;
+        updates[`barcodeProposals/${proposal.proposalId}/resolution`] = {
+            action,
+            productId: trimmedProductId,
+            reviewedBy: reviewerEmail,
+            reviewedAt: serverTimestamp()
+        };
+    }
+    await update(ref(database), updates);
+    return convertedCount;
+}
+
+/**
+ * Rechaza propuestas (normalmente todas las pendientes de un mismo código) y anula sus entradas provisionales,
+ * que quedan en `provisionalStock` como registro.
+ * @param {object} params
+ * @param {Array<{proposalId: string, provisionalEntries?: Object<string, string>}>} params.proposals
+ * @param {string} params.reason - Motivo obligatorio.
+ * @param {string} params.reviewerEmail
+ * @returns {Promise<void>}
+ * @throws {Error} Si falta el motivo o la escritura falla.
+ */
+export async function rejectBarcodeProposals({ proposals, reason, reviewerEmail }) {
+    if (!reason?.trim()) throw new Error('Ingresa el motivo del rechazo.');
+    const updates = {};
+    proposals.forEach(proposal => {
+        Object.entries(proposal.provisionalEntries || {}).forEach(([entryId, storeId]) => {
+            updates[`provisionalStock/${storeId}/${entryId}/status`] = ENTRY_STATUS_VOIDED;
+        });
+        updates[`barcodeProposals/${proposal.proposalId}/status`] = PROPOSAL_STATUS_REJECTED;
+        updates[`barcodeProposals/${proposal.proposalId}/resolution`] = {
+            reason: reason.trim(),
+            reviewedBy: reviewerEmail,
+            reviewedAt: serverTimestamp()
+        };
+    });
+    await update(ref(database), updates);
+}
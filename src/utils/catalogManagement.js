@@ -0,0 +1,242 @@
+/**
+ * @file catalogManagement.js
+ * @description
+ * Mantención del catálogo de productos (`products/{productId}`: { name, laboratory }) y de sus códigos de barras
+ * (`product_barcodes/{barcode}`: productId). El ID del producto es su código de referencia y no se puede cambiar
+ * una vez creado, porque las entradas de stock y los ROP se guardan bajo ese ID.
+ *
+ * Un producto puede tener varios códigos de barras; un código solo puede apuntar a un producto, por lo que antes de
+ * escribir se revisa que ningún código esté asignado a otro producto. Toda escritura actualiza también la versión del
+ * catálogo (CATALOG_VERSION_PATH) en la misma escritura multi-ruta, para invalidar la caché local (ver productCatalog.js).
+ *
+ * Importación masiva: primera hoja con columnas Código Ref, Nombre, Laboratorio y Códigos de barras (varios separados
+ * por coma, punto y coma o espacio). Las filas de productos existentes actualizan nombre y laboratorio si vienen
+ * informados y agregan los códigos nuevos; nunca se quitan códigos desde la importación.
+ */
+import * as XLSX from 'xlsx';
+import { database } from '../firebase/firebaseConfig';
+import { ref, get, update, query, orderByValue, equalTo, serverTimestamp } from 'firebase/database';
+import { CATALOG_VERSION_PATH } from './productCatalog';
+import { normalizeSearchText } from './productSearch';
+import { isValidDatabaseKey } from './barcodeProposals';
+
+export const CATALOG_IMPORT_ACTION_CREATE = 'crear';
+export const CATALOG_IMPORT_ACTION_UPDATE = 'actualizar';
+
+/**
+ * Encabezados reconocidos por campo (normalizados: minúsculas, sin tildes ni separadores).
+ */
+const COLUMN_ALIASES = {
+    productId: ['codigoref', 'codref', 'codigodereferencia', 'referencia', 'reference', 'productid', 'sku', 'codigo'],
+    name: ['nombre', 'nombreproducto', 'producto', 'name', 'descripcion'],
+    laboratory: ['laboratorio', 'lab', 'laboratory'],
+    barcodes: ['codigosdebarras', 'codigodebarras', 'codigosbarras', 'codigobarras', 'barcodes', 'barcode', 'ean', 'gtin']
+};
+
+/**
+ * Normaliza un encabezado para compararlo con COLUMN_ALIASES.
+ * @param {string} header
+ * @returns {string}
+ */
+function normalizeHeader(header) {
+    return normalizeSearchText(header).replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Texto de una celda sin espacios a los extremos.
+ * @param {*} value
+ * @returns {string}
+ */
+function cellText(value) {
+    return value === undefined || value === null ? '' : String(value).trim();
+}
+
+/**
+ * Separa una lista de códigos de barras (coma, punto y coma, espacios o saltos de línea), sin repetidos.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseBarcodeList(text) {
+    return [...new Set(cellText(text).split(/[\s,;]+/).filter(Boolean))];
+}
+
+/**
+ * Valida los datos de un producto.
+ * @param {{productId: string, name: string, laboratory: string}} product
+ * @returns {string} Mensaje de error, o cadena vacía si es válido.
+ */
+export function validateProductFields({ productId, name, laboratory }) {
+    if (!isValidDatabaseKey(productId?.trim())) return 'El código de referencia está vacío o contiene caracteres no válidos (. # $ [ ] /).';
+    if (!name?.trim()) return 'Ingresa el nombre del producto.';
+    if (!laboratory?.trim()) return 'Ingresa el laboratorio.';
+    return '';
+}
+
+/**
+ * Lista los códigos de barras asignados a un producto.
+ * @param {string} productId
+ * @returns {Promise<string[]>}
+ */
+export async function loadProductBarcodes(productId) {
+    const snapshot = await get(query(ref(database, 'product_barcodes'), orderByValue(), equalTo(productId)));
+    return snapshot.exists() ? Object.keys(snapshot.val()).sort() : [];
+}
+
+/**
+ * Busca códigos de barras que ya están asignados a otro producto (un `get` por código).
+ * @param {string[]} barcodes
+ * @param {string} productId - Producto al que se quieren asignar.
+ * @returns {Promise<Array<{barcode: string, productId: string}>>}
+ */
+export async function findBarcodeConflicts(barcodes, productId) {
+    const snapshots = await Promise.all(barcodes.map(barcode => get(ref(database, `product_barcodes/${barcode}`))));
+    return snapshots
+        .map((snapshot, index) => ({ barcode: barcodes[index], productId: snapshot.exists() ? snapshot.val() : null }))
+        .filter(mapping => mapping.productId && mapping.productId !== productId);
+}
+
+/**
+ * Crea o edita un producto y deja sus códigos de barras exactamente como la lista indicada, en una única escritura.
+ * @param {object} params
+ * @param {string} params.productId - Código de referencia.
+ * @param {string} params.name
+ * @param {string} params.laboratory
+ * @param {string[]} params.barcodes - Lista completa de códigos del producto.
+ * @param {boolean} params.isNew - true para crear (falla si el código de referencia ya existe).
+ * @returns {Promise<void>}
+ * @throws {Error} Si los datos no son válidos, el producto ya existe (o no existe) o algún código pertenece a otro producto.
+ */
+export async function saveCatalogProduct({ productId, name, laboratory, barcodes, isNew }) {
+    const validationError = validateProductFields({ productId, name, laboratory });
+    if (validationError) throw new Error(validationError);
+    const trimmedProductId = productId.trim();
+    const invalidBarcode = barcodes.find(barcode => !isValidDatabaseKey(barcode));
+    if (invalidBarcode !== undefined) throw new Error(`El código de barras "${invalidBarcode}" contiene caracteres no válidos.`);
+
+    const productSnapshot = await get(ref(database, `products/${trimmedProductId}`));
+    if (isNew && productSnapshot.exists()) throw new Error(`Ya existe un producto con el código "${trimmedProductId}".`);
+    if (!isNew && !productSnapshot.exists()) throw new Error(`Producto con ID "${trimmedProductId}" no encontrado.`);
+
+    const conflicts = await findBarcodeConflicts(barcodes, trimmedProductId);
+    if (conflicts.length > 0) {
+        throw new Error(conflicts.map(conflict => `El código "${conflict.barcode}" ya está asignado al producto "${conflict.productId}".`).join(' '));
+    }
+
+    const currentBarcodes = isNew ? [] : await loadProductBarcodes(trimmedProductId);
+    const updates = {
+        [`products/${trimmedProductId}/name`]: name.trim(),
+        [`products/${trimmedProductId}/laboratory`]: laboratory.trim(),
+        [CATALOG_VERSION_PATH]: serverTimestamp()
+    };
+    barcodes.forEach(barcode => { updates[`product_barcodes/${barcode}`] = trimmedProductId; });
+    currentBarcodes.filter(barcode => !barcodes.includes(barcode)).forEach(barcode => { updates[`product_barcodes/${barcode}`] = null; });
+    await update(ref(database), updates);
+}
+
+/**
+ * Lee la primera hoja de una planilla de catálogo (.xlsx o .csv UTF-8).
+ * @param {File} file
+ * @returns {Promise<Array<{rowNumber: number, productId: string, name: string, laboratory: string, barcodes: string[]}>>}
+ * @throws {Error} Si el archivo está vacío o no tiene la columna de código de referencia.
+ */
+export async function parseCatalogFile(file) {
+    const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array', raw: true, codepage: 65001 });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    const sheetRows = sheet ? XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', raw: true }) : [];
+    if (sheetRows.length < 2) throw new Error('El archivo no tiene filas.');
+
+    const columnIndexes = {};
+    sheetRows[0].forEach((header, index) => {
+        const normalized = normalizeHeader(cellText(header));
+        const field = Object.keys(COLUMN_ALIASES).find(key => columnIndexes[key] === undefined && COLUMN_ALIASES[key].includes(normalized));
+        if (field) columnIndexes[field] = index;
+    });
+    if (columnIndexes.productId === undefined) throw new Error('Falta la columna de código de referencia.');
+
+    const value = (row, field) => (columnIndexes[field] === undefined ? '' : cellText(row[columnIndexes[field]]));
+    return sheetRows.slice(1)
+        .map((row, index) => ({
+            rowNumber: index + 2,
+            productId: value(row, 'productId'),
+            name: value(row, 'name'),
+            laboratory: value(row, 'laboratory'),
+            barcodes: parseBarcodeList(value(row, 'barcodes'))
+        }))
+        .filter(row => row.productId || row.name || row.laboratory || row.barcodes.length > 0);
+}
+
+/**
+ * Valida las filas de una planilla de catálogo contra el catálogo y `product_barcodes`.
+ * Cada fila resultante tiene `errors` vacío si se puede importar.
+ * @param {Array<object>} rows - Ver parseCatalogFile.
+ * @param {Object<string, {name: string, laboratory?: string}>} products - Catálogo actual.
+ * @returns {Promise<Array<{rowNumber: number, productId: string, name: string, laboratory: string, barcodes: string[],
+ *   newBarcodes: string[], action: 'crear'|'actualizar', errors: string[]}>>}
+ */
+export async function resolveCatalogImportRows(rows, products) {
+    const barcodes = [...new Set(rows.flatMap(row => row.barcodes).filter(isValidDatabaseKey))];
+    const snapshots = await Promise.all(barcodes.map(barcode => get(ref(database, `product_barcodes/${barcode}`))));
+    const productIdByBarcode = {};
+    snapshots.forEach((snapshot, index) => { if (snapshot.exists()) productIdByBarcode[barcodes[index]] = snapshot.val(); });
+
+    const rowsByProduct = {};
+    const productIdsByBarcodeInFile = {};
+    rows.forEach(row => {
+        rowsByProduct[row.productId] = (rowsByProduct[row.productId] || 0) + 1;
+        row.barcodes.forEach(barcode => {
+            productIdsByBarcodeInFile[barcode] = new Set([...(productIdsByBarcodeInFile[barcode] || []), row.productId]);
+        });
+    });
+
+    return rows.map(row => {
+        const existing = products[row.productId];
+        const action = existing ? CATALOG_IMPORT_ACTION_UPDATE : CATALOG_IMPORT_ACTION_CREATE;
+        const name = row.name || existing?.name || '';
+        const laboratory = row.laboratory || existing?.laboratory || '';
+        const errors = [];
+        const fieldsError = validateProductFields({ productId: row.productId, name, laboratory });
+        if (fieldsError) errors.push(fieldsError);
+        if (rowsByProduct[row.productId] > 1) errors.push(`El código "${row.productId}" aparece en más de una fila.`);
+        row.barcodes.forEach(barcode => {
+            if (!isValidDatabaseKey(barcode)) errors.push(`El código de barras "${barcode}" contiene caracteres no válidos.`);
+            else if (productIdByBarcode[barcode] && productIdByBarcode[barcode] !== row.productId) {
+                errors.push(`El código de barras "${barcode}" ya está asignado al producto "${productIdByBarcode[barcode]}".`);
+            } else if (productIdsByBarcodeInFile[barcode].size > 1) {
+                errors.push(`El código de barras "${barcode}" aparece en varios productos de la planilla.`);
+            }
+        });
+        return {
+            rowNumber: row.rowNumber,
+            productId: row.productId,
+            name,
+            laboratory,
+            barcodes: row.barcodes,
+            newBarcodes: row.barcodes.filter(barcode => productIdByBarcode[barcode] !== row.productId),
+            action,
+            errors
+        };
+    });
+}
+
+/**
+ * Importa las filas válidas al catálogo en una única escritura.
+ * @param {Array<object>} rows - Filas resueltas (ver resolveCatalogImportRows).
+ * @returns {Promise<{created: number, updated: number, barcodes: number}>}
+ * @throws {Error} Si no hay filas válidas.
+ */
+export async function commitCatalogImport(rows) {
+    const validRows = rows.filter(row => row.errors.length === 0);
+    if (validRows.length === 0) throw new Error('No hay filas válidas para importar.');
+    const updates = { [CATALOG_VERSION_PATH]: serverTimestamp() };
+    const result = { created: 0, updated: 0, barcodes: 0 };
+    validRows.forEach(row => {
+        updates[`products/${row.productId}/name`] = row.name;
+        updates[`products/${row.productId}/laboratory`] = row.laboratory;
+        row.newBarcodes.forEach(barcode => { updates[`product_barcodes/${barcode}`] = row.productId; });
+        if (row.action === CATALOG_IMPORT_ACTION_CREATE) result.created++;
+        else result.updated++;
+        result.barcodes += row.newBarcodes.length;
+    });
+    await update(ref(database), updates);
+    return result;
+}
@@ -0,0 +1,167 @@
+/**
+ * @file cuadraturasExport.js
+ * @description
+ * Definición del reporte Excel de Cuadraturas (ver exportReports.js) a partir de la vista jerárquica filtrada:
+ * - Hoja "Sesiones": una fila por sesión con local, fecha, sesión, cajero, saldos, diferencia del sistema,
+ *   estado de rectificación, aprobador, fecha de decisión y monto justificado por medio de pago.
+ * - Una hoja de resumen por local: una fila por mes (y una de total) con los indicadores de summarizeSessions.
+ * Solo incluye los meses cargados y las sesiones que pasan el filtro de estado.
+ */
+import { summarizeSessions, getMonthSessions, getStoreSessions } from './cuadraturasSummary';
+import { parseOdooDateTime } from './odooApi';
+
+const STATUS_LABELS = {
+    aprobada: 'Aprobada',
+    pendiente: 'Pendiente',
+    rechazada: 'Rechazada',
+    sin_rectificar: 'Sin Rectificar'
+};
+
+/**
+ * Fecha (sin hora) de un datetime de Odoo, en formato es-CL.
+ * @param {string|null} value
+ * @returns {string}
+ */
+const formatDate = (value) => (value ? parseOdooDateTime(value).toLocaleDateString('es-CL') : '');
+
+/**
+ * Estado de rectificación para el reporte (las sesiones sin rectificar con borrador se marcan como tal).
+ * @param {object} session
+ * @returns {string}
+ */
+const getStatusLabel = (session) => {
+    const label = STATUS_LABELS[session.rectificationStatus] || session.rectificationStatus || '';
+    return session.rectificationStatus === 'sin_rectificar' && session.hasDraft ? `${label} (borrador)` : label;
+};
+
+/**
+ * Monto justificado por medio de pago de una solicitud (suma de las justificaciones; los sobrantes restan).
+ * @param {object|null} requestDetails - rectificationRequestDetails de la sesión.
+ * @returns {Object<string, number>} Por nombre de medio de pago.
+ */
+function getJustifiedAmountsByMethod(requestDetails) {
+    const byMethod = requestDetails?.rectificationDetails?.justificacionesPorMetodo || {};
+    const amounts = {};
+    Object.entries(byMethod).forEach(([methodName, methodData]) => {
+        const justifications = Array.isArray(methodData?.justificaciones) ? methodData.justificaciones : [];
+        amounts[methodName] = justifications.reduce((sum, justification) => sum + (Number(justification?.monto) || 0), 0);
+    });
+    return amounts;
+}
+
+/**
+ * Fila de resumen de un conjunto de sesiones.
+ * @param {string} label - Mes o "Total".
+ * @param {Array<object>} sessions
+ * @returns {object}
+ */
+function buildSummaryRow(label, sessions) {
+    const { sessionCount, totalDifference, absoluteDifference, statusCounts, largestDifferenceSession } = summarizeSessions(sessions);
+    return {
+        month: label,
+        sessionCount,
+        totalDifference,
+        absoluteDifference,
+        largestDifference: largestDifferenceSession ? Number(largestDifferenceSession.cash_register_difference) : 0,
+        largestDifferenceSession: largestDifferenceSession?.name || '',
+        aprobada: statusCounts.aprobada,
+        pendiente: statusCounts.pendiente,
+        rechazada: statusCounts.rechazada,
+        borrador: statusCounts.borrador,
+        sin_rectificar: statusCounts.sin_rectificar
+    };
+}
+
+const SUMMARY_COLUMNS = [
+    { header: 'Mes', key: 'month', width: 16 },
+    { header: 'Sesiones', key: 'sessionCount', width: 10, type: 'number' },
+    { header: 'Diferencia Total', key: 'totalDifference', width: 16, type: 'number' },
+    { header: 'Diferencia Absoluta', key: 'absoluteDifference', width: 18, type: 'number' },
+    { header: 'Mayor Diferencia', key: 'largestDifference', width: 16, type: 'number' },
+    { header: 'Sesión Mayor Diferencia', key: 'largestDifferenceSession', width: 22 },
+    { header: 'Aprobadas', key: 'aprobada', width: 11, type: 'number' },
+    { header: 'Pendientes', key: 'pendiente', width: 11, type: 'number' },
+    { header: 'Rechazadas', key: 'rechazada', width: 11, type: 'number' },
+    { header: 'Borradores', key: 'borrador', width: 11, type: 'number' },
+    { header: 'Sin Rectificar', key: 'sin_rectificar', width: 13, type: 'number' }
+];
+
+/**
+ * Construye el reporte de Cuadraturas.
+ * @param {Array} hierarchicalData - Vista jerárquica ya filtrada (locales → meses → días → sesiones).
+ * @param {object} options
+ * @param {string} options.filterLabel - Descripción del filtro de estado aplicado (p. ej. "Todas").
+ * @returns {object} Definición de reporte para exportReport.
+ */
+export function buildCuadraturasReport(hierarchicalData, { filterLabel }) {
+    const stores = hierarchicalData.filter(storeData => getStoreSessions(storeData).length > 0);
+    const allSessions = stores.flatMap(getStoreSessions);
+
+    // Medios de pago con justificaciones, en el orden en que aparecen en las solicitudes
+    const methodNames = [];
+    const sessionRows = [];
+    stores.forEach(storeData => {
+        getStoreSessions(storeData).forEach(session => {
+            const request = session.rectificationRequestDetails;
+            const justifiedAmounts = getJustifiedAmountsByMethod(request);
+            Object.keys(justifiedAmounts).forEach(methodName => {
+                if (!methodNames.includes(methodName)) methodNames.push(methodName);
+            });
+            const row = {
+                storeName: storeData.storeName,
+                date: session.start_at ? parseOdooDateTime(session.start_at) : null,
+                sessionName: session.name || '',
+                cashier: Array.isArray(session.user_id) ? session.user_id[1] : '',
+                balanceStart: Number(session.cash_register_balance_start) || 0,
+                balanceEndReal: Number(session.cash_register_balance_end_real) || 0,
+                difference: Number(session.cash_register_difference) || 0,
+                status: getStatusLabel(session),
+                approver: request?.approvedByName || '',
+                decisionDate: request?.approvedAt && typeof request.approvedAt === 'number' ? request.approvedAt : null
+            };
+            Object.entries(justifiedAmounts).forEach(([methodName, amount]) => { row[`justified:${methodName}`] = amount; });
+            sessionRows.push(row);
+        });
+    });
+
+    const sessionColumns = [
+        { header: 'Local', key: 'storeName', width: 22 },
+        { header: 'Fecha', key: 'date', width: 12, type: 'date' },
+        { header: 'Sesión', key: 'sessionName', width: 18 },
+        { header: 'Cajero', key: 'cashier', width: 22 },
+        { header: 'Saldo Inicial', key: 'balanceStart', width: 14, type: 'number' },
+        { header: 'Saldo Cierre', key: 'balanceEndReal', width: 14, type: 'number' },
+        { header: 'Diferencia Sistema', key: 'difference', width: 17, type: 'number' },
+        { header: 'Estado Rectificación', key: 'status', width: 24 },
+        { header: 'Aprobador', key: 'approver', width: 24 },
+        { header: 'Fecha Decisión', key: 'decisionDate', width: 14, type: 'date' },
+        ...methodNames.map(methodName => ({ header: `Justificado ${methodName}`, key: `justified:${methodName}`, width: 18, type: 'number' }))
+    ];
+
+    const summarySheets = stores.map(storeData => ({
+        name: `Resumen ${storeData.storeName}`,
+        storeName: storeData.storeName,
+        columns: SUMMARY_COLUMNS,
+        rows: [
+            ...storeData.months
+                .filter(monthData => getMonthSessions(monthData).length > 0)
+                .map(monthData => buildSummaryRow(monthData.monthDisplay, getMonthSessions(monthData))),
+            buildSummaryRow('Total', getStoreSessions(storeData))
+        ]
+    }));
+
+    const startDates = allSessions.map(session => session.start_at).filter(Boolean).sort();
+    const periodLabel = startDates.length > 0
+        ? `${formatDate(startDates[0])} a ${formatDate(startDates[startDates.length - 1])} · Estado: ${filterLabel}`
+        : `Estado: ${filterLabel}`;
+
+    return {
+        title: 'Cuadraturas',
+        periodLabel,
+        fileName: `Cuadraturas_${new Date().toISOString().slice(0, 10)}`,
+        sheets: [
+            { name: 'Sesiones', columns: sessionColumns, rows: sessionRows },
+            ...summarySheets
+        ]
+    };
+}
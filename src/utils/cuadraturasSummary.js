@@ -0,0 +1,61 @@
+/**
+ * @file cuadraturasSummary.js
+ * @description
+ * Indicadores de un conjunto de sesiones POS de Cuadraturas (un local o un mes): cantidad de sesiones,
+ * diferencia de caja total y absoluta, conteo por estado de rectificación y mayor diferencia individual.
+ * Se calculan sobre las sesiones ya filtradas, por lo que cambian con el filtro de estado.
+ */
+
+/**
+ * Estados del resumen, en el orden en que se muestran. 'borrador' son las sesiones sin rectificar con borrador
+ * (también cuentan en 'sin_rectificar'), igual que en el filtro de estado.
+ */
+export const SUMMARY_STATUSES = ['aprobada', 'pendiente', 'rechazada', 'borrador', 'sin_rectificar'];
+
+/**
+ * Calcula los indicadores de un conjunto de sesiones.
+ * @param {Array<object>} sessions - Sesiones con cash_register_difference, rectificationStatus y hasDraft.
+ * @returns {{
+ *   sessionCount: number,
+ *   totalDifference: number,
+ *   absoluteDifference: number,
+ *   statusCounts: Object<string, number>,
+ *   largestDifferenceSession: object|null
+ * }} largestDifferenceSession es la sesión con mayor diferencia en valor absoluto (null si todas son 0).
+ */
+export function summarizeSessions(sessions) {
+    const statusCounts = Object.fromEntries(SUMMARY_STATUSES.map(status => [status, 0]));
+    let totalDifference = 0;
+    let absoluteDifference = 0;
+    let largestDifferenceSession = null;
+    sessions.forEach(session => {
+        const difference = Number(session.cash_register_difference) || 0;
+        totalDifference += difference;
+        absoluteDifference += Math.abs(difference);
+        if (difference !== 0 && (!largestDifferenceSession || Math.abs(difference) > Math.abs(Number(largestDifferenceSession.cash_register_difference)))) {
+            largestDifferenceSession = session;
+        }
+        const status = session.rectificationStatus || 'sin_rectificar';
+        if (statusCounts[status] !== undefined) statusCounts[status] += 1;
+        if (status === 'sin_rectificar' && session.hasDraft) statusCounts.borrador += 1;
+    });
+    return { sessionCount: sessions.length, totalDifference, absoluteDifference, statusCounts, largestDifferenceSession };
+}
+
+/**
+ * Sesiones de un mes de la vista jerárquica.
+ * @param {{days: Array<{sessions: Array}>}} monthData
+ * @returns {Array<object>}
+ */
+export function getMonthSessions(monthData) {
+    return monthData.days.flatMap(dayData => dayData.sessions);
+}
+
+/**
+ * Sesiones de un local de la vista jerárquica (solo de los meses cargados).
+ * @param {{months: Array}} storeData
+ * @returns {Array<object>}
+ */
+export function getStoreSessions(storeData) {
+    return storeData.months.flatMap(getMonthSessions);
+}
@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { summarizeSessions, getMonthSessions, getStoreSessions } from './cuadraturasSummary';
+
+const session = (id, difference, rectificationStatus, hasDraft = false) => ({ id, cash_register_difference: difference, rectificationStatus, hasDraft });
+
+describe('summarizeSessions', () => {
+    it('suma diferencias, cuenta estados y encuentra la mayor diferencia absoluta', () => {
+        const sessions = [
+            session(1, 1500, 'aprobada'),
+            session(2, -4000, 'pendiente'),
+            session(3, '250', undefined, true),
+            session(4, 0, 'rechazada'),
+            session(5, null, undefined)
+        ];
+        const summary = summarizeSessions(sessions);
+        expect(summary).toMatchObject({ sessionCount: 5, totalDifference: -2250, absoluteDifference: 5750 });
+        expect(summary.statusCounts).toEqual({ aprobada: 1, pendiente: 1, rechazada: 1, borrador: 1, sin_rectificar: 2 });
+        expect(summary.largestDifferenceSession.id).toBe(2);
+    });
+
+    it('sin diferencias no tiene mayor diferencia', () => {
+        const summary = summarizeSessions([session(1, 0, 'aprobada')]);
+        expect(summary.largestDifferenceSession).toBeNull();
+        expect(summarizeSessions([]).sessionCount).toBe(0);
+    });
+
+    it('solo cuenta como borrador las sesiones sin rectificar', () => {
+        expect(summarizeSessions([session(1, 10, 'pendiente', true)]).statusCounts.borrador).toBe(0);
+    });
+});
+
+describe('getStoreSessions', () => {
+    it('une las sesiones de todos los días y meses cargados', () => {
+        const storeData = { months: [
+            { days: [{ sessions: [session(1, 0)] }, { sessions: [session(2, 0), session(3, 0)] }] },
+            { days: [{ sessions: [session(4, 0)] }] }
+        ] };
+        expect(getMonthSessions(storeData.months[0]).map(s => s.id)).toEqual([1, 2, 3]);
+        expect(getStoreSessions(storeData).map(s => s.id)).toEqual([1, 2, 3, 4]);
+    });
+});
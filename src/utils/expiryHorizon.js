@@ -0,0 +1,127 @@
+/**
+ * @file expiryHorizon.js
+ * @description
+ * Utilidades para filtrar y clasificar entradas por fecha de vencimiento (no por fecha de registro).
+ * Una entrada sin día de vencimiento se considera vigente hasta el último día de su mes.
+ */
+
+/**
+ * Horizontes predefinidos (días desde hoy).
+ */
+export const EXPIRY_HORIZON_PRESETS = [30, 60, 90];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Niveles de urgencia, del más urgente al menos urgente. `maxDays` es el límite superior (inclusive).
+ */
+const URGENCY_LEVELS = [
+    { level: 'vencido', label: 'Vencido', maxDays: -1, color: '#7f1d1d', background: '#f8d7da' },
+    { level: 'critico', label: '≤ 30 días', maxDays: 30, color: '#dc3545', background: '#fdecea' },
+    { level: 'alto', label: '31-60 días', maxDays: 60, color: '#fd7e14', background: '#fff1e0' },
+    { level: 'medio', label: '61-90 días', maxDays: 90, color: '#b58900', background: '#fff8e1' },
+    { level: 'bajo', label: '> 90 días', maxDays: Infinity, color: '#198754', background: '#eaf6ef' },
+];
+
+/**
+ * Fecha local a las 00:00 del día indicado.
+ * @param {Date} date
+ * @returns {Date}
+ */
+export function startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * Fecha efectiva de vencimiento de una entrada: su día, o el último día del mes si no lo tiene.
+ * @param {{expiryYear: number, expiryMonth: number, expiryDay?: number}} entry
+ * @returns {Date|null} null si la entrada no tiene mes/año válidos.
+ */
+export function getEntryExpiryDate(entry) {
+    const year = parseInt(entry?.expiryYear, 10);
+    const month = parseInt(entry?.expiryMonth, 10);
+    if (isNaN(year) || isNaN(month)) return null;
+    const day = parseInt(entry.expiryDay, 10);
+    return new Date(year, month - 1, day > 0 ? day : new Date(year, month, 0).getDate());
+}
+
+/**
+ * Días que faltan para el vencimiento (negativo si ya venció).
+ * @param {object} entry
+ * @param {Date} [today]
+ * @returns {number|null}
+ */
+export function getDaysUntilExpiry(entry, today = new Date()) {
+    const expiryDate = getEntryExpiryDate(entry);
+    if (!expiryDate) return null;
+    return Math.round((expiryDate - startOfDay(today)) / DAY_MS);
+}
+
+/**
+ * Nivel de urgencia para una cantidad de días hasta el vencimiento.
+ * @param {number|null} daysUntilExpiry
+ * @returns {{level: string, label: string, color: string, background: string}}
+ */
+export function getExpiryUrgency(daysUntilExpiry) {
+    if (daysUntilExpiry === null || daysUntilExpiry === undefined) return URGENCY_LEVELS[URGENCY_LEVELS.length - 1];
+    return URGENCY_LEVELS.find(level => daysUntilExpiry <= level.maxDays);
+}
+
+/**
+ * Niveles de urgencia para mostrar una leyenda.
+ * @returns {Array<{level: string, label: string, color: string, background: string}>}
+ */
+export function getExpiryUrgencyLevels() {
+    return URGENCY_LEVELS;
+}
+
+/**
+ * Rango de fechas para un horizonte predefinido: desde hoy hasta hoy + días (inclusive).
+ * @param {number} days
+ * @param {Date} [today]
+ * @returns {{from: Date, to: Date}}
+ */
+export function getHorizonRange(days, today = new Date()) {
+    const from = startOfDay(today);
+    return { from, to: new Date(from.getFullYear(), from.getMonth(), from.getDate() + days) };
+}
+
+/**
+ * Indica si el vencimiento de una entrada cae dentro de un rango (ambos extremos inclusive, por día).
+ * @param {object} entry
+ * @param {{from: Date, to: Date}} range
+ * @returns {boolean}
+ */
+export function isEntryExpiringInRange(entry, { from, to }) {
+    const expiryDate = getEntryExpiryDate(entry);
+    return !!expiryDate && expiryDate >= startOfDay(from) && expiryDate <= startOfDay(to);
+}
+
+/**
+ * Convierte una fecha al formato de un input type="date" (YYYY-MM-DD, hora local).
+ * @param {Date} date
+ * @returns {string}
+ */
+export function toDateInputValue(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Interpreta el valor de un input type="date" como fecha local.
+ * @param {string} value - YYYY-MM-DD
+ * @returns {Date|null}
+ */
+export function parseDateInputValue(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+    if (!match) return null;
+    return new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+}
+
+/**
+ * Formatea una fecha como DD/MM/YYYY.
+ * @param {Date} date
+ * @returns {string}
+ */
+export function formatShortDate(date) {
+    return `${String(date.getDate()).padStart(2, '0')}/${String(date.getMonth() + 1).padStart(2, '0')}/${date.getFullYear()}`;
+}
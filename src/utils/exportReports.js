@@ -0,0 +1,222 @@
+/**
+ * @file exportReports.js
+ * @description
+ * Exportación de reportes tabulares a XLSX, CSV (UTF-8) o PDF con una única definición de reporte,
+ * para que todas las páginas generen los mismos formatos.
+ *
+ * Definición de un reporte:
+ *   { title, periodLabel, fileName (sin extensión),
+ *     sheets: [{ name, storeName?, columns: [{ header, key, width?, type?: 'text'|'number'|'percent'|'date'|'datetime' }],
+ *                rows: [objeto] }] }
+ *   Las columnas 'date' y 'datetime' reciben Date (o timestamp en milisegundos).
+ *
+ * - XLSX (exceljs, que a diferencia de la versión comunitaria de `xlsx` escribe estilos y paneles): una hoja por sección,
+ *   encabezado con fondo oscuro y negrita, fijo al desplazarse y con autofiltro, anchos de columna y formato de celda
+ *   en las columnas 'number' (#,##0), 'percent' (0.0%), 'date' (dd-mm-yyyy) y 'datetime' (dd-mm-yyyy hh:mm).
+ *   Título y periodo van en las propiedades del libro.
+ * - CSV: todas las secciones en un solo archivo separado por comas, en UTF-8 con BOM (para que Excel reconozca
+ *   los acentos); si las secciones son por local se agrega la columna "Local".
+ * - PDF: A4 horizontal, una sección por página nueva, con título, local y periodo en cada página y "Página X de Y".
+ */
+import ExcelJS from 'exceljs';
+import { jsPDF } from 'jspdf';
+import { autoTable } from 'jspdf-autotable';
+
+export const EXPORT_FORMAT_XLSX = 'xlsx';
+export const EXPORT_FORMAT_CSV = 'csv';
+export const EXPORT_FORMAT_PDF = 'pdf';
+
+/**
+ * Formatos disponibles, para selectores.
+ */
+export const EXPORT_FORMATS = [
+    { value: EXPORT_FORMAT_XLSX, label: 'Excel (.xlsx)' },
+    { value: EXPORT_FORMAT_CSV, label: 'CSV (UTF-8)' },
+    { value: EXPORT_FORMAT_PDF, label: 'PDF' }
+];
+
+const CELL_FORMATS = { number: '#,##0', percent: '0.0%', date: 'dd-mm-yyyy', datetime: 'dd-mm-yyyy hh:mm' };
+
+const HEADER_FONT = { bold: true, color: { argb: 'FFFFFFFF' } };
+const HEADER_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF2C3E50' } };
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+/**
+ * Nombre de hoja válido para Excel (máximo 31 caracteres, sin : \ / ? * [ ]) y no repetido en el libro.
+ * @param {string} name
+ * @param {string[]} usedNames
+ * @returns {string}
+ */
+function getSheetName(name, usedNames) {
+    const base = (String(name || 'Hoja').replace(/[:\\/?*[\]]/g, ' ').trim() || 'Hoja').substring(0, 31);
+    let sheetName = base;
+    for (let suffix = 2; usedNames.includes(sheetName); suffix++) {
+        sheetName = `${base.substring(0, 31 - String(suffix).length - 1)} ${suffix}`;
+    }
+    return sheetName;
+}
+
+/**
+ * Indica si la columna es de fecha.
+ * @param {{type?: string}} column
+ * @returns {boolean}
+ */
+const isDateColumn = (column) => column.type === 'date' || column.type === 'datetime';
+
+/**
+ * Texto de un valor para CSV y PDF (porcentajes y fechas con su formato).
+ * @param {*} value
+ * @param {{type?: string}} column
+ * @returns {string}
+ */
+function formatCellText(value, column) {
+    if (value === undefined || value === null || value === '') return '';
+    if (column.type === 'percent' && typeof value === 'number') return `${Math.round(value * 1000) / 10}%`;
+    if (isDateColumn(column)) {
+        const date = new Date(value);
+        return column.type === 'date' ? date.toLocaleDateString('es-CL') : date.toLocaleString('es-CL');
+    }
+    return String(value);
+}
+
+/**
+ * Valor de una celda XLSX. Las fechas se corren a UTC con la hora local, porque Excel no guarda zona horaria
+ * y exceljs escribe la hora UTC.
+ * @param {*} value
+ * @param {{type?: string}} column
+ * @returns {*}
+ */
+function toXlsxValue(value, column) {
+    if (value === undefined || value === null || value === '') return null;
+    if (isDateColumn(column)) {
+        const date = new Date(value);
+        return new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+    }
+    return value;
+}
+
+/**
+ * Descarga un Blob con el nombre indicado.
+ * @param {Blob} blob
+ * @param {string} fileName
+ */
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Genera y descarga el reporte en XLSX.
+ * @param {object} report - Ver la definición al inicio del archivo.
+ * @returns {Promise<void>}
+ */
+export async function exportReportXlsx(report) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.title = report.title;
+    workbook.subject = report.periodLabel || '';
+    const usedNames = [];
+    report.sheets.forEach(sheet => {
+        const sheetName = getSheetName(sheet.name, usedNames);
+        usedNames.push(sheetName);
+        const worksheet = workbook.addWorksheet(sheetName, { views: [{ state: 'frozen', ySplit: 1 }] });
+        worksheet.columns = sheet.columns.map(column => ({ width: column.width || 15 }));
+        const headerRow = worksheet.addRow(sheet.columns.map(column => column.header));
+        headerRow.eachCell(cell => {
+            cell.font = HEADER_FONT;
+            cell.fill = HEADER_FILL;
+            cell.alignment = { vertical: 'middle' };
+        });
+        sheet.rows.forEach(row => {
+            const dataRow = worksheet.addRow(sheet.columns.map(column => toXlsxValue(row[column.key], column)));
+            sheet.columns.forEach((column, c) => {
+                if (CELL_FORMATS[column.type]) dataRow.getCell(c + 1).numFmt = CELL_FORMATS[column.type];
+            });
+        });
+        worksheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: sheet.columns.length } };
+    });
+    const buffer = await workbook.xlsx.writeBuffer();
+    downloadBlob(new Blob([buffer], { type: XLSX_MIME_TYPE }), `${report.fileName}.xlsx`);
+}
+
+/**
+ * Genera y descarga el reporte en CSV (UTF-8 con BOM, separado por comas).
+ * @param {object} report - Ver la definición al inicio del archivo.
+ */
+export function exportReportCsv(report) {
+    const includeStore = report.sheets.some(sheet => sheet.storeName);
+    const columns = [];
+    report.sheets.forEach(sheet => sheet.columns.forEach(column => {
+        if (!columns.some(existing => existing.key === column.key)) columns.push(column);
+    }));
+    const escape = (text) => (/[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+    const lines = [[...(includeStore ? ['Local'] : []), ...columns.map(column => column.header)].map(escape).join(',')];
+    report.sheets.forEach(sheet => {
+        sheet.rows.forEach(row => {
+            const values = columns.map(column => formatCellText(row[column.key], column));
+            lines.push([...(includeStore ? [sheet.storeName || ''] : []), ...values].map(escape).join(','));
+        });
+    });
+    downloadBlob(new Blob(['\uFEFF' + lines.join('\r\n') + '\r\n'], { type: 'text/csv;charset=utf-8' }), `${report.fileName}.csv`);
+}
+
+/**
+ * Genera y descarga el reporte en PDF.
+ * @param {object} report - Ver la definición al inicio del archivo.
+ */
+export function exportReportPdf(report) {
+    const doc = new jsPDF({ orientation: 'landscape', unit: 'mm', format: 'a4' });
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const generatedAt = new Date().toLocaleString('es-CL');
+    // Local de cada página, para escribirlo en el encabezado
+    const storeNameByPage = {};
+
+    report.sheets.forEach((sheet, index) => {
+        if (index > 0) doc.addPage();
+        autoTable(doc, {
+            head: [sheet.columns.map(column => column.header)],
+            body: sheet.rows.map(row => sheet.columns.map(column => formatCellText(row[column.key], column))),
+            startY: 30,
+            margin: { top: 30, bottom: 15, left: 10, right: 10 },
+            styles: { fontSize: 8, cellPadding: 1.5 },
+            headStyles: { fillColor: [44, 62, 80] },
+            columnStyles: Object.fromEntries(sheet.columns.map((column, c) => [c, column.type ? { halign: 'right' } : {}])),
+            didDrawPage: () => { storeNameByPage[doc.getCurrentPageInfo().pageNumber] = sheet.storeName || ''; }
+        });
+    });
+
+    const pageCount = doc.getNumberOfPages();
+    for (let page = 1; page <= pageCount; page++) {
+        doc.setPage(page);
+        doc.setFontSize(13);
+        doc.text(report.title, 10, 12);
+        doc.setFontSize(9);
+        if (storeNameByPage[page]) doc.text(`Local: ${storeNameByPage[page]}`, 10, 19);
+        if (report.periodLabel) doc.text(`Periodo: ${report.periodLabel}`, 10, 24);
+        doc.text(`Generado: ${generatedAt}`, pageWidth - 10, 12, { align: 'right' });
+        doc.text(`Página ${page} de ${pageCount}`, pageWidth - 10, pageHeight - 7, { align: 'right' });
+    }
+    doc.save(`${report.fileName}.pdf`);
+}
+
+/**
+ * Exporta el reporte en el formato indicado.
+ * @param {object} report - Ver la definición al inicio del archivo.
+ * @param {'xlsx'|'csv'|'pdf'} format
+ * @returns {Promise<void>}
+ * @throws {Error} Si el reporte no tiene filas.
+ */
+export async function exportReport(report, format) {
+    if (!report.sheets.some(sheet => sheet.rows.length > 0)) throw new Error('No hay datos para exportar.');
+    const sheets = report.sheets.filter(sheet => sheet.rows.length > 0);
+    if (format === EXPORT_FORMAT_CSV) exportReportCsv({ ...report, sheets });
+    else if (format === EXPORT_FORMAT_PDF) exportReportPdf({ ...report, sheets });
+    else await exportReportXlsx({ ...report, sheets });
+}
@@ -0,0 +1,192 @@
+/**
+ * @file gs1.js
+ * @description
+ * Parser de códigos GS1 (DataMatrix y GS1-128) con Identificadores de Aplicación (AI).
+ * Extrae el GTIN (01), la fecha de vencimiento (17) y el lote (10) desde la lectura de un escáner.
+ *
+ * Formatos soportados:
+ * - Lectura cruda con separador FNC1 (carácter GS, \x1D) entre campos de largo variable,
+ *   con o sin identificador de simbología al inicio (]d2, ]C1, ]Q3, ]e0).
+ * - Texto legible con AIs entre paréntesis: (01)07801234567890(17)261231(10)L123.
+ * - Separador escrito como "<GS>" (algunos escáneres configurados en modo texto).
+ */
+
+/**
+ * Carácter FNC1/GS usado como separador de campos de largo variable.
+ */
+export const GS1_SEPARATOR = '\u001d';
+
+/**
+ * Definición de AIs conocidos: largo fijo (`length`) o largo máximo variable (`maxLength`).
+ * Los AIs de largo variable terminan en un separador GS o al final de la lectura.
+ */
+const AI_DEFINITIONS = {
+    '00': { length: 18 },
+    '01': { length: 14 },
+    '02': { length: 14 },
+    '10': { maxLength: 20 },
+    '11': { length: 6 },
+    '12': { length: 6 },
+    '13': { length: 6 },
+    '15': { length: 6 },
+    '16': { length: 6 },
+    '17': { length: 6 },
+    '20': { length: 2 },
+    '21': { maxLength: 20 },
+    '22': { maxLength: 20 },
+    '30': { maxLength: 8 },
+    '37': { maxLength: 8 },
+    '240': { maxLength: 30 },
+    '241': { maxLength: 30 },
+    '250': { maxLength: 30 },
+    '400': { maxLength: 30 },
+    '710': { maxLength: 20 },
+    '711': { maxLength: 20 },
+    '712': { maxLength: 20 },
+    '713': { maxLength: 20 },
+    '714': { maxLength: 20 },
+    '715': { maxLength: 20 },
+    '90': { maxLength: 30 },
+    '91': { maxLength: 90 },
+    '92': { maxLength: 90 },
+    '93': { maxLength: 90 },
+    '94': { maxLength: 90 },
+    '95': { maxLength: 90 },
+    '96': { maxLength: 90 },
+    '97': { maxLength: 90 },
+    '98': { maxLength: 90 },
+    '99': { maxLength: 90 },
+};
+
+const SYMBOLOGY_ID_PATTERN = /^\][A-Za-z][0-9]/;
+
+/**
+ * Calcula si el dígito verificador de un GTIN (8, 12, 13 o 14 dígitos) es correcto.
+ * @param {string} gtin
+ * @returns {boolean}
+ */
+export function isValidGtin(gtin) {
+    if (!/^(\d{8}|\d{12}|\d{13}|\d{14})$/.test(gtin)) return false;
+    const digits = gtin.split('').map(Number);
+    const checkDigit = digits.pop();
+    const sum = digits.reverse().reduce((acc, digit, i) => acc + digit * (i % 2 === 0 ? 3 : 1), 0);
+    return (10 - (sum % 10)) % 10 === checkDigit;
+}
+
+/**
+ * Busca el AI conocido al inicio de un texto (se prueban prefijos de 2 a 4 dígitos).
+ * @param {string} text
+ * @returns {string|null}
+ */
+function matchAi(text) {
+    for (let len = 2; len <= 4; len++) {
+        const candidate = text.substring(0, len);
+        if (AI_DEFINITIONS[candidate]) return candidate;
+    }
+    return null;
+}
+
+/**
+ * Interpreta un campo AI 17/15/11 con formato AAMMDD.
+ * Día "00" significa fin de mes (sin día específico).
+ * @param {string} value
+ * @returns {{year: number, month: number, day: number|null}|null}
+ */
+export function parseGs1Date(value) {
+    if (!/^\d{6}$/.test(value)) return null;
+    const year = 2000 + parseInt(value.substring(0, 2), 10);
+    const month = parseInt(value.substring(2, 4), 10);
+    const day = parseInt(value.substring(4, 6), 10);
+    if (month < 1 || month > 12) return null;
+    if (day > new Date(year, month, 0).getDate()) return null;
+    return { year, month, day: day === 0 ? null : day };
+}
+
+/**
+ * Separa una lectura en pares AI → valor.
+ * @param {string} raw - Lectura normalizada (sin identificador de simbología).
+ * @returns {Object<string, string>|null} Mapa de AIs o null si la lectura no es GS1 válida.
+ */
+function splitAis(raw) {
+    const fields = {};
+    if (raw.startsWith('(')) {
+        const pattern = /\((\d{2,4})\)([^(]*)/g;
+        let match;
+        let consumed = 0;
+        while ((match = pattern.exec(raw)) !== null) {
+            if (match.index !== consumed) return null;
+            fields[match[1]] = match[2].replace(new RegExp(GS1_SEPARATOR, 'g'), '');
+            consumed = pattern.lastIndex;
+        }
+        return consumed === raw.length && Object.keys(fields).length > 0 ? fields : null;
+    }
+    let position = 0;
+    while (position < raw.length) {
+        if (raw[position] === GS1_SEPARATOR) { position++; continue; }
+        const ai = matchAi(raw.substring(position));
+        if (!ai) return Object.keys(fields).length > 0 ? fields : null;
+        position += ai.length;
+        const definition = AI_DEFINITIONS[ai];
+        let value;
+        if (definition.length) {
+            value = raw.substring(position, position + definition.length);
+            if (value.length !== definition.length) return null;
+            position += definition.length;
+        } else {
+            const separatorIndex = raw.indexOf(GS1_SEPARATOR, position);
+            const end = separatorIndex === -1 ? raw.length : separatorIndex;
+            value = raw.substring(position, Math.min(end, position + definition.maxLength));
+            position += value.length;
+        }
+        fields[ai] = value;
+    }
+    return Object.keys(fields).length > 0 ? fields : null;
+}
+
+/**
+ * Parsea una lectura GS1 y devuelve GTIN, vencimiento y lote.
+ * Solo se considera GS1 si la lectura trae identificador de simbología, separadores GS,
+ * formato con paréntesis o comienza con (01) seguido de un GTIN-14 válido.
+ * @param {string} rawInput - Texto tal como lo entrega el escáner.
+ * @returns {{gtin: string|null, expiry: {year: number, month: number, day: number|null}|null, lot: string|null, ais: Object<string, string>}|null}
+ *          Datos extraídos, o null si la lectura no es un código GS1 (p. ej. un EAN-13 simple).
+ */
+export function parseGs1(rawInput) {
+    if (!rawInput) return null;
+    let raw = rawInput.trim().replace(/<GS>/gi, GS1_SEPARATOR);
+    const hasSymbologyId = SYMBOLOGY_ID_PATTERN.test(raw);
+    if (hasSymbologyId) raw = raw.substring(3);
+    // Algunos escáneres anteponen un FNC1 inicial
+    if (raw.startsWith(GS1_SEPARATOR)) raw = raw.substring(1);
+
+    const looksLikeGs1 = hasSymbologyId || raw.includes(GS1_SEPARATOR) || raw.startsWith('(')
+        || (/^01\d{14}/.test(raw) && isValidGtin(raw.substring(2, 16)));
+    if (!looksLikeGs1) return null;
+
+    const ais = splitAis(raw);
+    if (!ais) return null;
+    const gtin = ais['01'] && isValidGtin(ais['01']) ? ais['01'] : null;
+    return {
+        gtin,
+        expiry: ais['17'] ? parseGs1Date(ais['17']) : null,
+        lot: ais['10'] ? ais['10'].trim() : null,
+        ais
+    };
+}
+
+/**
+ * Genera los códigos a buscar en `product_barcodes` a partir de un GTIN-14.
+ * Los catálogos suelen registrar el EAN-13 (GTIN-14 sin el 0 inicial) y en algunos casos UPC-A o EAN-8.
+ * @param {string} gtin - GTIN-14.
+ * @returns {string[]} Candidatos en orden de preferencia, sin duplicados.
+ */
+export function getGtinLookupCandidates(gtin) {
+    if (!gtin) return [];
+    const candidates = [];
+    if (gtin.length === 14 && gtin.startsWith('0')) candidates.push(gtin.substring(1));
+    candidates.push(gtin);
+    const withoutLeadingZeros = gtin.replace(/^0+/, '');
+    if (withoutLeadingZeros.length <= 12) candidates.push(withoutLeadingZeros.padStart(12, '0'));
+    if (withoutLeadingZeros.length <= 8) candidates.push(withoutLeadingZeros.padStart(8, '0'));
+    return [...new Set(candidates)];
+}
@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { parseGs1, parseGs1Date, isValidGtin, getGtinLookupCandidates, GS1_SEPARATOR } from './gs1';
+
+const GTIN = '07801234567894';
+const GS = GS1_SEPARATOR;
+
+describe('parseGs1', () => {
+    it('separa AIs de largo variable con FNC1/GS', () => {
+        const result = parseGs1(`01${GTIN}10LOTE-42${GS}17261231`);
+        expect(result.gtin).toBe(GTIN);
+        expect(result.lot).toBe('LOTE-42');
+        expect(result.expiry).toEqual({ year: 2026, month: 12, day: 31 });
+    });
+
+    it('acepta un FNC1 inicial y el separador escrito como <GS>', () => {
+        const result = parseGs1(`${GS}01${GTIN}21SERIE1<GS>10L9`);
+        expect(result.gtin).toBe(GTIN);
+        expect(result.ais['21']).toBe('SERIE1');
+        expect(result.lot).toBe('L9');
+    });
+
+    it('lee el formato legible con paréntesis', () => {
+        const result = parseGs1(`(01)${GTIN}(17)270615(10)ABC123`);
+        expect(result.gtin).toBe(GTIN);
+        expect(result.expiry).toEqual({ year: 2027, month: 6, day: 15 });
+        expect(result.lot).toBe('ABC123');
+    });
+
+    it('rechaza texto con paréntesis mal formado', () => {
+        expect(parseGs1(`x(01)${GTIN}`)).toBeNull();
+        expect(parseGs1('(01')).toBeNull();
+    });
+
+    it.each([']d2', ']C1'])('quita el identificador de simbología %s', (prefix) => {
+        const result = parseGs1(`${prefix}01${GTIN}17251100`);
+        expect(result.gtin).toBe(GTIN);
+        expect(result.ais['17']).toBe('251100');
+    });
+
+    it('interpreta el día 00 del AI 17 como fin de mes', () => {
+        const result = parseGs1(`01${GTIN}17260200${GS}10L1`);
+        expect(result.expiry).toEqual({ year: 2026, month: 2, day: null });
+    });
+
+    it('deja sin vencimiento una fecha inválida', () => {
+        expect(parseGs1(`01${GTIN}17261332`).expiry).toBeNull();
+        expect(parseGs1(`01${GTIN}17260230`).expiry).toBeNull();
+    });
+
+    it('deja sin GTIN un dígito verificador incorrecto', () => {
+        const result = parseGs1(`]d201078012345678951726123110L1`);
+        expect(result.gtin).toBeNull();
+        expect(result.ais['01']).toBe('07801234567895');
+    });
+
+    it('no trata como GS1 un EAN-13 simple ni un 01 con GTIN inválido sin marcas', () => {
+        expect(parseGs1('7801234567894')).toBeNull();
+        expect(parseGs1('0107801234567895')).toBeNull();
+        expect(parseGs1('')).toBeNull();
+    });
+});
+
+describe('parseGs1Date', () => {
+    it('valida mes y día', () => {
+        expect(parseGs1Date('240229')).toEqual({ year: 2024, month: 2, day: 29 });
+        expect(parseGs1Date('250229')).toBeNull();
+        expect(parseGs1Date('250013')).toBeNull();
+        expect(parseGs1Date('2512')).toBeNull();
+    });
+});
+
+describe('isValidGtin', () => {
+    it('comprueba el dígito verificador en GTIN-8/12/13/14', () => {
+        expect(isValidGtin(GTIN)).toBe(true);
+        expect(isValidGtin('7801234567894')).toBe(true);
+        expect(isValidGtin('7801234567895')).toBe(false);
+        expect(isValidGtin('96385074')).toBe(true);
+        expect(isValidGtin('12345')).toBe(false);
+    });
+});
+
+describe('getGtinLookupCandidates', () => {
+    it('busca primero el EAN-13 de un GTIN-14 con 0 inicial', () => {
+        expect(getGtinLookupCandidates(GTIN)).toEqual(['7801234567894', GTIN]);
+    });
+
+    it('agrega UPC-A y EAN-8 cuando el GTIN los contiene', () => {
+        expect(getGtinLookupCandidates('00012345678905')).toEqual(['0012345678905', '00012345678905', '012345678905']);
+        expect(getGtinLookupCandidates('00000096385074')).toEqual(['0000096385074', '00000096385074', '000096385074', '96385074']);
+    });
+
+    it('devuelve una lista vacía sin GTIN', () => {
+        expect(getGtinLookupCandidates(null)).toEqual([]);
+    });
+});
@@ -0,0 +1,98 @@
+/**
+ * @file odooApi.js
+ * @description
+ * Cliente de la API intermedia de Odoo (POST con token Bearer) y consultas compartidas entre páginas.
+ * La URL base y el token se obtienen desde variables de entorno definidas en Vite.
+ */
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL;
+export const API_ENDPOINT = `${API_BASE_URL}/odoo`;
+const BEARER_TOKEN = import.meta.env.VITE_API_BEARER_TOKEN;
+
+/**
+ * Formatea una fecha como "YYYY-MM-DD HH:MM:SS" en UTC, que es como Odoo guarda y compara los campos datetime.
+ * @param {Date} date
+ * @returns {string}
+ */
+export function toOdooDateTime(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Interpreta un datetime de Odoo ("YYYY-MM-DD HH:MM:SS", en UTC) como Date.
+ * Los valores que ya traen zona horaria (formato ISO con Z u offset) se interpretan tal cual.
+ * @param {string} value
+ * @returns {Date}
+ */
+export function parseOdooDateTime(value) {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}(:\d{2})?$/.test(value)) {
+    return new Date(`${value.replace(' ', 'T')}Z`);
+  }
+  return new Date(value);
+}
+
+/**
+ * Realiza una llamada POST a la API de Odoo con autenticación Bearer.
+ * @param {string} apiUrl - URL del endpoint de la API.
+ * @param {object} requestData - Objeto con los datos de la petición (modelo, campos, método, etc).
+ * @returns {Promise<object>} Respuesta JSON de la API.
+ * @throws {Error} Si la respuesta no es exitosa o hay error de red.
+ */
+export async function callOdooApi(apiUrl, requestData) {
+  const headers = {
+    'Content-Type': 'application/json',
+    'Authorization': `bearer ${BEARER_TOKEN}`
+  };
+  const requestOptions = {
+    method: 'POST',
+    headers: headers,
+    body: JSON.stringify(requestData),
+  };
+  try {
+    const response = await fetch(apiUrl, requestOptions);
+    if (!response.ok) {
+      let errorMsg = `Error ${response.status}: ${response.statusText}`;
+      try {
+        const errorData = await response.json();
+        errorMsg = errorData.message || errorData.error || errorMsg;
+      } catch { /* Ignora error de parseo JSON */ }
+      throw new Error(errorMsg);
+    }
+    return await response.json();
+  } catch (error) {
+    console.error("Error calling Odoo API:", error);
+    throw error;
+  }
+}
+
+/**
+ * Obtiene los equipos de venta de Odoo (crm.team), que identifican a cada local en las sesiones POS (crm_team_id).
+ * @returns {Promise<Array<{id: number, name: string}>>} Ordenados por nombre.
+ */
+export async function fetchOdooTeams() {
+  const teams = await callOdooApi(API_ENDPOINT, {
+    model: "crm.team",
+    fields: ["id", "name"],
+    method: "search_read",
+    order: "name ASC"
+  });
+  if (!Array.isArray(teams)) throw new Error("La respuesta de locales de Odoo no es un array válido.");
+  return teams;
+}
+
+/**
+ * Obtiene el local de Odoo (crm_team_id) de una sesión POS.
+ * @param {number|string} sessionId - ID de la sesión POS.
+ * @returns {Promise<number|null>} ID del equipo, o null si la sesión no existe o no tiene local.
+ */
+export async function fetchSessionTeamId(sessionId) {
+  const sessions = await callOdooApi(API_ENDPOINT, {
+    model: "pos.session",
+    filters: [[["id", "=", parseInt(String(sessionId), 10)]]],
+    fields: ["id", "crm_team_id"],
+    method: "search_read",
+    limit: 1
+  });
+  const session = Array.isArray(sessions) ? sessions[0] : null;
+  return session && Array.isArray(session.crm_team_id) ? session.crm_team_id[0] : null;
+}
@@ -0,0 +1,25 @@
+import { describe, it, expect } from 'vitest';
+import { toOdooDateTime, parseOdooDateTime } from './odooApi';
+
+describe('toOdooDateTime', () => {
+    it('escribe la fecha en UTC con el formato de Odoo', () => {
+        expect(toOdooDateTime(new Date('2026-03-01T02:30:45.123Z'))).toBe('2026-03-01 02:30:45');
+        expect(toOdooDateTime(new Date(Date.UTC(2025, 11, 31, 23, 59, 59)))).toBe('2025-12-31 23:59:59');
+    });
+});
+
+describe('parseOdooDateTime', () => {
+    it('interpreta los datetime de Odoo como UTC', () => {
+        expect(parseOdooDateTime('2026-03-01 02:30:45').toISOString()).toBe('2026-03-01T02:30:45.000Z');
+        expect(parseOdooDateTime('2026-03-01 02:30').toISOString()).toBe('2026-03-01T02:30:00.000Z');
+    });
+
+    it('respeta la zona de los valores ISO', () => {
+        expect(parseOdooDateTime('2026-03-01T02:30:45-03:00').toISOString()).toBe('2026-03-01T05:30:45.000Z');
+    });
+
+    it('es la inversa de toOdooDateTime', () => {
+        const date = new Date(Date.UTC(2026, 6, 4, 18, 5, 9));
+        expect(parseOdooDateTime(toOdooDateTime(date)).getTime()).toBe(date.getTime());
+    });
+});
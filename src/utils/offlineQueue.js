@@ -0,0 +1,217 @@
+/**
+ * @file offlineQueue.js
+ * @description
+ * Cola local (IndexedDB) de ingresos de stock pendientes de sincronizar.
+ * Cuando no hay conexión con Firebase o la escritura falla, cada envío (una entrada o un lote completo
+ * del modo recepción) se guarda como un registro de la cola. Al volver la conexión los registros se
+ * sincronizan en el orden en que se capturaron; cada registro se escribe con una única actualización
+ * multi-ruta, de modo que un lote se guarda completo o no se guarda.
+ * El ID de cada entrada se genera al encolar y se guarda con la línea: si una sincronización se corta después de
+ * escribir, o dos pestañas sincronizan el mismo registro, la escritura repetida cae sobre las mismas rutas.
+ *
+ * Estructura de cada registro:
+ *   { localId, storeId, userEmail, createdAt, lines: [{ entryId, ... }], status: 'pendiente'|'rechazada', rejectionReason? }
+ */
+import { database } from '../firebase/firebaseConfig';
+import { ref, get, push, update, serverTimestamp } from 'firebase/database';
+import { buildStockEntryUpdates } from './stockEntries';
+
+const DB_NAME = 'galeno-stock-offline';
+const DB_VERSION = 1;
+const STORE_NAME = 'pendingEntries';
+
+export const QUEUE_STATUS_PENDING = 'pendiente';
+export const QUEUE_STATUS_REJECTED = 'rechazada';
+
+/**
+ * Emisor de eventos para avisar a la interfaz que la cola cambió.
+ */
+export const offlineQueueEvents = new EventTarget();
+
+let dbPromise = null;
+let syncInProgress = null;
+
+/**
+ * Abre (o crea) la base IndexedDB de la cola.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    db.createObjectStore(STORE_NAME, { keyPath: 'localId', autoIncrement: true });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => { dbPromise = null; reject(request.error); };
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Ejecuta una operación sobre el object store y resuelve con el resultado de la petición.
+ * @param {'readonly'|'readwrite'} mode
+ * @param {function(IDBObjectStore): IDBRequest} operation
+ * @returns {Promise<any>}
+ */
+async function runRequest(mode, operation) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = operation(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Notifica a los suscriptores que la cola cambió.
+ */
+function notifyChange() {
+    offlineQueueEvents.dispatchEvent(new Event('change'));
+}
+
+/**
+ * Asigna un ID de entrada (clave push de Firebase, generada localmente sin conexión) a las líneas que no lo tienen.
+ * Se usa también antes de intentar escribir con conexión, para que la escritura y su eventual reintento desde la cola
+ * caigan sobre las mismas rutas.
+ * @param {string} storeId
+ * @param {Array<object>} lines
+ * @returns {Array<object>} Líneas con entryId.
+ */
+export function assignEntryIds(storeId, lines) {
+    return lines.map(line => (line.entryId
+        ? line
+        : { ...line, entryId: push(ref(database, `stock/${storeId}/${line.productId}/entries`)).key }));
+}
+
+/**
+ * Guarda un envío en la cola local.
+ * @param {object} params
+ * @param {string} params.storeId - Local de las entradas.
+ * @param {string} params.userEmail - Usuario que capturó las entradas.
+ * @param {Array<object>} params.lines - Líneas ya validadas (ver buildEntryData); se les asigna su entryId.
+ * @returns {Promise<number>} localId asignado.
+ */
+export async function enqueueSubmission({ storeId, userEmail, lines }) {
+    const record = { storeId, userEmail, lines: assignEntryIds(storeId, lines), createdAt: Date.now(), status: QUEUE_STATUS_PENDING };
+    const localId = await runRequest('readwrite', store => store.add(record));
+    notifyChange();
+    return localId;
+}
+
+/**
+ * Lista los registros de la cola en orden de captura.
+ * @returns {Promise<Array<object>>}
+ */
+export async function getQueuedSubmissions() {
+    const records = await runRequest('readonly', store => store.getAll());
+    return records.sort((a, b) => a.localId - b.localId);
+}
+
+/**
+ * Elimina un registro de la cola (sincronizado o descartado por el usuario).
+ * @param {number} localId
+ * @returns {Promise<void>}
+ */
+export async function removeSubmission(localId) {
+    await runRequest('readwrite', store => store.delete(localId));
+    notifyChange();
+}
+
+/**
+ * Marca un registro como rechazado para que el usuario lo revise; deja de reintentarse.
+ * @param {object} record
+ * @param {string} reason
+ * @returns {Promise<void>}
+ */
+async function markRejected(record, reason) {
+    await runRequest('readwrite', store => store.put({ ...record, status: QUEUE_STATUS_REJECTED, rejectionReason: reason }));
+    notifyChange();
+}
+
+/**
+ * Verifica que todos los productos de un registro sigan en el catálogo.
+ * @param {object} record
+ * @returns {Promise<string>} Motivo de rechazo, o cadena vacía si todos existen.
+ */
+async function findMissingProduct(record) {
+    const productIds = [...new Set(record.lines.map(line => line.productId))];
+    for (const productId of productIds) {
+        const snapshot = await get(ref(database, `products/${productId}`));
+        if (!snapshot.exists()) {
+            const line = record.lines.find(l => l.productId === productId);
+            return `El producto "${line?.productName || productId}" (${productId}) ya no está en el catálogo.`;
+        }
+    }
+    return '';
+}
+
+/**
+ * Indica si un error de Firebase es definitivo (no tiene sentido reintentar).
+ * @param {Error} err
+ * @returns {boolean}
+ */
+function isPermanentError(err) {
+    const code = String(err?.code || err?.message || '').toLowerCase();
+    return code.includes('permission') || code.includes('invalid');
+}
+
+/**
+ * Sincroniza los registros pendientes en orden de captura.
+ * Si un producto ya no existe o Firebase rechaza la escritura, el registro se marca como rechazado y se continúa.
+ * Ante un error de red se detiene para conservar el orden y reintentar más tarde.
+ * Las entradas conservan como `timestamp` la hora de captura y registran `syncedAt` con la hora del servidor.
+ * Los registros encolados antes de que las líneas trajeran entryId reciben sus IDs (guardados en la cola) antes de escribir.
+ * @returns {Promise<{synced: number, rejected: number}>}
+ */
+export function syncOfflineQueue() {
+    if (syncInProgress) return syncInProgress;
+    syncInProgress = (async () => {
+        let synced = 0;
+        let rejected = 0;
+        try {
+            const records = (await getQueuedSubmissions()).filter(record => record.status === QUEUE_STATUS_PENDING);
+            for (let record of records) {
+                try {
+                    if (record.lines.some(line => !line.entryId)) {
+                        record = { ...record, lines: assignEntryIds(record.storeId, record.lines) };
+                        const storedRecord = record;
+                        await runRequest('readwrite', store => store.put(storedRecord));
+                    }
+                    const missingReason = await findMissingProduct(record);
+                    if (missingReason) {
+                        await markRejected(record, missingReason);
+                        rejected++;
+                        continue;
+                    }
+                    const updates = buildStockEntryUpdates(record.storeId, record.lines, record.userEmail, {
+                        timestamp: record.createdAt,
+                        capturedOffline: true,
+                        syncedAt: serverTimestamp()
+                    });
+                    await update(ref(database), updates);
+                    await removeSubmission(record.localId);
+                    synced++;
+                } catch (err) {
+                    if (!isPermanentError(err)) {
+                        console.warn("Offline queue sync paused:", err);
+                        break;
+                    }
+                    console.error("Offline queue record rejected:", err);
+                    await markRejected(record, 'Firebase rechazó la escritura. Revisa permisos o datos de la entrada.');
+                    rejected++;
+                }
+            }
+        } finally {
+            syncInProgress = null;
+        }
+        return { synced, rejected };
+    })();
+    return syncInProgress;
+}
@@ -0,0 +1,61 @@
+/**
+ * @file productCatalog.js
+ * @description
+ * Carga del catálogo de productos (`products`) con caché en localStorage entre visitas.
+ * Cada escritura que modifica `products` debe actualizar también `catalogMeta/updatedAt` (CATALOG_VERSION_PATH)
+ * en la misma escritura multi-ruta; la caché se descarta cuando esa versión cambia o cuando supera CATALOG_CACHE_MAX_AGE_MS
+ * (cubre cambios hechos fuera de la app, p. ej. desde la consola de Firebase).
+ */
+import { database } from '../firebase/firebaseConfig';
+import { ref, get } from 'firebase/database';
+
+/**
+ * Ruta con la versión del catálogo (timestamp del último cambio).
+ */
+export const CATALOG_VERSION_PATH = 'catalogMeta/updatedAt';
+
+const CATALOG_CACHE_KEY = 'galeno-products-cache';
+const CATALOG_CACHE_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Lee la caché local del catálogo.
+ * @returns {{version: number|null, cachedAt: number, products: object}|null}
+ */
+function readCatalogCache() {
+    try {
+        const cached = JSON.parse(localStorage.getItem(CATALOG_CACHE_KEY));
+        return cached && cached.products ? cached : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Guarda el catálogo en la caché local. Si no cabe en localStorage se sigue sin caché.
+ * @param {number|null} version
+ * @param {object} products
+ */
+function writeCatalogCache(version, products) {
+    try {
+        localStorage.setItem(CATALOG_CACHE_KEY, JSON.stringify({ version, cachedAt: Date.now(), products }));
+    } catch (err) {
+        console.error("Error caching product catalog:", err);
+    }
+}
+
+/**
+ * Devuelve el catálogo completo, desde la caché si su versión coincide con la de Firebase.
+ * @returns {Promise<Object<string, {name: string, laboratory?: string}>>}
+ */
+export async function loadProductCatalog() {
+    const versionSnapshot = await get(ref(database, CATALOG_VERSION_PATH));
+    const version = versionSnapshot.exists() ? versionSnapshot.val() : null;
+    const cached = readCatalogCache();
+    if (cached && cached.version === version && Date.now() - cached.cachedAt < CATALOG_CACHE_MAX_AGE_MS) {
+        return cached.products;
+    }
+    const snapshot = await get(ref(database, 'products'));
+    const products = snapshot.exists() ? snapshot.val() : {};
+    writeCatalogCache(version, products);
+    return products;
+}
@@ -0,0 +1,115 @@
+/**
+ * @file productSearch.js
+ * @description
+ * Búsqueda manual de productos del catálogo (`products`) por nombre, laboratorio o código de referencia,
+ * para cuando el código de barras no se puede leer o el producto no tiene uno registrado.
+ * La búsqueda no distingue mayúsculas ni tildes y cada palabra buscada debe coincidir con el inicio
+ * de alguna palabra del nombre o del laboratorio, o con el inicio del código de referencia.
+ */
+import { loadProductCatalog } from './productCatalog';
+
+/**
+ * Valor que se guarda en `barcodeUsed` cuando la entrada proviene de una búsqueda manual.
+ */
+export const MANUAL_LOOKUP_BARCODE = 'busqueda-manual';
+
+/**
+ * Largo mínimo de la búsqueda para mostrar resultados.
+ */
+export const MIN_SEARCH_LENGTH = 2;
+
+const DEFAULT_RESULT_LIMIT = 30;
+
+/**
+ * Indica si una entrada se registró a partir de una búsqueda manual.
+ * @param {object} entry
+ * @returns {boolean}
+ */
+export function isManualLookupEntry(entry) {
+    return entry?.barcodeUsed === MANUAL_LOOKUP_BARCODE;
+}
+
+/**
+ * Normaliza un texto para comparar: minúsculas y sin tildes ni diéresis.
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeSearchText(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+/**
+ * Separa un texto normalizado en palabras (letras y números).
+ * @param {string} normalizedText
+ * @returns {string[]}
+ */
+function tokenize(normalizedText) {
+    return normalizedText.split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+/**
+ * Prepara el catálogo para búsquedas repetidas.
+ * @param {Object<string, {name: string, laboratory: string}>} products - Nodo `products` de Firebase.
+ * @returns {Array<{productId: string, product: object, refCode: string, nameWords: string[], labWords: string[], nameText: string}>}
+ */
+export function buildProductSearchIndex(products) {
+    return Object.entries(products || {}).map(([productId, product]) => {
+        const nameText = normalizeSearchText(product?.name);
+        return {
+            productId,
+            product,
+            refCode: normalizeSearchText(productId),
+            nameText,
+            nameWords: tokenize(nameText),
+            labWords: tokenize(normalizeSearchText(product?.laboratory))
+        };
+    });
+}
+
+/**
+ * Carga el catálogo completo (con caché, ver productCatalog.js) y lo indexa.
+ * @returns {Promise<Array<object>>} Índice (ver buildProductSearchIndex).
+ */
+export async function loadProductSearchIndex() {
+    return buildProductSearchIndex(await loadProductCatalog());
+}
+
+/**
+ * Puntaje de un producto para una búsqueda; 0 si no coincide.
+ * Prioriza coincidencias con el código de referencia, luego el inicio del nombre y al final el laboratorio.
+ * @param {object} item - Elemento del índice.
+ * @param {string} normalizedQuery
+ * @param {string[]} queryWords
+ * @returns {number}
+ */
+function scoreItem(item, normalizedQuery, queryWords) {
+    if (item.refCode === normalizedQuery) return 100;
+    if (item.refCode.startsWith(normalizedQuery)) return 80;
+    let nameHits = 0;
+    for (const word of queryWords) {
+        if (item.nameWords.some(w => w.startsWith(word))) nameHits++;
+        else if (!item.labWords.some(w => w.startsWith(word))) return 0;
+    }
+    if (nameHits === 0) return 10;
+    return (item.nameText.startsWith(normalizedQuery) ? 60 : 30) + nameHits;
+}
+
+/**
+ * Busca productos por nombre, laboratorio o código de referencia.
+ * @param {Array<object>} index - Índice generado por buildProductSearchIndex.
+ * @param {string} query - Texto ingresado por el usuario.
+ * @param {number} [limit] - Máximo de resultados.
+ * @returns {Array<{productId: string, product: object}>} Resultados ordenados por relevancia y nombre.
+ */
+export function searchProducts(index, query, limit = DEFAULT_RESULT_LIMIT) {
+    const normalizedQuery = normalizeSearchText(query);
+    if (normalizedQuery.length < MIN_SEARCH_LENGTH) return [];
+    const queryWords = tokenize(normalizedQuery);
+    if (queryWords.length === 0) return [];
+    return index
+        .map(item => ({ item, score: scoreItem(item, normalizedQuery, queryWords) }))
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score || a.item.nameText.localeCompare(b.item.nameText))
+        .slice(0, limit)
+        .map(({ item }) => ({ productId: item.productId, product: item.product }));
+}
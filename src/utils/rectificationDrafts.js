@@ -0,0 +1,108 @@
+/**
+ * @file rectificationDrafts.js
+ * @description
+ * Borradores colaborativos de rectificación (`rectificationDrafts/{sessionId}`) y su índice
+ * `rectificationDraftIndex/{sessionId}: timestamp de la última edición`.
+ *
+ * El índice permite saber qué sesiones tienen borrador con una sola lectura liviana (sin traer el contenido
+ * de los borradores ni consultar sesión por sesión). Se mantiene en la misma escritura multi-ruta que el borrador.
+ * Los borradores guardados antes del índice se agregan en la primera lectura: mientras no exista la marca
+ * `rectificationDraftIndexMeta/backfilledAt`, se leen los borradores, se indexan los que faltan y se escribe la marca
+ * en la misma actualización. rebuildRectificationDraftIndex reconstruye el índice completo (superadmin).
+ */
+import { database } from '../firebase/firebaseConfig';
+import { ref, get, set, update, serverTimestamp } from 'firebase/database';
+
+const DRAFTS_PATH = 'rectificationDrafts';
+const DRAFT_INDEX_PATH = 'rectificationDraftIndex';
+const DRAFT_INDEX_MARKER_PATH = 'rectificationDraftIndexMeta/backfilledAt';
+
+/**
+ * Guarda el borrador de una sesión y lo registra en el índice.
+ * @param {number|string} sessionId - ID de la sesión POS.
+ * @param {object} draftData - Borrador ya sanitizado para Firebase, con lastEdited.timestamp.
+ * @returns {Promise<void>}
+ */
+export async function saveRectificationDraft(sessionId, draftData) {
+    await update(ref(database), {
+        [`${DRAFTS_PATH}/${sessionId}`]: draftData,
+        [`${DRAFT_INDEX_PATH}/${sessionId}`]: draftData.lastEdited?.timestamp || Date.now()
+    });
+}
+
+/**
+ * Elimina el borrador de una sesión y su registro en el índice.
+ * Los borradores guardados antes de registrar el local de Odoo no tienen `odooTeamId` y las reglas solo permiten a un
+ * admin borrar borradores de su local, así que primero se les asigna el local indicado y después se eliminan.
+ * @param {number|string} sessionId - ID de la sesión POS.
+ * @param {number|null} [odooTeamId] - Local de Odoo de la sesión, para asignarlo a borradores antiguos.
+ * @returns {Promise<void>}
+ */
+export async function clearRectificationDraft(sessionId, odooTeamId = null) {
+    if (odooTeamId != null) {
+        const draftSnapshot = await get(ref(database, `${DRAFTS_PATH}/${sessionId}`));
+        if (draftSnapshot.exists() && !draftSnapshot.child('odooTeamId').exists()) {
+            await set(ref(database, `${DRAFTS_PATH}/${sessionId}/odooTeamId`), odooTeamId);
+        }
+    }
+    await update(ref(database), {
+        [`${DRAFTS_PATH}/${sessionId}`]: null,
+        [`${DRAFT_INDEX_PATH}/${sessionId}`]: null
+    });
+}
+
+/**
+ * Arma el índice leyendo todos los borradores.
+ * @returns {Promise<Object<string, number>>} Timestamp de la última edición por sessionId.
+ */
+async function buildIndexFromDrafts() {
+    const snapshot = await get(ref(database, DRAFTS_PATH));
+    const drafts = snapshot.exists() ? snapshot.val() : {};
+    const index = {};
+    Object.entries(drafts).forEach(([sessionId, draft]) => {
+        index[sessionId] = draft?.lastEdited?.timestamp || Date.now();
+    });
+    return index;
+}
+
+/**
+ * IDs de las sesiones que tienen borrador, leídos del índice en una sola lectura.
+ * Sin la marca de migración, se leen además los borradores, se indexan los que faltan junto con la marca y se
+ * devuelven todos; si esa escritura falla, el error se devuelve en `migrationError` (los IDs siguen completos y la
+ * próxima lectura vuelve a intentarlo).
+ * @returns {Promise<{sessionIds: Set<string>, migrationError: Error|null}>} IDs como texto.
+ */
+export async function loadDraftSessionIds() {
+    const [indexSnapshot, markerSnapshot] = await Promise.all([
+        get(ref(database, DRAFT_INDEX_PATH)),
+        get(ref(database, DRAFT_INDEX_MARKER_PATH))
+    ]);
+    const indexedIds = indexSnapshot.exists() ? Object.keys(indexSnapshot.val()) : [];
+    if (markerSnapshot.exists()) return { sessionIds: new Set(indexedIds), migrationError: null };
+
+    const draftsIndex = await buildIndexFromDrafts();
+    const updates = { [DRAFT_INDEX_MARKER_PATH]: serverTimestamp() };
+    Object.entries(draftsIndex).forEach(([sessionId, timestamp]) => {
+        if (!indexedIds.includes(sessionId)) updates[`${DRAFT_INDEX_PATH}/${sessionId}`] = timestamp;
+    });
+    let migrationError = null;
+    try {
+        await update(ref(database), updates);
+    } catch (err) {
+        console.error("Error migrating rectification draft index:", err);
+        migrationError = err;
+    }
+    return { sessionIds: new Set([...indexedIds, ...Object.keys(draftsIndex)]), migrationError };
+}
+
+/**
+ * Reconstruye el índice a partir de todos los borradores (lectura completa, para corregir un índice desactualizado).
+ * Reemplaza el índice completo, por lo que también quita registros de borradores que ya no existen.
+ * @returns {Promise<number>} Cantidad de borradores indexados.
+ */
+export async function rebuildRectificationDraftIndex() {
+    const index = await buildIndexFromDrafts();
+    await set(ref(database, DRAFT_INDEX_PATH), index);
+    await set(ref(database, DRAFT_INDEX_MARKER_PATH), serverTimestamp());
+    return Object.keys(index).length;
+}
@@ -0,0 +1,143 @@
+/**
+ * @file ropManagement.js
+ * @description
+ * Mantención de los ROP por local y producto (`rops/{storeId}/{productId}`, fracción entre 0 y 1).
+ * Cada cambio se escribe junto con su registro en `ropChangeLog/{changeId}` en la misma escritura multi-ruta:
+ *   { storeId, productId, previous, value, source: 'edicion'|'importacion', userEmail, timestamp }
+ * (`value` null indica que se eliminó el ROP).
+ *
+ * Formato de la planilla (el mismo que se descarga): columnas "Cod Ref", "Nombre Producto" y una columna por local
+ * con el nombre (o ID) del local. Al importar, una celda vacía no modifica el ROP existente.
+ */
+import * as XLSX from 'xlsx';
+import { database } from '../firebase/firebaseConfig';
+import { ref, get, push, update, query, orderByChild, limitToLast, serverTimestamp } from 'firebase/database';
+import { normalizeSearchText } from './productSearch';
+
+export const ROP_SOURCE_EDIT = 'edicion';
+export const ROP_SOURCE_IMPORT = 'importacion';
+
+/**
+ * Encabezados fijos de la planilla de ROP.
+ */
+export const ROP_SHEET_PRODUCT_HEADER = 'Cod Ref';
+export const ROP_SHEET_NAME_HEADER = 'Nombre Producto';
+
+/**
+ * Interpreta un valor de ROP ingresado (acepta coma decimal).
+ * @param {string|number} value
+ * @returns {{value: number|null, error: string}} value null si el texto está vacío (eliminar el ROP).
+ */
+export function parseRopValue(value) {
+    const text = String(value ?? '').trim().replace(',', '.');
+    if (text === '') return { value: null, error: '' };
+    const parsed = Number(text);
+    if (isNaN(parsed)) return { value: null, error: `"${value}" no es un número.` };
+    if (parsed < 0 || parsed > 1) return { value: null, error: `${text} está fuera del rango 0 a 1.` };
+    return { value: parsed, error: '' };
+}
+
+/**
+ * Guarda cambios de ROP y su registro en una única escritura.
+ * @param {Array<{storeId: string, productId: string, previous: number|null, value: number|null}>} changes
+ * @param {string} userEmail
+ * @param {string} [source] - ROP_SOURCE_EDIT | ROP_SOURCE_IMPORT.
+ * @returns {Promise<number>} Cantidad de cambios guardados.
+ * @throws {Error} Si algún valor no está entre 0 y 1.
+ */
+export async function saveRopChanges(changes, userEmail, source = ROP_SOURCE_EDIT) {
+    if (changes.length === 0) throw new Error('No hay cambios que guardar.');
+    const updates = {};
+    changes.forEach(({ storeId, productId, previous, value }) => {
+        if (value !== null && (typeof value !== 'number' || value < 0 || value > 1)) {
+            throw new Error(`ROP inválido para ${productId} en ${storeId}: debe estar entre 0 y 1.`);
+        }
+        updates[`rops/${storeId}/${productId}`] = value;
+        updates[`ropChangeLog/${push(ref(database, 'ropChangeLog')).key}`] = {
+            storeId, productId, previous: previous ?? null, value, source, userEmail, timestamp: serverTimestamp()
+        };
+    });
+    await update(ref(database), updates);
+    return changes.length;
+}
+
+/**
+ * Carga los últimos cambios registrados, del más reciente al más antiguo.
+ * @param {number} [limit]
+ * @returns {Promise<Array<object>>}
+ */
+export async function loadRopChangeLog(limit = 100) {
+    const snapshot = await get(query(ref(database, 'ropChangeLog'), orderByChild('timestamp'), limitToLast(limit)));
+    return Object.entries(snapshot.exists() ? snapshot.val() : {})
+        .map(([changeId, change]) => ({ ...change, changeId }))
+        .sort((a, b) => Number(b.timestamp) - Number(a.timestamp));
+}
+
+/**
+ * Arma las filas de la planilla de ROP (una por producto con algún ROP, o por cada producto indicado).
+ * @param {object} params
+ * @param {object} params.ropsData - Nodo `rops`.
+ * @param {Object<string, object>} params.products - Catálogo.
+ * @param {Object<string, {name: string}>} params.stores - Locales.
+ * @param {string[]} [params.productIds] - Productos a incluir; por defecto, los que tienen algún ROP.
+ * @returns {Array<object>} Filas con los encabezados de la planilla como claves.
+ */
+export function buildRopSheetRows({ ropsData, products, stores, productIds }) {
+    const storeIds = Object.keys(stores).sort();
+    const ids = productIds || [...new Set(Object.values(ropsData || {}).flatMap(storeRops => Object.keys(storeRops || {})))].sort();
+    return ids.map(productId => {
+        const row = { [ROP_SHEET_PRODUCT_HEADER]: productId, [ROP_SHEET_NAME_HEADER]: products[productId]?.name || '' };
+        storeIds.forEach(storeId => {
+            const rop = ropsData?.[storeId]?.[productId];
+            row[stores[storeId]?.name || storeId] = typeof rop === 'number' ? rop : '';
+        });
+        return row;
+    });
+}
+
+/**
+ * Lee una planilla de ROP y calcula los cambios respecto de los valores actuales.
+ * @param {File} file
+ * @param {object} params
+ * @param {object} params.ropsData - Nodo `rops` actual.
+ * @param {Object<string, object>} params.products - Catálogo.
+ * @param {Object<string, {name: string}>} params.stores - Locales.
+ * @returns {Promise<{changes: Array<{storeId: string, productId: string, previous: number|null, value: number}>,
+ *   errors: Array<{rowNumber: number, message: string}>}>}
+ * @throws {Error} Si la planilla no tiene la columna de código o ninguna columna de local.
+ */
+export async function parseRopWorkbook(file, { ropsData, products, stores }) {
+    const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array', raw: true, codepage: 65001 });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    const rows = sheet ? XLSX.utils.sheet_to_json(sheet, { defval: '', raw: true }) : [];
+    if (rows.length === 0) throw new Error('La planilla no tiene filas.');
+
+    const storeIdByHeader = {};
+    Object.entries(stores).forEach(([storeId, store]) => {
+        storeIdByHeader[normalizeSearchText(storeId)] = storeId;
+        if (store?.name) storeIdByHeader[normalizeSearchText(store.name)] = storeId;
+    });
+    const headers = Object.keys(rows[0]);
+    if (!headers.includes(ROP_SHEET_PRODUCT_HEADER)) throw new Error(`Falta la columna "${ROP_SHEET_PRODUCT_HEADER}".`);
+    const storeColumns = headers
+        .map(header => ({ header, storeId: storeIdByHeader[normalizeSearchText(header.replace(/^ROP\s+/i, ''))] }))
+        .filter(({ storeId }) => storeId);
+    if (storeColumns.length === 0) throw new Error('No se reconoció ninguna columna de local.');
+
+    const changes = [];
+    const errors = [];
+    rows.forEach((row, index) => {
+        const rowNumber = index + 2;
+        const productId = String(row[ROP_SHEET_PRODUCT_HEADER] ?? '').trim();
+        if (!productId) return;
+        if (!products[productId]) { errors.push({ rowNumber, message: `Producto "${productId}" no encontrado.` }); return; }
+        storeColumns.forEach(({ header, storeId }) => {
+            if (String(row[header] ?? '').trim() === '') return;
+            const { value, error } = parseRopValue(row[header]);
+            if (error) { errors.push({ rowNumber, message: `${header}: ${error}` }); return; }
+            const previous = typeof ropsData?.[storeId]?.[productId] === 'number' ? ropsData[storeId][productId] : null;
+            if (previous !== value) changes.push({ storeId, productId, previous, value });
+        });
+    });
+    return { changes, errors };
+}
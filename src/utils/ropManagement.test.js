@@ -0,0 +1,28 @@
+import { describe, it, expect, vi } from 'vitest';
+import { parseRopValue } from './ropManagement';
+
+vi.mock('../firebase/firebaseConfig', () => ({ database: {} }));
+vi.mock('firebase/database', () => ({
+    ref: vi.fn(), get: vi.fn(), push: vi.fn(), update: vi.fn(), query: vi.fn(), orderByChild: vi.fn(), limitToLast: vi.fn(),
+    serverTimestamp: () => 'SERVER_TIMESTAMP'
+}));
+
+describe('parseRopValue', () => {
+    it('acepta fracciones entre 0 y 1 con punto o coma decimal', () => {
+        expect(parseRopValue('0.35')).toEqual({ value: 0.35, error: '' });
+        expect(parseRopValue(' 0,5 ')).toEqual({ value: 0.5, error: '' });
+        expect(parseRopValue(1)).toEqual({ value: 1, error: '' });
+        expect(parseRopValue(0)).toEqual({ value: 0, error: '' });
+    });
+
+    it('interpreta una celda vacía como eliminar el ROP', () => {
+        expect(parseRopValue('')).toEqual({ value: null, error: '' });
+        expect(parseRopValue(null)).toEqual({ value: null, error: '' });
+    });
+
+    it('rechaza textos no numéricos y valores fuera de rango', () => {
+        expect(parseRopValue('alto')).toEqual({ value: null, error: '"alto" no es un número.' });
+        expect(parseRopValue('1,5')).toEqual({ value: null, error: '1.5 está fuera del rango 0 a 1.' });
+        expect(parseRopValue(-0.1).error).toBe('-0.1 está fuera del rango 0 a 1.');
+    });
+});
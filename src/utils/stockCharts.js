@@ -0,0 +1,96 @@
+/**
+ * @file stockCharts.js
+ * @description
+ * Agrupación de entradas de stock para los gráficos del panel de administración: unidades por mes (de registro o de
+ * vencimiento) apiladas por local. Los gráficos usan su propio periodo (los últimos TREND_MONTHS meses de registro y los
+ * próximos TREND_MONTHS meses de vencimiento), cargado aparte del periodo de la tabla, con los mismos filtros de la tabla.
+ */
+import { getEntryDayKey, getEntryExpiryMonthKey } from './stockEntries';
+
+const shortMonthNames = ["Ene", "Feb", "Mar", "Abr", "May", "Jun", "Jul", "Ago", "Sep", "Oct", "Nov", "Dic"];
+
+/**
+ * Colores de los locales en los gráficos (se repiten si hay más locales que colores).
+ */
+export const STORE_CHART_COLORS = ['#0d6efd', '#fd7e14', '#198754', '#6f42c1', '#dc3545', '#20c997', '#ffc107', '#6c757d', '#d63384', '#0dcaf0'];
+
+/**
+ * Meses que cubre cada gráfico.
+ */
+export const TREND_MONTHS = 12;
+
+/**
+ * Periodos de los gráficos: los últimos TREND_MONTHS meses de registro (incluido el actual) y los próximos
+ * TREND_MONTHS meses de vencimiento (desde el actual), en meses completos.
+ * @param {Date} [today]
+ * @returns {{recording: {from: Date, to: Date}, expiry: {from: Date, to: Date}}}
+ */
+export function getTrendRanges(today = new Date()) {
+    const year = today.getFullYear();
+    const month = today.getMonth();
+    return {
+        recording: { from: new Date(year, month - TREND_MONTHS + 1, 1), to: new Date(year, month + 1, 0) },
+        expiry: { from: new Date(year, month, 1), to: new Date(year, month + TREND_MONTHS, 0) }
+    };
+}
+
+/**
+ * Mes de registro de una entrada (YYYY-MM, hora local).
+ * @param {{timestamp: number}} entry
+ * @returns {string}
+ */
+export function getEntryRecordingMonthKey(entry) {
+    return getEntryDayKey(entry.timestamp).slice(0, 7);
+}
+
+/**
+ * Etiqueta corta de un mes (p. ej. "Mar 2026").
+ * @param {string} monthKey - YYYY-MM.
+ * @returns {string}
+ */
+export function formatMonthKey(monthKey) {
+    const [year, month] = monthKey.split('-').map(Number);
+    return `${shortMonthNames[month - 1]} ${year}`;
+}
+
+/**
+ * Primer y último día de un mes, para aplicar el mes como filtro de fechas.
+ * @param {string} monthKey - YYYY-MM.
+ * @returns {{from: Date, to: Date}}
+ */
+export function getMonthKeyRange(monthKey) {
+    const [year, month] = monthKey.split('-').map(Number);
+    return { from: new Date(year, month - 1, 1), to: new Date(year, month, 0) };
+}
+
+/**
+ * Suma las unidades por mes y local. Incluye los meses intermedios sin unidades para que el eje sea continuo.
+ * @param {Array<object>} entries - Entradas con storeId y quantity.
+ * @param {'registro'|'vencimiento'} groupBy - Mes de registro o mes de vencimiento.
+ * @returns {Array<{key: string, label: string, total: number, byStore: Object<string, number>}>} Ordenado por mes.
+ */
+export function buildMonthlyStoreBuckets(entries, groupBy) {
+    const getMonthKey = groupBy === 'vencimiento' ? getEntryExpiryMonthKey : getEntryRecordingMonthKey;
+    const buckets = {};
+    entries.forEach(entry => {
+        const key = getMonthKey(entry);
+        if (!buckets[key]) buckets[key] = { key, label: formatMonthKey(key), total: 0, byStore: {} };
+        const quantity = Number(entry.quantity) || 0;
+        buckets[key].total += quantity;
+        buckets[key].byStore[entry.storeId] = (buckets[key].byStore[entry.storeId] || 0) + quantity;
+    });
+    const keys = Object.keys(buckets).sort();
+    if (keys.length === 0) return [];
+
+    const result = [];
+    let [year, month] = keys[0].split('-').map(Number);
+    const lastKey = keys[keys.length - 1];
+    for (;;) {
+        const key = `${year}-${String(month).padStart(2, '0')}`;
+        result.push(buckets[key] || { key, label: formatMonthKey(key), total: 0, byStore: {} });
+        if (key === lastKey) break;
+        month += 1;
+        if (month > 12) { month = 1; year += 1; }
+    }
+    return result;
+}
@@ -0,0 +1,473 @@
+/**
+ * @file stockEntries.js
+ * @description
+ * Utilidades compartidas para las entradas de stock (`stock/{storeId}/{productId}/entries`).
+ * Centraliza la búsqueda de productos por código de barras (incluidos códigos GS1), la validación de los campos de una entrada,
+ * la construcción de las escrituras multi-ruta para guardar varias entradas de forma atómica,
+ * la detección de posibles duplicados y la corrección/anulación de entradas con su historial de auditoría.
+ *
+ * Índices secundarios (se mantienen en la misma escritura que la entrada):
+ * - `stockEntryIndex/{storeId}/{YYYY-MM-DD}/{entryId}`: { productId, userEmail, timestamp } por día de registro.
+ * - `stockExpiryIndex/{storeId}/{YYYY-MM}/{entryId}`: productId, por mes de vencimiento (solo entradas no anuladas).
+ */
+import { database } from '../firebase/firebaseConfig';
+import { ref, get, set, push, update, query, orderByChild, startAt, serverTimestamp } from 'firebase/database';
+import { parseGs1, getGtinLookupCandidates } from './gs1';
+
+/**
+ * Estados posibles de una entrada. Una entrada sin `status` está vigente con sus valores originales.
+ * - corregida: sus valores fueron modificados; los originales quedan en `history`.
+ * - anulada: no cuenta en totales ni exportaciones.
+ */
+export const ENTRY_STATUS_AMENDED = 'corregida';
+export const ENTRY_STATUS_VOIDED = 'anulada';
+
+/**
+ * Acción de historial para deshacer un ingreso recién hecho: la entrada queda anulada y el cambio se registra
+ * en `history` como reversión (no se borra).
+ */
+export const ENTRY_ACTION_REVERSAL = 'reversion';
+
+/**
+ * Minutos durante los que el autor puede deshacer su último ingreso.
+ */
+export const UNDO_WINDOW_MINUTES = 5;
+
+/**
+ * Campos de una entrada que se pueden corregir.
+ */
+const CORRECTABLE_FIELDS = ['quantity', 'expiryMonth', 'expiryYear', 'expiryDay', 'lotNumber'];
+
+/**
+ * Código de error (`err.code`) cuando un código de barras no está registrado en `product_barcodes`.
+ * El error incluye `err.barcode` (código a proponer) y `err.gs1` (datos GS1 de la lectura, si los hay).
+ */
+export const BARCODE_NOT_FOUND = 'barcode-not-found';
+
+/**
+ * Crea el error de código de barras no registrado.
+ * @param {string} barcode - Código a proponer para el catálogo.
+ * @param {object|null} gs1 - Datos GS1 de la lectura; el mensaje muestra su GTIN.
+ * @returns {Error}
+ */
+function createBarcodeNotFoundError(barcode, gs1 = null) {
+    const error = new Error(`Código de barras "${gs1?.gtin || barcode}" no encontrado.`);
+    error.code = BARCODE_NOT_FOUND;
+    error.barcode = barcode;
+    error.gs1 = gs1;
+    return error;
+}
+
+/**
+ * Obtiene los datos de un producto por su ID.
+ * @param {string} productId
+ * @returns {Promise<object>}
+ * @throws {Error} Si el producto no existe.
+ */
+async function fetchProduct(productId) {
+    const productSnapshot = await get(ref(database, `products/${productId}`));
+    if (!productSnapshot.exists()) throw new Error(`Producto con ID "${productId}" no encontrado.`);
+    return productSnapshot.val();
+}
+
+/**
+ * Busca un producto a partir de un código de barras usando el índice `product_barcodes`.
+ * @param {string} barcode - Código de barras escaneado o digitado.
+ * @returns {Promise<{productId: string, product: object}>} ID y datos del producto encontrado.
+ * @throws {Error} Si el código no está registrado o el producto no existe.
+ */
+export async function lookupProductByBarcode(barcode) {
+    const barcodeSnapshot = await get(ref(database, `product_barcodes/${barcode}`));
+    if (!barcodeSnapshot.exists()) throw createBarcodeNotFoundError(barcode);
+    const productId = barcodeSnapshot.val();
+    return { productId, product: await fetchProduct(productId) };
+}
+
+/**
+ * Busca un producto a partir de una lectura de escáner, que puede ser un código simple (EAN)
+ * o un código GS1 (DataMatrix / GS1-128). En el caso GS1 se busca por el GTIN (01) y se devuelven
+ * además el vencimiento (17) y el lote (10) para precargar el formulario.
+ * @param {string} rawScan - Texto leído.
+ * @returns {Promise<{productId: string, product: object, barcodeUsed: string, gs1: object|null}>}
+ *          barcodeUsed es el código que coincidió en `product_barcodes`; gs1 es el resultado de parseGs1.
+ * @throws {Error} Si no se encuentra el producto.
+ */
+export async function lookupProductByScan(rawScan) {
+    const gs1 = parseGs1(rawScan);
+    if (!gs1) {
+        const result = await lookupProductByBarcode(rawScan);
+        return { ...result, barcodeUsed: rawScan, gs1: null };
+    }
+    if (!gs1.gtin) throw new Error('El código GS1 escaneado no contiene un GTIN (01) válido.');
+    for (const candidate of getGtinLookupCandidates(gs1.gtin)) {
+        const barcodeSnapshot = await get(ref(database, `product_barcodes/${candidate}`));
+        if (barcodeSnapshot.exists()) {
+            const productId = barcodeSnapshot.val();
+            return { productId, product: await fetchProduct(productId), barcodeUsed: candidate, gs1 };
+        }
+    }
+    // Se propone el primer candidato (EAN-13 cuando el GTIN-14 empieza con 0), que es como se registran en el catálogo
+    throw createBarcodeNotFoundError(getGtinLookupCandidates(gs1.gtin)[0], gs1);
+}
+
+/**
+ * Cantidad de años hacia adelante que se ofrecen en los selectores de año de vencimiento.
+ */
+export const EXPIRY_YEARS_AHEAD = 15;
+
+/**
+ * Largo máximo permitido para un número de lote.
+ */
+const MAX_LOT_LENGTH = 40;
+
+/**
+ * Genera los años disponibles para seleccionar un vencimiento, desde el año actual.
+ * @param {number|string} [extraYear] - Año que debe incluirse aunque esté fuera del rango (p. ej. al corregir una entrada antigua).
+ * @returns {number[]}
+ */
+export function getExpiryYearOptions(extraYear) {
+    const currentYear = new Date().getFullYear();
+    const years = Array.from({ length: EXPIRY_YEARS_AHEAD + 1 }, (_, i) => currentYear + i);
+    const parsedExtra = parseInt(extraYear, 10);
+    if (!isNaN(parsedExtra) && !years.includes(parsedExtra)) years.unshift(parsedExtra);
+    return years;
+}
+
+/**
+ * Cantidad de días de un mes (1-12) en un año dado.
+ * @param {number} month
+ * @param {number} year
+ * @returns {number}
+ */
+export function getDaysInMonth(month, year) {
+    return new Date(year, month, 0).getDate();
+}
+
+/**
+ * Normaliza un número de lote: sin espacios a los extremos y en mayúsculas.
+ * @param {string} [lotNumber]
+ * @returns {string}
+ */
+export function normalizeLotNumber(lotNumber) {
+    return (lotNumber || '').trim().toUpperCase();
+}
+
+/**
+ * Formatea el vencimiento de una entrada: DD/MM/AAAA si tiene día, MM/AAAA si no.
+ * @param {{expiryDay?: number, expiryMonth: number, expiryYear: number}} entry
+ * @returns {string}
+ */
+export function formatEntryExpiry(entry) {
+    const monthYear = `${String(entry.expiryMonth).padStart(2, '0')}/${entry.expiryYear}`;
+    return entry.expiryDay ? `${String(entry.expiryDay).padStart(2, '0')}/${monthYear}` : monthYear;
+}
+
+/**
+ * Clave de consolidación de entradas: producto + vencimiento (mes, año y día) + lote.
+ * Entradas con distinto lote o día de vencimiento se agrupan por separado.
+ * @param {{productId: string, expiryMonth: number, expiryYear: number, expiryDay?: number, lotNumber?: string}} entry
+ * @returns {string}
+ */
+export function getEntryConsolidationKey(entry) {
+    return `${entry.productId}_${entry.expiryMonth}_${entry.expiryYear}_${entry.expiryDay || ''}_${entry.lotNumber || ''}`;
+}
+
+/**
+ * Valida cantidad, vencimiento y lote de una entrada.
+ * El día de vencimiento y el lote son opcionales. Se rechazan vencimientos ya pasados:
+ * con día, fechas anteriores a hoy; sin día, meses anteriores al actual.
+ * @param {{quantity: string|number, expiryMonth: string|number, expiryYear: string|number, expiryDay?: string|number, lotNumber?: string}} fields
+ * @param {{allowPast?: boolean}} [options] - allowPast omite el control de fecha pasada.
+ * @returns {string} Mensaje de error, o cadena vacía si los campos son válidos.
+ */
+export function validateEntryFields({ quantity, expiryMonth, expiryYear, expiryDay, lotNumber }, { allowPast = false } = {}) {
+    const parsedQuantity = parseInt(quantity, 10);
+    if (!quantity || isNaN(parsedQuantity) || parsedQuantity <= 0) return 'Cantidad inválida.';
+    if (!expiryMonth || !expiryYear) return 'Selecciona mes/año de vencimiento.';
+    const month = parseInt(expiryMonth, 10);
+    const year = parseInt(expiryYear, 10);
+    if (isNaN(month) || month < 1 || month > 12 || isNaN(year)) return 'Vencimiento inválido.';
+    const hasDay = expiryDay !== undefined && expiryDay !== null && expiryDay !== '';
+    const day = hasDay ? parseInt(expiryDay, 10) : null;
+    if (hasDay && (isNaN(day) || day < 1 || day > getDaysInMonth(month, year))) return 'Día de vencimiento inválido.';
+    if (!allowPast) {
+        const now = new Date();
+        const isPast = hasDay
+            ? new Date(year, month - 1, day) < new Date(now.getFullYear(), now.getMonth(), now.getDate())
+            : (year < now.getFullYear() || (year === now.getFullYear() && month - 1 < now.getMonth()));
+        if (isPast) return 'La fecha de vencimiento ya pasó.';
+    }
+    if (normalizeLotNumber(lotNumber).length > MAX_LOT_LENGTH) return `El lote no puede superar ${MAX_LOT_LENGTH} caracteres.`;
+    return '';
+}
+
+/**
+ * Arma el objeto que se guarda en Firebase para una entrada de stock.
+ * `expiryDay` y `lotNumber` solo se incluyen si fueron informados.
+ * Si la línea trae `duplicateOfEntryIds` (confirmada como posible duplicado), la entrada queda marcada con
+ * `possibleDuplicate` y `duplicateOf` (la coincidencia más reciente).
+ * @param {object} line - Línea con productId, productName, quantity, expiryMonth, expiryYear, expiryDay, lotNumber y barcodeUsed.
+ * @param {string} userEmail - Email del usuario que registra la entrada.
+ * @param {object} [overrides] - Campos que reemplazan o complementan los por defecto (p. ej. timestamp de captura offline).
+ * @returns {object} Datos de la entrada listos para escribir.
+ */
+export function buildEntryData(line, userEmail, overrides = {}) {
+    const entryData = {
+        quantity: parseInt(line.quantity, 10),
+        expiryMonth: parseInt(line.expiryMonth, 10),
+        expiryYear: parseInt(line.expiryYear, 10),
+        barcodeUsed: line.barcodeUsed || '',
+        userEmail,
+        productName: line.productName,
+        timestamp: serverTimestamp()
+    };
+    if (line.expiryDay) entryData.expiryDay = parseInt(line.expiryDay, 10);
+    const lotNumber = normalizeLotNumber(line.lotNumber);
+    if (lotNumber) entryData.lotNumber = lotNumber;
+    if (line.duplicateOfEntryIds?.length) {
+        entryData.possibleDuplicate = true;
+        entryData.duplicateOf = line.duplicateOfEntryIds[0];
+    }
+    return { ...entryData, ...overrides };
+}
+
+/**
+ * Clave de día (YYYY-MM-DD, hora local) para el índice `stockEntryIndex/{storeId}/{día}/{entryId}`.
+ * @param {number} timestamp
+ * @returns {string}
+ */
+export function getEntryDayKey(timestamp) {
+    const date = new Date(Number(timestamp));
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Clave de mes de vencimiento (YYYY-MM) para el índice `stockExpiryIndex/{storeId}/{mes}/{entryId}`.
+ * @param {{expiryMonth: number, expiryYear: number}} entry
+ * @returns {string}
+ */
+export function getEntryExpiryMonthKey(entry) {
+    return `${entry.expiryYear}-${String(entry.expiryMonth).padStart(2, '0')}`;
+}
+
+/**
+ * Construye un objeto de actualización multi-ruta con una entrada nueva por cada línea.
+ * Se usa con `update(ref(database), updates)` para que todas las entradas se escriban o ninguna.
+ * Cada entrada se registra además en el índice diario `stockEntryIndex/{storeId}/{día}/{entryId}`
+ * ({ productId, userEmail, timestamp }) y en el índice de vencimientos `stockExpiryIndex/{storeId}/{mes}/{entryId}`,
+ * para consultar un periodo sin leer todo el stock del local.
+ * @param {string} storeId - Local donde se registran las entradas.
+ * @param {Array<object>} lines - Líneas ya validadas (ver buildEntryData); opcionalmente con `entryId`.
+ * @param {string} userEmail - Email del usuario que registra las entradas.
+ * @param {object} [overrides] - Campos adicionales para todas las entradas (ver buildEntryData).
+ * @returns {Object<string, object>} Mapa ruta → datos de la entrada.
+ */
+export function buildStockEntryUpdates(storeId, lines, userEmail, overrides = {}) {
+    const updates = {};
+    // Las entradas capturadas sin conexión traen su hora de captura; las demás usan la hora del servidor
+    const capturedAt = typeof overrides.timestamp === 'number' ? overrides.timestamp : null;
+    const dayKey = getEntryDayKey(capturedAt ?? Date.now());
+    lines.forEach(line => {
+        const entriesPath = `stock/${storeId}/${line.productId}/entries`;
+        // La línea puede traer un ID ya generado (p. ej. una importación que registra sus entradas en el lote)
+        const entryId = line.entryId || push(ref(database, entriesPath)).key;
+        const entryData = buildEntryData(line, userEmail, overrides);
+        updates[`${entriesPath}/${entryId}`] = entryData;
+        updates[`stockExpiryIndex/${storeId}/${getEntryExpiryMonthKey(entryData)}/${entryId}`] = line.productId;
+        updates[`stockEntryIndex/${storeId}/${dayKey}/${entryId}`] = {
+            productId: line.productId,
+            userEmail,
+            timestamp: capturedAt ?? serverTimestamp()
+        };
+        // Las entradas con las que coincide un posible duplicado también quedan marcadas
+        (line.duplicateOfEntryIds || []).forEach(duplicateId => {
+            updates[`${entriesPath}/${duplicateId}/possibleDuplicate`] = true;
+        });
+    });
+    return updates;
+}
+
+/**
+ * Ventana por defecto (minutos) en que dos entradas iguales se consideran posible duplicado.
+ * Se puede configurar en `settings/duplicateEntryWindowMinutes`.
+ */
+export const DEFAULT_DUPLICATE_WINDOW_MINUTES = 10;
+
+/**
+ * Ventana máxima configurable (minutos): 24 horas.
+ */
+export const MAX_DUPLICATE_WINDOW_MINUTES = 1440;
+
+const DUPLICATE_WINDOW_SETTING_PATH = 'settings/duplicateEntryWindowMinutes';
+
+/**
+ * Obtiene la ventana configurada para detectar duplicados.
+ * @returns {Promise<number>} Minutos (el valor por defecto si no está configurada o no es válida).
+ */
+export async function getDuplicateWindowMinutes() {
+    const snapshot = await get(ref(database, DUPLICATE_WINDOW_SETTING_PATH));
+    const minutes = snapshot.exists() ? parseInt(snapshot.val(), 10) : NaN;
+    return minutes >= 1 && minutes <= MAX_DUPLICATE_WINDOW_MINUTES ? minutes : DEFAULT_DUPLICATE_WINDOW_MINUTES;
+}
+
+/**
+ * Guarda la ventana para detectar duplicados.
+ * @param {number|string} minutes
+ * @returns {Promise<void>}
+ * @throws {Error} Si el valor está fuera de rango.
+ */
+export async function saveDuplicateWindowMinutes(minutes) {
+    const parsedMinutes = parseInt(minutes, 10);
+    if (isNaN(parsedMinutes) || parsedMinutes < 1 || parsedMinutes > MAX_DUPLICATE_WINDOW_MINUTES) {
+        throw new Error(`La ventana debe estar entre 1 y ${MAX_DUPLICATE_WINDOW_MINUTES} minutos.`);
+    }
+    await set(ref(database, DUPLICATE_WINDOW_SETTING_PATH), parsedMinutes);
+}
+
+/**
+ * Busca entradas vigentes del mismo local y producto, con igual vencimiento (mes, año y día) y cantidad,
+ * registradas dentro de la ventana de tiempo. Sirve para advertir un doble "Ingresar" o una caja contada dos veces.
+ * @param {string} storeId
+ * @param {object} line - Línea validada con productId, quantity, expiryMonth, expiryYear y expiryDay.
+ * @param {number} windowMinutes
+ * @returns {Promise<Array<object>>} Coincidencias ({ entryId, ...entry }) de la más reciente a la más antigua.
+ */
+export async function findPossibleDuplicates(storeId, line, windowMinutes) {
+    const since = Date.now() - windowMinutes * 60 * 1000;
+    const entriesQuery = query(ref(database, `stock/${storeId}/${line.productId}/entries`), orderByChild('timestamp'), startAt(since));
+    const snapshot = await get(entriesQuery);
+    if (!snapshot.exists()) return [];
+    const quantity = parseInt(line.quantity, 10);
+    const expiryMonth = parseInt(line.expiryMonth, 10);
+    const expiryYear = parseInt(line.expiryYear, 10);
+    const expiryDay = line.expiryDay ? parseInt(line.expiryDay, 10) : null;
+    return Object.entries(snapshot.val())
+        .filter(([, entry]) => isEntryEffective(entry)
+            && Number(entry.timestamp) >= since
+            && entry.quantity === quantity
+            && entry.expiryMonth === expiryMonth
+            && entry.expiryYear === expiryYear
+            && (entry.expiryDay || null) === expiryDay)
+        .map(([entryId, entry]) => ({ ...entry, entryId }))
+        .sort((a, b) => Number(b.timestamp) - Number(a.timestamp));
+}
+
+/**
+ * Indica si una entrada cuenta para totales y exportaciones (no está anulada).
+ * Los valores efectivos de una entrada corregida son sus campos actuales.
+ * @param {object} entry
+ * @returns {boolean}
+ */
+export function isEntryEffective(entry) {
+    return !!entry && entry.status !== ENTRY_STATUS_VOIDED;
+}
+
+/**
+ * Determina si un usuario puede corregir o anular una entrada: su autor,
+ * un admin del local de la entrada o un superadmin.
+ * @param {object} params
+ * @param {object} params.entry - Entrada de stock.
+ * @param {string} params.storeId - Local al que pertenece la entrada.
+ * @param {string} params.userEmail - Email del usuario actual.
+ * @param {string} params.userRole - Rol del usuario actual.
+ * @param {string} params.userStoreId - Local asignado al usuario actual.
+ * @returns {boolean}
+ */
+export function canUserCorrectEntry({ entry, storeId, userEmail, userRole, userStoreId }) {
+    if (!entry || !isEntryEffective(entry)) return false;
+    if (userRole === 'superadmin') return true;
+    if (userRole === 'admin' && userStoreId === storeId) return true;
+    return !!userEmail && entry.userEmail === userEmail;
+}
+
+/**
+ * Corrige o anula una entrada de stock en una única escritura multi-ruta.
+ * Los valores previos se guardan en `history/{pushId}` junto con el motivo, el usuario y la fecha.
+ * @param {object} params
+ * @param {string} params.storeId
+ * @param {string} params.productId
+ * @param {string} params.entryId
+ * @param {object} params.entry - Entrada actual (valores antes del cambio).
+ * @param {'correccion'|'anulacion'|'reversion'} params.action - Tipo de cambio; la reversión anula igual que la anulación.
+ * @param {object} [params.changes] - Nuevos valores (quantity, expiryMonth, expiryYear, expiryDay, lotNumber) si es corrección.
+ * @param {string} params.reason - Motivo obligatorio.
+ * @param {string} params.userEmail - Email de quien realiza el cambio.
+ * @returns {Promise<void>}
+ * @throws {Error} Si falta el motivo o los nuevos valores son inválidos.
+ */
+export async function correctStockEntry({ storeId, productId, entryId, entry, action, changes = {}, reason, userEmail }) {
+    if (!reason || !reason.trim()) throw new Error('Debes indicar un motivo.');
+    const entryPath = `stock/${storeId}/${productId}/entries/${entryId}`;
+    const previous = {};
+    CORRECTABLE_FIELDS.forEach(field => { previous[field] = entry[field] ?? null; });
+    previous.status = entry.status || null;
+
+    const updates = {};
+    const previousExpiryIndexPath = `stockExpiryIndex/${storeId}/${getEntryExpiryMonthKey(entry)}/${entryId}`;
+    if (action === 'anulacion' || action === ENTRY_ACTION_REVERSAL) {
+        updates[`${entryPath}/status`] = ENTRY_STATUS_VOIDED;
+        updates[previousExpiryIndexPath] = null;
+    } else {
+        const merged = { ...previous, ...changes };
+        const normalized = {
+            quantity: parseInt(merged.quantity, 10),
+            expiryMonth: parseInt(merged.expiryMonth, 10),
+            expiryYear: parseInt(merged.expiryYear, 10),
+            expiryDay: merged.expiryDay ? parseInt(merged.expiryDay, 10) : null,
+            lotNumber: normalizeLotNumber(merged.lotNumber) || null
+        };
+        // Un vencimiento ya pasado se acepta solo si no cambió (p. ej. al corregir la cantidad de una entrada antigua)
+        const expiryChanged = ['expiryMonth', 'expiryYear', 'expiryDay'].some(field => normalized[field] !== previous[field]);
+        const fieldsError = validateEntryFields(merged, { allowPast: !expiryChanged });
+        if (fieldsError) throw new Error(fieldsError);
+        if (CORRECTABLE_FIELDS.every(field => normalized[field] === previous[field])) {
+            throw new Error('No hay cambios que guardar.');
+        }
+        CORRECTABLE_FIELDS.forEach(field => { updates[`${entryPath}/${field}`] = normalized[field]; });
+        updates[`${entryPath}/status`] = ENTRY_STATUS_AMENDED;
+        // Si cambió el mes de vencimiento, el puntero del índice se mueve al mes nuevo
+        const expiryIndexPath = `stockExpiryIndex/${storeId}/${getEntryExpiryMonthKey(normalized)}/${entryId}`;
+        if (expiryIndexPath !== previousExpiryIndexPath) updates[previousExpiryIndexPath] = null;
+        updates[expiryIndexPath] = productId;
+    }
+    const historyId = push(ref(database, `${entryPath}/history`)).key;
+    updates[`${entryPath}/history/${historyId}`] = {
+        action, reason: reason.trim(), previous, userEmail, timestamp: serverTimestamp()
+    };
+    updates[`${entryPath}/lastModifiedBy`] = userEmail;
+    updates[`${entryPath}/lastModifiedAt`] = serverTimestamp();
+    await update(ref(database), updates);
+}
+
+/**
+ * Indica si el usuario todavía puede deshacer una entrada: es su autor, sigue vigente sin correcciones
+ * y fue registrada hace menos de UNDO_WINDOW_MINUTES.
+ * @param {object} entry
+ * @param {string} userEmail
+ * @param {number} [now] - Hora actual (ms).
+ * @returns {boolean}
+ */
+export function canUndoEntry(entry, userEmail, now = Date.now()) {
+    if (!entry || entry.status || entry.userEmail !== userEmail) return false;
+    const elapsed = now - Number(entry.timestamp);
+    return elapsed >= 0 && elapsed <= UNDO_WINDOW_MINUTES * 60 * 1000;
+}
+
+/**
+ * Deshace un ingreso recién hecho registrándolo como reversión en su historial (ver correctStockEntry).
+ * @param {object} params
+ * @param {string} params.storeId
+ * @param {string} params.productId
+ * @param {string} params.entryId
+ * @param {object} params.entry - Entrada actual.
+ * @param {string} params.userEmail - Autor de la entrada.
+ * @returns {Promise<void>}
+ * @throws {Error} Si ya pasó el plazo para deshacer.
+ */
+export async function reverseStockEntry({ storeId, productId, entryId, entry, userEmail }) {
+    if (!canUndoEntry(entry, userEmail)) throw new Error(`Solo puedes deshacer tu último ingreso dentro de ${UNDO_WINDOW_MINUTES} minutos.`);
+    await correctStockEntry({
+        storeId, productId, entryId, entry, action: ENTRY_ACTION_REVERSAL,
+        reason: 'Ingreso deshecho por su autor', userEmail
+    });
+}
@@ -0,0 +1,87 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { validateEntryFields, buildStockEntryUpdates } from './stockEntries';
+
+vi.mock('../firebase/firebaseConfig', () => ({ database: {} }));
+vi.mock('firebase/database', () => {
+    let pushCount = 0;
+    return {
+        ref: (db, path) => ({ path }),
+        push: () => ({ key: `nuevo${++pushCount}` }),
+        serverTimestamp: () => 'SERVER_TIMESTAMP',
+        get: vi.fn(), set: vi.fn(), update: vi.fn(), query: vi.fn(), orderByChild: vi.fn(), startAt: vi.fn()
+    };
+});
+
+const VALID = { quantity: '5', expiryMonth: '8', expiryYear: '2026', expiryDay: '', lotNumber: 'L1' };
+
+describe('validateEntryFields', () => {
+    beforeEach(() => {
+        vi.useFakeTimers();
+        vi.setSystemTime(new Date(2026, 5, 15, 10, 0));
+    });
+    afterEach(() => { vi.useRealTimers(); });
+
+    it('acepta una entrada completa', () => {
+        expect(validateEntryFields(VALID)).toBe('');
+    });
+
+    it('rechaza cantidades vacías, cero o negativas', () => {
+        expect(validateEntryFields({ ...VALID, quantity: '' })).toBe('Cantidad inválida.');
+        expect(validateEntryFields({ ...VALID, quantity: '0' })).toBe('Cantidad inválida.');
+        expect(validateEntryFields({ ...VALID, quantity: '-3' })).toBe('Cantidad inválida.');
+    });
+
+    it('exige mes y año válidos', () => {
+        expect(validateEntryFields({ ...VALID, expiryMonth: '' })).toBe('Selecciona mes/año de vencimiento.');
+        expect(validateEntryFields({ ...VALID, expiryMonth: '13' })).toBe('Vencimiento inválido.');
+    });
+
+    it('valida el día contra el largo del mes', () => {
+        expect(validateEntryFields({ ...VALID, expiryMonth: '2', expiryYear: '2027', expiryDay: '29' })).toBe('Día de vencimiento inválido.');
+        expect(validateEntryFields({ ...VALID, expiryMonth: '2', expiryYear: '2028', expiryDay: '29' })).toBe('');
+    });
+
+    it('rechaza vencimientos pasados salvo con allowPast', () => {
+        expect(validateEntryFields({ ...VALID, expiryMonth: '5' })).toBe('La fecha de vencimiento ya pasó.');
+        expect(validateEntryFields({ ...VALID, expiryMonth: '6', expiryDay: '14' })).toBe('La fecha de vencimiento ya pasó.');
+        expect(validateEntryFields({ ...VALID, expiryMonth: '6' })).toBe('');
+        expect(validateEntryFields({ ...VALID, expiryMonth: '6', expiryDay: '15' })).toBe('');
+        expect(validateEntryFields({ ...VALID, expiryYear: '2020' }, { allowPast: true })).toBe('');
+    });
+
+    it('limita el largo del lote', () => {
+        expect(validateEntryFields({ ...VALID, lotNumber: 'X'.repeat(41) })).toBe('El lote no puede superar 40 caracteres.');
+    });
+});
+
+describe('buildStockEntryUpdates', () => {
+    const line = { productId: 'P1', productName: 'Producto 1', quantity: '3', expiryMonth: '9', expiryYear: '2026', lotNumber: ' l-7 ', barcodeUsed: '780' };
+
+    it('escribe la entrada y sus dos índices con el ID de la línea', () => {
+        const updates = buildStockEntryUpdates('S1', [{ ...line, entryId: 'E1' }], 'ana@local.cl', { timestamp: new Date(2026, 5, 15, 12).getTime() });
+        expect(updates['stock/S1/P1/entries/E1']).toMatchObject({
+            quantity: 3, expiryMonth: 9, expiryYear: 2026, userEmail: 'ana@local.cl', productName: 'Producto 1', barcodeUsed: '780'
+        });
+        expect(updates['stockExpiryIndex/S1/2026-09/E1']).toBe('P1');
+        expect(updates['stockEntryIndex/S1/2026-06-15/E1']).toEqual({
+            productId: 'P1', userEmail: 'ana@local.cl', timestamp: new Date(2026, 5, 15, 12).getTime()
+        });
+        expect(Object.keys(updates)).toHaveLength(3);
+    });
+
+    it('genera un ID por línea sin entryId y usa la hora del servidor', () => {
+        const updates = buildStockEntryUpdates('S1', [line, { ...line, productId: 'P2' }], 'ana@local.cl');
+        const entryPaths = Object.keys(updates).filter(path => path.startsWith('stock/'));
+        expect(entryPaths).toHaveLength(2);
+        expect(new Set(entryPaths.map(path => path.split('/').pop())).size).toBe(2);
+        expect(updates[entryPaths[0]].timestamp).toBe('SERVER_TIMESTAMP');
+        const indexPointers = Object.entries(updates).filter(([path]) => path.startsWith('stockEntryIndex/'));
+        expect(indexPointers.every(([, pointer]) => pointer.timestamp === 'SERVER_TIMESTAMP')).toBe(true);
+    });
+
+    it('marca las entradas coincidentes como posibles duplicados', () => {
+        const updates = buildStockEntryUpdates('S1', [{ ...line, entryId: 'E2', duplicateOfEntryIds: ['E0'] }], 'ana@local.cl');
+        expect(updates['stock/S1/P1/entries/E0/possibleDuplicate']).toBe(true);
+        expect(updates['stock/S1/P1/entries/E2']).toMatchObject({ possibleDuplicate: true, duplicateOf: 'E0' });
+    });
+});
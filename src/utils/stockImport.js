@@ -0,0 +1,315 @@
+/**
+ * @file stockImport.js
+ * @description
+ * Importación masiva de entradas de stock desde .xlsx o .csv (conteos en papel o planillas anteriores).
+ *
+ * Flujo:
+ * - parseImportFile lee la primera hoja y reconoce las columnas por su encabezado (ver COLUMN_ALIASES).
+ * - resolveImportRows resuelve cada fila contra `product_barcodes` / `products` y `stores`, y valida sus campos.
+ * - commitImportBatch escribe las filas válidas como entradas normales (con sus índices) marcadas con `importBatchId`,
+ *   y registra el lote en `importBatches/{batchId}` con la lista de entradas creadas.
+ * - rollbackImportBatch anula todas las entradas del lote (quedan en el historial como anulación), en una sola escritura.
+ *
+ * Estructura de un lote:
+ *   { fileName, userEmail, createdAt, entryCount, status: 'importado'|'revertido',
+ *     entries: { [entryId]: { storeId, productId } }, rolledBackBy?, rolledBackAt? }
+ */
+import * as XLSX from 'xlsx';
+import { database } from '../firebase/firebaseConfig';
+import { ref, get, push, update, serverTimestamp } from 'firebase/database';
+import {
+    buildStockEntryUpdates, validateEntryFields, getEntryExpiryMonthKey, ENTRY_STATUS_VOIDED
+} from './stockEntries';
+import { normalizeSearchText } from './productSearch';
+import { isValidDatabaseKey } from './barcodeProposals';
+
+export const IMPORT_BATCH_STATUS_IMPORTED = 'importado';
+export const IMPORT_BATCH_STATUS_ROLLED_BACK = 'revertido';
+
+/**
+ * Valor de `barcodeUsed` para filas importadas sin código de barras (solo con código de referencia).
+ */
+export const IMPORT_BARCODE_PLACEHOLDER = 'importacion';
+
+/**
+ * Encabezados reconocidos por campo (normalizados: minúsculas, sin tildes ni separadores).
+ */
+const COLUMN_ALIASES = {
+    barcode: ['codigodebarras', 'codigobarras', 'barcode', 'ean', 'gtin'],
+    reference: ['codigoref', 'codref', 'codigodereferencia', 'referencia', 'reference', 'productid', 'sku', 'codigo'],
+    quantity: ['cantidad', 'cant', 'quantity', 'unidades'],
+    expiry: ['vencimiento', 'fechavencimiento', 'fechadevencimiento', 'fvencimiento', 'expiry', 'expiration'],
+    expiryMonth: ['mesvenc', 'mesvencimiento', 'mes', 'month'],
+    expiryYear: ['anovenc', 'anovencimiento', 'ano', 'anio', 'year'],
+    expiryDay: ['diavenc', 'diavencimiento', 'dia', 'day'],
+    lotNumber: ['lote', 'lot', 'lotnumber'],
+    store: ['local', 'tienda', 'sucursal', 'store', 'storeid']
+};
+
+/**
+ * Normaliza un encabezado para compararlo con COLUMN_ALIASES.
+ * @param {string} header
+ * @returns {string}
+ */
+function normalizeHeader(header) {
+    return normalizeSearchText(header).replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Texto de una celda sin espacios a los extremos.
+ * @param {*} value
+ * @returns {string}
+ */
+function cellText(value) {
+    return value === undefined || value === null ? '' : String(value).trim();
+}
+
+/**
+ * Interpreta un vencimiento en una sola celda: fecha de Excel (número de serie), o texto MM/AAAA, DD/MM/AAAA,
+ * AAAA-MM o AAAA-MM-DD (también con guiones o puntos).
+ * @param {*} value
+ * @param {boolean} [monthOnly] - Para fechas de Excel cuyo formato no muestra el día (p. ej. "mm/yyyy").
+ * @returns {{expiryMonth: number, expiryYear: number, expiryDay: number|null}|null}
+ */
+export function parseExpiryValue(value, monthOnly = false) {
+    if (typeof value === 'number') {
+        const parsed = XLSX.SSF.parse_date_code(value);
+        return parsed ? { expiryMonth: parsed.m, expiryYear: parsed.y, expiryDay: monthOnly ? null : parsed.d } : null;
+    }
+    const text = cellText(value);
+    let match = /^(\d{4})[-/.](\d{1,2})(?:[-/.](\d{1,2}))?$/.exec(text);
+    if (match) return { expiryYear: parseInt(match[1], 10), expiryMonth: parseInt(match[2], 10), expiryDay: match[3] ? parseInt(match[3], 10) : null };
+    match = /^(?:(\d{1,2})[-/.])?(\d{1,2})[-/.](\d{2}|\d{4})$/.exec(text);
+    if (match) {
+        const year = parseInt(match[3], 10);
+        return { expiryDay: match[1] ? parseInt(match[1], 10) : null, expiryMonth: parseInt(match[2], 10), expiryYear: year < 100 ? 2000 + year : year };
+    }
+    return null;
+}
+
+/**
+ * Partes de fecha presentes en el formato numérico de una celda (sin colores ni textos literales).
+ * @param {string} [format] - Formato de la celda (p. ej. "dd/mm/yyyy").
+ * @returns {{isDate: boolean, showsDay: boolean}}
+ */
+function getDateFormatParts(format) {
+    const cleaned = String(format || '').replace(/\[[^\]]*\]|"[^"]*"/g, '').toLowerCase();
+    return { isDate: /y/.test(cleaned) && /m/.test(cleaned), showsDay: /d/.test(cleaned) };
+}
+
+/**
+ * Lee la primera hoja de un archivo .xlsx o .csv (UTF-8, separado por comas o punto y coma).
+ * Los CSV se leen como texto, sin convertir fechas.
+ * @param {File} file
+ * @returns {Promise<{rows: Array<{rowNumber: number, values: object}>, columns: Object<string, string>}>}
+ *   rows: valores por campo reconocido (rowNumber es la fila en el archivo); columns: campo → encabezado original.
+ *   Una fecha de Excel en la columna de vencimiento se entrega ya interpretada como { expiryMonth, expiryYear, expiryDay }.
+ * @throws {Error} Si el archivo está vacío o no tiene las columnas mínimas.
+ */
+export async function parseImportFile(file) {
+    // raw: los CSV no se convierten a fechas o números; cellNF: conserva el formato de las celdas; 65001: CSV en UTF-8
+    const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array', raw: true, cellNF: true, codepage: 65001 });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    if (!sheet || !sheet['!ref']) throw new Error('El archivo no tiene filas.');
+    const range = XLSX.utils.decode_range(sheet['!ref']);
+    const getCell = (r, c) => sheet[XLSX.utils.encode_cell({ r, c })];
+
+    const columns = {};
+    const columnIndexes = {};
+    for (let c = range.s.c; c <= range.e.c; c++) {
+        const header = cellText(getCell(range.s.r, c)?.v);
+        const normalized = normalizeHeader(header);
+        const field = Object.keys(COLUMN_ALIASES).find(key => !columns[key] && COLUMN_ALIASES[key].includes(normalized));
+        if (field) { columns[field] = header; columnIndexes[field] = c; }
+    }
+    if (!columns.barcode && !columns.reference) throw new Error('Falta una columna de código de barras o código de referencia.');
+    if (!columns.quantity) throw new Error('Falta la columna de cantidad.');
+    if (!columns.expiry && !(columns.expiryMonth && columns.expiryYear)) throw new Error('Falta la columna de vencimiento (o de mes y año).');
+
+    const rows = [];
+    for (let r = range.s.r + 1; r <= range.e.r; r++) {
+        const values = {};
+        Object.entries(columnIndexes).forEach(([field, c]) => {
+            const cell = getCell(r, c);
+            const dateFormat = getDateFormatParts(cell?.z);
+            values[field] = field === 'expiry' && cell?.t === 'n' && dateFormat.isDate
+                ? parseExpiryValue(cell.v, !dateFormat.showsDay)
+                : cell?.v ?? '';
+        });
+        if (Object.values(values).some(value => (value !== null && typeof value === 'object') || cellText(value) !== '')) {
+            rows.push({ rowNumber: r + 1, values });
+        }
+    }
+    if (rows.length === 0) throw new Error('El archivo no tiene filas.');
+    return { rows, columns };
+}
+
+/**
+ * Resuelve y valida las filas leídas. Cada fila resultante tiene `errors` vacío si se puede importar.
+ * @param {Array<{rowNumber: number, values: object}>} rows - Ver parseImportFile.
+ * @param {object} params
+ * @param {Object<string, object>} params.products - Catálogo (`products`).
+ * @param {Object<string, {name: string}>} params.stores - Locales (`stores`).
+ * @param {string} [params.defaultStoreId] - Local para filas sin columna o valor de local.
+ * @returns {Promise<Array<{rowNumber: number, storeId: string|null, productId: string|null, productName: string,
+ *   quantity: number, expiryMonth: number, expiryYear: number, expiryDay: number|null, lotNumber: string,
+ *   barcodeUsed: string, errors: string[]}>>}
+ */
+export async function resolveImportRows(rows, { products, stores, defaultStoreId }) {
+    const storesByName = {};
+    Object.entries(stores).forEach(([storeId, store]) => {
+        storesByName[normalizeSearchText(storeId)] = storeId;
+        if (store?.name) storesByName[normalizeSearchText(store.name)] = storeId;
+    });
+
+    // Un solo `get` por código de barras distinto
+    const barcodes = [...new Set(rows.map(({ values }) => cellText(values.barcode)).filter(isValidDatabaseKey))];
+    const barcodeSnapshots = await Promise.all(barcodes.map(barcode => get(ref(database, `product_barcodes/${barcode}`))));
+    const productIdByBarcode = {};
+    barcodeSnapshots.forEach((snapshot, index) => { if (snapshot.exists()) productIdByBarcode[barcodes[index]] = snapshot.val(); });
+
+    return rows.map(({ rowNumber, values }) => {
+        const errors = [];
+        const barcode = cellText(values.barcode);
+        const reference = cellText(values.reference);
+        let productId = null;
+        if (barcode) {
+            productId = productIdByBarcode[barcode] || null;
+            if (!productId) errors.push(`Código de barras "${barcode}" no registrado.`);
+            else if (reference && reference !== productId) errors.push(`El código de barras corresponde a "${productId}", no a "${reference}".`);
+        } else if (reference) {
+            productId = reference;
+        } else {
+            errors.push('Falta el código de barras o de referencia.');
+        }
+        if (productId && !products[productId]) {
+            errors.push(`Producto "${productId}" no encontrado.`);
+            productId = null;
+        }
+
+        const storeText = cellText(values.store);
+        const storeId = storeText ? storesByName[normalizeSearchText(storeText)] || null : defaultStoreId || null;
+        if (!storeId) errors.push(storeText ? `Local "${storeText}" no encontrado.` : 'Falta el local.');
+
+        let expiry;
+        if (values.expiry && typeof values.expiry === 'object') expiry = values.expiry;
+        else if (cellText(values.expiry)) expiry = parseExpiryValue(cellText(values.expiry));
+        else expiry = { expiryMonth: parseInt(values.expiryMonth, 10), expiryYear: parseInt(values.expiryYear, 10), expiryDay: parseInt(values.expiryDay, 10) || null };
+        if (!expiry) errors.push(`Vencimiento "${cellText(values.expiry)}" no reconocido.`);
+
+        const line = {
+            quantity: cellText(values.quantity),
+            expiryMonth: expiry?.expiryMonth,
+            expiryYear: expiry?.expiryYear,
+            expiryDay: expiry?.expiryDay || '',
+            lotNumber: cellText(values.lotNumber)
+        };
+        if (expiry) {
+            // Se aceptan vencimientos pasados: las planillas anteriores pueden incluir stock ya vencido
+            const fieldsError = validateEntryFields(line, { allowPast: true });
+            if (fieldsError) errors.push(fieldsError);
+        }
+        return {
+            rowNumber,
+            storeId,
+            productId,
+            productName: productId ? products[productId].name : '',
+            quantity: parseInt(line.quantity, 10),
+            expiryMonth: expiry?.expiryMonth,
+            expiryYear: expiry?.expiryYear,
+            expiryDay: expiry?.expiryDay || null,
+            lotNumber: line.lotNumber,
+            barcodeUsed: barcode || IMPORT_BARCODE_PLACEHOLDER,
+            errors
+        };
+    });
+}
+
+/**
+ * Importa las filas válidas como entradas de stock en una única escritura y registra el lote.
+ * @param {Array<object>} rows - Filas resueltas sin errores (ver resolveImportRows).
+ * @param {string} userEmail
+ * @param {string} fileName - Nombre del archivo importado.
+ * @returns {Promise<{batchId: string, entryCount: number}>}
+ * @throws {Error} Si no hay filas válidas.
+ */
+export async function commitImportBatch(rows, userEmail, fileName) {
+    const validRows = rows.filter(row => row.errors.length === 0);
+    if (validRows.length === 0) throw new Error('No hay filas válidas para importar.');
+    const batchId = push(ref(database, 'importBatches')).key;
+    const batchEntries = {};
+    const linesByStore = {};
+    validRows.forEach(row => {
+        const entryId = push(ref(database, `stock/${row.storeId}/${row.productId}/entries`)).key;
+        batchEntries[entryId] = { storeId: row.storeId, productId: row.productId };
+        if (!linesByStore[row.storeId]) linesByStore[row.storeId] = [];
+        linesByStore[row.storeId].push({ ...row, entryId });
+    });
+
+    const updates = {};
+    Object.entries(linesByStore).forEach(([storeId, lines]) => {
+        Object.assign(updates, buildStockEntryUpdates(storeId, lines, userEmail, { importBatchId: batchId }));
+    });
+    updates[`importBatches/${batchId}`] = {
+        fileName,
+        userEmail,
+        createdAt: serverTimestamp(),
+        entryCount: validRows.length,
+        status: IMPORT_BATCH_STATUS_IMPORTED,
+        entries: batchEntries
+    };
+    await update(ref(database), updates);
+    return { batchId, entryCount: validRows.length };
+}
+
+/**
+ * Carga los lotes de importación, del más reciente al más antiguo.
+ * @returns {Promise<Array<object>>} Lotes con su batchId.
+ */
+export async function loadImportBatches() {
+    const snapshot = await get(ref(database, 'importBatches'));
+    return Object.entries(snapshot.exists() ? snapshot.val() : {})
+        .map(([batchId, batch]) => ({ ...batch, batchId }))
+        .sort((a, b) => Number(b.createdAt) - Number(a.createdAt));
+}
+
+/**
+ * Revierte un lote: anula sus entradas todavía vigentes registrando la anulación en su historial, las quita
+ * del índice de vencimientos y marca el lote como revertido, en una única escritura.
+ * @param {object} batch - Lote con batchId (ver loadImportBatches).
+ * @param {string} userEmail
+ * @returns {Promise<number>} Cantidad de entradas anuladas.
+ * @throws {Error} Si el lote ya fue revertido.
+ */
+export async function rollbackImportBatch(batch, userEmail) {
+    if (batch.status === IMPORT_BATCH_STATUS_ROLLED_BACK) throw new Error('El lote ya fue revertido.');
+    const batchEntries = Object.entries(batch.entries || {});
+    const snapshots = await Promise.all(batchEntries.map(([entryId, { storeId, productId }]) =>
+        get(ref(database, `stock/${storeId}/${productId}/entries/${entryId}`))
+    ));
+    const updates = {};
+    const reason = `Importación revertida (${batch.fileName || batch.batchId})`;
+    let voidedCount = 0;
+    batchEntries.forEach(([entryId, { storeId, productId }], index) => {
+        if (!snapshots[index].exists()) return;
+        const entry = snapshots[index].val();
+        if (entry.status === ENTRY_STATUS_VOIDED) return;
+        const entryPath = `stock/${storeId}/${productId}/entries/${entryId}`;
+        const historyId = push(ref(database, `${entryPath}/history`)).key;
+        const previous = {
+            quantity: entry.quantity, expiryMonth: entry.expiryMonth, expiryYear: entry.expiryYear,
+            expiryDay: entry.expiryDay ?? null, lotNumber: entry.lotNumber ?? null, status: entry.status || null
+        };
+        updates[`${entryPath}/status`] = ENTRY_STATUS_VOIDED;
+        updates[`${entryPath}/history/${historyId}`] = { action: 'anulacion', reason, previous, userEmail, timestamp: serverTimestamp() };
+        updates[`${entryPath}/lastModifiedBy`] = userEmail;
+        updates[`${entryPath}/lastModifiedAt`] = serverTimestamp();
+        updates[`stockExpiryIndex/${storeId}/${getEntryExpiryMonthKey(entry)}/${entryId}`] = null;
+        voidedCount++;
+    });
+    updates[`importBatches/${batch.batchId}/status`] = IMPORT_BATCH_STATUS_ROLLED_BACK;
+    updates[`importBatches/${batch.batchId}/rolledBackBy`] = userEmail;
+    updates[`importBatches/${batch.batchId}/rolledBackAt`] = serverTimestamp();
+    await update(ref(database), updates);
+    return voidedCount;
+}
@@ -0,0 +1,76 @@
+import { describe, it, expect, vi } from 'vitest';
+import { parseExpiryValue, resolveImportRows, IMPORT_BARCODE_PLACEHOLDER } from './stockImport';
+
+const { barcodes } = vi.hoisted(() => ({ barcodes: { '7801234567894': 'P1', '7809999999999': 'P2' } }));
+
+vi.mock('../firebase/firebaseConfig', () => ({ database: {} }));
+vi.mock('firebase/database', () => ({
+    ref: (db, path) => ({ path }),
+    get: vi.fn(async ({ path }) => {
+        const value = barcodes[path.split('/').pop()];
+        return { exists: () => value !== undefined, val: () => value };
+    }),
+    push: vi.fn(), set: vi.fn(), update: vi.fn(), query: vi.fn(), orderByChild: vi.fn(), startAt: vi.fn(),
+    serverTimestamp: () => 'SERVER_TIMESTAMP'
+}));
+
+const products = { P1: { name: 'Paracetamol' }, P2: { name: 'Ibuprofeno' } };
+const stores = { S1: { name: 'Local Centro' }, S2: { name: 'Local Norte' } };
+
+describe('parseExpiryValue', () => {
+    it.each([
+        ['08/2026', { expiryMonth: 8, expiryYear: 2026, expiryDay: null }],
+        ['15/08/2026', { expiryMonth: 8, expiryYear: 2026, expiryDay: 15 }],
+        ['15-08-26', { expiryMonth: 8, expiryYear: 2026, expiryDay: 15 }],
+        ['2026-08', { expiryMonth: 8, expiryYear: 2026, expiryDay: null }],
+        ['2026.08.15', { expiryMonth: 8, expiryYear: 2026, expiryDay: 15 }]
+    ])('lee el texto %s', (text, expected) => {
+        expect(parseExpiryValue(text)).toEqual(expected);
+    });
+
+    it('lee fechas de Excel y omite el día si el formato no lo muestra', () => {
+        // 46249 = 15-08-2026 en el sistema de fechas de Excel
+        expect(parseExpiryValue(46249)).toEqual({ expiryMonth: 8, expiryYear: 2026, expiryDay: 15 });
+        expect(parseExpiryValue(46249, true)).toEqual({ expiryMonth: 8, expiryYear: 2026, expiryDay: null });
+    });
+
+    it('devuelve null si no reconoce el texto', () => {
+        expect(parseExpiryValue('agosto 2026')).toBeNull();
+        expect(parseExpiryValue('')).toBeNull();
+    });
+});
+
+describe('resolveImportRows', () => {
+    it('resuelve el producto por código de barras o referencia y el local por nombre o ID', async () => {
+        const [byBarcode, byReference] = await resolveImportRows([
+            { rowNumber: 2, values: { barcode: '7801234567894', quantity: '4', expiry: '08/2026', store: 'local centro', lotNumber: ' L1 ' } },
+            { rowNumber: 3, values: { reference: 'P2', quantity: 2, expiryMonth: '9', expiryYear: '2027', expiryDay: '3', store: 'S2' } }
+        ], { products, stores });
+        expect(byBarcode).toMatchObject({
+            rowNumber: 2, storeId: 'S1', productId: 'P1', productName: 'Paracetamol', quantity: 4,
+            expiryMonth: 8, expiryYear: 2026, expiryDay: null, lotNumber: 'L1', barcodeUsed: '7801234567894', errors: []
+        });
+        expect(byReference).toMatchObject({
+            storeId: 'S2', productId: 'P2', expiryMonth: 9, expiryYear: 2027, expiryDay: 3, barcodeUsed: IMPORT_BARCODE_PLACEHOLDER, errors: []
+        });
+    });
+
+    it('usa el local por defecto y acepta vencimientos pasados', async () => {
+        const [row] = await resolveImportRows([{ rowNumber: 2, values: { reference: 'P1', quantity: '1', expiry: '01/2020' } }],
+            { products, stores, defaultStoreId: 'S1' });
+        expect(row.storeId).toBe('S1');
+        expect(row.errors).toEqual([]);
+    });
+
+    it('acumula los errores de cada fila', async () => {
+        const [unknownBarcode, mismatch, invalid] = await resolveImportRows([
+            { rowNumber: 2, values: { barcode: '0000', quantity: '1', expiry: '08/2026', store: 'S1' } },
+            { rowNumber: 3, values: { barcode: '7801234567894', reference: 'P2', quantity: '1', expiry: '08/2026', store: 'S1' } },
+            { rowNumber: 4, values: { reference: 'PX', quantity: '0', expiry: 'pronto', store: 'Sur' } }
+        ], { products, stores });
+        expect(unknownBarcode.errors).toEqual(['Código de barras "0000" no registrado.']);
+        expect(mismatch.errors).toEqual(['El código de barras corresponde a "P1", no a "P2".']);
+        expect(invalid.productId).toBeNull();
+        expect(invalid.errors).toEqual(['Producto "PX" no encontrado.', 'Local "Sur" no encontrado.', 'Vencimiento "pronto" no reconocido.']);
+    });
+});
@@ -0,0 +1,282 @@
+/**
+ * @file stockIndex.js
+ * @description
+ * Carga de entradas de stock por periodo usando los índices secundarios (ver stockEntries.js),
+ * en lugar de leer `stock` completo:
+ * - Por fecha de registro: rango de claves de día en `stockEntryIndex/{storeId}`.
+ * - Por vencimiento: rango de claves de mes en `stockExpiryIndex/{storeId}`.
+ * Las entradas indexadas se leen agrupadas por local y producto: una consulta por rango de claves de
+ * `stock/{storeId}/{productId}/entries` (las claves push son cronológicas), con un máximo de lecturas simultáneas.
+ *
+ * Un local se lee por índice solo cuando tiene la marca `stockIndexMeta/{storeId}/backfilledAt`, que se escribe
+ * después de indexar todas sus entradas anteriores a los índices. Mientras no la tenga se lee completo desde `stock`
+ * y se indexa en segundo plano; rebuildStockIndexes indexa y marca todos los locales de una vez (superadmin).
+ *
+ * El resultado tiene la misma forma que el nodo `stock`: { [storeId]: { [productId]: { entries: { [entryId]: entry } } } }.
+ */
+import { database } from '../firebase/firebaseConfig';
+import { ref, get, query, orderByKey, startAt, endAt, update, serverTimestamp } from 'firebase/database';
+import { getEntryDayKey, getEntryExpiryMonthKey, ENTRY_STATUS_VOIDED } from './stockEntries';
+
+/**
+ * Máximo de rutas por escritura al reconstruir los índices.
+ */
+const REBUILD_BATCH_SIZE = 500;
+
+/**
+ * Máximo de lecturas de entradas en curso a la vez.
+ */
+const FETCH_CONCURRENCY = 8;
+
+const INDEX_META_PATH = 'stockIndexMeta';
+
+/**
+ * Agrega una entrada de un producto a datos con la forma de `stock`.
+ * @param {object} stockData
+ * @param {string} storeId
+ * @param {string} productId
+ * @param {string} entryId
+ * @param {object} entry
+ */
+function addEntry(stockData, storeId, productId, entryId, entry) {
+    if (!stockData[storeId]) stockData[storeId] = {};
+    if (!stockData[storeId][productId]) stockData[storeId][productId] = { entries: {} };
+    stockData[storeId][productId].entries[entryId] = entry;
+}
+
+/**
+ * Ejecuta tareas asíncronas con un máximo de tareas simultáneas.
+ * @param {Array<function(): Promise<any>>} tasks
+ * @param {number} limit
+ * @returns {Promise<Array<any>>} Resultados en el orden de las tareas.
+ */
+async function runWithConcurrency(tasks, limit) {
+    const results = new Array(tasks.length);
+    let nextIndex = 0;
+    const worker = async () => {
+        while (nextIndex < tasks.length) {
+            const index = nextIndex++;
+            results[index] = await tasks[index]();
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, tasks.length) }, worker));
+    return results;
+}
+
+/**
+ * Lee las entradas de una lista de punteros { storeId, productId, entryId } y las agrupa con la forma de `stock`.
+ * Hace una lectura por local y producto, acotada entre el menor y el mayor entryId pedido; del rango solo se
+ * conservan las entradas pedidas. Los punteros de entradas que ya no existen se ignoran.
+ * @param {Array<{storeId: string, productId: string, entryId: string}>} pointers
+ * @returns {Promise<object>}
+ */
+async function fetchIndexedEntries(pointers) {
+    const groups = new Map();
+    pointers.forEach(({ storeId, productId, entryId }) => {
+        const path = `stock/${storeId}/${productId}/entries`;
+        if (!groups.has(path)) groups.set(path, { storeId, productId, entryIds: new Set() });
+        groups.get(path).entryIds.add(entryId);
+    });
+    const tasks = [...groups.entries()].map(([path, group]) => async () => {
+        const sortedIds = [...group.entryIds].sort();
+        const rangeQuery = query(ref(database, path), orderByKey(), startAt(sortedIds[0]), endAt(sortedIds[sortedIds.length - 1]));
+        const snapshot = await get(rangeQuery);
+        return { group, entries: snapshot.exists() ? snapshot.val() : {} };
+    });
+    const results = await runWithConcurrency(tasks, FETCH_CONCURRENCY);
+    const stockData = {};
+    results.forEach(({ group, entries }) => {
+        group.entryIds.forEach(entryId => {
+            if (entries[entryId]) addEntry(stockData, group.storeId, group.productId, entryId, entries[entryId]);
+        });
+    });
+    return stockData;
+}
+
+/**
+ * Separa los locales según tengan o no la marca de índices completos.
+ * @param {string[]} storeIds
+ * @returns {Promise<{indexedStoreIds: string[], unindexedStoreIds: string[]}>}
+ */
+async function splitByBackfill(storeIds) {
+    const snapshots = await Promise.all(storeIds.map(storeId => get(ref(database, `${INDEX_META_PATH}/${storeId}/backfilledAt`))));
+    return {
+        indexedStoreIds: storeIds.filter((storeId, index) => snapshots[index].exists()),
+        unindexedStoreIds: storeIds.filter((storeId, index) => !snapshots[index].exists())
+    };
+}
+
+/**
+ * Lee un rango de claves de un índice para cada local.
+ * @param {string} indexName - 'stockEntryIndex' | 'stockExpiryIndex'.
+ * @param {string[]} storeIds
+ * @param {string} fromKey - Primera clave (inclusive).
+ * @param {string} toKey - Última clave (inclusive).
+ * @returns {Promise<Array<{storeId: string, buckets: object}>>}
+ */
+async function fetchIndexRange(indexName, storeIds, fromKey, toKey) {
+    return Promise.all(storeIds.map(async storeId => {
+        const rangeQuery = query(ref(database, `${indexName}/${storeId}`), orderByKey(), startAt(fromKey), endAt(toKey));
+        const snapshot = await get(rangeQuery);
+        return { storeId, buckets: snapshot.exists() ? snapshot.val() : {} };
+    }));
+}
+
+/**
+ * Lee el stock completo de los locales sin marca de índices, devuelve las entradas que cumplen el filtro e indexa
+ * esos locales en segundo plano. La marca se escribe solo si la indexación termina; si falla (por ejemplo por
+ * permisos), la próxima carga vuelve a leerlos completos.
+ * @param {string[]} storeIds
+ * @param {function(object): boolean} matchesEntry
+ * @returns {Promise<object>} Datos con la forma de `stock`.
+ */
+async function loadUnindexedStores(storeIds, matchesEntry) {
+    const stockData = {};
+    await Promise.all(storeIds.map(async storeId => {
+        const snapshot = await get(ref(database, `stock/${storeId}`));
+        const storeStock = snapshot.exists() ? snapshot.val() : {};
+        Object.entries(storeStock).forEach(([productId, productInfo]) => {
+            Object.entries(productInfo?.entries || {}).forEach(([entryId, entry]) => {
+                if (entry && matchesEntry(entry)) addEntry(stockData, storeId, productId, entryId, entry);
+            });
+        });
+        backfillStoreIndexes(storeId, storeStock).catch(err => console.error(`Error indexing stock of store ${storeId}:`, err));
+    }));
+    return stockData;
+}
+
+/**
+ * Une dos conjuntos de datos con la forma de `stock` (de locales distintos).
+ * @param {object} target
+ * @param {object} source
+ * @returns {object} target
+ */
+function mergeStockData(target, source) {
+    Object.entries(source).forEach(([storeId, storeStock]) => {
+        Object.entries(storeStock).forEach(([productId, productInfo]) => {
+            Object.entries(productInfo.entries).forEach(([entryId, entry]) => addEntry(target, storeId, productId, entryId, entry));
+        });
+    });
+    return target;
+}
+
+/**
+ * Carga las entradas registradas entre dos fechas (días inclusive, según el índice diario) en los locales indicados.
+ * @param {string[]} storeIds
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Promise<object>} Datos con la forma de `stock`.
+ */
+export async function loadEntriesByRecordingRange(storeIds, from, to) {
+    const fromKey = getEntryDayKey(from.getTime());
+    const toKey = getEntryDayKey(to.getTime());
+    const { indexedStoreIds, unindexedStoreIds } = await splitByBackfill(storeIds);
+    const ranges = await fetchIndexRange('stockEntryIndex', indexedStoreIds, fromKey, toKey);
+    const pointers = [];
+    ranges.forEach(({ storeId, buckets }) => {
+        Object.values(buckets).forEach(dayEntries => {
+            Object.entries(dayEntries).forEach(([entryId, pointer]) => pointers.push({ storeId, productId: pointer.productId, entryId }));
+        });
+    });
+    const [indexedData, unindexedData] = await Promise.all([
+        fetchIndexedEntries(pointers),
+        loadUnindexedStores(unindexedStoreIds, entry => {
+            if (typeof entry.timestamp !== 'number') return false;
+            const dayKey = getEntryDayKey(entry.timestamp);
+            return dayKey >= fromKey && dayKey <= toKey;
+        })
+    ]);
+    return mergeStockData(indexedData, unindexedData);
+}
+
+/**
+ * Carga las entradas no anuladas cuyo mes de vencimiento cae entre dos fechas, en los locales indicados.
+ * El filtro exacto por día se aplica después sobre las entradas (ver expiryHorizon.js).
+ * @param {string[]} storeIds
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Promise<object>} Datos con la forma de `stock`.
+ */
+export async function loadEntriesByExpiryRange(storeIds, from, to) {
+    const fromKey = getEntryExpiryMonthKey({ expiryYear: from.getFullYear(), expiryMonth: from.getMonth() + 1 });
+    const toKey = getEntryExpiryMonthKey({ expiryYear: to.getFullYear(), expiryMonth: to.getMonth() + 1 });
+    const { indexedStoreIds, unindexedStoreIds } = await splitByBackfill(storeIds);
+    const ranges = await fetchIndexRange('stockExpiryIndex', indexedStoreIds, fromKey, toKey);
+    const pointers = [];
+    ranges.forEach(({ storeId, buckets }) => {
+        Object.values(buckets).forEach(monthEntries => {
+            Object.entries(monthEntries).forEach(([entryId, productId]) => pointers.push({ storeId, productId, entryId }));
+        });
+    });
+    const [indexedData, unindexedData] = await Promise.all([
+        fetchIndexedEntries(pointers),
+        loadUnindexedStores(unindexedStoreIds, entry => {
+            if (entry.status === ENTRY_STATUS_VOIDED || !entry.expiryYear || !entry.expiryMonth) return false;
+            const monthKey = getEntryExpiryMonthKey(entry);
+            return monthKey >= fromKey && monthKey <= toKey;
+        })
+    ]);
+    return mergeStockData(indexedData, unindexedData);
+}
+
+/**
+ * Escribe los punteros de ambos índices para las entradas de un local, en escrituras de hasta REBUILD_BATCH_SIZE rutas.
+ * No borra punteros existentes; agrega o sobrescribe los de cada entrada.
+ * @param {string} storeId
+ * @param {object} storeStock - Nodo `stock/{storeId}`.
+ * @returns {Promise<number>} Cantidad de entradas indexadas.
+ */
+async function indexStoreEntries(storeId, storeStock) {
+    let updates = {};
+    let pendingPaths = 0;
+    let indexedCount = 0;
+    for (const [productId, productInfo] of Object.entries(storeStock || {})) {
+        for (const [entryId, entry] of Object.entries(productInfo?.entries || {})) {
+            if (typeof entry?.timestamp !== 'number') continue;
+            updates[`stockEntryIndex/${storeId}/${getEntryDayKey(entry.timestamp)}/${entryId}`] = {
+                productId, userEmail: entry.userEmail || null, timestamp: entry.timestamp
+            };
+            pendingPaths++;
+            if (entry.status !== ENTRY_STATUS_VOIDED && entry.expiryYear && entry.expiryMonth) {
+                updates[`stockExpiryIndex/${storeId}/${getEntryExpiryMonthKey(entry)}/${entryId}`] = productId;
+                pendingPaths++;
+            }
+            indexedCount++;
+            if (pendingPaths >= REBUILD_BATCH_SIZE) {
+                await update(ref(database), updates);
+                updates = {};
+                pendingPaths = 0;
+            }
+        }
+    }
+    if (pendingPaths > 0) await update(ref(database), updates);
+    return indexedCount;
+}
+
+/**
+ * Indexa las entradas de un local y, al terminar, lo marca como indexado.
+ * @param {string} storeId
+ * @param {object} storeStock - Nodo `stock/{storeId}`.
+ * @returns {Promise<number>} Cantidad de entradas indexadas.
+ */
+async function backfillStoreIndexes(storeId, storeStock) {
+    const indexedCount = await indexStoreEntries(storeId, storeStock);
+    await update(ref(database), { [`${INDEX_META_PATH}/${storeId}/backfilledAt`]: serverTimestamp() });
+    return indexedCount;
+}
+
+/**
+ * Reconstruye ambos índices a partir de todo el nodo `stock` (lectura completa, para reindexar todos los locales a la vez)
+ * y marca cada local como indexado.
+ * No borra punteros existentes; agrega o sobrescribe los de cada entrada.
+ * @returns {Promise<number>} Cantidad de entradas indexadas.
+ */
+export async function rebuildStockIndexes() {
+    const snapshot = await get(ref(database, 'stock'));
+    const stockData = snapshot.exists() ? snapshot.val() : {};
+    let indexedCount = 0;
+    for (const [storeId, storeStock] of Object.entries(stockData)) {
+        indexedCount += await backfillStoreIndexes(storeId, storeStock);
+    }
+    return indexedCount;
+}
@@ -0,0 +1,241 @@
+/**
+ * @file stockTransfers.js
+ * @description
+ * Planificación y seguimiento de traspasos entre locales de stock próximo a vencer (`stockTransfers/{transferId}`).
+ *
+ * Sugerencias: para cada lote (producto + vencimiento + lote) que vence dentro del horizonte, el ROP del local
+ * (`rops/{storeId}/{productId}`, fracción 0-1) indica cuántas unidades alcanza a vender: floor(cantidad × ROP).
+ * El resto se propone traspasar al local con el ROP más alto para ese producto, si es mayor que el del origen.
+ * Como los traspasos no modifican las entradas, antes se descuentan del lote las unidades de los traspasos no
+ * cancelados que salen de ese local (así un lote ya planificado no se vuelve a sugerir).
+ *
+ * Estados de un traspaso: pendiente → enviada (lo marca el local de origen) → recibida (lo confirma el local de destino).
+ * Un traspaso pendiente o enviado se puede cancelar. Cada cambio queda en `history`.
+ * Los traspasos no modifican las entradas de stock; solo registran el movimiento acordado.
+ *
+ * Estructura de un traspaso:
+ *   { productId, productName, fromStoreId, toStoreId, quantity, expiryMonth, expiryYear, expiryDay, lotNumber,
+ *     status, createdBy, createdAt, updatedAt, history: { [id]: { status, quantity, toStoreId, userEmail, timestamp } } }
+ */
+import { database } from '../firebase/firebaseConfig';
+import { ref, get, push, update, serverTimestamp } from 'firebase/database';
+import { getEntryConsolidationKey } from './stockEntries';
+
+export const TRANSFER_STATUS_PENDING = 'pendiente';
+export const TRANSFER_STATUS_SENT = 'enviada';
+export const TRANSFER_STATUS_RECEIVED = 'recibida';
+export const TRANSFER_STATUS_CANCELLED = 'cancelada';
+
+/**
+ * Horizonte por defecto (días) para buscar stock próximo a vencer.
+ */
+export const DEFAULT_TRANSFER_HORIZON_DAYS = 60;
+
+/**
+ * Estados a los que puede pasar cada estado.
+ */
+const ALLOWED_TRANSITIONS = {
+    [TRANSFER_STATUS_PENDING]: [TRANSFER_STATUS_SENT, TRANSFER_STATUS_CANCELLED],
+    [TRANSFER_STATUS_SENT]: [TRANSFER_STATUS_RECEIVED, TRANSFER_STATUS_CANCELLED],
+    [TRANSFER_STATUS_RECEIVED]: [],
+    [TRANSFER_STATUS_CANCELLED]: []
+};
+
+/**
+ * Devuelve el ROP de un producto en un local (0 si no tiene o no es válido).
+ * @param {object} ropsData - Nodo `rops`.
+ * @param {string} storeId
+ * @param {string} productId
+ * @returns {number}
+ */
+export function getStoreRop(ropsData, storeId, productId) {
+    const rop = ropsData?.[storeId]?.[productId];
+    return typeof rop === 'number' && rop > 0 ? rop : 0;
+}
+
+/**
+ * Propone traspasos a partir de las entradas vigentes que vencen dentro del horizonte.
+ * @param {Array<object>} entries - Entradas vigentes con storeId, productId, productName, quantity, vencimiento y lote.
+ * @param {object} ropsData - Nodo `rops`.
+ * @param {string[]} storeIds - Locales que pueden recibir traspasos.
+ * @param {Array<object>} [transfers] - Traspasos guardados; se descuentan los no cancelados del local de origen.
+ * @returns {Array<{key: string, productId: string, productName: string, fromStoreId: string, toStoreId: string,
+ *   quantity: number, availableQuantity: number, fromRop: number, toRop: number,
+ *   expiryMonth: number, expiryYear: number, expiryDay: number|null, lotNumber: string}>}
+ *   Ordenadas por vencimiento y nombre de producto.
+ */
+export function buildTransferSuggestions(entries, ropsData, storeIds, transfers = []) {
+    const lots = {};
+    entries.forEach(entry => {
+        const key = `${entry.storeId}_${getEntryConsolidationKey(entry)}`;
+        if (!lots[key]) {
+            lots[key] = {
+                key,
+                productId: entry.productId,
+                productName: entry.productName || entry.productId,
+                fromStoreId: entry.storeId,
+                expiryMonth: entry.expiryMonth,
+                expiryYear: entry.expiryYear,
+                expiryDay: entry.expiryDay || null,
+                lotNumber: entry.lotNumber || '',
+                availableQuantity: 0
+            };
+        }
+        lots[key].availableQuantity += Number(entry.quantity) || 0;
+    });
+    transfers.forEach(transfer => {
+        if (transfer.status === TRANSFER_STATUS_CANCELLED) return;
+        const lot = lots[`${transfer.fromStoreId}_${getEntryConsolidationKey(transfer)}`];
+        if (lot) lot.availableQuantity = Math.max(0, lot.availableQuantity - (Number(transfer.quantity) || 0));
+    });
+
+    const suggestions = [];
+    Object.values(lots).forEach(lot => {
+        const fromRop = getStoreRop(ropsData, lot.fromStoreId, lot.productId);
+        const surplus = lot.availableQuantity - Math.floor(lot.availableQuantity * fromRop);
+        if (surplus <= 0) return;
+        let best = null;
+        storeIds.forEach(storeId => {
+            if (storeId === lot.fromStoreId) return;
+            const rop = getStoreRop(ropsData, storeId, lot.productId);
+            if (rop > fromRop && (!best || rop > best.rop)) best = { storeId, rop };
+        });
+        if (!best) return;
+        suggestions.push({ ...lot, toStoreId: best.storeId, quantity: surplus, fromRop, toRop: best.rop });
+    });
+    return suggestions.sort((a, b) =>
+        (a.expiryYear - b.expiryYear) || (a.expiryMonth - b.expiryMonth) || ((a.expiryDay || 0) - (b.expiryDay || 0)) ||
+        a.productName.localeCompare(b.productName)
+    );
+}
+
+/**
+ * Valida una línea de traspaso antes de guardarla o editarla.
+ * @param {{fromStoreId: string, toStoreId: string, quantity: number|string, availableQuantity?: number}} item
+ * @returns {string} Mensaje de error, o cadena vacía si es válida.
+ */
+export function validateTransferItem({ fromStoreId, toStoreId, quantity, availableQuantity }) {
+    const parsed = parseInt(quantity, 10);
+    if (!toStoreId) return 'Selecciona el local de destino.';
+    if (toStoreId === fromStoreId) return 'El local de destino debe ser distinto del de origen.';
+    if (isNaN(parsed) || parsed <= 0) return 'La cantidad debe ser mayor a 0.';
+    if (availableQuantity !== undefined && parsed > availableQuantity) return `La cantidad no puede superar las ${availableQuantity} unidades disponibles.`;
+    return '';
+}
+
+/**
+ * Guarda un plan de traspasos en una única escritura, todos en estado pendiente.
+ * @param {Array<object>} items - Líneas validadas (ver buildTransferSuggestions).
+ * @param {string} userEmail
+ * @returns {Promise<number>} Cantidad de traspasos creados.
+ * @throws {Error} Si alguna línea no es válida.
+ */
+export async function saveTransferPlan(items, userEmail) {
+    const updates = {};
+    items.forEach(item => {
+        const validationError = validateTransferItem(item);
+        if (validationError) throw new Error(`${item.productName}: ${validationError}`);
+        const transferId = push(ref(database, 'stockTransfers')).key;
+        const quantity = parseInt(item.quantity, 10);
+        updates[`stockTransfers/${transferId}`] = {
+            productId: item.productId,
+            productName: item.productName,
+            fromStoreId: item.fromStoreId,
+            toStoreId: item.toStoreId,
+            quantity,
+            expiryMonth: item.expiryMonth,
+            expiryYear: item.expiryYear,
+            expiryDay: item.expiryDay || null,
+            lotNumber: item.lotNumber || null,
+            status: TRANSFER_STATUS_PENDING,
+            createdBy: userEmail,
+            createdAt: serverTimestamp(),
+            updatedAt: serverTimestamp(),
+            history: {
+                [push(ref(database, `stockTransfers/${transferId}/history`)).key]: {
+                    status: TRANSFER_STATUS_PENDING, quantity, toStoreId: item.toStoreId, userEmail, timestamp: serverTimestamp()
+                }
+            }
+        };
+    });
+    if (Object.keys(updates).length === 0) throw new Error('No hay traspasos para guardar.');
+    await update(ref(database), updates);
+    return Object.keys(updates).length;
+}
+
+/**
+ * Carga los traspasos. Los admins ven todos; los demás usuarios, solo los de su local (origen o destino).
+ * @param {{isAdmin: boolean, storeId: string|null}} params
+ * @returns {Promise<Array<object>>} Traspasos con su transferId, del más reciente al más antiguo.
+ */
+export async function loadTransfers({ isAdmin, storeId }) {
+    const snapshot = await get(ref(database, 'stockTransfers'));
+    const transfers = Object.entries(snapshot.exists() ? snapshot.val() : {})
+        .map(([transferId, transfer]) => ({ ...transfer, transferId }))
+        .filter(transfer => isAdmin || transfer.fromStoreId === storeId || transfer.toStoreId === storeId);
+    return transfers.sort((a, b) => Number(b.createdAt) - Number(a.createdAt));
+}
+
+/**
+ * Estados a los que el usuario puede llevar un traspaso.
+ * El local de origen lo marca como enviado, el de destino confirma la recepción y los admins pueden cancelar.
+ * @param {object} transfer
+ * @param {{isAdmin: boolean, storeId: string|null}} user
+ * @returns {string[]}
+ */
+export function getAvailableTransferActions(transfer, { isAdmin, storeId }) {
+    return (ALLOWED_TRANSITIONS[transfer.status] || []).filter(status => {
+        if (status === TRANSFER_STATUS_SENT) return isAdmin || storeId === transfer.fromStoreId;
+        if (status === TRANSFER_STATUS_RECEIVED) return storeId === transfer.toStoreId;
+        return isAdmin;
+    });
+}
+
+/**
+ * Cambia el estado de un traspaso y lo registra en su historial.
+ * @param {object} params
+ * @param {object} params.transfer - Traspaso actual (con transferId).
+ * @param {string} params.status - Nuevo estado.
+ * @param {string} params.userEmail
+ * @param {{isAdmin: boolean, storeId: string|null}} params.user
+ * @returns {Promise<void>}
+ * @throws {Error} Si el cambio no está permitido para el usuario.
+ */
+export async function updateTransferStatus({ transfer, status, userEmail, user }) {
+    if (!getAvailableTransferActions(transfer, user).includes(status)) throw new Error('No puedes realizar este cambio de estado.');
+    const transferPath = `stockTransfers/${transfer.transferId}`;
+    const historyId = push(ref(database, `${transferPath}/history`)).key;
+    await update(ref(database), {
+        [`${transferPath}/status`]: status,
+        [`${transferPath}/updatedAt`]: serverTimestamp(),
+        [`${transferPath}/history/${historyId}`]: {
+            status, quantity: transfer.quantity, toStoreId: transfer.toStoreId, userEmail, timestamp: serverTimestamp()
+        }
+    });
+}
+
+/**
+ * Edita la cantidad o el destino de un traspaso todavía pendiente (solo admins).
+ * @param {object} params
+ * @param {object} params.transfer - Traspaso actual (con transferId).
+ * @param {{quantity: number|string, toStoreId: string}} params.changes
+ * @param {string} params.userEmail
+ * @returns {Promise<void>}
+ * @throws {Error} Si el traspaso ya no está pendiente o los datos no son válidos.
+ */
+export async function editPendingTransfer({ transfer, changes, userEmail }) {
+    if (transfer.status !== TRANSFER_STATUS_PENDING) throw new Error('Solo se pueden editar traspasos pendientes.');
+    const validationError = validateTransferItem({ ...transfer, ...changes });
+    if (validationError) throw new Error(validationError);
+    const quantity = parseInt(changes.quantity, 10);
+    const transferPath = `stockTransfers/${transfer.transferId}`;
+    const historyId = push(ref(database, `${transferPath}/history`)).key;
+    await update(ref(database), {
+        [`${transferPath}/quantity`]: quantity,
+        [`${transferPath}/toStoreId`]: changes.toStoreId,
+        [`${transferPath}/updatedAt`]: serverTimestamp(),
+        [`${transferPath}/history/${historyId}`]: {
+            status: TRANSFER_STATUS_PENDING, quantity, toStoreId: changes.toStoreId, userEmail, timestamp: serverTimestamp()
+        }
+    });
+}
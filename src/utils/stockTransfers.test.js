@@ -0,0 +1,54 @@
+import { describe, it, expect, vi } from 'vitest';
+import { buildTransferSuggestions, TRANSFER_STATUS_PENDING, TRANSFER_STATUS_RECEIVED, TRANSFER_STATUS_CANCELLED } from './stockTransfers';
+
+vi.mock('../firebase/firebaseConfig', () => ({ database: {} }));
+vi.mock('firebase/database', () => ({
+    ref: vi.fn(), get: vi.fn(), set: vi.fn(), push: vi.fn(), update: vi.fn(), query: vi.fn(), orderByChild: vi.fn(), startAt: vi.fn(),
+    serverTimestamp: () => 'SERVER_TIMESTAMP'
+}));
+
+const STORES = ['S1', 'S2', 'S3'];
+const ROPS = { S1: { P1: 0.25 }, S2: { P1: 0.5 }, S3: { P1: 0.9, P2: 0.1 } };
+const lotEntry = (overrides = {}) => ({
+    storeId: 'S1', productId: 'P1', productName: 'Paracetamol', quantity: 10, expiryMonth: 8, expiryYear: 2026, lotNumber: 'L1', ...overrides
+});
+
+describe('buildTransferSuggestions', () => {
+    it('suma el lote y propone el excedente al local con el ROP más alto', () => {
+        const [suggestion, ...rest] = buildTransferSuggestions([lotEntry(), lotEntry({ quantity: 10 })], ROPS, STORES);
+        expect(rest).toEqual([]);
+        expect(suggestion).toMatchObject({
+            fromStoreId: 'S1', toStoreId: 'S3', availableQuantity: 20, quantity: 15, fromRop: 0.25, toRop: 0.9
+        });
+    });
+
+    it('no sugiere si ningún local tiene un ROP mayor que el origen', () => {
+        expect(buildTransferSuggestions([lotEntry({ storeId: 'S3' })], ROPS, STORES)).toEqual([]);
+        expect(buildTransferSuggestions([lotEntry({ productId: 'P3' })], ROPS, STORES)).toEqual([]);
+    });
+
+    it('separa lotes distintos del mismo producto y los ordena por vencimiento', () => {
+        const suggestions = buildTransferSuggestions([
+            lotEntry({ expiryMonth: 9 }),
+            lotEntry({ lotNumber: 'L2', productName: 'Aspirina', productId: 'P2', storeId: 'S1' }),
+            lotEntry()
+        ], { ...ROPS, S2: { P2: 0.5 } }, STORES);
+        expect(suggestions.map(s => [s.productId, s.expiryMonth, s.lotNumber])).toEqual([['P2', 8, 'L2'], ['P1', 8, 'L1'], ['P1', 9, 'L1']]);
+    });
+
+    it('descuenta los traspasos no cancelados del mismo lote y local de origen', () => {
+        const transfers = [
+            { ...lotEntry(), fromStoreId: 'S1', toStoreId: 'S3', quantity: 6, status: TRANSFER_STATUS_PENDING },
+            { ...lotEntry(), fromStoreId: 'S1', toStoreId: 'S2', quantity: 2, status: TRANSFER_STATUS_RECEIVED },
+            { ...lotEntry(), fromStoreId: 'S1', toStoreId: 'S3', quantity: 8, status: TRANSFER_STATUS_CANCELLED },
+            { ...lotEntry({ lotNumber: 'L9' }), fromStoreId: 'S1', toStoreId: 'S3', quantity: 8, status: TRANSFER_STATUS_PENDING }
+        ];
+        const [suggestion] = buildTransferSuggestions([lotEntry({ quantity: 20 })], ROPS, STORES, transfers);
+        expect(suggestion).toMatchObject({ availableQuantity: 12, quantity: 9 });
+    });
+
+    it('no vuelve a sugerir un lote ya traspasado completo', () => {
+        const transfers = [{ ...lotEntry(), fromStoreId: 'S1', toStoreId: 'S3', quantity: 10, status: TRANSFER_STATUS_PENDING }];
+        expect(buildTransferSuggestions([lotEntry()], ROPS, STORES, transfers)).toEqual([]);
+    });
+});
@@ -0,0 +1,64 @@
+/**
+ * @file storeOdooTeams.js
+ * @description
+ * Asociación entre los locales de Firebase (`stores/{storeId}`) y los locales de Odoo (crm_team_id de las sesiones POS),
+ * guardada en `stores/{storeId}/odooTeamId`. Con ella los admins solo ven y rectifican las sesiones de su local;
+ * las reglas de la base (database.rules.json) validan lo mismo al escribir solicitudes y borradores.
+ */
+import { database } from '../firebase/firebaseConfig';
+import { ref, update } from 'firebase/database';
+
+/**
+ * ID del local de Odoo de una sesión POS.
+ * @param {{crm_team_id?: Array}} session
+ * @returns {number|null}
+ */
+export function getSessionTeamId(session) {
+    return Array.isArray(session?.crm_team_id) && session.crm_team_id.length > 0 ? session.crm_team_id[0] : null;
+}
+
+/**
+ * Indica si un admin puede ver y rectificar una sesión: solo las del local de Odoo asociado a su local.
+ * Los superadmin pueden todas.
+ * @param {object} params
+ * @param {object} params.session - Sesión POS (con crm_team_id).
+ * @param {string|null} params.userRole
+ * @param {number|null} params.userOdooTeamId - Local de Odoo del local del usuario.
+ * @returns {boolean}
+ */
+export function canUserAccessSessionStore({ session, userRole, userOdooTeamId }) {
+    if (userRole === 'superadmin') return true;
+    if (userRole !== 'admin' || userOdooTeamId === null || userOdooTeamId === undefined) return false;
+    return getSessionTeamId(session) === Number(userOdooTeamId);
+}
+
+/**
+ * Locales de Odoo asignados a más de un local de Firebase.
+ * @param {Object<string, number|null>} assignments - Local de Odoo por storeId.
+ * @returns {number[]}
+ */
+export function findDuplicateTeamAssignments(assignments) {
+    const counts = {};
+    Object.values(assignments).forEach(teamId => {
+        if (teamId !== null && teamId !== undefined) counts[teamId] = (counts[teamId] || 0) + 1;
+    });
+    return Object.keys(counts).filter(teamId => counts[teamId] > 1).map(Number);
+}
+
+/**
+ * Guarda las asociaciones en una sola escritura multi-ruta (null quita la asociación).
+ * @param {Object<string, number|null>} assignments - Local de Odoo por storeId (solo los que cambian).
+ * @param {Object<string, number|null>} allAssignments - Asociaciones actuales de todos los locales, para validar duplicados.
+ * @returns {Promise<number>} Cantidad de locales actualizados.
+ * @throws {Error} Si un local de Odoo quedaría asignado a más de un local.
+ */
+export async function saveStoreOdooTeams(assignments, allAssignments) {
+    const duplicates = findDuplicateTeamAssignments({ ...allAssignments, ...assignments });
+    if (duplicates.length > 0) throw new Error('Cada local de Odoo solo puede asociarse a un local.');
+    const updates = {};
+    Object.entries(assignments).forEach(([storeId, teamId]) => {
+        updates[`stores/${storeId}/odooTeamId`] = teamId === null || teamId === undefined ? null : Number(teamId);
+    });
+    if (Object.keys(updates).length > 0) await update(ref(database), updates);
+    return Object.keys(updates).length;
+}